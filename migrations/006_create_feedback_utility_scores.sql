@@ -0,0 +1,101 @@
+-- Migration 006: Create Feedback Utility Ranking
+-- Created: 2026-10-19T09:00:00.000Z
+
+BEGIN;
+
+-- Utility votes as described in the design doc: each ranking is a positive
+-- utility vote, a negative utility vote, or an explicit "ignore"
+ALTER TABLE feedback_rankings ADD COLUMN IF NOT EXISTS positive_utility BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE feedback_rankings ADD COLUMN IF NOT EXISTS negative_utility BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE feedback_rankings ADD COLUMN IF NOT EXISTS ignored BOOLEAN NOT NULL DEFAULT false;
+
+-- Carry over any legacy 1-5 utility scores into the boolean votes
+UPDATE feedback_rankings
+SET positive_utility = (utility_score >= 4),
+    negative_utility = (utility_score <= 2),
+    ignored = (utility_score = 3)
+WHERE utility_score IS NOT NULL;
+
+DELETE FROM feedback_rankings
+WHERE NOT (positive_utility OR negative_utility OR ignored);
+
+ALTER TABLE feedback_rankings ADD CONSTRAINT feedback_rankings_vote_required
+    CHECK (positive_utility OR negative_utility OR ignored);
+
+ALTER TABLE feedback_rankings ADD CONSTRAINT feedback_rankings_single_utility
+    CHECK (NOT (positive_utility AND negative_utility));
+
+-- Feedback Utility Scores - denormalized vote counts for ranked display
+CREATE TABLE feedback_utility_scores (
+    feedback_id UUID PRIMARY KEY REFERENCES feedback(id) ON DELETE CASCADE,
+    positive_vote_count INTEGER NOT NULL DEFAULT 0,
+    negative_vote_count INTEGER NOT NULL DEFAULT 0,
+    ignore_count INTEGER NOT NULL DEFAULT 0,
+    total_rankings INTEGER NOT NULL DEFAULT 0,
+    net_utility INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_feedback_utility_scores_net ON feedback_utility_scores(net_utility DESC, total_rankings DESC);
+
+-- Recalculate the denormalized counts for a single feedback item
+CREATE OR REPLACE FUNCTION refresh_feedback_utility_score(target_feedback_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    -- Feedback row may already be gone when rankings cascade on delete
+    IF NOT EXISTS (SELECT 1 FROM feedback WHERE id = target_feedback_id) THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO feedback_utility_scores (
+        feedback_id, positive_vote_count, negative_vote_count,
+        ignore_count, total_rankings, net_utility, updated_at
+    )
+    SELECT
+        target_feedback_id,
+        COUNT(*) FILTER (WHERE positive_utility),
+        COUNT(*) FILTER (WHERE negative_utility),
+        COUNT(*) FILTER (WHERE ignored),
+        COUNT(*),
+        COUNT(*) FILTER (WHERE positive_utility) - COUNT(*) FILTER (WHERE negative_utility),
+        NOW()
+    FROM feedback_rankings
+    WHERE feedback_id = target_feedback_id
+    ON CONFLICT (feedback_id) DO UPDATE SET
+        positive_vote_count = EXCLUDED.positive_vote_count,
+        negative_vote_count = EXCLUDED.negative_vote_count,
+        ignore_count = EXCLUDED.ignore_count,
+        total_rankings = EXCLUDED.total_rankings,
+        net_utility = EXCLUDED.net_utility,
+        updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- Keep utility scores in sync with the rankings table
+CREATE OR REPLACE FUNCTION update_feedback_utility_scores()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        PERFORM refresh_feedback_utility_score(OLD.feedback_id);
+        RETURN OLD;
+    END IF;
+
+    PERFORM refresh_feedback_utility_score(NEW.feedback_id);
+
+    IF TG_OP = 'UPDATE' AND OLD.feedback_id != NEW.feedback_id THEN
+        PERFORM refresh_feedback_utility_score(OLD.feedback_id);
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_update_feedback_utility_scores
+    AFTER INSERT OR UPDATE OR DELETE ON feedback_rankings
+    FOR EACH ROW EXECUTE FUNCTION update_feedback_utility_scores();
+
+-- Backfill scores for existing rankings
+SELECT refresh_feedback_utility_score(feedback_id)
+FROM (SELECT DISTINCT feedback_id FROM feedback_rankings) ranked;
+
+COMMIT;
@@ -0,0 +1,49 @@
+-- Migration 007: Add Pro/Con Polarity to Feedback
+-- Created: 2026-10-19T10:00:00.000Z
+
+BEGIN;
+
+-- Every feedback item is either a pro ("keep/amplify this") or a con
+-- ("address/improve this"), independent of its feedback_type
+ALTER TABLE feedback ADD COLUMN polarity VARCHAR(3);
+
+UPDATE feedback
+SET polarity = CASE WHEN feedback_type = 'praise' THEN 'pro' ELSE 'con' END;
+
+ALTER TABLE feedback ALTER COLUMN polarity SET NOT NULL;
+ALTER TABLE feedback ADD CONSTRAINT feedback_polarity_check
+    CHECK (polarity IN ('pro', 'con'));
+
+CREATE INDEX idx_feedback_article_polarity ON feedback(article_id, polarity);
+
+-- Separate pro/con counters alongside the existing feedback_count
+ALTER TABLE articles ADD COLUMN pro_feedback_count INTEGER DEFAULT 0;
+ALTER TABLE articles ADD COLUMN con_feedback_count INTEGER DEFAULT 0;
+
+UPDATE articles a SET
+    pro_feedback_count = (SELECT COUNT(*) FROM feedback f WHERE f.article_id = a.id AND f.polarity = 'pro'),
+    con_feedback_count = (SELECT COUNT(*) FROM feedback f WHERE f.article_id = a.id AND f.polarity = 'con');
+
+CREATE OR REPLACE FUNCTION update_article_feedback_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        UPDATE articles SET
+            feedback_count = feedback_count + 1,
+            pro_feedback_count = pro_feedback_count + CASE WHEN NEW.polarity = 'pro' THEN 1 ELSE 0 END,
+            con_feedback_count = con_feedback_count + CASE WHEN NEW.polarity = 'con' THEN 1 ELSE 0 END
+        WHERE id = NEW.article_id;
+        RETURN NEW;
+    ELSIF TG_OP = 'DELETE' THEN
+        UPDATE articles SET
+            feedback_count = feedback_count - 1,
+            pro_feedback_count = pro_feedback_count - CASE WHEN OLD.polarity = 'pro' THEN 1 ELSE 0 END,
+            con_feedback_count = con_feedback_count - CASE WHEN OLD.polarity = 'con' THEN 1 ELSE 0 END
+        WHERE id = OLD.article_id;
+        RETURN OLD;
+    END IF;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+COMMIT;
@@ -0,0 +1,17 @@
+-- Migration 008: Enforce Tag Naming Rules
+-- Created: 2026-10-19T12:00:00.000Z
+
+BEGIN;
+
+-- Tag names are 2-50 lowercase letters, digits and single hyphens (see Tag.normalize).
+-- NOT VALID keeps any legacy rows loadable while every new or updated tag is checked.
+ALTER TABLE tags ADD CONSTRAINT tags_name_format_check
+    CHECK (
+        char_length(name) BETWEEN 2 AND 50
+        AND name ~ '^[a-z0-9]+(-[a-z0-9]+)*$'
+    ) NOT VALID;
+
+-- Related-tag lookups walk article_tags from tag to article and back
+CREATE INDEX IF NOT EXISTS idx_article_tags_tag_article ON article_tags(tag_id, article_id);
+
+COMMIT;
@@ -0,0 +1,93 @@
+-- Migration 009: Full-Text Search
+-- Created: 2026-10-19T13:00:00.000Z
+
+BEGIN;
+
+-- Articles: weighted document of title (A), tags (B), summary (C) and content (D)
+ALTER TABLE articles ADD COLUMN search_vector tsvector;
+
+CREATE OR REPLACE FUNCTION build_article_search_vector(
+    article_uuid UUID,
+    article_title TEXT,
+    article_summary TEXT,
+    article_content TEXT
+)
+RETURNS tsvector AS $$
+    SELECT
+        setweight(to_tsvector('english', COALESCE(article_title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE((
+            SELECT string_agg(t.name, ' ')
+            FROM article_tags at
+            JOIN tags t ON at.tag_id = t.id
+            WHERE at.article_id = article_uuid
+        ), '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(article_summary, '')), 'C') ||
+        setweight(to_tsvector('english', COALESCE(article_content, '')), 'D');
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION update_article_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector := build_article_search_vector(NEW.id, NEW.title, NEW.summary, NEW.content);
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER update_article_search_vector_trigger
+    BEFORE INSERT OR UPDATE OF title, summary, content ON articles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_article_search_vector();
+
+-- Tag changes re-index the article (the UPDATE does not touch title/summary/content,
+-- so the trigger above does not fire again)
+CREATE OR REPLACE FUNCTION refresh_article_search_vector_from_tags()
+RETURNS TRIGGER AS $$
+DECLARE
+    target_article UUID;
+BEGIN
+    target_article := CASE WHEN TG_OP = 'DELETE' THEN OLD.article_id ELSE NEW.article_id END;
+
+    UPDATE articles
+    SET search_vector = build_article_search_vector(id, title, summary, content)
+    WHERE id = target_article;
+
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER refresh_article_search_vector_trigger
+    AFTER INSERT OR DELETE ON article_tags
+    FOR EACH ROW
+    EXECUTE FUNCTION refresh_article_search_vector_from_tags();
+
+UPDATE articles
+SET search_vector = build_article_search_vector(id, title, summary, content);
+
+CREATE INDEX idx_articles_search_vector ON articles USING GIN(search_vector);
+
+-- Expositions: title (A) and description (C)
+ALTER TABLE expositions ADD COLUMN search_vector tsvector;
+
+CREATE OR REPLACE FUNCTION update_exposition_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector :=
+        setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'C');
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER update_exposition_search_vector_trigger
+    BEFORE INSERT OR UPDATE OF title, description ON expositions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_exposition_search_vector();
+
+UPDATE expositions
+SET search_vector =
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'C');
+
+CREATE INDEX idx_expositions_search_vector ON expositions USING GIN(search_vector);
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- Migration 010: Article and Section Embeddings
+-- Created: 2026-10-19T14:00:00.000Z
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS "vector";
+
+-- Whole-article embedding of title, summary and content.
+-- embedding_content_hash records which title, summary and content the vector was
+-- built from (see ArticleEmbeddingService), so unchanged articles are not re-embedded.
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS embedding vector(1536);
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(50);
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS embedding_content_hash VARCHAR(64);
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS embedding_generated_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_articles_embedding_hnsw
+    ON articles USING hnsw (embedding vector_cosine_ops);
+
+-- One embedding per markdown section (split on headings), replaced on each new version
+CREATE TABLE IF NOT EXISTS article_section_embeddings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    article_id UUID NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+    section_index INTEGER NOT NULL,
+    heading VARCHAR(255),
+    content TEXT NOT NULL,
+    embedding vector(1536) NOT NULL,
+    embedding_model VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT unique_article_section UNIQUE(article_id, section_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_article_section_embeddings_hnsw
+    ON article_section_embeddings USING hnsw (embedding vector_cosine_ops);
+
+COMMIT;
@@ -0,0 +1,200 @@
+-- Migration 011: Exposition Criteria Expressions
+-- Created: 2026-10-19T15:00:00.000Z
+
+BEGIN;
+
+-- Author and tag criteria still include articles (any of them may match). The new
+-- types narrow that set: exclusions, publication windows, thresholds, and
+-- boolean expressions parsed by CriteriaExpressionService and stored as JSON.
+ALTER TABLE exposition_criteria DROP CONSTRAINT IF EXISTS exposition_criteria_criterion_type_check;
+ALTER TABLE exposition_criteria ADD CONSTRAINT exposition_criteria_criterion_type_check
+    CHECK (criterion_type IN (
+        'author', 'tag',
+        'not_author', 'not_tag',
+        'published_after', 'published_before',
+        'min_useful_feedback', 'min_versions',
+        'expression'
+    ));
+
+ALTER TABLE exposition_criteria ALTER COLUMN criterion_type TYPE VARCHAR(30);
+
+-- Expressions keep their canonical text in criterion_value
+ALTER TABLE exposition_criteria ALTER COLUMN criterion_value TYPE VARCHAR(500);
+ALTER TABLE exposition_criteria DROP CONSTRAINT IF EXISTS criterion_value_length;
+ALTER TABLE exposition_criteria ADD CONSTRAINT criterion_value_length
+    CHECK (LENGTH(criterion_value) >= 1 AND LENGTH(criterion_value) <= 500);
+
+ALTER TABLE exposition_criteria ADD COLUMN IF NOT EXISTS criterion_expression JSONB;
+ALTER TABLE exposition_criteria ADD CONSTRAINT exposition_criteria_expression_check
+    CHECK ((criterion_type = 'expression') = (criterion_expression IS NOT NULL));
+
+-- Evaluate a single field test against an article
+CREATE OR REPLACE FUNCTION article_matches_criterion(
+    target_article_id UUID,
+    test_field TEXT,
+    test_value TEXT
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+    CASE test_field
+        WHEN 'author' THEN
+            RETURN EXISTS (
+                SELECT 1 FROM articles a
+                JOIN users u ON a.user_id = u.id
+                WHERE a.id = target_article_id
+                  AND LOWER(u.username) = LOWER(test_value)
+            );
+        WHEN 'tag' THEN
+            RETURN EXISTS (
+                SELECT 1 FROM article_tags at
+                JOIN tags t ON at.tag_id = t.id
+                WHERE at.article_id = target_article_id
+                  AND t.name = LOWER(test_value)
+            );
+        WHEN 'published_after' THEN
+            RETURN COALESCE((
+                SELECT a.published_at >= test_value::timestamptz
+                FROM articles a WHERE a.id = target_article_id
+            ), false);
+        WHEN 'published_before' THEN
+            RETURN COALESCE((
+                SELECT a.published_at < test_value::timestamptz
+                FROM articles a WHERE a.id = target_article_id
+            ), false);
+        WHEN 'min_useful_feedback' THEN
+            RETURN (
+                SELECT COUNT(*)
+                FROM feedback f
+                JOIN feedback_utility_scores fus ON fus.feedback_id = f.id
+                WHERE f.article_id = target_article_id
+                  AND fus.net_utility > 0
+            ) >= test_value::integer;
+        WHEN 'min_versions' THEN
+            RETURN (
+                SELECT COUNT(*) FROM article_versions av
+                WHERE av.article_id = target_article_id
+            ) >= test_value::integer;
+        ELSE
+            RETURN false;
+    END CASE;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Evaluate an expression tree: {"op":"and"|"or","args":[...]}, {"op":"not","arg":...}
+-- or a field test {"field":"tag","value":"ai"}
+CREATE OR REPLACE FUNCTION article_matches_criteria_expression(
+    target_article_id UUID,
+    expr JSONB
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    child JSONB;
+BEGIN
+    CASE expr->>'op'
+        WHEN 'and' THEN
+            FOR child IN SELECT * FROM jsonb_array_elements(expr->'args') LOOP
+                IF NOT article_matches_criteria_expression(target_article_id, child) THEN
+                    RETURN false;
+                END IF;
+            END LOOP;
+            RETURN true;
+        WHEN 'or' THEN
+            FOR child IN SELECT * FROM jsonb_array_elements(expr->'args') LOOP
+                IF article_matches_criteria_expression(target_article_id, child) THEN
+                    RETURN true;
+                END IF;
+            END LOOP;
+            RETURN false;
+        WHEN 'not' THEN
+            RETURN NOT article_matches_criteria_expression(target_article_id, expr->'arg');
+        ELSE
+            RETURN article_matches_criterion(target_article_id, expr->>'field', expr->>'value');
+    END CASE;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- An article belongs to an exposition when it matches any author/tag criterion
+-- (if there are any), every expression, and every exclusion, window and threshold.
+-- Expositions without an author, tag or expression criterion match nothing.
+CREATE OR REPLACE FUNCTION exposition_includes_article(
+    exposition_uuid UUID,
+    target_article_id UUID
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    has_inclusions BOOLEAN;
+    has_any_of BOOLEAN;
+BEGIN
+    SELECT
+        bool_or(criterion_type IN ('author', 'tag', 'expression')),
+        bool_or(criterion_type IN ('author', 'tag'))
+    INTO has_inclusions, has_any_of
+    FROM exposition_criteria
+    WHERE exposition_id = exposition_uuid;
+
+    IF NOT COALESCE(has_inclusions, false) THEN
+        RETURN false;
+    END IF;
+
+    IF has_any_of AND NOT EXISTS (
+        SELECT 1 FROM exposition_criteria ec
+        WHERE ec.exposition_id = exposition_uuid
+          AND ec.criterion_type IN ('author', 'tag')
+          AND article_matches_criterion(target_article_id, ec.criterion_type, ec.criterion_value)
+    ) THEN
+        RETURN false;
+    END IF;
+
+    RETURN NOT EXISTS (
+        SELECT 1 FROM exposition_criteria ec
+        WHERE ec.exposition_id = exposition_uuid
+          AND ec.criterion_type NOT IN ('author', 'tag')
+          AND NOT CASE ec.criterion_type
+              WHEN 'expression' THEN
+                  article_matches_criteria_expression(target_article_id, ec.criterion_expression)
+              WHEN 'not_author' THEN
+                  NOT article_matches_criterion(target_article_id, 'author', ec.criterion_value)
+              WHEN 'not_tag' THEN
+                  NOT article_matches_criterion(target_article_id, 'tag', ec.criterion_value)
+              ELSE
+                  article_matches_criterion(target_article_id, ec.criterion_type, ec.criterion_value)
+          END
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Same signature as migration 004, now evaluating the full criteria set
+CREATE OR REPLACE FUNCTION get_exposition_articles(exposition_uuid UUID)
+RETURNS TABLE(
+  article_id UUID,
+  article_title VARCHAR,
+  article_slug VARCHAR,
+  article_summary TEXT,
+  article_published_at TIMESTAMP WITH TIME ZONE,
+  article_updated_at TIMESTAMP WITH TIME ZONE,
+  author_id UUID,
+  author_username VARCHAR,
+  author_display_name VARCHAR
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    a.id,
+    a.title,
+    a.slug,
+    a.summary,
+    a.published_at,
+    a.updated_at,
+    a.user_id,
+    u.username,
+    u.display_name
+  FROM articles a
+  JOIN users u ON a.user_id = u.id
+  WHERE a.status = 'published'
+    AND a.visibility = 'public'
+    AND exposition_includes_article(exposition_uuid, a.id)
+  ORDER BY a.published_at DESC;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMIT;
@@ -0,0 +1,96 @@
+-- Migration 012: Exposition Layout (pins, manual order, sections)
+-- Created: 2026-10-19T16:00:00.000Z
+
+BEGIN;
+
+-- Named sections; each may select articles with a criteria expression
+-- (see CriteriaExpressionService) and/or hold hand-picked articles
+CREATE TABLE IF NOT EXISTS exposition_sections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    exposition_id UUID NOT NULL REFERENCES expositions(id) ON DELETE CASCADE,
+    title VARCHAR(100) NOT NULL,
+    description TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    criteria VARCHAR(500),
+    criteria_expression JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT exposition_section_title_length CHECK (LENGTH(TRIM(title)) >= 1),
+    CONSTRAINT exposition_section_description_length CHECK (description IS NULL OR LENGTH(description) <= 1000),
+    CONSTRAINT exposition_section_criteria_check CHECK ((criteria IS NULL) = (criteria_expression IS NULL))
+);
+
+CREATE INDEX idx_exposition_sections_exposition ON exposition_sections(exposition_id, position);
+
+CREATE TRIGGER update_exposition_sections_updated_at
+    BEFORE UPDATE ON exposition_sections
+    FOR EACH ROW
+    EXECUTE FUNCTION update_exposition_updated_at();
+
+-- Hand-placed articles: pinned to the top, manually ordered, and/or assigned to a section.
+-- A placed article is part of the exposition even when no criterion matches it.
+CREATE TABLE IF NOT EXISTS exposition_articles (
+    exposition_id UUID NOT NULL REFERENCES expositions(id) ON DELETE CASCADE,
+    article_id UUID NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+    section_id UUID REFERENCES exposition_sections(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,
+    pinned BOOLEAN NOT NULL DEFAULT false,
+    added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    PRIMARY KEY (exposition_id, article_id),
+    CONSTRAINT exposition_article_pinned_unsectioned CHECK (NOT (pinned AND section_id IS NOT NULL))
+);
+
+CREATE INDEX idx_exposition_articles_section ON exposition_articles(section_id) WHERE section_id IS NOT NULL;
+CREATE INDEX idx_exposition_articles_article ON exposition_articles(article_id);
+
+-- Exposition membership now also covers placed articles and section criteria,
+-- so article counts include everything shown on the page
+CREATE OR REPLACE FUNCTION get_exposition_articles(exposition_uuid UUID)
+RETURNS TABLE(
+  article_id UUID,
+  article_title VARCHAR,
+  article_slug VARCHAR,
+  article_summary TEXT,
+  article_published_at TIMESTAMP WITH TIME ZONE,
+  article_updated_at TIMESTAMP WITH TIME ZONE,
+  author_id UUID,
+  author_username VARCHAR,
+  author_display_name VARCHAR
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    a.id,
+    a.title,
+    a.slug,
+    a.summary,
+    a.published_at,
+    a.updated_at,
+    a.user_id,
+    u.username,
+    u.display_name
+  FROM articles a
+  JOIN users u ON a.user_id = u.id
+  WHERE a.status = 'published'
+    AND a.visibility = 'public'
+    AND (
+      EXISTS (
+        SELECT 1 FROM exposition_articles ea
+        WHERE ea.exposition_id = exposition_uuid
+          AND ea.article_id = a.id
+      )
+      OR exposition_includes_article(exposition_uuid, a.id)
+      OR EXISTS (
+        SELECT 1 FROM exposition_sections es
+        WHERE es.exposition_id = exposition_uuid
+          AND es.criteria_expression IS NOT NULL
+          AND article_matches_criteria_expression(a.id, es.criteria_expression)
+      )
+    )
+  ORDER BY a.published_at DESC;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMIT;
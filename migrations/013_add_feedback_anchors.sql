@@ -0,0 +1,35 @@
+-- Migration 013: Anchored Inline Feedback
+-- Created: 2026-10-19T17:00:00.000Z
+
+BEGIN;
+
+-- Feedback may point at a passage of the article's markdown. The quote and its
+-- surrounding context are kept as submitted; the offsets are re-mapped onto each
+-- new version (see FeedbackAnchorService) and anchor_version records which
+-- version they refer to. Orphaned anchors keep the last version they were found in.
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS anchor_quote TEXT;
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS anchor_prefix TEXT;
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS anchor_suffix TEXT;
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS anchor_start INTEGER;
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS anchor_end INTEGER;
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS anchor_version INTEGER;
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS anchor_status VARCHAR(10);
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS anchor_updated_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE feedback ADD CONSTRAINT feedback_anchor_status_check
+    CHECK (anchor_status IS NULL OR anchor_status IN ('anchored', 'changed', 'orphaned'));
+
+ALTER TABLE feedback ADD CONSTRAINT feedback_anchor_quote_length
+    CHECK (anchor_quote IS NULL OR LENGTH(anchor_quote) BETWEEN 1 AND 1000);
+
+ALTER TABLE feedback ADD CONSTRAINT feedback_anchor_complete CHECK (
+    (anchor_quote IS NULL AND anchor_start IS NULL AND anchor_end IS NULL
+        AND anchor_version IS NULL AND anchor_status IS NULL)
+    OR (anchor_quote IS NOT NULL AND anchor_start >= 0 AND anchor_end > anchor_start
+        AND anchor_version IS NOT NULL AND anchor_status IS NOT NULL)
+);
+
+CREATE INDEX idx_feedback_anchors ON feedback(article_id, anchor_version)
+    WHERE anchor_quote IS NOT NULL;
+
+COMMIT;
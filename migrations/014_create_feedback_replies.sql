@@ -0,0 +1,38 @@
+-- Migration 014: Threaded Feedback Replies
+-- Created: 2026-10-19T18:00:00.000Z
+
+BEGIN;
+
+-- Discussion under a feedback item. Replies are conversation, not feedback: they
+-- carry no polarity, are never embedded and are left out of duplicate detection.
+-- is_author_reply flags replies written by the article's author.
+CREATE TABLE IF NOT EXISTS feedback_replies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    feedback_id UUID NOT NULL REFERENCES feedback(id) ON DELETE CASCADE,
+    parent_reply_id UUID REFERENCES feedback_replies(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    is_author_reply BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT feedback_reply_content_length CHECK (LENGTH(TRIM(content)) BETWEEN 1 AND 2000)
+);
+
+CREATE INDEX idx_feedback_replies_feedback ON feedback_replies(feedback_id, created_at);
+CREATE INDEX idx_feedback_replies_parent ON feedback_replies(parent_reply_id);
+
+CREATE TRIGGER update_feedback_replies_updated_at
+    BEFORE UPDATE ON feedback_replies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN (
+        'new_follower', 'new_article', 'article_updated', 'new_message',
+        'message_reply', 'feedback_received', 'feedback_resolved',
+        'feedback_reply'
+    ));
+
+COMMIT;
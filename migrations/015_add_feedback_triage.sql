@@ -0,0 +1,64 @@
+-- Migration 015: Feedback Triage
+-- Created: 2026-10-19T19:00:00.000Z
+
+BEGIN;
+
+-- One status set for the database and the Feedback model. 'active' replaces the
+-- original 'pending'; authors acknowledge or dismiss feedback from their triage
+-- inbox, and can restore feedback the AI set aside ('ignored_by_ai').
+-- The old constraint goes first so existing 'pending' rows can be converted.
+ALTER TABLE feedback DROP CONSTRAINT IF EXISTS feedback_status_check;
+
+UPDATE feedback SET status = 'active' WHERE status = 'pending';
+
+ALTER TABLE feedback ADD CONSTRAINT feedback_status_check
+    CHECK (status IN (
+        'active', 'acknowledged', 'addressed', 'dismissed',
+        'ignored_by_ai', 'manually_restored'
+    ));
+ALTER TABLE feedback ALTER COLUMN status SET DEFAULT 'active';
+
+-- Why and by whom the status last changed (shown to the feedback's author)
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS status_reason TEXT;
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS status_changed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE feedback ADD CONSTRAINT feedback_status_reason_length
+    CHECK (status_reason IS NULL OR LENGTH(status_reason) <= 500);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_article_status ON feedback(article_id, status, created_at DESC);
+
+-- Acknowledged and restored feedback still counts when checking for duplicates
+CREATE OR REPLACE FUNCTION find_similar_feedback(
+  target_embedding vector(1536),
+  target_article_id UUID,
+  similarity_threshold DECIMAL DEFAULT 0.85,
+  max_results INTEGER DEFAULT 10
+)
+RETURNS TABLE(
+  feedback_id UUID,
+  similarity_score DECIMAL,
+  content TEXT,
+  author_username VARCHAR,
+  created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    f.id,
+    (1 - (f.embedding <=> target_embedding))::DECIMAL(4,3),
+    f.content,
+    u.username,
+    f.created_at
+  FROM feedback f
+  JOIN users u ON f.user_id = u.id
+  WHERE f.article_id = target_article_id
+    AND f.embedding IS NOT NULL
+    AND f.status IN ('active', 'acknowledged', 'manually_restored')
+    AND (1 - (f.embedding <=> target_embedding)) >= similarity_threshold
+  ORDER BY f.embedding <=> target_embedding
+  LIMIT max_results;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMIT;
@@ -0,0 +1,91 @@
+-- Migration 016: Review Rounds ("Push for Review")
+-- Created: 2026-10-19T20:00:00.000Z
+
+BEGIN;
+
+-- Feedback the AI thinks an edit may have made obsolete waits here until the
+-- round's re-vote window closes
+ALTER TABLE feedback DROP CONSTRAINT IF EXISTS feedback_status_check;
+ALTER TABLE feedback ADD CONSTRAINT feedback_status_check
+    CHECK (status IN (
+        'active', 'acknowledged', 'addressed', 'dismissed',
+        'ignored_by_ai', 'manually_restored', 'may_no_longer_apply'
+    ));
+
+-- One round per pushed version: the AI re-evaluates open feedback against the
+-- changes since base_version, then readers re-vote until revote_closes_at
+CREATE TABLE IF NOT EXISTS review_rounds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    article_id UUID NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    base_version INTEGER NOT NULL,
+    opened_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'analyzing',
+    change_summary TEXT,
+    revote_hours INTEGER NOT NULL DEFAULT 72,
+    revote_closes_at TIMESTAMP WITH TIME ZONE,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    summary JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(article_id, version_number),
+    CONSTRAINT review_round_status_check CHECK (status IN ('analyzing', 'open', 'closed')),
+    CONSTRAINT review_round_versions_check CHECK (version_number > base_version AND base_version >= 1),
+    CONSTRAINT review_round_revote_hours_check CHECK (revote_hours BETWEEN 1 AND 336),
+    CONSTRAINT review_round_summary_length CHECK (change_summary IS NULL OR LENGTH(change_summary) <= 500)
+);
+
+-- At most one round in progress per article
+CREATE UNIQUE INDEX idx_review_rounds_in_progress ON review_rounds(article_id)
+    WHERE status != 'closed';
+CREATE INDEX idx_review_rounds_closing ON review_rounds(revote_closes_at)
+    WHERE status = 'open';
+
+CREATE TRIGGER update_review_rounds_updated_at
+    BEFORE UPDATE ON review_rounds
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Feedback under review in a round, the AI's verdict and the final outcome
+CREATE TABLE IF NOT EXISTS review_round_feedback (
+    round_id UUID NOT NULL REFERENCES review_rounds(id) ON DELETE CASCADE,
+    feedback_id UUID NOT NULL REFERENCES feedback(id) ON DELETE CASCADE,
+    previous_status VARCHAR(20) NOT NULL,
+    ai_verdict VARCHAR(20) NOT NULL DEFAULT 'unanalyzed',
+    ai_confidence DECIMAL(3,2),
+    ai_explanation TEXT,
+    outcome VARCHAR(20),
+
+    PRIMARY KEY (round_id, feedback_id),
+    CONSTRAINT review_round_verdict_check
+        CHECK (ai_verdict IN ('unanalyzed', 'still_applies', 'may_no_longer_apply')),
+    CONSTRAINT review_round_outcome_check
+        CHECK (outcome IS NULL OR outcome IN ('still_applies', 'no_longer_applies', 'unchanged'))
+);
+
+CREATE INDEX idx_review_round_feedback_feedback ON review_round_feedback(feedback_id);
+
+-- Readers' re-votes: does this feedback still apply to the new version?
+CREATE TABLE IF NOT EXISTS review_round_votes (
+    round_id UUID NOT NULL,
+    feedback_id UUID NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    still_applies BOOLEAN NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    PRIMARY KEY (round_id, feedback_id, user_id),
+    FOREIGN KEY (round_id, feedback_id)
+        REFERENCES review_round_feedback(round_id, feedback_id) ON DELETE CASCADE
+);
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN (
+        'new_follower', 'new_article', 'article_updated', 'new_message',
+        'message_reply', 'feedback_received', 'feedback_resolved',
+        'feedback_reply', 'review_round_opened', 'review_round_closed'
+    ));
+
+COMMIT;
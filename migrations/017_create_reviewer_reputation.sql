@@ -0,0 +1,58 @@
+-- Migration 017: Reviewer Reputation
+-- Created: 2026-10-19T21:00:00.000Z
+
+BEGIN;
+
+-- Credit for helpful feedback, computed on read so it decays continuously.
+-- Every signal is weighted by 0.5 ^ (age / 180 days):
+--   resolved_credit  - resolutions of the reviewer's feedback (partial = 0.5,
+--                      rejected = 0), scaled by the resolution's confidence
+--   utility_credit   - net helpful votes on the reviewer's feedback
+--   dismissal_rate   - share of their feedback authors dismissed (undecayed)
+-- score = max(0, 10 * resolved_credit + 2 * utility_credit) * (1 - dismissal_rate)
+CREATE OR REPLACE VIEW reviewer_reputation AS
+WITH latest_resolutions AS (
+    SELECT DISTINCT ON (fr.feedback_id)
+        fr.feedback_id, fr.resolution_type, fr.confidence_score, fr.created_at
+    FROM feedback_resolutions fr
+    ORDER BY fr.feedback_id, fr.to_version DESC
+),
+reviewer_stats AS (
+    SELECT
+        f.user_id,
+        COUNT(*) FILTER (WHERE f.status != 'ignored_by_ai') as feedback_count,
+        COUNT(*) FILTER (WHERE f.status = 'dismissed') as dismissed_count,
+        COUNT(lr.feedback_id) FILTER (WHERE lr.resolution_type != 'rejected') as resolved_count,
+        COALESCE(SUM(us.positive_vote_count), 0) as helpful_votes,
+        COALESCE(SUM(
+            CASE lr.resolution_type
+                WHEN 'partially_addressed' THEN 0.5
+                WHEN 'rejected' THEN 0
+                ELSE 1
+            END * lr.confidence_score
+            * POWER(0.5, EXTRACT(EPOCH FROM (NOW() - lr.created_at)) / 86400 / 180)
+        ), 0) as resolved_credit,
+        COALESCE(SUM(
+            us.net_utility * POWER(0.5, EXTRACT(EPOCH FROM (NOW() - f.created_at)) / 86400 / 180)
+        ), 0) as utility_credit
+    FROM feedback f
+    LEFT JOIN latest_resolutions lr ON lr.feedback_id = f.id
+    LEFT JOIN feedback_utility_scores us ON us.feedback_id = f.id
+    GROUP BY f.user_id
+)
+SELECT
+    user_id,
+    feedback_count,
+    dismissed_count,
+    resolved_count,
+    helpful_votes,
+    ROUND(resolved_credit::NUMERIC, 2) as resolved_credit,
+    ROUND(utility_credit::NUMERIC, 2) as utility_credit,
+    ROUND(CASE WHEN feedback_count > 0 THEN dismissed_count::NUMERIC / feedback_count ELSE 0 END, 3) as dismissal_rate,
+    ROUND((
+        GREATEST(0, 10 * resolved_credit + 2 * utility_credit)
+        * (1 - CASE WHEN feedback_count > 0 THEN dismissed_count::NUMERIC / feedback_count ELSE 0 END)
+    )::NUMERIC, 1) as score
+FROM reviewer_stats;
+
+COMMIT;
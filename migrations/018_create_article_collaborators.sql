@@ -0,0 +1,41 @@
+-- Migration 018: Article Collaborators
+-- Created: 2026-10-19T22:00:00.000Z
+
+BEGIN;
+
+-- People the owner invited to work on an article. Editors can update it
+-- (each version's created_by records who made it), reviewers can read drafts
+-- and private feedback, viewers can read drafts. Invitations stay 'pending'
+-- until the invitee accepts; declining deletes the row.
+CREATE TABLE IF NOT EXISTS article_collaborators (
+    article_id UUID NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(10) NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending',
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    PRIMARY KEY (article_id, user_id),
+    CONSTRAINT article_collaborators_role_check CHECK (role IN ('editor', 'reviewer', 'viewer')),
+    CONSTRAINT article_collaborators_status_check CHECK (status IN ('pending', 'accepted'))
+);
+
+CREATE INDEX idx_article_collaborators_user ON article_collaborators(user_id, status);
+
+CREATE TRIGGER update_article_collaborators_updated_at
+    BEFORE UPDATE ON article_collaborators
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN (
+        'new_follower', 'new_article', 'article_updated', 'new_message',
+        'message_reply', 'feedback_received', 'feedback_resolved',
+        'feedback_reply', 'review_round_opened', 'review_round_closed',
+        'collaboration_invite', 'collaboration_accepted'
+    ));
+
+COMMIT;
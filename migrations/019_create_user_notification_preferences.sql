@@ -0,0 +1,38 @@
+-- Migration 019: User Notification Preferences
+-- Created: 2026-10-19T23:00:00.000Z
+
+BEGIN;
+
+-- One row per user who changed anything; users without a row get the defaults
+-- in NotificationPreference. type_settings only holds overrides, keyed by
+-- notification type: { "feedback_received": { "enabled": true, "channels": ["in_app", "email"] } }
+-- Channels: in_app (real-time WebSocket push), email (sent immediately),
+-- digest (included in the periodic digest). Every enabled notification is
+-- also kept in the in-app inbox. Quiet hours hold back push and email.
+CREATE TABLE IF NOT EXISTS user_notification_preferences (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    type_settings JSONB NOT NULL DEFAULT '{}',
+    digest_frequency VARCHAR(10) NOT NULL DEFAULT 'weekly',
+    quiet_hours_enabled BOOLEAN NOT NULL DEFAULT false,
+    quiet_hours_start TIME,
+    quiet_hours_end TIME,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT notification_preferences_digest_check
+        CHECK (digest_frequency IN ('off', 'daily', 'weekly')),
+    CONSTRAINT notification_preferences_quiet_hours_check
+        CHECK (NOT quiet_hours_enabled OR (
+            quiet_hours_start IS NOT NULL
+            AND quiet_hours_end IS NOT NULL
+            AND quiet_hours_start != quiet_hours_end
+        ))
+);
+
+CREATE TRIGGER update_user_notification_preferences_updated_at
+    BEFORE UPDATE ON user_notification_preferences
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
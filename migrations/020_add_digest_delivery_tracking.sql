@@ -0,0 +1,13 @@
+-- Migration 020: Digest Delivery Tracking
+-- Created: 2026-10-19T23:30:00.000Z
+
+BEGIN;
+
+-- When the user's last digest email went out. The hourly digest run sends at
+-- the user's local morning and uses this both to skip users it already served
+-- and as the start of the next digest's window. Users without a preferences
+-- row get one (with default settings) when their first digest is sent.
+ALTER TABLE user_notification_preferences
+    ADD COLUMN IF NOT EXISTS last_digest_sent_at TIMESTAMP WITH TIME ZONE;
+
+COMMIT;
@@ -0,0 +1,79 @@
+-- Migration 021: Direct Message Conversations
+-- Created: 2026-10-20T00:00:00.000Z
+
+BEGIN;
+
+-- 1:1 and small-group conversations. A 1:1 conversation has a direct_key
+-- ('<lower user id>:<higher user id>') so each pair shares one conversation;
+-- group conversations have none and are created anew each time.
+CREATE TABLE IF NOT EXISTS conversations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    title VARCHAR(100),
+    is_group BOOLEAN NOT NULL DEFAULT false,
+    direct_key VARCHAR(80) UNIQUE,
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT conversations_direct_key_check CHECK (is_group OR direct_key IS NOT NULL)
+);
+
+-- Read state per participant: everything up to last_read_at is read, and
+-- last_read_message_id is what other participants see as the read receipt
+CREATE TABLE IF NOT EXISTS conversation_participants (
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    last_read_message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    last_read_at TIMESTAMP WITH TIME ZONE,
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    PRIMARY KEY (conversation_id, user_id)
+);
+
+CREATE INDEX idx_conversation_participants_user ON conversation_participants(user_id);
+CREATE INDEX idx_conversations_last_message_at ON conversations(last_message_at DESC NULLS LAST);
+
+CREATE TRIGGER update_conversations_updated_at
+    BEFORE UPDATE ON conversations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Direct messages are private messages that belong to a conversation
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE;
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_conversation_private_check;
+ALTER TABLE messages ADD CONSTRAINT messages_conversation_private_check
+    CHECK (conversation_id IS NULL OR visibility = 'private');
+
+CREATE INDEX idx_messages_conversation ON messages(conversation_id, created_at DESC)
+    WHERE conversation_id IS NOT NULL;
+
+-- Direct messages don't count towards a user's posts
+CREATE OR REPLACE FUNCTION update_message_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.conversation_id IS NULL THEN
+            UPDATE users SET messages_count = messages_count + 1 WHERE id = NEW.user_id;
+        END IF;
+        RETURN NEW;
+    ELSIF TG_OP = 'DELETE' THEN
+        IF OLD.conversation_id IS NULL THEN
+            UPDATE users SET messages_count = messages_count - 1 WHERE id = OLD.user_id;
+        END IF;
+        RETURN OLD;
+    END IF;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN (
+        'new_follower', 'new_article', 'article_updated', 'new_message',
+        'message_reply', 'feedback_received', 'feedback_resolved',
+        'feedback_reply', 'review_round_opened', 'review_round_closed',
+        'collaboration_invite', 'collaboration_accepted', 'direct_message'
+    ));
+
+COMMIT;
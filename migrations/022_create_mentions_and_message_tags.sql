@@ -0,0 +1,46 @@
+-- Migration 022: @Mentions and #Hashtags
+-- Created: 2026-10-20T06:00:00.000Z
+
+BEGIN;
+
+-- Users mentioned with @username in a message, feedback item or feedback reply.
+-- Exactly one source column is set; rows go with their source.
+CREATE TABLE IF NOT EXISTS mentions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    mentioned_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+    feedback_id UUID REFERENCES feedback(id) ON DELETE CASCADE,
+    feedback_reply_id UUID REFERENCES feedback_replies(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT mentions_single_source_check CHECK (num_nonnulls(message_id, feedback_id, feedback_reply_id) = 1),
+    UNIQUE(message_id, user_id),
+    UNIQUE(feedback_id, user_id),
+    UNIQUE(feedback_reply_id, user_id)
+);
+
+CREATE INDEX idx_mentions_user ON mentions(user_id, created_at DESC);
+
+-- #tag references in messages, linking posts into the tag system
+CREATE TABLE IF NOT EXISTS message_tags (
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    tag_id UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    PRIMARY KEY (message_id, tag_id)
+);
+
+CREATE INDEX idx_message_tags_tag ON message_tags(tag_id, message_id);
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN (
+        'new_follower', 'new_article', 'article_updated', 'new_message',
+        'message_reply', 'feedback_received', 'feedback_resolved',
+        'feedback_reply', 'review_round_opened', 'review_round_closed',
+        'collaboration_invite', 'collaboration_accepted', 'direct_message',
+        'mention'
+    ));
+
+COMMIT;
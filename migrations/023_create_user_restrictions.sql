@@ -0,0 +1,84 @@
+-- Migration 023: Blocking and Muting
+-- Created: 2026-10-20T12:00:00.000Z
+
+BEGIN;
+
+-- A block keeps two users apart in both directions: no following, no direct
+-- messages or replies, no feedback on each other's articles. A mute only
+-- hides the muted user from the muter's feeds and notifications. A user may
+-- both block and mute someone; each is lifted separately.
+CREATE TABLE IF NOT EXISTS user_restrictions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    target_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    restriction_type VARCHAR(10) NOT NULL CHECK (restriction_type IN ('block', 'mute')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(user_id, target_user_id, restriction_type),
+    CONSTRAINT no_self_restriction CHECK (user_id != target_user_id)
+);
+
+CREATE INDEX idx_user_restrictions_target ON user_restrictions(target_user_id, restriction_type);
+
+-- Either user blocked the other
+CREATE OR REPLACE FUNCTION is_blocked(user_a UUID, user_b UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1 FROM user_restrictions
+        WHERE restriction_type = 'block'
+        AND ((user_id = user_a AND target_user_id = user_b)
+            OR (user_id = user_b AND target_user_id = user_a))
+    );
+END;
+$$ language 'plpgsql';
+
+-- The viewer muted or blocked the author, or the author blocked the viewer
+CREATE OR REPLACE FUNCTION is_hidden_from(author_uuid UUID, viewer_uuid UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1 FROM user_restrictions
+        WHERE (user_id = viewer_uuid AND target_user_id = author_uuid)
+        OR (user_id = author_uuid AND target_user_id = viewer_uuid AND restriction_type = 'block')
+    );
+END;
+$$ language 'plpgsql';
+
+-- Feed items from hidden users are left out
+CREATE OR REPLACE FUNCTION get_user_feed(user_uuid UUID, feed_limit INTEGER DEFAULT 50, feed_offset INTEGER DEFAULT 0)
+RETURNS TABLE(
+    id UUID,
+    item_type VARCHAR,
+    source_user_id UUID,
+    source_username VARCHAR,
+    source_display_name VARCHAR,
+    source_id UUID,
+    title VARCHAR,
+    content TEXT,
+    data JSONB,
+    created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        fi.id,
+        fi.item_type,
+        fi.source_user_id,
+        u.username,
+        u.display_name,
+        fi.source_id,
+        fi.title,
+        fi.content,
+        fi.data,
+        fi.created_at
+    FROM feed_items fi
+    LEFT JOIN users u ON fi.source_user_id = u.id
+    WHERE fi.user_id = user_uuid
+    AND NOT is_hidden_from(fi.source_user_id, user_uuid)
+    ORDER BY fi.created_at DESC
+    LIMIT feed_limit OFFSET feed_offset;
+END;
+$$ language 'plpgsql';
+
+COMMIT;
@@ -168,8 +168,11 @@ class FeedbackSystem {
 
     createFeedbackItem(feedback, type) {
         const isResolved = feedback.status === 'resolved';
-        const votedClass = feedback.user_voted ? 'voted' : '';
+        const ranking = feedback.ranking || {};
+        const votedClass = feedback.user_vote && feedback.user_vote.positive_utility ? 'voted' : '';
+        const downvotedClass = feedback.user_vote && feedback.user_vote.negative_utility ? 'voted' : '';
         const resolvedClass = isResolved ? 'resolved' : '';
+        const reputation = feedback.author && feedback.author.reputation;
 
         return `
             <div class="feedback-item feedback-item-${type} ${resolvedClass}" data-feedback-id="${feedback.id}">
@@ -182,6 +185,10 @@ class FeedbackSystem {
                 <div class="feedback-meta">
                     <div class="feedback-author">
                         <span>@${feedback.author_username}</span>
+                        ${reputation && reputation.score > 0 ? `
+                            <span class="feedback-reputation feedback-reputation-${reputation.level}"
+                                  title="Reviewer reputation (${reputation.level})">★ ${reputation.score}</span>
+                        ` : ''}
                         <span class="feedback-date">${this.formatDate(feedback.created_at)}</span>
                     </div>
                 </div>
@@ -189,8 +196,16 @@ class FeedbackSystem {
                 <div class="feedback-actions">
                     <button class="feedback-vote-button ${votedClass}"
                             data-feedback-id="${feedback.id}"
+                            data-vote="positive"
                             title="Vote this feedback as helpful">
-                        👍 <span class="feedback-vote-count">${feedback.vote_count || 0}</span>
+                        👍 <span class="feedback-vote-count">${ranking.positive_count || 0}</span>
+                    </button>
+
+                    <button class="feedback-vote-button ${downvotedClass}"
+                            data-feedback-id="${feedback.id}"
+                            data-vote="negative"
+                            title="Vote this feedback as not helpful">
+                        👎 <span class="feedback-vote-negative-count">${ranking.negative_count || 0}</span>
                     </button>
 
                     ${feedback.can_resolve ? `
@@ -289,9 +304,12 @@ class FeedbackSystem {
         }
     }
 
-    async voteFeedback(feedbackId) {
+    async voteFeedback(feedbackId, positive = true) {
         try {
-            await this.mcpClient.voteFeedback(feedbackId, true);
+            const result = await this.mcpClient.voteFeedback(feedbackId, positive);
+            if (result && result.scores) {
+                this.updateFeedbackVotes(feedbackId, result.scores);
+            }
             window.app.showNotification('Vote recorded!', 'success');
         } catch (error) {
             console.error('❌ Failed to vote feedback:', error);
@@ -315,18 +333,25 @@ class FeedbackSystem {
         }
     }
 
-    updateFeedbackVotes(feedbackId, newVoteCount) {
-        const feedbackElement = document.querySelector(`[data-feedback-id="${feedbackId}"]`);
+    updateFeedbackVotes(feedbackId, votes) {
+        if (!votes) return;
+
+        const feedbackElement = document.querySelector(`.feedback-item[data-feedback-id="${feedbackId}"]`);
         if (feedbackElement) {
             const voteCountElement = feedbackElement.querySelector('.feedback-vote-count');
             if (voteCountElement) {
-                voteCountElement.textContent = newVoteCount;
+                voteCountElement.textContent = votes.positive_count || 0;
+            }
+
+            const negativeCountElement = feedbackElement.querySelector('.feedback-vote-negative-count');
+            if (negativeCountElement) {
+                negativeCountElement.textContent = votes.negative_count || 0;
             }
         }
     }
 
     addNewFeedback(feedbackData) {
-        if (feedbackData.type === 'pro') {
+        if (feedbackData.polarity === 'pro') {
             this.prosData.unshift(feedbackData);
             this.renderProFeedback();
         } else {
@@ -435,7 +460,7 @@ document.addEventListener('click', (event) => {
         const feedbackId = button.dataset.feedbackId;
 
         if (window.feedbackSystem && feedbackId) {
-            window.feedbackSystem.voteFeedback(feedbackId);
+            window.feedbackSystem.voteFeedback(feedbackId, button.dataset.vote !== 'negative');
         }
     }
 });
@@ -303,18 +303,180 @@ class MCPClient {
         return await this.callTool('get_feedback_rankings', { article_id: articleId });
     }
 
-    async submitFeedback(articleId, type, content) {
+    // anchor: optional { quote, start, end, prefix, suffix } selected in the article markdown
+    async submitFeedback(articleId, polarity, content, anchor = null) {
         return await this.callTool('submit_feedback', {
             article_id: articleId,
-            type: type,
-            content: content
+            polarity: polarity,
+            content: content,
+            ...(anchor ? { anchor } : {})
+        });
+    }
+
+    async replyToFeedback(feedbackId, content, parentReplyId = null) {
+        return await this.callTool('reply_to_feedback', {
+            feedback_id: feedbackId,
+            content: content,
+            ...(parentReplyId ? { parent_reply_id: parentReplyId } : {})
+        });
+    }
+
+    async getFeedbackThread(feedbackId) {
+        return await this.callTool('get_feedback_thread', {
+            feedback_id: feedbackId
+        });
+    }
+
+    // filters: { status: [...], polarity, feedback_type, article_id, min_utility, order_by, limit, offset }
+    async getFeedbackInbox(filters = {}) {
+        return await this.callTool('get_feedback_inbox', filters);
+    }
+
+    // action: 'acknowledge' | 'dismiss' | 'restore'
+    async triageFeedback(feedbackIds, action, reason = null) {
+        return await this.callTool('triage_feedback', {
+            feedback_ids: feedbackIds,
+            action: action,
+            ...(reason ? { reason } : {})
+        });
+    }
+
+    // role: 'editor' | 'reviewer' | 'viewer'
+    async inviteCollaborator(articleId, username, role) {
+        return await this.callTool('invite_collaborator', {
+            article_id: articleId,
+            username: username,
+            role: role
+        });
+    }
+
+    async respondToCollaboration(articleId, accept) {
+        return await this.callTool('respond_to_collaboration', {
+            article_id: articleId,
+            accept: accept
+        });
+    }
+
+    async removeCollaborator(articleId, username) {
+        return await this.callTool('remove_collaborator', {
+            article_id: articleId,
+            username: username
+        });
+    }
+
+    async getCollaborators(articleId) {
+        return await this.callTool('get_collaborators', { article_id: articleId });
+    }
+
+    async getMyCollaborations(status = null) {
+        return await this.callTool('get_my_collaborations', status ? { status } : {});
+    }
+
+    async pushForReview(articleId, changeSummary = null, revoteHours = null) {
+        return await this.callTool('push_for_review', {
+            article_id: articleId,
+            ...(changeSummary ? { change_summary: changeSummary } : {}),
+            ...(revoteHours ? { revote_hours: revoteHours } : {})
+        });
+    }
+
+    async getReviewRound(articleId, roundId = null) {
+        return await this.callTool('get_review_round', {
+            article_id: articleId,
+            ...(roundId ? { round_id: roundId } : {})
+        });
+    }
+
+    async voteFeedbackRelevance(roundId, feedbackId, stillApplies) {
+        return await this.callTool('vote_feedback_relevance', {
+            round_id: roundId,
+            feedback_id: feedbackId,
+            still_applies: stillApplies
+        });
+    }
+
+    async closeReviewRound(roundId) {
+        return await this.callTool('close_review_round', { round_id: roundId });
+    }
+
+    async getReviewerReputation(username = null) {
+        return await this.callTool('get_reviewer_reputation', username ? { username } : {});
+    }
+
+    async getTopReviewers(limit = 20, offset = 0) {
+        return await this.callTool('get_top_reviewers', { limit, offset });
+    }
+
+    async getNotificationPreferences() {
+        return await this.callTool('get_notification_preferences');
+    }
+
+    async updateNotificationPreferences(changes) {
+        return await this.callTool('update_notification_preferences', changes);
+    }
+
+    async sendDirectMessage(content, { conversationId = null, recipients = null, title = null } = {}) {
+        return await this.callTool('send_direct_message', {
+            content,
+            ...(conversationId ? { conversation_id: conversationId } : { recipients }),
+            ...(title ? { title } : {})
+        });
+    }
+
+    async getConversations(limit = 20, offset = 0) {
+        return await this.callTool('get_conversations', { limit, offset });
+    }
+
+    async getConversation(conversationId, limit = 50, offset = 0) {
+        return await this.callTool('get_conversation', { conversation_id: conversationId, limit, offset });
+    }
+
+    async markConversationRead(conversationId) {
+        return await this.callTool('mark_conversation_read', { conversation_id: conversationId });
+    }
+
+    sendTyping(conversationId, isTyping = true) {
+        if (this.connectionState === 'connected') {
+            this.ws.send(JSON.stringify({
+                type: isTyping ? 'typing_start' : 'typing_stop',
+                conversation_id: conversationId
+            }));
+        }
+    }
+
+    async suggestMentions(prefix, limit = 10) {
+        return await this.callTool('suggest_mentions', { prefix, limit });
+    }
+
+    async blockUser(username) {
+        return await this.callTool('block_user', { username });
+    }
+
+    async unblockUser(username) {
+        return await this.callTool('unblock_user', { username });
+    }
+
+    async muteUser(username) {
+        return await this.callTool('mute_user', { username });
+    }
+
+    async unmuteUser(username) {
+        return await this.callTool('unmute_user', { username });
+    }
+
+    async getRestrictedUsers(type = null, limit = 50, offset = 0) {
+        return await this.callTool('get_restricted_users', {
+            ...(type ? { type } : {}),
+            limit,
+            offset
         });
     }
 
     async voteFeedback(feedbackId, vote) {
         return await this.callTool('rank_feedback', {
             feedback_id: feedbackId,
-            positive_utility: vote
+            positive_utility: vote,
+            negative_utility: !vote
         });
     }
 
@@ -5,6 +5,7 @@ class LandingPage {
     constructor() {
         this.expositions = [];
         this.expositionsContainer = null;
+        this.tagCloudContainer = null;
 
         this.init();
     }
@@ -14,10 +15,16 @@ class LandingPage {
 
         this.expositionsContainer = document.getElementById('expositions-container');
 
+        this.tagCloudContainer = document.getElementById('tag-cloud-container');
+
         if (this.expositionsContainer) {
             await this.loadExpositions();
         }
 
+        if (this.tagCloudContainer) {
+            await this.loadTagCloud();
+        }
+
         this.initEventHandlers();
 
         console.log('✅ Landing page ready');
@@ -72,6 +79,35 @@ class LandingPage {
         });
     }
 
+    async loadTagCloud() {
+        try {
+            const response = await window.app.apiRequest('/api/tags/cloud?limit=40');
+
+            if (response && response.ok) {
+                const data = await response.json();
+                this.renderTagCloud(data.tags || []);
+            }
+        } catch (error) {
+            // The section stays hidden without tags
+            console.error('Failed to load tag cloud:', error);
+        }
+    }
+
+    renderTagCloud(tags) {
+        if (!this.tagCloudContainer || tags.length === 0) return;
+
+        this.tagCloudContainer.innerHTML = tags.map(tag => {
+            const articleText = tag.article_count === 1 ? 'article' : 'articles';
+            return `
+                <a href="/tags/${encodeURIComponent(tag.name)}"
+                   class="tag-cloud-link weight-${tag.weight}"
+                   title="${tag.article_count} ${articleText}">#${tag.name}</a>
+            `;
+        }).join('');
+
+        document.getElementById('tags').hidden = false;
+    }
+
     renderPlaceholderExpositions() {
         if (!this.expositionsContainer) return;
 
@@ -24,6 +24,17 @@ class SPADashboardPage {
     this.activeTab = 'overview';
     this.editingProfile = false;
 
+    // Feedback triage inbox (loaded when the feedback tab opens)
+    this.triage = {
+      filters: { status: 'open', polarity: '', article_id: '', min_utility: '' },
+      feedback: [],
+      queueCounts: [],
+      total: 0,
+      selected: new Set(),
+      loaded: false,
+      error: null
+    };
+
     console.log('📊 SPADashboardPage initialized');
   }
 
@@ -290,20 +301,50 @@ class SPADashboardPage {
    * Render feedback management tab
    */
   renderFeedbackTab() {
+    const filters = this.triage.filters;
+    const statusOptions = [
+      ['open', 'Needs attention'],
+      ['active', 'New'],
+      ['acknowledged', 'Acknowledged'],
+      ['may_no_longer_apply', 'Up for re-vote'],
+      ['ignored_by_ai', 'Set aside by AI'],
+      ['dismissed', 'Dismissed'],
+      ['addressed', 'Addressed']
+    ];
+
     return `
       <div class="dashboard-content feedback-content">
-        <h2>💭 Feedback Management</h2>
+        <h2>💭 Feedback Inbox</h2>
 
-        <div class="feedback-tabs">
-          <button class="feedback-tab active" data-feedback-tab="received">
-            📥 Received (${this.userStats.totalFeedback})
-          </button>
-          <button class="feedback-tab" data-feedback-tab="given">
-            📤 Given (${this.userStats.feedbackGiven})
-          </button>
-          <button class="feedback-tab" data-feedback-tab="pending">
-            ⏳ Pending Review (${this.userStats.pendingFeedback})
-          </button>
+        <div class="feedback-filters">
+          <select class="triage-filter" data-filter="status">
+            ${statusOptions.map(([value, label]) => `
+              <option value="${value}" ${filters.status === value ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+          <select class="triage-filter" data-filter="polarity">
+            <option value="">Pro and con</option>
+            <option value="pro" ${filters.polarity === 'pro' ? 'selected' : ''}>👍 Pro</option>
+            <option value="con" ${filters.polarity === 'con' ? 'selected' : ''}>🔧 Con</option>
+          </select>
+          <select class="triage-filter" data-filter="article_id">
+            <option value="">All articles</option>
+            ${this.triage.queueCounts.map(article => `
+              <option value="${article.article_id}" ${filters.article_id === article.article_id ? 'selected' : ''}>
+                ${this.escapeHtml(article.title)} (${article.open})
+              </option>
+            `).join('')}
+          </select>
+          <input type="number" class="triage-filter" data-filter="min_utility"
+                 placeholder="Min. utility" value="${this.escapeHtml(String(filters.min_utility))}">
+        </div>
+
+        <div class="feedback-bulk-actions">
+          <span class="selected-count">${this.triage.selected.size} selected</span>
+          <input type="text" id="triage-reason" maxlength="500" placeholder="Reason (optional)">
+          <button class="btn btn-small btn-primary" data-triage-action="acknowledge">Acknowledge</button>
+          <button class="btn btn-small btn-secondary" data-triage-action="dismiss">Dismiss</button>
+          <button class="btn btn-small btn-secondary" data-triage-action="restore">Restore AI-dismissed</button>
         </div>
 
         <div class="feedback-management">
@@ -663,6 +704,10 @@ class SPADashboardPage {
       });
     });
 
+    if (this.activeTab === 'feedback') {
+      this.setupFeedbackTriageHandlers();
+    }
+
     // Profile form submission
     const profileForm = document.getElementById('basic-info-form');
     if (profileForm) {
@@ -689,6 +734,10 @@ class SPADashboardPage {
       container.innerHTML = this.renderHTML().match(/<div class="dashboard-container">([\s\S]*)<\/div>/)[1];
       this.setupEventHandlers();
     }
+
+    if (tabId === 'feedback' && !this.triage.loaded) {
+      this.loadFeedbackInbox();
+    }
   }
 
   /**
@@ -903,23 +952,130 @@ class SPADashboardPage {
   }
 
   renderFeedbackManagement() {
+    if (this.triage.error) {
+      return `<div class="empty-state"><p>${this.escapeHtml(this.triage.error)}</p></div>`;
+    }
+
+    if (!this.triage.loaded) {
+      return '<div class="loading-state"><div class="loading-spinner"></div><p>Loading feedback...</p></div>';
+    }
+
+    if (this.triage.feedback.length === 0) {
+      return '<div class="empty-state"><h3>Inbox zero</h3><p>No feedback matches these filters.</p></div>';
+    }
+
     return `
       <div class="feedback-list">
-        <div class="feedback-item-management">
-          <div class="feedback-header">
-            <span class="feedback-author">Sarah Johnson</span>
-            <span class="feedback-date">2 days ago</span>
-          </div>
-          <p class="feedback-content">Great article! The modularity section really helped me understand how to structure my React components better.</p>
-          <div class="feedback-actions">
-            <button class="btn btn-small btn-primary">Mark as Addressed</button>
-            <button class="btn btn-small btn-secondary">Reply</button>
+        ${this.triage.feedback.map(f => `
+          <div class="feedback-item-management" data-feedback-id="${f.id}">
+            <div class="feedback-header">
+              <label>
+                <input type="checkbox" class="triage-select" value="${f.id}"
+                       ${this.triage.selected.has(f.id) ? 'checked' : ''}>
+                <span class="feedback-author">${this.escapeHtml(f.author?.display_name || f.author?.username || 'Anonymous')}</span>
+                on <em>${this.escapeHtml(f.article?.title || '')}</em>
+              </label>
+              <span class="feedback-date">${this.formatDate(f.created_at)}</span>
+            </div>
+            <div class="feedback-meta">
+              <span class="feedback-polarity ${f.polarity}">${f.polarity === 'pro' ? '👍 Pro' : '🔧 Con'}</span>
+              <span class="feedback-status">${f.status.replace(/_/g, ' ')}</span>
+              <span class="feedback-utility">Utility ${f.ranking?.net_utility || 0}</span>
+            </div>
+            <p class="feedback-content">${this.escapeHtml(f.content)}</p>
+            ${f.status_reason ? `<p class="feedback-status-reason">${this.escapeHtml(f.status_reason)}</p>` : ''}
           </div>
-        </div>
+        `).join('')}
       </div>
+      ${this.triage.total > this.triage.feedback.length
+        ? `<p class="feedback-more">Showing ${this.triage.feedback.length} of ${this.triage.total}</p>`
+        : ''}
     `;
   }
 
+  /**
+   * Load the feedback triage inbox with the current filters
+   */
+  async loadFeedbackInbox() {
+    const filters = this.triage.filters;
+
+    try {
+      const data = await this.mcpClient.getFeedbackInbox({
+        ...(filters.status === 'open' ? {} : { status: [filters.status] }),
+        ...(filters.polarity ? { polarity: filters.polarity } : {}),
+        ...(filters.article_id ? { article_id: filters.article_id } : {}),
+        ...(filters.min_utility !== '' ? { min_utility: parseInt(filters.min_utility, 10) } : {})
+      });
+
+      this.triage.feedback = data.feedback;
+      this.triage.queueCounts = data.queue_counts;
+      this.triage.total = data.pagination.total;
+      this.triage.error = null;
+    } catch (error) {
+      console.error('❌ Failed to load feedback inbox:', error);
+      this.triage.error = error.message;
+    }
+
+    this.triage.loaded = true;
+    this.triage.selected.clear();
+
+    if (this.activeTab === 'feedback') {
+      this.switchTab('feedback');
+    }
+  }
+
+  /**
+   * Apply a bulk triage action to the selected feedback
+   */
+  async applyTriageAction(action) {
+    const ids = [...this.triage.selected];
+    if (ids.length === 0) {
+      alert('Select feedback first');
+      return;
+    }
+
+    const reason = document.getElementById('triage-reason')?.value.trim() || null;
+
+    try {
+      const result = await this.mcpClient.triageFeedback(ids, action, reason);
+      if (result.skipped.length > 0) {
+        console.log(`⏭️ ${result.skipped.length} feedback items were not in a state for "${action}"`);
+      }
+    } catch (error) {
+      console.error('❌ Triage failed:', error);
+      alert(`Could not ${action} feedback: ${error.message}`);
+    }
+
+    await this.loadFeedbackInbox();
+  }
+
+  setupFeedbackTriageHandlers() {
+    document.querySelectorAll('.triage-filter').forEach(input => {
+      input.addEventListener('change', (e) => {
+        this.triage.filters[e.target.dataset.filter] = e.target.value;
+        this.loadFeedbackInbox();
+      });
+    });
+
+    document.querySelectorAll('.triage-select').forEach(checkbox => {
+      checkbox.addEventListener('change', (e) => {
+        if (e.target.checked) {
+          this.triage.selected.add(e.target.value);
+        } else {
+          this.triage.selected.delete(e.target.value);
+        }
+        const counter = document.querySelector('.feedback-bulk-actions .selected-count');
+        if (counter) counter.textContent = `${this.triage.selected.size} selected`;
+      });
+    });
+
+    document.querySelectorAll('[data-triage-action]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.applyTriageAction(e.target.dataset.triageAction);
+      });
+    });
+  }
+
   renderTopArticles() {
     return `
       <div class="top-articles-list">
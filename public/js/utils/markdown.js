@@ -1,276 +1,284 @@
 /* Knowledge Foyer - Markdown Utilities */
-/* Simple client-side markdown rendering for article preview */
-
-class MarkdownRenderer {
-    constructor() {
-        // Simple markdown patterns
-        this.patterns = [
-            // Headers
-            { pattern: /^# (.+)$/gm, replacement: '<h1>$1</h1>' },
-            { pattern: /^## (.+)$/gm, replacement: '<h2>$1</h2>' },
-            { pattern: /^### (.+)$/gm, replacement: '<h3>$1</h3>' },
-            { pattern: /^#### (.+)$/gm, replacement: '<h4>$1</h4>' },
-            { pattern: /^##### (.+)$/gm, replacement: '<h5>$1</h5>' },
-            { pattern: /^###### (.+)$/gm, replacement: '<h6>$1</h6>' },
-
-            // Bold and italic
-            { pattern: /\*\*\*(.+?)\*\*\*/g, replacement: '<strong><em>$1</em></strong>' },
-            { pattern: /\*\*(.+?)\*\*/g, replacement: '<strong>$1</strong>' },
-            { pattern: /\*(.+?)\*/g, replacement: '<em>$1</em>' },
-            { pattern: /___(.+?)___/g, replacement: '<strong><em>$1</em></strong>' },
-            { pattern: /__(.+?)__/g, replacement: '<strong>$1</strong>' },
-            { pattern: /_(.+?)_/g, replacement: '<em>$1</em>' },
-
-            // Code
-            { pattern: /`([^`]+)`/g, replacement: '<code>$1</code>' },
-
-            // Links
-            { pattern: /\[([^\]]+)\]\(([^)]+)\)/g, replacement: '<a href="$2" target="_blank" rel="noopener">$1</a>' },
-
-            // Images
-            { pattern: /!\[([^\]]*)\]\(([^)]+)\)/g, replacement: '<img src="$2" alt="$1" />' },
-
-            // Strikethrough
-            { pattern: /~~(.+?)~~/g, replacement: '<del>$1</del>' }
-        ];
+/* Shared CommonMark/GFM renderer: server pages, feeds and email (Node) and the editor preview (browser) */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('marked'));
+    } else {
+        // Browser: load /js/vendor/marked.umd.js first
+        root.MarkdownRenderer = factory(root.marked);
+    }
+}(typeof self !== 'undefined' ? self : this, function (markedLib) {
+    'use strict';
+
+    // Inline HTML authors may use (attributes are dropped); any other markup is shown as text
+    const ALLOWED_TAGS = [
+        'abbr', 'b', 'br', 'cite', 'code', 'del', 'details', 'dfn', 'em', 'i', 'ins', 'kbd',
+        'mark', 'q', 's', 'samp', 'small', 'strong', 'sub', 'summary', 'sup', 'u', 'var'
+    ];
+
+    const LINK_SCHEMES = ['http', 'https', 'mailto'];
+    const IMAGE_SCHEMES = ['http', 'https'];
+
+    const HTML_TAG = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)\b[^<>]*>/g;
+
+    function escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
-    render(markdown) {
-        if (!markdown) return '';
-
-        // Clean and normalize input
-        let html = this.escapeHtml(markdown);
+    function unescapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+            .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+            .replace(/&amp;/g, '&');
+    }
 
-        // Process code blocks first (to protect them from other processing)
-        html = this.processCodeBlocks(html);
+    // Escape text between tags but keep entities such as &nbsp; intact
+    function escapeText(text) {
+        return text
+            .replace(/&(?!#?[a-zA-Z0-9]+;)/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
 
-        // Process blockquotes
-        html = this.processBlockquotes(html);
+    class MarkdownRenderer {
+        /**
+         * options.highlight(code, language) may return highlighted HTML for a fenced
+         * code block (it must escape the code itself), or null to use plain text.
+         * options.headingAnchors adds a "#" permalink to every heading.
+         */
+        constructor(options = {}) {
+            this.highlight = options.highlight || null;
+            this.headingAnchors = options.headingAnchors !== false;
+
+            // Headings seen by the current render, for ids and the table of contents
+            this.headings = [];
+            this.slugCounts = {};
+
+            this.marked = new markedLib.Marked({ gfm: true });
+            this.marked.use({
+                renderer: {
+                    html: (html) => this.sanitizeHtml(html),
+                    heading: (text, level) => this.renderHeading(text, level),
+                    code: (code, infostring) => this.renderCode(code, infostring),
+                    link: (href, title, text) => this.renderLink(href, title, text),
+                    image: (href, title, text) => this.renderImage(href, title, text)
+                }
+            });
+        }
 
-        // Process lists
-        html = this.processLists(html);
+        setHighlighter(highlight) {
+            this.highlight = highlight;
+        }
 
-        // Apply inline patterns
-        this.patterns.forEach(({ pattern, replacement }) => {
-            html = html.replace(pattern, replacement);
-        });
+        /**
+         * Markdown to sanitized HTML
+         */
+        render(markdown) {
+            return this.renderDocument(markdown).html;
+        }
 
-        // Process paragraphs (must be done after other processing)
-        html = this.processParagraphs(html);
+        /**
+         * Markdown to sanitized HTML plus its table of contents
+         * ([{ level, text, id }], ids match the rendered headings)
+         */
+        renderDocument(markdown) {
+            this.headings = [];
+            this.slugCounts = {};
 
-        // Process line breaks
-        html = html.replace(/\n/g, '<br>');
+            const html = markdown ? this.marked.parse(markdown) : '';
+            return { html, toc: this.headings };
+        }
 
-        return html;
-    }
+        extractToc(markdown) {
+            return this.renderDocument(markdown).toc;
+        }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
+        // Kept for the editor preview; headings always carry ids now
+        renderWithIds(markdown) {
+            return this.render(markdown);
+        }
 
-    processCodeBlocks(text) {
-        // Process fenced code blocks (```)
-        return text.replace(/```(\w+)?\n([\s\S]*?)```/g, (match, language, code) => {
-            const lang = language ? ` class="language-${language}"` : '';
-            return `<pre><code${lang}>${code.trim()}</code></pre>`;
-        });
-    }
+        extractHeadings(markdown) {
+            return this.extractToc(markdown);
+        }
 
-    processBlockquotes(text) {
-        const lines = text.split('\n');
-        const result = [];
-        let inBlockquote = false;
-        let blockquoteContent = [];
-
-        lines.forEach(line => {
-            if (line.startsWith('> ')) {
-                if (!inBlockquote) {
-                    inBlockquote = true;
-                    blockquoteContent = [];
-                }
-                blockquoteContent.push(line.substring(2));
-            } else {
-                if (inBlockquote) {
-                    result.push(`<blockquote>${blockquoteContent.join('<br>')}</blockquote>`);
-                    inBlockquote = false;
-                    blockquoteContent = [];
-                }
-                result.push(line);
-            }
-        });
+        /**
+         * Markdown to plain text (excerpts, meta descriptions, email text parts)
+         * Raw HTML and code blocks are left out.
+         */
+        toPlainText(markdown) {
+            if (!markdown) return '';
 
-        // Handle blockquote at end of text
-        if (inBlockquote) {
-            result.push(`<blockquote>${blockquoteContent.join('<br>')}</blockquote>`);
+            return unescapeHtml(this.tokensToText(this.marked.lexer(markdown)))
+                .replace(/\s+/g, ' ')
+                .trim();
         }
 
-        return result.join('\n');
-    }
-
-    processLists(text) {
-        const lines = text.split('\n');
-        const result = [];
-        let inOrderedList = false;
-        let inUnorderedList = false;
-
-        lines.forEach(line => {
-            const orderedMatch = line.match(/^(\d+)\.\s(.+)/);
-            const unorderedMatch = line.match(/^[-*+]\s(.+)/);
-
-            if (orderedMatch) {
-                if (!inOrderedList) {
-                    if (inUnorderedList) {
-                        result.push('</ul>');
-                        inUnorderedList = false;
-                    }
-                    result.push('<ol>');
-                    inOrderedList = true;
-                }
-                result.push(`<li>${orderedMatch[2]}</li>`);
-            } else if (unorderedMatch) {
-                if (!inUnorderedList) {
-                    if (inOrderedList) {
-                        result.push('</ol>');
-                        inOrderedList = false;
-                    }
-                    result.push('<ul>');
-                    inUnorderedList = true;
-                }
-                result.push(`<li>${unorderedMatch[1]}</li>`);
-            } else {
-                if (inOrderedList) {
-                    result.push('</ol>');
-                    inOrderedList = false;
+        tokensToText(tokens = []) {
+            return tokens.map(token => {
+                switch (token.type) {
+                    case 'html':
+                    case 'code':
+                    case 'space':
+                    case 'hr':
+                    case 'br':
+                        return ' ';
+                    case 'image':
+                        return token.text || '';
+                    case 'list':
+                        return ` ${token.items.map(item => this.tokensToText(item.tokens)).join(' ')} `;
+                    case 'table':
+                        return [token.header, ...token.rows]
+                            .map(row => row.map(cell => this.tokensToText(cell.tokens)).join(' '))
+                            .join(' ');
+                    default:
+                        if (token.tokens) {
+                            const text = this.tokensToText(token.tokens);
+                            return ['heading', 'paragraph', 'blockquote'].includes(token.type) ? ` ${text} ` : text;
+                        }
+                        return token.text || '';
                 }
-                if (inUnorderedList) {
-                    result.push('</ul>');
-                    inUnorderedList = false;
-                }
-                result.push(line);
+            }).join('');
+        }
+
+        /**
+         * Keep allowed tags without attributes; escape everything else
+         */
+        sanitizeHtml(html) {
+            let output = '';
+            let lastIndex = 0;
+            let match;
+
+            HTML_TAG.lastIndex = 0;
+            while ((match = HTML_TAG.exec(html)) !== null) {
+                output += escapeText(html.slice(lastIndex, match.index));
+                lastIndex = HTML_TAG.lastIndex;
+
+                const [tag, closing, name] = match;
+                if (!name) continue; // comment
+
+                output += ALLOWED_TAGS.includes(name.toLowerCase())
+                    ? `<${closing}${name.toLowerCase()}>`
+                    : escapeHtml(tag);
             }
-        });
 
-        // Close any open lists
-        if (inOrderedList) result.push('</ol>');
-        if (inUnorderedList) result.push('</ul>');
+            return output + escapeText(html.slice(lastIndex));
+        }
 
-        return result.join('\n');
-    }
+        isSafeUrl(url, schemes = LINK_SCHEMES) {
+            // Browsers ignore control characters and whitespace inside a scheme
+            const normalized = String(url || '').replace(/[\u0000-\u0020\u007F]+/g, '').toLowerCase();
+            const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
 
-    processParagraphs(text) {
-        // Split by double newlines to create paragraphs
-        const paragraphs = text.split('\n\n').filter(p => p.trim());
-
-        return paragraphs.map(paragraph => {
-            const trimmed = paragraph.trim();
-
-            // Skip if it's already a block-level element
-            if (trimmed.startsWith('<h') ||
-                trimmed.startsWith('<blockquote') ||
-                trimmed.startsWith('<pre') ||
-                trimmed.startsWith('<ul') ||
-                trimmed.startsWith('<ol') ||
-                trimmed.startsWith('<li')) {
-                return trimmed;
-            }
+            return !scheme || schemes.includes(scheme[1]);
+        }
 
-            // Wrap in paragraph tags
-            return `<p>${trimmed}</p>`;
-        }).join('');
-    }
+        renderHeading(text, level) {
+            const plainText = unescapeHtml(text.replace(/<[^>]*>/g, '')).trim();
+            const id = this.uniqueId(this.generateId(plainText) || 'section');
+            this.headings.push({ level, text: plainText, id });
 
-    // Extract word count from markdown
-    getWordCount(markdown) {
-        if (!markdown) return 0;
+            const anchor = this.headingAnchors
+                ? ` <a class="heading-anchor" href="#${id}" aria-hidden="true">#</a>`
+                : '';
+            return `<h${level} id="${id}">${text}${anchor}</h${level}>\n`;
+        }
 
-        // Remove markdown syntax and count words
-        const plainText = markdown
-            .replace(/```[\s\S]*?```/g, '') // Remove code blocks
-            .replace(/`[^`]+`/g, '') // Remove inline code
-            .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1') // Replace links with text
-            .replace(/[#*_~`\[\]()]/g, '') // Remove markdown characters
-            .replace(/\s+/g, ' ') // Normalize whitespace
-            .trim();
+        renderCode(code, infostring) {
+            const language = ((infostring || '').match(/^[\w+#.-]+/) || [''])[0].toLowerCase();
+            const highlighted = this.highlight ? this.highlight(code, language) : null;
+            const body = typeof highlighted === 'string' ? highlighted : escapeHtml(code);
+            const className = language ? ` class="language-${escapeHtml(language)}"` : '';
 
-        if (!plainText) return 0;
+            return `<pre><code${className}>${body.replace(/\n$/, '')}\n</code></pre>\n`;
+        }
 
-        return plainText.split(' ').filter(word => word.length > 0).length;
-    }
+        renderLink(href, title, text) {
+            if (!this.isSafeUrl(href)) {
+                return text;
+            }
 
-    // Extract reading time estimate
-    getReadingTime(markdown) {
-        const wordCount = this.getWordCount(markdown);
-        const wordsPerMinute = 200; // Average reading speed
-        const minutes = Math.ceil(wordCount / wordsPerMinute);
-        return minutes;
-    }
+            const external = /^(https?:)?\/\//i.test(href);
+            return `<a href="${escapeHtml(href)}"${title ? ` title="${title}"` : ''}` +
+                `${external ? ' rel="nofollow noopener noreferrer"' : ''}>${text}</a>`;
+        }
 
-    // Extract headings for table of contents
-    extractHeadings(markdown) {
-        const headings = [];
-        const lines = markdown.split('\n');
-
-        lines.forEach(line => {
-            const match = line.match(/^(#{1,6})\s+(.+)$/);
-            if (match) {
-                const level = match[1].length;
-                const text = match[2].trim();
-                const id = this.generateId(text);
-
-                headings.push({
-                    level,
-                    text,
-                    id
-                });
+        // marked passes the alt text already escaped
+        renderImage(href, title, text) {
+            if (!this.isSafeUrl(href, IMAGE_SCHEMES)) {
+                return text;
             }
-        });
 
-        return headings;
-    }
+            return `<img src="${escapeHtml(href)}" alt="${text}"` +
+                `${title ? ` title="${title}"` : ''} loading="lazy" referrerpolicy="no-referrer">`;
+        }
 
-    generateId(text) {
-        return text
-            .toLowerCase()
-            .replace(/[^\w\s-]/g, '') // Remove special characters
-            .replace(/\s+/g, '-') // Replace spaces with hyphens
-            .replace(/-+/g, '-') // Remove multiple consecutive hyphens
-            .trim();
-    }
+        uniqueId(id) {
+            const count = this.slugCounts[id] || 0;
+            this.slugCounts[id] = count + 1;
+            return count === 0 ? id : `${id}-${count}`;
+        }
 
-    // Render with heading IDs for linking
-    renderWithIds(markdown) {
-        let html = this.render(markdown);
+        escapeHtml(text) {
+            return escapeHtml(text);
+        }
 
-        // Add IDs to headings
-        html = html.replace(/<h([1-6])>([^<]+)<\/h[1-6]>/g, (match, level, text) => {
-            const id = this.generateId(text);
-            return `<h${level} id="${id}">${text}</h${level}>`;
-        });
+        // Extract word count from markdown
+        getWordCount(markdown) {
+            const plainText = this.toPlainText(markdown);
+            if (!plainText) return 0;
 
-        return html;
-    }
+            return plainText.split(' ').filter(word => word.length > 0).length;
+        }
 
-    // Create a table of contents
-    generateTableOfContents(markdown) {
-        const headings = this.extractHeadings(markdown);
+        // Extract reading time estimate
+        getReadingTime(markdown) {
+            const wordCount = this.getWordCount(markdown);
+            const wordsPerMinute = 200; // Average reading speed
+            const minutes = Math.ceil(wordCount / wordsPerMinute);
+            return minutes;
+        }
 
-        if (headings.length === 0) {
-            return '';
+        generateId(text) {
+            return text
+                .toLowerCase()
+                .replace(/[^\w\s-]/g, '') // Remove special characters
+                .trim()
+                .replace(/\s+/g, '-') // Replace spaces with hyphens
+                .replace(/-+/g, '-'); // Remove multiple consecutive hyphens
         }
 
-        let toc = '<div class="table-of-contents"><h3>Table of Contents</h3><ul>';
+        // Create a table of contents
+        generateTableOfContents(markdown) {
+            const headings = Array.isArray(markdown) ? markdown : this.extractToc(markdown);
+
+            if (headings.length === 0) {
+                return '';
+            }
+
+            let toc = '<nav class="table-of-contents"><h3>Table of Contents</h3><ul>';
 
-        headings.forEach(heading => {
-            const indent = '  '.repeat(heading.level - 1);
-            toc += `${indent}<li><a href="#${heading.id}">${heading.text}</a></li>`;
-        });
+            headings.forEach(heading => {
+                toc += `<li class="toc-level-${heading.level}"><a href="#${heading.id}">${escapeHtml(heading.text)}</a></li>`;
+            });
 
-        toc += '</ul></div>';
-        return toc;
+            toc += '</ul></nav>';
+            return toc;
+        }
     }
-}
 
-// Export for use in other modules
-window.MarkdownRenderer = MarkdownRenderer;
\ No newline at end of file
+    MarkdownRenderer.ALLOWED_TAGS = ALLOWED_TAGS;
+
+    return MarkdownRenderer;
+}));
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Local SMTP capture for Knowledge Foyer
+ *
+ * Stand-in mail server for development and tests: accepts every message,
+ * delivers nothing and keeps the raw message. Point the app at it with
+ * SMTP_HOST=127.0.0.1 and SMTP_PORT=1025, leaving SMTP_USER/SMTP_PASS unset.
+ *
+ *   npm run mail:capture                                  # print messages as they arrive
+ *   SMTP_CAPTURE_DIR=tmp/mail npm run mail:capture        # also save them as .eml files
+ */
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a capture server; messages are { from, to, raw, receivedAt }
+ */
+function createSmtpCapture(options = {}) {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let envelope = { from: null, to: [] };
+    let dataLines = null;
+    let buffer = '';
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    const address = (line) => (line.match(/<([^>]*)>/) || [])[1] || null;
+
+    socket.setEncoding('utf8');
+    socket.on('error', () => {});
+    reply('220 localhost Knowledge Foyer SMTP capture');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        // Message body: collect until the lone dot, undoing dot-stuffing
+        if (dataLines !== null) {
+          if (line === '.') {
+            const message = { ...envelope, raw: dataLines.join('\r\n'), receivedAt: new Date() };
+            messages.push(message);
+            if (options.onMessage) {
+              options.onMessage(message);
+            }
+            envelope = { from: null, to: [] };
+            dataLines = null;
+            reply('250 OK message captured');
+          } else {
+            dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        switch (line.split(' ')[0].toUpperCase()) {
+          case 'EHLO':
+            reply('250-localhost');
+            reply('250 8BITMIME');
+            break;
+          case 'HELO':
+          case 'NOOP':
+            reply('250 OK');
+            break;
+          case 'MAIL':
+            envelope = { from: address(line), to: [] };
+            reply('250 OK');
+            break;
+          case 'RCPT':
+            envelope.to.push(address(line));
+            reply('250 OK');
+            break;
+          case 'DATA':
+            dataLines = [];
+            reply('354 End data with <CR><LF>.<CR><LF>');
+            break;
+          case 'RSET':
+            envelope = { from: null, to: [] };
+            reply('250 OK');
+            break;
+          case 'QUIT':
+            reply('221 Bye');
+            socket.end();
+            break;
+          default:
+            reply('502 Command not implemented');
+        }
+      }
+    });
+  });
+
+  return {
+    messages,
+
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server.address().port));
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+/**
+ * Header value from a raw message (folded lines are joined)
+ */
+function getHeader(raw, name) {
+  const headers = raw.split(/\r\n\r\n/)[0].replace(/\r\n[ \t]+/g, ' ');
+  const line = headers.split('\r\n').find(h => h.toLowerCase().startsWith(`${name.toLowerCase()}:`));
+  return line ? line.slice(name.length + 1).trim() : null;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.SMTP_CAPTURE_PORT) || 1025;
+  const dir = process.env.SMTP_CAPTURE_DIR;
+
+  if (dir) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const capture = createSmtpCapture({
+    onMessage(message) {
+      console.log(`📧 ${message.from} → ${message.to.join(', ')}: ${getHeader(message.raw, 'Subject')}`);
+      if (dir) {
+        const file = path.join(dir, `${message.receivedAt.getTime()}-${capture.messages.length}.eml`);
+        fs.writeFileSync(file, message.raw);
+        console.log(`   saved ${file}`);
+      }
+    }
+  });
+
+  capture.listen(port).then((boundPort) => {
+    console.log(`📬 SMTP capture listening on 127.0.0.1:${boundPort}`);
+  }).catch((error) => {
+    console.error('❌ SMTP capture failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createSmtpCapture,
+  getHeader
+};
@@ -21,7 +21,11 @@ const { authMiddleware } = require('./middleware/auth');
 const authRoutes = require('./routes/auth');
 const articleRoutes = require('./routes/articles');
 const expositionRoutes = require('./routes/expositions');
+const tagRoutes = require('./routes/tags');
 const apiRoutes = require('./routes/api');
+const feedRoutes = require('./routes/feeds');
+const notificationRoutes = require('./routes/notifications');
+const pageRoutes = require('./routes/pages');
 
 const app = express();
 
@@ -106,6 +110,11 @@ app.use('/css', express.static(path.join(__dirname, '../public/css')));
 app.use('/js', express.static(path.join(__dirname, '../public/js')));
 app.use('/images', express.static(path.join(__dirname, '../public/images')));
 
+// Browser build of the markdown parser used by /js/utils/markdown.js
+app.get('/js/vendor/marked.umd.js', (req, res) => {
+  res.sendFile(path.join(path.dirname(require.resolve('marked')), 'marked.umd.js'));
+});
+
 // Serve manifest.json for PWA
 app.use('/manifest.json', express.static(path.join(__dirname, '../public/manifest.json')));
 
@@ -141,13 +150,13 @@ app.get('/metrics', (req, res) => {
 app.use(subdomainRouter);
 
 // Landing page route - MUST come before other routes
-app.get('/', (req, res) => {
+app.get('/', (req, res, next) => {
   // Check if this is a subdomain request
   const subdomain = req.subdomain;
 
   if (subdomain && subdomain !== 'www') {
-    // User subdomain - serve author page (TODO: Update to new design)
-    res.send(generateAuthorPage(subdomain));
+    // User subdomain - server-rendered author page (routes/pages)
+    next();
   } else {
     // Main domain - serve new contemporary blue landing page
     res.sendFile(path.join(__dirname, '../public/landing.html'));
@@ -206,21 +215,15 @@ app.get('/ai-settings', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/articles', articleRoutes);
 app.use('/api/expositions', expositionRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/notifications', notificationRoutes);
 app.use('/api', apiRoutes);
 
-// Article route (will be enhanced in Phase 1)
-app.get('/:slug', (req, res) => {
-  const { slug } = req.params;
-  const subdomain = req.subdomain;
+// Syndication feeds (before the article catch-all)
+app.use(feedRoutes);
 
-  if (subdomain && subdomain !== 'www') {
-    // Article on user subdomain
-    res.send(generateArticlePage(subdomain, slug));
-  } else {
-    // Article on main domain (redirect to author subdomain)
-    res.redirect(301, `http://${process.env.BASE_URL}/${slug}`);
-  }
-});
+// Server-rendered author, article and exposition pages (after all other routes)
+app.use(pageRoutes);
 
 // Error handling middleware (must be last)
 app.use(notFoundHandler);
@@ -292,79 +295,6 @@ function generateLandingPage() {
 </html>`;
 }
 
-/**
- * Generate basic author page HTML
- * TODO: Move to proper template system and database integration in Phase 1
- */
-function generateAuthorPage(username) {
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${username} - Knowledge Foyer</title>
-    <style>
-        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; margin: 0; padding: 20px; background-color: #fafaf7; color: #1a1a1a; }
-        .container { max-width: 800px; margin: 0 auto; }
-        h1 { color: #2f5233; }
-        .highlight { color: #c9a961; }
-        .placeholder { background: #f5f5f0; padding: 20px; border-radius: 8px; margin: 20px 0; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <h1>${username}'s <span class="highlight">Knowledge Foyer</span></h1>
-
-        <div class="placeholder">
-            <h3>🚧 Author Page Under Construction</h3>
-            <p>This is where ${username}'s articles, bio, and curated content will appear once the platform is fully implemented.</p>
-            <p><strong>Coming in Phase 1:</strong> User profiles, article publishing, and content management.</p>
-        </div>
-
-        <p><a href="/">← Back to Knowledge Foyer</a></p>
-    </div>
-</body>
-</html>`;
-}
-
-/**
- * Generate basic article page HTML
- * TODO: Move to proper template system and database integration in Phase 1
- */
-function generateArticlePage(username, slug) {
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${slug} by ${username} - Knowledge Foyer</title>
-    <style>
-        body { font-family: 'Lora', Georgia, serif; line-height: 1.8; margin: 0; padding: 20px; background-color: #fafaf7; color: #1a1a1a; }
-        .container { max-width: 700px; margin: 0 auto; }
-        h1 { color: #2f5233; font-family: 'Segoe UI', sans-serif; }
-        .author { color: #525252; margin-bottom: 30px; }
-        .placeholder { background: #f5f5f0; padding: 20px; border-radius: 8px; margin: 20px 0; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <h1>${slug.replace(/-/g, ' ')}</h1>
-        <div class="author">by <strong>${username}</strong></div>
-
-        <div class="placeholder">
-            <h3>📝 Article Content Coming Soon</h3>
-            <p>This is where the article "${slug}" by ${username} will appear once the content management system is implemented.</p>
-            <p><strong>Coming in Phase 1:</strong> Full article content, version history, and feedback system.</p>
-        </div>
-
-        <p><a href="/">← Back to ${username}'s Foyer</a></p>
-    </div>
-</body>
-</html>`;
-}
-
 /**
  * Generate registration page HTML
  */
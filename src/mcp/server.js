@@ -150,7 +150,10 @@ async function handleMCPMessage(ws, message) {
           'message_created',
           'message_updated',
           'message_deleted',
-          'notifications_updated'
+          'notifications_updated',
+          'direct_message',
+          'conversation_read',
+          'typing_indicator'
         ]
       }));
       break;
@@ -209,6 +212,7 @@ async function emitToolEvent(ws, tool, args, data) {
         break;
 
       case 'update_article':
+      case 'revert_article_to_version':
         // Send update notification to relevant users
         realTimeService.sendToUser(ws.user.id, {
           type: 'article_updated',
@@ -264,6 +268,22 @@ async function emitToolEvent(ws, tool, args, data) {
         });
         break;
 
+      case 'send_direct_message':
+        // Deliver the message live to the other participants
+        realTimeService.sendDirectMessage(data.conversation.id, data.message, data.recipient_ids);
+        break;
+
+      case 'get_conversation':
+      case 'mark_conversation_read':
+        // Read receipt for the other participants
+        if (data.read_receipt) {
+          realTimeService.sendReadReceipt(
+            data.read_receipt,
+            data.conversation.participants.map(p => p.user_id)
+          );
+        }
+        break;
+
       case 'mark_notification_read':
       case 'mark_all_notifications_read':
         // Send notification update to user
@@ -276,6 +296,26 @@ async function emitToolEvent(ws, tool, args, data) {
         });
         break;
 
+      case 'rank_feedback': {
+        // Push fresh utility counts to the article author and the voter
+        const Article = require('../models/Article');
+        const article = await Article.findById(data.article_id, true);
+        const recipients = [ws.user.id];
+        if (article && article.user_id !== ws.user.id) {
+          recipients.push(article.user_id);
+        }
+
+        realTimeService.sendToUsers(recipients, {
+          type: 'feedback_ranked',
+          data: {
+            article_id: data.article_id,
+            feedback_id: data.feedback_id,
+            votes: data.scores
+          }
+        });
+        break;
+      }
+
       // Exposition Events
       case 'create_exposition':
         // Send exposition created event to user
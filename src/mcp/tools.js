@@ -6,6 +6,7 @@
 
 const Article = require('../models/Article');
 const ArticleVersion = require('../models/ArticleVersion');
+const Tag = require('../models/Tag');
 const FeedbackResolution = require('../models/FeedbackResolution');
 const User = require('../models/User');
 const Follow = require('../models/Follow');
@@ -25,7 +26,8 @@ const TOOLS = {
         title: { type: 'string', minLength: 1, maxLength: 255 },
         content: { type: 'string', minLength: 10 },
         summary: { type: 'string', maxLength: 1000 },
-        visibility: { type: 'string', enum: ['public', 'private', 'unlisted'] }
+        visibility: { type: 'string', enum: ['public', 'private', 'unlisted'] },
+        tags: { type: 'array', items: { type: 'string', maxLength: 50 }, maxItems: 20 }
       },
       required: ['title', 'content']
     }
@@ -41,6 +43,7 @@ const TOOLS = {
         content: { type: 'string', minLength: 10 },
         summary: { type: 'string', maxLength: 1000 },
         visibility: { type: 'string', enum: ['public', 'private', 'unlisted'] },
+        tags: { type: 'array', items: { type: 'string', maxLength: 50 }, maxItems: 20 },
         change_summary: { type: 'string', maxLength: 500 }
       },
       required: ['article_id']
@@ -82,6 +85,67 @@ const TOOLS = {
     }
   },
 
+  // Collaboration Tools
+  'invite_collaborator': {
+    description: 'Invite a user to collaborate on your article as editor, reviewer or viewer (re-inviting changes their role)',
+    parameters: {
+      type: 'object',
+      properties: {
+        article_id: { type: 'string', format: 'uuid' },
+        username: { type: 'string' },
+        role: { type: 'string', enum: ['editor', 'reviewer', 'viewer'] }
+      },
+      required: ['article_id', 'username', 'role']
+    }
+  },
+
+  'respond_to_collaboration': {
+    description: 'Accept or decline an invitation to collaborate on an article',
+    parameters: {
+      type: 'object',
+      properties: {
+        article_id: { type: 'string', format: 'uuid' },
+        accept: { type: 'boolean' }
+      },
+      required: ['article_id', 'accept']
+    }
+  },
+
+  'remove_collaborator': {
+    description: 'Remove a collaborator from your article, or leave an article you collaborate on',
+    parameters: {
+      type: 'object',
+      properties: {
+        article_id: { type: 'string', format: 'uuid' },
+        username: { type: 'string' }
+      },
+      required: ['article_id', 'username']
+    }
+  },
+
+  'get_collaborators': {
+    description: 'Get the collaborators on an article (the owner also sees pending invitations)',
+    parameters: {
+      type: 'object',
+      properties: {
+        article_id: { type: 'string', format: 'uuid' }
+      },
+      required: ['article_id']
+    }
+  },
+
+  'get_my_collaborations': {
+    description: 'Get your collaboration invitations and the articles you collaborate on',
+    parameters: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['pending', 'accepted'] },
+        limit: { type: 'number', minimum: 1, maximum: 100 },
+        offset: { type: 'number', minimum: 0 }
+      }
+    }
+  },
+
   // Version Control Tools
   'get_version_history': {
     description: 'Get version history for an article',
@@ -119,6 +183,32 @@ const TOOLS = {
     }
   },
 
+  'revert_article_to_version': {
+    description: 'Revert an article to a previous version by creating a new version with its content',
+    parameters: {
+      type: 'object',
+      properties: {
+        article_id: { type: 'string', format: 'uuid' },
+        version_number: { type: 'number', minimum: 1 }
+      },
+      required: ['article_id', 'version_number']
+    }
+  },
+
+  'compare_versions': {
+    description: 'Compare any two versions of an article, including feedback resolved in between',
+    parameters: {
+      type: 'object',
+      properties: {
+        article_id: { type: 'string', format: 'uuid' },
+        from_version: { type: 'number', minimum: 1 },
+        to_version: { type: 'number', minimum: 1 },
+        mode: { type: 'string', enum: ['inline', 'side_by_side'] }
+      },
+      required: ['article_id', 'from_version', 'to_version']
+    }
+  },
+
   // Feedback Resolution Tools
   'create_feedback_resolution': {
     description: 'Mark feedback as resolved in a version',
@@ -170,15 +260,68 @@ const TOOLS = {
 
   // Search and Discovery
   'search_articles': {
-    description: 'Search for articles',
+    description: 'Search published articles (and optionally expositions) with filters, highlighted snippets and cursor pagination. Mode keyword uses full-text search, semantic uses embedding similarity, hybrid blends both',
     parameters: {
       type: 'object',
       properties: {
         query: { type: 'string', minLength: 2 },
+        mode: { type: 'string', enum: ['keyword', 'semantic', 'hybrid'] },
+        types: {
+          type: 'array',
+          items: { type: 'string', enum: ['article', 'exposition'] }
+        },
+        author: { type: 'string' },
+        tags: {
+          type: 'array',
+          items: { type: 'string', maxLength: 50 }
+        },
+        from: { type: 'string', format: 'date-time' },
+        to: { type: 'string', format: 'date-time' },
+        sort: { type: 'string', enum: ['relevance', 'date', 'popularity'] },
+        limit: { type: 'number', minimum: 1, maximum: 100 },
+        cursor: { type: 'string' }
+      }
+    }
+  },
+
+  // Tag Tools
+  'list_tags': {
+    description: 'List tags in use, optionally filtered by name prefix for autocomplete',
+    parameters: {
+      type: 'object',
+      properties: {
+        prefix: { type: 'string', maxLength: 50 },
+        order_by: { type: 'string', enum: ['usage', 'name'] },
+        limit: { type: 'number', minimum: 1, maximum: 100 },
+        offset: { type: 'number', minimum: 0 }
+      }
+    }
+  },
+
+  'suggest_tags': {
+    description: 'Suggest tags for an article from its text, or complete a partial tag name',
+    parameters: {
+      type: 'object',
+      properties: {
+        article_id: { type: 'string', format: 'uuid' },
+        title: { type: 'string' },
+        content: { type: 'string' },
+        prefix: { type: 'string', maxLength: 50 },
+        limit: { type: 'number', minimum: 1, maximum: 50 }
+      }
+    }
+  },
+
+  'get_tag': {
+    description: 'Get a tag with its related tags, public articles and the latest public posts using it as a #hashtag',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 50 },
         limit: { type: 'number', minimum: 1, maximum: 100 },
         offset: { type: 'number', minimum: 0 }
       },
-      required: ['query']
+      required: ['name']
     }
   },
 
@@ -242,6 +385,63 @@ const TOOLS = {
     }
   },
 
+  // Social Features - Blocking and Muting
+  'block_user': {
+    description: 'Block a user: ends follows both ways, and neither of you can follow, message or reply to the other or give feedback on the other\'s articles',
+    parameters: {
+      type: 'object',
+      properties: {
+        user_id: { type: 'string', format: 'uuid' },
+        username: { type: 'string' }
+      }
+    }
+  },
+
+  'unblock_user': {
+    description: 'Unblock a user',
+    parameters: {
+      type: 'object',
+      properties: {
+        user_id: { type: 'string', format: 'uuid' },
+        username: { type: 'string' }
+      }
+    }
+  },
+
+  'mute_user': {
+    description: 'Mute a user: hides their content from your feeds and their activity from your notifications, without telling them',
+    parameters: {
+      type: 'object',
+      properties: {
+        user_id: { type: 'string', format: 'uuid' },
+        username: { type: 'string' }
+      }
+    }
+  },
+
+  'unmute_user': {
+    description: 'Unmute a user',
+    parameters: {
+      type: 'object',
+      properties: {
+        user_id: { type: 'string', format: 'uuid' },
+        username: { type: 'string' }
+      }
+    }
+  },
+
+  'get_restricted_users': {
+    description: 'List the users you have blocked or muted',
+    parameters: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['block', 'mute'] },
+        limit: { type: 'number', minimum: 1, maximum: 100 },
+        offset: { type: 'number', minimum: 0 }
+      }
+    }
+  },
+
   // Social Features - Messaging
   'create_message': {
     description: 'Create a new message/post',
@@ -320,6 +520,75 @@ const TOOLS = {
     }
   },
 
+  'suggest_mentions': {
+    description: 'Complete a partial @mention: users whose username or display name starts with the prefix, people you follow first',
+    parameters: {
+      type: 'object',
+      properties: {
+        prefix: { type: 'string', maxLength: 31, description: 'Text typed after @ (a leading @ is ignored)' },
+        limit: { type: 'number', minimum: 1, maximum: 20 }
+      },
+      required: ['prefix']
+    }
+  },
+
+  // Social Features - Direct Messages
+  'send_direct_message': {
+    description: 'Send a private message to an existing conversation, or to one user (reusing your 1:1 conversation) or several users (starting a group conversation)',
+    parameters: {
+      type: 'object',
+      properties: {
+        conversation_id: { type: 'string', format: 'uuid' },
+        recipients: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1,
+          maxItems: 9,
+          description: 'Usernames; ignored when conversation_id is given'
+        },
+        content: { type: 'string', minLength: 1, maxLength: 2000 },
+        title: { type: 'string', maxLength: 100, description: 'Name for a new group conversation' }
+      },
+      required: ['content']
+    }
+  },
+
+  'get_conversations': {
+    description: 'List your conversations, most recent first, with unread counts',
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'number', minimum: 1, maximum: 100 },
+        offset: { type: 'number', minimum: 0 }
+      }
+    }
+  },
+
+  'get_conversation': {
+    description: 'Get a conversation with its messages (oldest first within the page; offset pages back in history) and read receipts',
+    parameters: {
+      type: 'object',
+      properties: {
+        conversation_id: { type: 'string', format: 'uuid' },
+        limit: { type: 'number', minimum: 1, maximum: 100 },
+        offset: { type: 'number', minimum: 0 },
+        mark_read: { type: 'boolean', description: 'Mark the conversation read (default true)' }
+      },
+      required: ['conversation_id']
+    }
+  },
+
+  'mark_conversation_read': {
+    description: 'Mark a conversation read, e.g. after receiving a message while it is open',
+    parameters: {
+      type: 'object',
+      properties: {
+        conversation_id: { type: 'string', format: 'uuid' }
+      },
+      required: ['conversation_id']
+    }
+  },
+
   // Social Features - Notifications
   'get_notifications': {
     description: 'Get notifications for the current user',
@@ -363,6 +632,47 @@ const TOOLS = {
     }
   },
 
+  'get_notification_preferences': {
+    description: 'Get notification preferences: per-type toggles and channels, digest frequency and quiet hours',
+    parameters: {
+      type: 'object',
+      properties: {}
+    }
+  },
+
+  'update_notification_preferences': {
+    description: 'Update notification preferences; only the given settings change',
+    parameters: {
+      type: 'object',
+      properties: {
+        types: {
+          type: 'object',
+          description: 'Settings by notification type, e.g. { "feedback_received": { "enabled": true, "channels": ["in_app", "email"] } }',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              enabled: { type: 'boolean' },
+              channels: {
+                type: 'array',
+                items: { type: 'string', enum: ['in_app', 'email', 'digest'] }
+              }
+            }
+          }
+        },
+        digest_frequency: { type: 'string', enum: ['off', 'daily', 'weekly'] },
+        quiet_hours: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            start: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: 'Local time, HH:MM' },
+            end: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: 'Local time, HH:MM' },
+            timezone: { type: 'string', description: 'IANA timezone, e.g. Europe/Berlin' }
+          }
+        }
+      }
+    }
+  },
+
   // Custom Exposition Pages
   'create_exposition': {
     description: 'Create a custom exposition page',
@@ -378,27 +688,60 @@ const TOOLS = {
   },
 
   'update_exposition': {
-    description: 'Update exposition details',
+    description: 'Update exposition details and layout. pinned_article_ids, article_order and sections each replace only their own placements; sections left out of the list are removed',
     parameters: {
       type: 'object',
       properties: {
         exposition_id: { type: 'string', format: 'uuid' },
         title: { type: 'string', minLength: 1, maxLength: 255 },
         description: { type: 'string', maxLength: 2000 },
-        slug: { type: 'string', maxLength: 100 }
+        slug: { type: 'string', maxLength: 100 },
+        pinned_article_ids: {
+          type: 'array',
+          items: { type: 'string', format: 'uuid' }
+        },
+        article_order: {
+          type: 'array',
+          items: { type: 'string', format: 'uuid' }
+        },
+        sections: {
+          type: 'array',
+          maxItems: 20,
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', format: 'uuid' },
+              title: { type: 'string', minLength: 1, maxLength: 100 },
+              description: { type: 'string', maxLength: 1000 },
+              criteria: { type: 'string', maxLength: 500 },
+              article_ids: {
+                type: 'array',
+                items: { type: 'string', format: 'uuid' }
+              }
+            },
+            required: ['title']
+          }
+        }
       },
       required: ['exposition_id']
     }
   },
 
   'add_exposition_criterion': {
-    description: 'Add author or tag criterion to exposition',
+    description: 'Add a criterion to an exposition. Articles must match any author/tag criterion, every expression, and every exclusion (not_author, not_tag), date window (published_after, published_before, YYYY-MM-DD) and threshold (min_useful_feedback, min_versions). Expressions combine field:value tests over author, tag, published_after, published_before, min_useful_feedback and min_versions with AND, OR, NOT and parentheses, e.g. (tag:ai OR tag:ethics) AND NOT author:bob AND min_versions:3',
     parameters: {
       type: 'object',
       properties: {
         exposition_id: { type: 'string', format: 'uuid' },
-        criterion_type: { type: 'string', enum: ['author', 'tag'] },
-        criterion_value: { type: 'string', minLength: 1, maxLength: 100 }
+        criterion_type: {
+          type: 'string',
+          enum: [
+            'author', 'tag', 'not_author', 'not_tag',
+            'published_after', 'published_before',
+            'min_useful_feedback', 'min_versions', 'expression'
+          ]
+        },
+        criterion_value: { type: 'string', minLength: 1, maxLength: 500 }
       },
       required: ['exposition_id', 'criterion_type', 'criterion_value']
     }
@@ -511,10 +854,23 @@ const TOOLS = {
       properties: {
         article_id: { type: 'string', format: 'uuid' },
         content: { type: 'string', minLength: 1, maxLength: 2000 },
+        polarity: { type: 'string', enum: ['pro', 'con'] },
         is_public: { type: 'boolean' },
-        skip_similarity_check: { type: 'boolean' }
+        skip_similarity_check: { type: 'boolean' },
+        anchor: {
+          type: 'object',
+          description: 'Passage of the article markdown the feedback refers to',
+          properties: {
+            quote: { type: 'string', minLength: 1, maxLength: 1000 },
+            start: { type: 'integer', minimum: 0 },
+            end: { type: 'integer', minimum: 1 },
+            prefix: { type: 'string', maxLength: 200 },
+            suffix: { type: 'string', maxLength: 200 }
+          },
+          required: ['quote']
+        }
       },
-      required: ['article_id', 'content']
+      required: ['article_id', 'content', 'polarity']
     }
   },
 
@@ -525,7 +881,9 @@ const TOOLS = {
       properties: {
         article_id: { type: 'string', format: 'uuid' },
         include_private: { type: 'boolean' },
-        status: { type: 'string', enum: ['active', 'addressed', 'ignored_by_ai', 'manually_restored'] },
+        status: { type: 'string', enum: ['active', 'acknowledged', 'addressed', 'dismissed', 'ignored_by_ai', 'manually_restored', 'may_no_longer_apply'] },
+        polarity: { type: 'string', enum: ['pro', 'con'] },
+        order_by: { type: 'string', enum: ['created_at', 'updated_at', 'utility', 'reputation'] },
         limit: { type: 'number', minimum: 1, maximum: 100 },
         offset: { type: 'number', minimum: 0 }
       },
@@ -533,70 +891,233 @@ const TOOLS = {
     }
   },
 
-  'get_ai_statistics': {
-    description: 'Get AI features usage statistics and status',
+  'reply_to_feedback': {
+    description: 'Reply to a feedback item or to a reply in its thread (author replies are flagged)',
     parameters: {
       type: 'object',
-      properties: {}
+      properties: {
+        feedback_id: { type: 'string', format: 'uuid' },
+        content: { type: 'string', minLength: 1, maxLength: 2000 },
+        parent_reply_id: { type: 'string', format: 'uuid' }
+      },
+      required: ['feedback_id', 'content']
     }
   },
 
-  // Performance Monitoring Tools
-  'get_system_health': {
-    description: 'Get comprehensive system health status and metrics',
+  'get_feedback_thread': {
+    description: 'Get a feedback item with its threaded replies',
     parameters: {
       type: 'object',
       properties: {
-        include_details: { type: 'boolean' }
-      }
+        feedback_id: { type: 'string', format: 'uuid' }
+      },
+      required: ['feedback_id']
     }
   },
 
-  'get_performance_metrics': {
-    description: 'Get detailed performance metrics for the system',
+  'get_feedback_inbox': {
+    description: 'Get the triage inbox of feedback across all of your articles, with per-article queue counts',
     parameters: {
       type: 'object',
       properties: {
-        category: {
-          type: 'string',
-          enum: ['requests', 'database', 'cache', 'system', 'ai', 'all']
-        }
+        status: {
+          type: 'array',
+          items: { type: 'string', enum: ['active', 'acknowledged', 'addressed', 'dismissed', 'ignored_by_ai', 'manually_restored', 'may_no_longer_apply'] }
+        },
+        polarity: { type: 'string', enum: ['pro', 'con'] },
+        feedback_type: { type: 'string', enum: ['general', 'suggestion', 'correction', 'praise', 'question'] },
+        article_id: { type: 'string', format: 'uuid' },
+        min_utility: { type: 'integer' },
+        order_by: { type: 'string', enum: ['created_at', 'utility'] },
+        limit: { type: 'number', minimum: 1, maximum: 100 },
+        offset: { type: 'number', minimum: 0 }
       }
     }
   },
 
-  'get_active_alerts': {
-    description: 'Get currently active monitoring alerts',
+  'triage_feedback': {
+    description: 'Acknowledge, dismiss, or restore AI-dismissed feedback on your articles in bulk',
     parameters: {
       type: 'object',
       properties: {
-        severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
-        unresolved_only: { type: 'boolean' }
-      }
+        feedback_ids: {
+          type: 'array',
+          items: { type: 'string', format: 'uuid' },
+          minItems: 1,
+          maxItems: 100
+        },
+        action: { type: 'string', enum: ['acknowledge', 'dismiss', 'restore'] },
+        reason: { type: 'string', maxLength: 500 }
+      },
+      required: ['feedback_ids', 'action']
     }
   },
 
-  'resolve_alert': {
-    description: 'Mark a monitoring alert as resolved',
+  // Review Round Tools ("Push for Review")
+  'push_for_review': {
+    description: 'Push the latest version of your article for review: the AI marks feedback that may no longer apply and readers re-vote until the window closes',
     parameters: {
       type: 'object',
       properties: {
-        alert_id: { type: 'number' }
+        article_id: { type: 'string', format: 'uuid' },
+        change_summary: { type: 'string', maxLength: 500 },
+        revote_hours: { type: 'integer', minimum: 1, maximum: 336 }
       },
-      required: ['alert_id']
+      required: ['article_id']
     }
   },
 
-  'clear_cache': {
-    description: 'Clear application cache (use with caution)',
+  'get_review_round': {
+    description: 'Get the latest (or a specific) review round for an article with its feedback, AI verdicts and re-vote tallies',
     parameters: {
       type: 'object',
       properties: {
-        cache_type: {
-          type: 'string',
-          enum: ['all', 'articles', 'users', 'feeds', 'search', 'openai']
-        },
-        confirm: { type: 'boolean' }
+        article_id: { type: 'string', format: 'uuid' },
+        round_id: { type: 'string', format: 'uuid' }
+      },
+      required: ['article_id']
+    }
+  },
+
+  'vote_feedback_relevance': {
+    description: 'Re-vote on whether feedback still applies to the version under review',
+    parameters: {
+      type: 'object',
+      properties: {
+        round_id: { type: 'string', format: 'uuid' },
+        feedback_id: { type: 'string', format: 'uuid' },
+        still_applies: { type: 'boolean' }
+      },
+      required: ['round_id', 'feedback_id', 'still_applies']
+    }
+  },
+
+  'close_review_round': {
+    description: 'Close the re-vote window of your review round early and settle its feedback',
+    parameters: {
+      type: 'object',
+      properties: {
+        round_id: { type: 'string', format: 'uuid' }
+      },
+      required: ['round_id']
+    }
+  },
+
+  // Feedback Ranking Tools
+  'rank_feedback': {
+    description: 'Vote on feedback utility (positive, negative, or ignore)',
+    parameters: {
+      type: 'object',
+      properties: {
+        feedback_id: { type: 'string', format: 'uuid' },
+        positive_utility: { type: 'boolean' },
+        negative_utility: { type: 'boolean' },
+        ignored: { type: 'boolean' }
+      },
+      required: ['feedback_id']
+    }
+  },
+
+  'get_feedback_rankings': {
+    description: 'Get feedback for an article ranked by utility, with vote counts',
+    parameters: {
+      type: 'object',
+      properties: {
+        article_id: { type: 'string', format: 'uuid' },
+        limit: { type: 'number', minimum: 1, maximum: 100 },
+        offset: { type: 'number', minimum: 0 }
+      },
+      required: ['article_id']
+    }
+  },
+
+  // Reviewer Reputation Tools
+  'get_reviewer_reputation': {
+    description: 'Get a reviewer\'s reputation: credit for resolved and helpful feedback, less dismissals, decayed over time',
+    parameters: {
+      type: 'object',
+      properties: {
+        user_id: { type: 'string', format: 'uuid' },
+        username: { type: 'string' }
+      }
+    }
+  },
+
+  'get_top_reviewers': {
+    description: 'Get the reviewers who most consistently give useful critique',
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'number', minimum: 1, maximum: 100 },
+        offset: { type: 'number', minimum: 0 }
+      }
+    }
+  },
+
+  'get_ai_statistics': {
+    description: 'Get AI features usage statistics and status',
+    parameters: {
+      type: 'object',
+      properties: {}
+    }
+  },
+
+  // Performance Monitoring Tools
+  'get_system_health': {
+    description: 'Get comprehensive system health status and metrics',
+    parameters: {
+      type: 'object',
+      properties: {
+        include_details: { type: 'boolean' }
+      }
+    }
+  },
+
+  'get_performance_metrics': {
+    description: 'Get detailed performance metrics for the system',
+    parameters: {
+      type: 'object',
+      properties: {
+        category: {
+          type: 'string',
+          enum: ['requests', 'database', 'cache', 'system', 'ai', 'all']
+        }
+      }
+    }
+  },
+
+  'get_active_alerts': {
+    description: 'Get currently active monitoring alerts',
+    parameters: {
+      type: 'object',
+      properties: {
+        severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+        unresolved_only: { type: 'boolean' }
+      }
+    }
+  },
+
+  'resolve_alert': {
+    description: 'Mark a monitoring alert as resolved',
+    parameters: {
+      type: 'object',
+      properties: {
+        alert_id: { type: 'number' }
+      },
+      required: ['alert_id']
+    }
+  },
+
+  'clear_cache': {
+    description: 'Clear application cache (use with caution)',
+    parameters: {
+      type: 'object',
+      properties: {
+        cache_type: {
+          type: 'string',
+          enum: ['all', 'articles', 'users', 'feeds', 'search', 'openai']
+        },
+        confirm: { type: 'boolean' }
       },
       required: ['confirm']
     }
@@ -623,6 +1144,26 @@ const TOOLS = {
   }
 };
 
+/**
+ * Resolve the user a social tool acts on from its user_id or username argument
+ */
+async function resolveTargetUserId({ user_id, username }) {
+  if (user_id) {
+    return user_id;
+  }
+
+  if (!username) {
+    throw new Error('Must provide user_id or username');
+  }
+
+  const targetUser = await User.findByUsername(username);
+  if (!targetUser) {
+    throw new Error('User not found');
+  }
+
+  return targetUser.id;
+}
+
 /**
  * Tool handlers
  */
@@ -652,10 +1193,7 @@ const TOOL_HANDLERS = {
         return { success: false, error: 'Article not found' };
       }
 
-      if (article.user_id !== user.id) {
-        return { success: false, error: 'Unauthorized' };
-      }
-
+      // Article.update allows the owner and editors
       const updatedArticle = await article.update(updates, user.id, change_summary);
 
       return {
@@ -675,24 +1213,27 @@ const TOOL_HANDLERS = {
       let article;
 
       if (args.article_id) {
-        article = await Article.findById(args.article_id, false);
+        article = await Article.findById(args.article_id, true);
       } else if (args.username && args.slug) {
-        article = await Article.findByUserAndSlug(args.username, args.slug, false);
+        article = await Article.findByUserAndSlug(args.username, args.slug, true);
       } else {
         return { success: false, error: 'Must provide article_id or username/slug' };
       }
 
-      if (!article) {
+      // Private articles are visible to the owner and collaborators only
+      const ArticleCollaborator = require('../models/ArticleCollaborator');
+      const hasAccess = article && ArticleCollaborator.can(await article.getAccessRole(user.id), 'view');
+      if (!article || (article.visibility === 'private' && !hasAccess)) {
         return { success: false, error: 'Article not found' };
       }
 
       // Increment view count
       await article.incrementViews();
+      await article.loadCollaborators();
 
-      const isOwner = article.user_id === user.id;
       return {
         success: true,
-        data: isOwner ? article.toOwnerJSON() : article.toPublicJSON()
+        data: hasAccess ? article.toOwnerJSON() : article.toPublicJSON()
       };
     } catch (error) {
       return {
@@ -756,6 +1297,129 @@ const TOOL_HANDLERS = {
     }
   },
 
+  // Collaboration Handlers
+  async invite_collaborator(user, args) {
+    try {
+      const ArticleCollaborator = require('../models/ArticleCollaborator');
+      const { article_id, username, role } = args;
+
+      const collaborator = await ArticleCollaborator.invite({
+        articleId: article_id,
+        ownerId: user.id,
+        username,
+        role
+      });
+
+      return {
+        success: true,
+        data: {
+          collaborator: collaborator.toJSON()
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async respond_to_collaboration(user, args) {
+    try {
+      const ArticleCollaborator = require('../models/ArticleCollaborator');
+      const { article_id, accept } = args;
+
+      const collaborator = await ArticleCollaborator.respond(article_id, user.id, accept);
+
+      return {
+        success: true,
+        data: {
+          article_id,
+          accepted: Boolean(collaborator),
+          collaborator: collaborator ? collaborator.toJSON() : null
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async remove_collaborator(user, args) {
+    try {
+      const ArticleCollaborator = require('../models/ArticleCollaborator');
+      const { article_id, username } = args;
+
+      await ArticleCollaborator.remove(article_id, user.id, username);
+
+      return {
+        success: true,
+        message: 'Collaborator removed'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async get_collaborators(user, args) {
+    try {
+      const ArticleCollaborator = require('../models/ArticleCollaborator');
+      const { article_id } = args;
+
+      const article = await Article.findById(article_id, true);
+      const role = article ? await article.getAccessRole(user.id) : null;
+      if (!article || (article.visibility === 'private' && !ArticleCollaborator.can(role, 'view'))) {
+        return { success: false, error: 'Article not found' };
+      }
+
+      const collaborators = await ArticleCollaborator.findByArticle(article_id, {
+        includePending: role === 'owner'
+      });
+
+      return {
+        success: true,
+        data: {
+          article_id,
+          owner: article.author,
+          your_role: role,
+          collaborators: collaborators.map(collaborator => collaborator.toJSON())
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async get_my_collaborations(user, args) {
+    try {
+      const ArticleCollaborator = require('../models/ArticleCollaborator');
+      const { status = null, limit = 50, offset = 0 } = args;
+
+      const { collaborations, total } = await ArticleCollaborator.findByUser(user.id, { status, limit, offset });
+
+      return {
+        success: true,
+        data: {
+          collaborations: collaborations.map(collaboration => collaboration.toJSON()),
+          pagination: { limit, offset, total }
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
   // Version Control Handlers
   async get_version_history(user, args) {
     try {
@@ -766,8 +1430,9 @@ const TOOL_HANDLERS = {
         return { success: false, error: 'Article not found' };
       }
 
-      const isOwner = article.user_id === user.id;
-      if (!isOwner && article.visibility === 'private') {
+      const ArticleCollaborator = require('../models/ArticleCollaborator');
+      const hasAccess = ArticleCollaborator.can(await article.getAccessRole(user.id), 'view');
+      if (!hasAccess && article.visibility === 'private') {
         return { success: false, error: 'Unauthorized' };
       }
 
@@ -777,7 +1442,7 @@ const TOOL_HANDLERS = {
         success: true,
         data: {
           article_id,
-          versions: versions.map(v => isOwner ? v.toJSON() : v.toPublicJSON())
+          versions: versions.map(v => hasAccess ? v.toJSON() : v.toPublicJSON())
         }
       };
     } catch (error) {
@@ -797,8 +1462,9 @@ const TOOL_HANDLERS = {
         return { success: false, error: 'Article not found' };
       }
 
-      const isOwner = article.user_id === user.id;
-      if (!isOwner && article.visibility === 'private') {
+      const ArticleCollaborator = require('../models/ArticleCollaborator');
+      const hasAccess = ArticleCollaborator.can(await article.getAccessRole(user.id), 'view');
+      if (!hasAccess && article.visibility === 'private') {
         return { success: false, error: 'Unauthorized' };
       }
 
@@ -809,7 +1475,7 @@ const TOOL_HANDLERS = {
 
       return {
         success: true,
-        data: isOwner ? version.toJSON() : version.toPublicJSON()
+        data: hasAccess ? version.toJSON() : version.toPublicJSON()
       };
     } catch (error) {
       return {
@@ -828,8 +1494,9 @@ const TOOL_HANDLERS = {
         return { success: false, error: 'Article not found' };
       }
 
-      const isOwner = article.user_id === user.id;
-      if (!isOwner && article.visibility === 'private') {
+      const ArticleCollaborator = require('../models/ArticleCollaborator');
+      const hasAccess = ArticleCollaborator.can(await article.getAccessRole(user.id), 'view');
+      if (!hasAccess && article.visibility === 'private') {
         return { success: false, error: 'Unauthorized' };
       }
 
@@ -850,6 +1517,70 @@ const TOOL_HANDLERS = {
     }
   },
 
+  async revert_article_to_version(user, args) {
+    try {
+      const { article_id, version_number } = args;
+
+      const article = await Article.findById(article_id, true);
+      if (!article) {
+        return { success: false, error: 'Article not found' };
+      }
+
+      if (article.user_id !== user.id) {
+        return { success: false, error: 'Unauthorized' };
+      }
+
+      const droppedTags = await article.revertToVersion(version_number, user.id);
+
+      return {
+        success: true,
+        data: {
+          ...article.toOwnerJSON(),
+          reverted_to_version: version_number,
+          dropped_tags: droppedTags
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async compare_versions(user, args) {
+    try {
+      const VersionService = require('../services/VersionService');
+      const { article_id, from_version, to_version, mode = 'inline' } = args;
+
+      const article = await Article.findById(article_id, true);
+      if (!article) {
+        return { success: false, error: 'Article not found' };
+      }
+
+      const ArticleCollaborator = require('../models/ArticleCollaborator');
+      const hasAccess = ArticleCollaborator.can(await article.getAccessRole(user.id), 'view');
+      if (!hasAccess && article.visibility === 'private') {
+        return { success: false, error: 'Unauthorized' };
+      }
+
+      const comparison = await VersionService.compareVersions(article_id, from_version, to_version, {
+        mode,
+        includePrivate: hasAccess
+      });
+
+      return {
+        success: true,
+        data: comparison
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
   // Feedback Resolution Handlers
   async create_feedback_resolution(user, args) {
     try {
@@ -868,24 +1599,129 @@ const TOOL_HANDLERS = {
         return { success: false, error: 'Article not found' };
       }
 
-      if (article.user_id !== user.id) {
-        return { success: false, error: 'Unauthorized' };
-      }
+      if (article.user_id !== user.id) {
+        return { success: false, error: 'Unauthorized' };
+      }
+
+      const resolution = await FeedbackResolution.create({
+        feedbackId: feedback_id,
+        articleId: article_id,
+        fromVersion: from_version,
+        toVersion: to_version,
+        resolutionType: resolution_type,
+        resolutionNotes: resolution_notes,
+        confidenceScore: confidence_score,
+        createdBy: user.id
+      });
+
+      return {
+        success: true,
+        data: resolution.toJSON()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async get_feedback_resolutions(user, args) {
+    try {
+      const { article_id, version_number, feedback_id, limit = 20, offset = 0 } = args;
+
+      let resolutions;
+
+      if (feedback_id) {
+        resolutions = await FeedbackResolution.getByFeedbackId(feedback_id);
+      } else if (article_id && version_number) {
+        resolutions = await FeedbackResolution.getByVersion(article_id, version_number);
+      } else if (article_id) {
+        resolutions = await FeedbackResolution.getByArticleId(article_id, { limit, offset });
+      } else {
+        return { success: false, error: 'Must provide article_id, version_number, or feedback_id' };
+      }
+
+      return {
+        success: true,
+        data: {
+          resolutions: resolutions.map(r => r.toPublicJSON())
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  // User Profile Handler
+  async update_profile(user, args) {
+    try {
+      const userModel = await User.findById(user.id);
+      if (!userModel) {
+        return { success: false, error: 'User not found' };
+      }
+
+      await userModel.updateProfile(args);
+
+      return {
+        success: true,
+        data: userModel.toProfileJSON()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  // Search Handler
+  async search_articles(user, args) {
+    try {
+      const {
+        query = '',
+        mode = 'keyword',
+        types = ['article'],
+        author = null,
+        tags = [],
+        from = null,
+        to = null,
+        sort,
+        limit = 20,
+        cursor = null
+      } = args;
 
-      const resolution = await FeedbackResolution.create({
-        feedbackId: feedback_id,
-        articleId: article_id,
-        fromVersion: from_version,
-        toVersion: to_version,
-        resolutionType: resolution_type,
-        resolutionNotes: resolution_notes,
-        confidenceScore: confidence_score,
-        createdBy: user.id
+      const SearchService = require('../services/SearchService');
+      const options = SearchService.validateOptions(query, {
+        mode,
+        types,
+        author,
+        tags,
+        from,
+        to,
+        sort,
+        limit,
+        cursor
       });
 
+      const results = await SearchService.search(query, options);
+
       return {
         success: true,
-        data: resolution.toJSON()
+        data: {
+          query: results.query,
+          mode: results.mode,
+          results: results.results,
+          pagination: {
+            limit: options.limit,
+            total: results.total,
+            totals: results.totals,
+            next_cursor: results.next_cursor
+          }
+        }
       };
     } catch (error) {
       return {
@@ -895,26 +1731,18 @@ const TOOL_HANDLERS = {
     }
   },
 
-  async get_feedback_resolutions(user, args) {
+  // Tag Handlers
+  async list_tags(user, args) {
     try {
-      const { article_id, version_number, feedback_id, limit = 20, offset = 0 } = args;
-
-      let resolutions;
+      const { prefix = null, order_by = 'usage', limit = 50, offset = 0 } = args;
 
-      if (feedback_id) {
-        resolutions = await FeedbackResolution.getByFeedbackId(feedback_id);
-      } else if (article_id && version_number) {
-        resolutions = await FeedbackResolution.getByVersion(article_id, version_number);
-      } else if (article_id) {
-        resolutions = await FeedbackResolution.getByArticleId(article_id, { limit, offset });
-      } else {
-        return { success: false, error: 'Must provide article_id, version_number, or feedback_id' };
-      }
+      const { tags, total } = await Tag.list({ prefix, orderBy: order_by, limit, offset });
 
       return {
         success: true,
         data: {
-          resolutions: resolutions.map(r => r.toPublicJSON())
+          tags: tags.map(t => t.toJSON()),
+          pagination: { limit, offset, total }
         }
       };
     } catch (error) {
@@ -925,19 +1753,32 @@ const TOOL_HANDLERS = {
     }
   },
 
-  // User Profile Handler
-  async update_profile(user, args) {
+  async suggest_tags(user, args) {
     try {
-      const userModel = await User.findById(user.id);
-      if (!userModel) {
-        return { success: false, error: 'User not found' };
+      const { article_id, title = '', content = '', prefix = null, limit = 10 } = args;
+
+      let text = `${title}\n${content}`;
+      let exclude = [];
+
+      if (article_id) {
+        const article = await Article.findById(article_id, true);
+        if (!article) {
+          return { success: false, error: 'Article not found' };
+        }
+
+        if (article.user_id !== user.id) {
+          return { success: false, error: 'Unauthorized' };
+        }
+
+        text = `${article.title}\n${article.summary || ''}\n${article.content}`;
+        exclude = article.tags;
       }
 
-      await userModel.updateProfile(args);
+      const suggestions = await Tag.suggest({ text, prefix, exclude, limit });
 
       return {
         success: true,
-        data: userModel.toProfileJSON()
+        data: { suggestions }
       };
     } catch (error) {
       return {
@@ -947,19 +1788,29 @@ const TOOL_HANDLERS = {
     }
   },
 
-  // Search Handler
-  async search_articles(user, args) {
+  async get_tag(user, args) {
     try {
-      const { query, limit = 20, offset = 0 } = args;
+      const { name, limit = 20, offset = 0 } = args;
+
+      const tag = await Tag.findByName(name);
+      if (!tag) {
+        return { success: false, error: 'Tag not found' };
+      }
 
-      const articles = await Article.search(query, { limit, offset });
+      const [relatedTags, articles, messages] = await Promise.all([
+        tag.getRelated(),
+        tag.getArticles({ limit, offset }),
+        tag.getMessages()
+      ]);
 
       return {
         success: true,
         data: {
-          query,
+          tag: tag.toJSON(),
+          related_tags: relatedTags,
           articles: articles.map(a => a.toPublicJSON()),
-          pagination: { limit, offset, total: articles.length }
+          messages: messages.map(m => m.toPublicJSON()),
+          pagination: { limit, offset, total: tag.article_count }
         }
       };
     } catch (error) {
@@ -1046,7 +1897,11 @@ const TOOL_HANDLERS = {
         targetUserId = targetUser.id;
       }
 
-      const followers = await Follow.getFollowers(targetUserId, { limit, offset });
+      const ReviewerReputation = require('../models/ReviewerReputation');
+      const followers = await ReviewerReputation.attachTo(
+        await Follow.getFollowers(targetUserId, { limit, offset }),
+        'user_id'
+      );
 
       return {
         success: true,
@@ -1099,7 +1954,10 @@ const TOOL_HANDLERS = {
     try {
       const { limit = 10, offset = 0 } = args;
 
-      const suggestions = await Follow.getFollowSuggestions(user.id, { limit, offset });
+      const ReviewerReputation = require('../models/ReviewerReputation');
+      const suggestions = await ReviewerReputation.attachTo(
+        await Follow.getFollowSuggestions(user.id, { limit, offset })
+      );
 
       return {
         success: true,
@@ -1116,6 +1974,109 @@ const TOOL_HANDLERS = {
     }
   },
 
+  // Social Features - Blocking and Muting Handlers
+  async block_user(user, args) {
+    try {
+      const UserRestriction = require('../models/UserRestriction');
+      const targetUserId = await resolveTargetUserId(args);
+
+      const restriction = await UserRestriction.block(user.id, targetUserId);
+
+      return {
+        success: true,
+        data: restriction.toJSON()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async unblock_user(user, args) {
+    try {
+      const UserRestriction = require('../models/UserRestriction');
+      const targetUserId = await resolveTargetUserId(args);
+
+      await UserRestriction.remove(user.id, targetUserId, 'block');
+
+      return {
+        success: true,
+        message: 'Successfully unblocked user'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async mute_user(user, args) {
+    try {
+      const UserRestriction = require('../models/UserRestriction');
+      const targetUserId = await resolveTargetUserId(args);
+
+      const restriction = await UserRestriction.mute(user.id, targetUserId);
+
+      return {
+        success: true,
+        data: restriction.toJSON()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async unmute_user(user, args) {
+    try {
+      const UserRestriction = require('../models/UserRestriction');
+      const targetUserId = await resolveTargetUserId(args);
+
+      await UserRestriction.remove(user.id, targetUserId, 'mute');
+
+      return {
+        success: true,
+        message: 'Successfully unmuted user'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async get_restricted_users(user, args) {
+    try {
+      const UserRestriction = require('../models/UserRestriction');
+      const { type = null, limit = 50, offset = 0 } = args;
+
+      const { restrictions, total } = await UserRestriction.findByUser(user.id, {
+        restrictionType: type,
+        limit,
+        offset
+      });
+
+      return {
+        success: true,
+        data: {
+          restrictions: restrictions.map(r => r.toJSON()),
+          pagination: { limit, offset, total }
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
   // Social Features - Messaging Handlers
   async create_message(user, args) {
     try {
@@ -1275,6 +2236,144 @@ const TOOL_HANDLERS = {
     }
   },
 
+  async suggest_mentions(user, args) {
+    try {
+      const MentionService = require('../services/MentionService');
+      const { prefix, limit = 10 } = args;
+
+      const users = await MentionService.suggestUsers(prefix, { userId: user.id, limit });
+
+      return {
+        success: true,
+        data: { users }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  // Social Features - Direct Message Handlers
+  async send_direct_message(user, args) {
+    try {
+      const Conversation = require('../models/Conversation');
+      const { conversation_id, recipients, content, title } = args;
+
+      const { conversation, message, recipientIds } = await Conversation.sendMessage({
+        senderId: user.id,
+        conversationId: conversation_id,
+        recipients,
+        content,
+        title
+      });
+
+      message.author = {
+        username: user.username,
+        display_name: user.display_name,
+        avatar_url: user.avatar_url
+      };
+
+      return {
+        success: true,
+        data: {
+          conversation: conversation.toJSON(),
+          message: message.toJSON(),
+          recipient_ids: recipientIds
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async get_conversations(user, args) {
+    try {
+      const Conversation = require('../models/Conversation');
+      const { limit = 20, offset = 0 } = args;
+
+      const [{ conversations, total }, totalUnread] = await Promise.all([
+        Conversation.findByUser(user.id, { limit, offset }),
+        Conversation.getUnreadCount(user.id)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          conversations: conversations.map(c => c.toJSON()),
+          total_unread: totalUnread,
+          pagination: { limit, offset, total }
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async get_conversation(user, args) {
+    try {
+      const Conversation = require('../models/Conversation');
+      const { conversation_id, limit = 50, offset = 0, mark_read = true } = args;
+
+      const conversation = await Conversation.findById(conversation_id, user.id);
+      if (!conversation) {
+        return { success: false, error: 'Conversation not found' };
+      }
+
+      const messages = await conversation.getMessages({ limit, offset });
+      const readReceipt = mark_read ? await conversation.markRead(user.id) : null;
+
+      return {
+        success: true,
+        data: {
+          conversation: conversation.toJSON(),
+          messages: messages.reverse().map(m => m.toJSON()),
+          read_receipt: readReceipt,
+          pagination: { limit, offset, has_more: messages.length === limit }
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async mark_conversation_read(user, args) {
+    try {
+      const Conversation = require('../models/Conversation');
+      const { conversation_id } = args;
+
+      const conversation = await Conversation.findById(conversation_id, user.id);
+      if (!conversation) {
+        return { success: false, error: 'Conversation not found' };
+      }
+
+      const readReceipt = await conversation.markRead(user.id);
+
+      return {
+        success: true,
+        data: {
+          conversation: conversation.toJSON(),
+          read_receipt: readReceipt
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
   // Social Features - Notification Handlers
   async get_notifications(user, args) {
     try {
@@ -1346,17 +2445,57 @@ const TOOL_HANDLERS = {
     }
   },
 
-  async get_notification_summary(user, args) {
+  async get_notification_summary(user, args) {
+    try {
+      const summary = await Notification.getNotificationSummary(user.id);
+      const unreadCount = await Notification.getUnreadCount(user.id);
+
+      return {
+        success: true,
+        data: {
+          summary,
+          total_unread: unreadCount
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async get_notification_preferences(user, args) {
+    try {
+      const NotificationService = require('../services/NotificationService');
+      const preferences = await NotificationService.getNotificationPreferences(user.id);
+
+      return {
+        success: true,
+        data: preferences
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async update_notification_preferences(user, args) {
     try {
-      const summary = await Notification.getNotificationSummary(user.id);
-      const unreadCount = await Notification.getUnreadCount(user.id);
+      const NotificationService = require('../services/NotificationService');
+      const { types, digest_frequency, quiet_hours } = args;
+
+      const preferences = await NotificationService.updateNotificationPreferences(user.id, {
+        types,
+        digest_frequency,
+        quiet_hours
+      });
 
       return {
         success: true,
-        data: {
-          summary,
-          total_unread: unreadCount
-        }
+        data: preferences
       };
     } catch (error) {
       return {
@@ -1396,10 +2535,13 @@ const TOOL_HANDLERS = {
       }
 
       const updatedExposition = await exposition.update(updates, user.id);
+      const layoutChanged = Exposition.LAYOUT_FIELDS.some(field => updates[field] !== undefined);
 
       return {
         success: true,
-        data: updatedExposition.toJSON()
+        data: layoutChanged
+          ? { ...updatedExposition.toJSON(), layout: await updatedExposition.getLayout() }
+          : updatedExposition.toJSON()
       };
     } catch (error) {
       return {
@@ -1700,10 +2842,18 @@ const TOOL_HANDLERS = {
       const {
         article_id,
         content,
+        polarity,
         is_public = true,
-        skip_similarity_check = false
+        skip_similarity_check = false,
+        anchor = null
       } = args;
 
+      // Before the similarity check, which would show other readers' feedback
+      const UserRestriction = require('../models/UserRestriction');
+      if (await UserRestriction.isBlockedFromArticle(user.id, article_id)) {
+        return { success: false, error: 'You cannot give feedback on this article' };
+      }
+
       // Check for similar feedback first (unless skipped)
       let similarityResult = null;
       if (!skip_similarity_check) {
@@ -1738,7 +2888,9 @@ const TOOL_HANDLERS = {
         articleId: article_id,
         userId: user.id,
         content,
-        isPublic: is_public
+        polarity,
+        isPublic: is_public,
+        anchor
       });
 
       return {
@@ -1769,26 +2921,32 @@ const TOOL_HANDLERS = {
       const {
         article_id,
         include_private = false,
-        status = 'active',
+        status = Feedback.OPEN_STATUSES,
+        polarity = null,
+        order_by = 'created_at',
         limit = 50,
         offset = 0
       } = args;
 
-      // Verify article exists
+      // Private articles are visible to the owner and collaborators only
       const Article = require('../models/Article');
-      const article = await Article.findById(article_id, false);
-      if (!article) {
+      const ArticleCollaborator = require('../models/ArticleCollaborator');
+      const article = await Article.findById(article_id, true);
+      const role = article ? await article.getAccessRole(user.id) : null;
+      if (!article || (article.visibility === 'private' && !ArticleCollaborator.can(role, 'view'))) {
         return { success: false, error: 'Article not found' };
       }
 
-      // Check if user can see private feedback
-      const isOwner = article.user_id === user.id;
-      const canSeePrivate = include_private && isOwner;
+      // Owners, editors and reviewers can see private feedback
+      const canReview = ArticleCollaborator.can(role, 'view_private_feedback');
+      const canSeePrivate = include_private && canReview;
 
-      const feedback = await Feedback.findByArticle(article_id, {
+      const { feedback, total } = await Feedback.findByArticle(article_id, {
         includePrivate: canSeePrivate,
         status,
+        polarity,
         includeAuthor: true,
+        orderBy: order_by,
         limit,
         offset
       });
@@ -1797,8 +2955,8 @@ const TOOL_HANDLERS = {
         success: true,
         data: {
           article_id,
-          feedback: feedback.map(f => isOwner ? f.toJSON() : f.toPublicJSON()),
-          pagination: { limit, offset, total: feedback.length },
+          feedback: feedback.map(f => canReview ? f.toJSON() : f.toPublicJSON()),
+          pagination: { limit, offset, total },
           can_see_private: canSeePrivate
         }
       };
@@ -1810,6 +2968,388 @@ const TOOL_HANDLERS = {
     }
   },
 
+  async reply_to_feedback(user, args) {
+    try {
+      const FeedbackReply = require('../models/FeedbackReply');
+      const { feedback_id, content, parent_reply_id = null } = args;
+
+      // Replies are conversation, so they skip the duplicate check that submit_feedback runs
+      const reply = await FeedbackReply.create({
+        feedbackId: feedback_id,
+        userId: user.id,
+        content,
+        parentReplyId: parent_reply_id
+      });
+
+      return {
+        success: true,
+        data: {
+          reply: reply.toJSON()
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async get_feedback_thread(user, args) {
+    try {
+      const FeedbackReply = require('../models/FeedbackReply');
+      const { feedback_id } = args;
+
+      const thread = await FeedbackReply.getThread(feedback_id, user.id);
+      if (!thread) {
+        return { success: false, error: 'Feedback not found' };
+      }
+
+      const isArticleAuthor = thread.article.user_id === user.id;
+
+      return {
+        success: true,
+        data: {
+          feedback: isArticleAuthor ? thread.feedback.toJSON() : thread.feedback.toPublicJSON(),
+          article: { id: thread.article.id, title: thread.article.title },
+          replies: thread.replies.map(reply => reply.toJSON()),
+          reply_count: thread.reply_count
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async get_feedback_inbox(user, args) {
+    try {
+      const Feedback = require('../models/Feedback');
+      const {
+        status = Feedback.OPEN_STATUSES,
+        polarity = null,
+        feedback_type = null,
+        article_id = null,
+        min_utility = null,
+        order_by = 'created_at',
+        limit = 50,
+        offset = 0
+      } = args;
+
+      const [inbox, queueCounts] = await Promise.all([
+        Feedback.getTriageInbox(user.id, {
+          status,
+          polarity,
+          feedbackType: feedback_type,
+          articleId: article_id,
+          minUtility: min_utility,
+          orderBy: order_by,
+          limit,
+          offset
+        }),
+        Feedback.getTriageCounts(user.id)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          feedback: inbox.feedback.map(f => f.toJSON()),
+          queue_counts: queueCounts,
+          pagination: { limit, offset, total: inbox.total }
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async triage_feedback(user, args) {
+    try {
+      const Feedback = require('../models/Feedback');
+      const { feedback_ids, action, reason = null } = args;
+
+      const result = await Feedback.bulkTriage(user.id, feedback_ids, action, reason);
+
+      return {
+        success: true,
+        data: {
+          action,
+          status: result.status,
+          updated: result.updated,
+          skipped: result.skipped
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  // Review Round Tool Handlers
+  async push_for_review(user, args) {
+    try {
+      const ReviewRoundService = require('../services/ReviewRoundService');
+      const { article_id, change_summary = null, revote_hours } = args;
+
+      const round = await ReviewRoundService.pushForReview(article_id, user.id, {
+        changeSummary: change_summary,
+        revoteHours: revote_hours
+      });
+
+      return {
+        success: true,
+        data: {
+          round: round.toJSON(),
+          feedback_count: round.feedback_count,
+          message: 'Review round started; the re-vote window opens once the AI has re-evaluated the feedback'
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async get_review_round(user, args) {
+    try {
+      const ReviewRoundService = require('../services/ReviewRoundService');
+      const { article_id, round_id = null } = args;
+
+      // Drafts and private articles are visible to the owner and collaborators only
+      const ArticleCollaborator = require('../models/ArticleCollaborator');
+      const article = await Article.findById(article_id, true);
+      const role = article ? await article.getAccessRole(user.id) : null;
+      if (!article ||
+          ((article.status !== 'published' || article.visibility === 'private') && !ArticleCollaborator.can(role, 'view'))) {
+        return { success: false, error: 'Article not found' };
+      }
+
+      const round = await ReviewRoundService.getRound(article_id, user.id, round_id);
+      if (!round) {
+        return { success: false, error: 'Review round not found' };
+      }
+
+      return {
+        success: true,
+        data: {
+          round: round.toJSON()
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async vote_feedback_relevance(user, args) {
+    try {
+      const ReviewRoundService = require('../services/ReviewRoundService');
+      const { round_id, feedback_id, still_applies } = args;
+
+      const votes = await ReviewRoundService.vote(round_id, feedback_id, user.id, still_applies);
+
+      return {
+        success: true,
+        data: {
+          round_id,
+          feedback_id,
+          still_applies,
+          votes
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async close_review_round(user, args) {
+    try {
+      const ReviewRoundService = require('../services/ReviewRoundService');
+      const { round_id } = args;
+
+      const round = await ReviewRoundService.closeRoundEarly(round_id, user.id);
+
+      return {
+        success: true,
+        data: {
+          round: round.toJSON()
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  // Feedback Ranking Tool Handlers
+  async rank_feedback(user, args) {
+    try {
+      const FeedbackRanking = require('../models/FeedbackRanking');
+      const {
+        feedback_id,
+        positive_utility = false,
+        negative_utility = false,
+        ignored = false
+      } = args;
+
+      const result = await FeedbackRanking.rank({
+        feedbackId: feedback_id,
+        userId: user.id,
+        positiveUtility: positive_utility,
+        negativeUtility: negative_utility,
+        ignored
+      });
+
+      return {
+        success: true,
+        data: {
+          feedback_id,
+          article_id: result.articleId,
+          ranking: result.ranking.toJSON(),
+          new_positive_count: result.scores.positive_count,
+          new_negative_count: result.scores.negative_count,
+          scores: result.scores
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async get_feedback_rankings(user, args) {
+    try {
+      const Feedback = require('../models/Feedback');
+      const FeedbackRanking = require('../models/FeedbackRanking');
+      const { article_id, limit = 50, offset = 0 } = args;
+
+      // Drafts and private articles are visible to the owner and collaborators only
+      const ArticleCollaborator = require('../models/ArticleCollaborator');
+      const article = await Article.findById(article_id, true);
+      const role = article ? await article.getAccessRole(user.id) : null;
+      if (!article ||
+          ((article.status !== 'published' || article.visibility === 'private') && !ArticleCollaborator.can(role, 'view'))) {
+        return { success: false, error: 'Article not found' };
+      }
+
+      const isOwner = role === 'owner';
+
+      const [{ feedback, total }, userVotes] = await Promise.all([
+        Feedback.findByArticle(article_id, {
+          status: [...Feedback.OPEN_STATUSES, 'addressed'],
+          includeAuthor: true,
+          orderBy: 'utility',
+          limit,
+          offset
+        }),
+        FeedbackRanking.getUserVotesForArticle(user.id, article_id)
+      ]);
+
+      const ranked = feedback.map(f => ({
+        ...(isOwner ? f.toJSON() : f.toPublicJSON()),
+        user_vote: userVotes[f.id] || null
+      }));
+
+      return {
+        success: true,
+        data: {
+          article_id,
+          feedback: ranked,
+          pros: ranked.filter(f => f.polarity === 'pro'),
+          cons: ranked.filter(f => f.polarity === 'con'),
+          counts: {
+            pro: article.pro_feedback_count || 0,
+            con: article.con_feedback_count || 0
+          },
+          pagination: { limit, offset, total }
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  // Reviewer Reputation Tool Handlers
+  async get_reviewer_reputation(user, args) {
+    try {
+      const ReviewerReputation = require('../models/ReviewerReputation');
+      const { user_id, username } = args;
+
+      let targetUser = user;
+      if (user_id) {
+        targetUser = await User.findById(user_id);
+      } else if (username) {
+        targetUser = await User.findByUsername(username);
+      }
+
+      if (!targetUser) {
+        return { success: false, error: 'User not found' };
+      }
+
+      const reputation = await ReviewerReputation.getForUser(targetUser.id);
+
+      return {
+        success: true,
+        data: {
+          user: {
+            id: targetUser.id,
+            username: targetUser.username,
+            display_name: targetUser.display_name
+          },
+          reputation: reputation.toJSON()
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async get_top_reviewers(user, args) {
+    try {
+      const ReviewerReputation = require('../models/ReviewerReputation');
+      const { limit = 20, offset = 0 } = args;
+
+      const { reviewers, total } = await ReviewerReputation.getTopReviewers({ limit, offset });
+
+      return {
+        success: true,
+        data: {
+          reviewers: reviewers.map(reviewer => reviewer.toJSON()),
+          pagination: { limit, offset, total }
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
   async get_ai_statistics(user, args) {
     try {
       const FeedbackSimilarityService = require('../services/FeedbackSimilarityService');
@@ -7,6 +7,17 @@
 const { query, transaction } = require('../config/database');
 const validator = require('validator');
 
+// Select-list column aggregating an article's tag names (alias `a` for articles)
+const TAGS_COLUMN = `COALESCE((
+        SELECT array_agg(t.name ORDER BY t.name)
+        FROM article_tags at
+        JOIN tags t ON at.tag_id = t.id
+        WHERE at.article_id = a.id
+      ), '{}') as tags`;
+
+// What generateUniqueSlug can produce: lowercase letters, digits and hyphens
+const SLUG_PATTERN = /^[a-z0-9-]+$/;
+
 class Article {
   constructor(data) {
     this.id = data.id;
@@ -23,18 +34,29 @@ class Article {
     this.updated_at = data.updated_at;
     this.view_count = data.view_count;
     this.feedback_count = data.feedback_count;
+    this.pro_feedback_count = data.pro_feedback_count;
+    this.con_feedback_count = data.con_feedback_count;
     this.content_hash = data.content_hash;
 
     // Related data (populated via joins)
     this.author = data.author;
     this.tags = data.tags || [];
+    this.collaborators = data.collaborators || null;
+  }
+
+  static get TAGS_COLUMN() {
+    return TAGS_COLUMN;
+  }
+
+  static get SLUG_PATTERN() {
+    return SLUG_PATTERN;
   }
 
   /**
    * Create a new article
    */
   static async create(userId, articleData) {
-    const { title, content, summary, visibility = 'public' } = articleData;
+    const { title, content, summary, visibility = 'public', tags = [] } = articleData;
 
     // Validation
     if (!title || !content) {
@@ -53,6 +75,9 @@ class Article {
       throw new Error('Visibility must be public, private, or unlisted');
     }
 
+    const Tag = require('./Tag');
+    const tagNames = Tag.validateList(tags);
+
     // Generate slug from title
     const slug = await Article.generateUniqueSlug(userId, title);
 
@@ -72,6 +97,10 @@ class Article {
 
       const article = new Article(result.rows[0]);
 
+      if (tagNames.length > 0) {
+        article.tags = await Tag.setArticleTags(client, article.id, tagNames);
+      }
+
       // Create initial version within the same transaction
       await client.query(`
         INSERT INTO article_versions (
@@ -80,7 +109,7 @@ class Article {
         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       `, [
         article.id, 1, title, content, summary,
-        'Initial version', content_hash, JSON.stringify([]), userId
+        'Initial version', content_hash, JSON.stringify(tagNames), userId
       ]);
 
       return article;
@@ -132,7 +161,7 @@ class Article {
     }
 
     const result = await query(`
-      SELECT a.*, u.username, u.display_name
+      SELECT a.*, u.username, u.display_name, ${TAGS_COLUMN}
       FROM articles a
       LEFT JOIN users u ON a.user_id = u.id
       ${whereClause}
@@ -161,7 +190,7 @@ class Article {
     }
 
     const result = await query(`
-      SELECT a.*, u.username, u.display_name
+      SELECT a.*, u.username, u.display_name, ${TAGS_COLUMN}
       FROM articles a
       LEFT JOIN users u ON a.user_id = u.id
       ${whereClause}
@@ -180,6 +209,33 @@ class Article {
     return article;
   }
 
+  /**
+   * Find the published public article with a slug, for links without the
+   * author's subdomain; the most recently published wins when authors share a slug
+   */
+  static async findPublishedBySlug(slug) {
+    const result = await query(`
+      SELECT a.*, u.username, u.display_name
+      FROM articles a
+      JOIN users u ON a.user_id = u.id
+      WHERE a.slug = $1 AND a.status = 'published' AND a.visibility = 'public'
+      ORDER BY a.published_at DESC
+      LIMIT 1
+    `, [slug]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const article = new Article(result.rows[0]);
+    article.author = {
+      username: result.rows[0].username,
+      display_name: result.rows[0].display_name
+    };
+
+    return article;
+  }
+
   /**
    * Find articles by user
    */
@@ -205,7 +261,7 @@ class Article {
     const direction = orderDirection.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
     const result = await query(`
-      SELECT a.*, u.username, u.display_name
+      SELECT a.*, u.username, u.display_name, ${TAGS_COLUMN}
       FROM articles a
       LEFT JOIN users u ON a.user_id = u.id
       ${whereClause}
@@ -229,35 +285,21 @@ class Article {
   static async search(searchTerm, options = {}) {
     const {
       limit = 50,
-      offset = 0,
-      orderBy = 'relevance',
-      minRelevance = 0.1
+      offset = 0
     } = options;
 
-    // Basic text search for now - can be enhanced with full-text search later
-    const searchQuery = `%${searchTerm.toLowerCase()}%`;
-
+    // Weighted tsvector search (title > tags > summary > content), see migration 009
     const result = await query(`
-      SELECT a.*, u.username, u.display_name,
-             CASE
-               WHEN LOWER(a.title) LIKE $1 THEN 1.0
-               WHEN LOWER(a.summary) LIKE $1 THEN 0.8
-               WHEN LOWER(a.content) LIKE $1 THEN 0.6
-               ELSE 0.0
-             END as relevance
+      SELECT a.*, u.username, u.display_name, ${TAGS_COLUMN},
+             ts_rank_cd(a.search_vector, websearch_to_tsquery('english', $1)) as relevance
       FROM articles a
       LEFT JOIN users u ON a.user_id = u.id
       WHERE a.visibility = 'public'
         AND a.status = 'published'
-        AND (
-          LOWER(a.title) LIKE $1 OR
-          LOWER(a.summary) LIKE $1 OR
-          LOWER(a.content) LIKE $1
-        )
-      HAVING relevance >= $4
+        AND a.search_vector @@ websearch_to_tsquery('english', $1)
       ORDER BY relevance DESC, a.published_at DESC
       LIMIT $2 OFFSET $3
-    `, [searchQuery, limit, offset, minRelevance]);
+    `, [searchTerm, limit, offset]);
 
     return result.rows.map(row => {
       const article = new Article(row);
@@ -274,18 +316,23 @@ class Article {
    * Update article with version control
    */
   async update(updates, userId, changeSummary = null) {
-    if (this.user_id !== userId) {
+    // Owners and editors can update; each version's created_by records who did
+    const ArticleCollaborator = require('./ArticleCollaborator');
+    const role = await this.getAccessRole(userId);
+    if (!ArticleCollaborator.can(role, 'edit')) {
       throw new Error('Unauthorized to update this article');
     }
 
+    if (role !== 'owner' && updates.visibility !== undefined) {
+      throw new Error('Only the owner can change article visibility');
+    }
+
     const allowedFields = ['title', 'content', 'summary', 'visibility'];
+    const Tag = require('./Tag');
     const updateFields = [];
     const values = [];
     let paramCount = 1;
 
-    // Store original content for AI analysis
-    const originalContent = this.content;
-
     for (const [key, value] of Object.entries(updates)) {
       if (allowedFields.includes(key)) {
         updateFields.push(`${key} = $${paramCount}`);
@@ -294,14 +341,25 @@ class Article {
       }
     }
 
-    if (updateFields.length === 0) {
+    // Tags live in article_tags rather than on the row; a changed tag set is versioned like content
+    const tagNames = updates.tags !== undefined ? Tag.validateList(updates.tags) : null;
+    const tagsChanged = tagNames !== null &&
+      [...tagNames].sort().join(',') !== [...(this.tags || [])].sort().join(',');
+
+    if (updateFields.length === 0 && tagNames === null) {
       throw new Error('No valid fields to update');
     }
 
+    if (updateFields.length === 0 && !tagsChanged) {
+      return this;
+    }
+
+    const contentChanged = ['title', 'content', 'summary'].some(field => updates[field] !== undefined);
+
     // Use transaction to update article and create version
     const updatedArticle = await transaction(async (client) => {
       // If content is being updated, generate new hash and increment version
-      if (updates.content || updates.title || updates.summary) {
+      if (contentChanged || tagsChanged) {
         const crypto = require('crypto');
         const content_hash = crypto.createHash('sha256')
           .update(updates.content || this.content)
@@ -313,11 +371,11 @@ class Article {
         // Create version snapshot before updating
         const ArticleVersion = require('./ArticleVersion');
         const newVersion = await ArticleVersion.createVersion(this.id, {
-          title: updates.title || this.title,
-          content: updates.content || this.content,
-          summary: updates.summary || this.summary,
-          changeSummary: changeSummary || 'Content updated',
-          tags: this.tags || []
+          title: updates.title !== undefined ? updates.title : this.title,
+          content: updates.content !== undefined ? updates.content : this.content,
+          summary: updates.summary !== undefined ? updates.summary : this.summary,
+          changeSummary: changeSummary || (contentChanged ? 'Content updated' : 'Tags updated'),
+          tags: tagNames !== null ? tagNames : (this.tags || [])
         }, userId);
 
         // Trigger update notifications if article is published
@@ -330,26 +388,12 @@ class Article {
           }
         }
 
-        // Trigger AI analysis of feedback resolution (only if content changed)
-        if (updates.content && updates.content !== originalContent) {
-          try {
-            const FeedbackResolutionService = require('../services/FeedbackResolutionService');
-            setImmediate(async () => {
-              try {
-                await FeedbackResolutionService.analyzeArticleUpdate(
-                  this.id,
-                  originalContent, // old content
-                  updates.content, // new content
-                  changeSummary
-                );
-              } catch (analysisError) {
-                console.error('Error analyzing feedback resolution:', analysisError.message);
-              }
-            });
-          } catch (error) {
-            console.error('Error queuing feedback resolution analysis:', error.message);
-          }
-        }
+        // Feedback is re-evaluated when the author pushes the new version for
+        // review (ReviewRoundService), not on every save
+      }
+
+      if (tagsChanged) {
+        await Tag.setArticleTags(client, this.id, tagNames);
       }
 
       // Update the main article
@@ -369,9 +413,96 @@ class Article {
     });
 
     Object.assign(this, updatedArticle);
+    if (tagNames !== null) {
+      this.tags = tagNames;
+    }
+
+    // New versions of published articles are re-embedded for semantic search
+    if (contentChanged && this.status === 'published') {
+      const ArticleEmbeddingService = require('../services/ArticleEmbeddingService');
+      ArticleEmbeddingService.queueArticleEmbedding(this.id);
+    }
+
     return this;
   }
 
+  /**
+   * Revert article to a previous version
+   * Creates a new version with the old title, content, summary and tags so history
+   * stays linear, then re-checks open feedback against the restored content
+   * Returns the target version's tags that the current naming rules reject; they
+   * are left out (and named in the change summary) rather than blocking the revert
+   */
+  async revertToVersion(versionNumber, userId) {
+    if (this.user_id !== userId) {
+      throw new Error('Unauthorized to revert this article');
+    }
+
+    const ArticleVersion = require('./ArticleVersion');
+    const target = await ArticleVersion.getVersion(this.id, versionNumber);
+
+    if (!target) {
+      throw new Error('Version not found');
+    }
+
+    const Tag = require('./Tag');
+    const storedTags = Array.isArray(target.tags) ? target.tags : JSON.parse(target.tags || '[]');
+    const targetTags = [];
+    const droppedTags = [];
+
+    for (const name of storedTags) {
+      try {
+        const tag = Tag.validate(name);
+        if (!targetTags.includes(tag)) {
+          targetTags.push(tag);
+        }
+      } catch (error) {
+        droppedTags.push(name);
+      }
+    }
+    droppedTags.push(...targetTags.splice(Tag.MAX_TAGS_PER_ARTICLE));
+
+    const tagsMatch = [...targetTags].sort().join(',') === [...(this.tags || [])].sort().join(',');
+
+    if (target.title === this.title &&
+        target.content === this.content &&
+        (target.summary || null) === (this.summary || null) &&
+        tagsMatch) {
+      throw new Error(`Article already matches v${versionNumber}`);
+    }
+
+    const originalContent = this.content;
+    const changeSummary = droppedTags.length > 0
+      ? `Reverted to v${versionNumber}; dropped tags: ${droppedTags.join(', ')}`
+      : `Reverted to v${versionNumber}`;
+
+    await this.update({
+      title: target.title,
+      content: target.content,
+      summary: target.summary,
+      tags: targetTags
+    }, userId, changeSummary);
+
+    // A revert is not pushed for review, so check open feedback against it here
+    if (target.content !== originalContent) {
+      setImmediate(async () => {
+        try {
+          const FeedbackResolutionService = require('../services/FeedbackResolutionService');
+          await FeedbackResolutionService.analyzeArticleUpdate(
+            this.id,
+            originalContent,
+            target.content,
+            `Reverted to v${versionNumber}`
+          );
+        } catch (analysisError) {
+          console.error('Error analyzing feedback resolution:', analysisError.message);
+        }
+      });
+    }
+
+    return droppedTags;
+  }
+
   /**
    * Publish article
    */
@@ -384,7 +515,7 @@ class Article {
       throw new Error('Article is already published');
     }
 
-    return await transaction(async (client) => {
+    await transaction(async (client) => {
       const result = await client.query(`
         UPDATE articles
         SET status = 'published',
@@ -417,9 +548,13 @@ class Article {
         console.error('Error creating article publication notifications:', error.message);
         // Don't fail the whole operation if notifications fail
       }
-
-      return this;
     });
+
+    // Embed once the publish has committed so the background job sees the new status
+    const ArticleEmbeddingService = require('../services/ArticleEmbeddingService');
+    ArticleEmbeddingService.queueArticleEmbedding(this.id);
+
+    return this;
   }
 
   /**
@@ -497,6 +632,35 @@ class Article {
     });
   }
 
+  /**
+   * Find related articles by embedding similarity
+   * Falls back to exact content-hash matching until the article has been embedded
+   */
+  static async findSimilar(article, options = {}) {
+    const ArticleEmbeddingService = require('../services/ArticleEmbeddingService');
+
+    if (await ArticleEmbeddingService.hasEmbedding(article.id)) {
+      const rows = await ArticleEmbeddingService.findSimilarArticles(article.id, options);
+      return {
+        method: 'semantic',
+        articles: rows.map(row => {
+          const similar = new Article(row);
+          similar.author = {
+            username: row.username,
+            display_name: row.display_name
+          };
+          similar.similarity = parseFloat(row.similarity);
+          return similar;
+        })
+      };
+    }
+
+    return {
+      method: 'content_hash',
+      articles: await Article.findSimilarContent(article.content_hash, article.id)
+    };
+  }
+
   /**
    * Get public article data
    */
@@ -515,8 +679,11 @@ class Article {
       updated_at: this.updated_at,
       view_count: this.view_count,
       feedback_count: this.feedback_count,
+      pro_feedback_count: this.pro_feedback_count,
+      con_feedback_count: this.con_feedback_count,
       author: this.author,
-      tags: this.tags
+      tags: this.tags,
+      ...(this.collaborators ? { collaborators: this.collaborators } : {})
     };
   }
 
@@ -530,6 +697,34 @@ class Article {
     };
   }
 
+  /**
+   * The user's access to this article: 'owner', a collaborator role, or null
+   */
+  async getAccessRole(userId) {
+    if (userId && this.user_id === userId) {
+      return 'owner';
+    }
+
+    const ArticleCollaborator = require('./ArticleCollaborator');
+    return await ArticleCollaborator.getRole(this.id, userId);
+  }
+
+  /**
+   * Load accepted collaborators for display (editors are credited as co-authors)
+   */
+  async loadCollaborators() {
+    const ArticleCollaborator = require('./ArticleCollaborator');
+    const collaborators = await ArticleCollaborator.findByArticle(this.id);
+
+    this.collaborators = collaborators.map(collaborator => ({
+      username: collaborator.user.username,
+      display_name: collaborator.user.display_name,
+      role: collaborator.role
+    }));
+
+    return this.collaborators;
+  }
+
   /**
    * Get version history for this article
    */
@@ -0,0 +1,273 @@
+/**
+ * ArticleCollaborator Model
+ *
+ * Co-authoring: the article's owner invites collaborators with a role.
+ * Editors can update the article, reviewers can read drafts and private
+ * feedback, viewers can read drafts. Only the owner manages collaborators,
+ * publishes, reverts or deletes.
+ */
+
+const { query, transaction } = require('../config/database');
+
+// What each role may do on top of reading public content
+const ROLE_PERMISSIONS = {
+  editor: ['view', 'view_private_feedback', 'edit'],
+  reviewer: ['view', 'view_private_feedback'],
+  viewer: ['view']
+};
+
+class ArticleCollaborator {
+  constructor(data = {}) {
+    this.article_id = data.article_id || null;
+    this.user_id = data.user_id || null;
+    this.role = data.role || 'viewer';
+    this.status = data.status || 'pending';
+    this.invited_by = data.invited_by || null;
+    this.accepted_at = data.accepted_at || null;
+    this.created_at = data.created_at || null;
+    this.updated_at = data.updated_at || null;
+    // For joined queries
+    this.user = data.user || null;
+    this.article = data.article || null;
+  }
+
+  static get ROLES() {
+    return Object.keys(ROLE_PERMISSIONS);
+  }
+
+  /**
+   * Whether a role ('owner' or a collaborator role) allows an action
+   */
+  static can(role, permission) {
+    if (role === 'owner') {
+      return true;
+    }
+    return Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+  }
+
+  /**
+   * Invite a user (or change an existing collaborator's role)
+   */
+  static async invite(inviteData) {
+    const { articleId, ownerId, username, role } = inviteData;
+
+    if (!this.ROLES.includes(role)) {
+      throw new Error(`Invalid collaborator role: ${role}`);
+    }
+
+    const result = await transaction(async (client) => {
+      const articleResult = await client.query(
+        'SELECT user_id, title FROM articles WHERE id = $1',
+        [articleId]
+      );
+
+      const article = articleResult.rows[0];
+      if (!article) {
+        throw new Error('Article not found');
+      }
+
+      if (article.user_id !== ownerId) {
+        throw new Error('Only the article owner can manage collaborators');
+      }
+
+      const userResult = await client.query(
+        'SELECT id, username, display_name FROM users WHERE username = $1 AND is_active = true',
+        [String(username || '').toLowerCase()]
+      );
+
+      const invitee = userResult.rows[0];
+      if (!invitee) {
+        throw new Error('User not found');
+      }
+
+      if (invitee.id === ownerId) {
+        throw new Error('You already own this article');
+      }
+
+      const upsert = await client.query(`
+        INSERT INTO article_collaborators (article_id, user_id, role, invited_by)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (article_id, user_id)
+        DO UPDATE SET role = EXCLUDED.role
+        RETURNING *, (xmax = 0) as is_new
+      `, [articleId, invitee.id, role, ownerId]);
+
+      const collaborator = new ArticleCollaborator({
+        ...upsert.rows[0],
+        user: { id: invitee.id, username: invitee.username, display_name: invitee.display_name },
+        article: { id: articleId, title: article.title }
+      });
+
+      return { collaborator, isNew: upsert.rows[0].is_new };
+    });
+
+    if (result.isNew) {
+      const NotificationService = require('../services/NotificationService');
+      await NotificationService.handleCollaborationInviteNotification(result.collaborator, ownerId);
+    }
+
+    return result.collaborator;
+  }
+
+  /**
+   * Accept or decline a pending invitation
+   * Returns the accepted collaborator, or null when declined.
+   */
+  static async respond(articleId, userId, accept) {
+    const pending = await query(`
+      SELECT ac.*, a.title as article_title, a.user_id as owner_id
+      FROM article_collaborators ac
+      JOIN articles a ON a.id = ac.article_id
+      WHERE ac.article_id = $1 AND ac.user_id = $2 AND ac.status = 'pending'
+    `, [articleId, userId]);
+
+    if (pending.rows.length === 0) {
+      throw new Error('Invitation not found');
+    }
+
+    if (!accept) {
+      await query(
+        'DELETE FROM article_collaborators WHERE article_id = $1 AND user_id = $2',
+        [articleId, userId]
+      );
+      return null;
+    }
+
+    const result = await query(`
+      UPDATE article_collaborators
+      SET status = 'accepted', accepted_at = NOW()
+      WHERE article_id = $1 AND user_id = $2
+      RETURNING *
+    `, [articleId, userId]);
+
+    const collaborator = new ArticleCollaborator({
+      ...result.rows[0],
+      article: { id: articleId, title: pending.rows[0].article_title }
+    });
+
+    const NotificationService = require('../services/NotificationService');
+    await NotificationService.handleCollaborationAcceptedNotification(collaborator, pending.rows[0].owner_id);
+
+    return collaborator;
+  }
+
+  /**
+   * Remove a collaborator (the owner) or leave an article (the collaborator)
+   */
+  static async remove(articleId, actorId, username) {
+    const result = await query(`
+      DELETE FROM article_collaborators ac
+      USING users u, articles a
+      WHERE ac.article_id = $1
+        AND ac.user_id = u.id
+        AND u.username = $2
+        AND a.id = ac.article_id
+        AND (a.user_id = $3 OR ac.user_id = $3)
+      RETURNING ac.user_id
+    `, [articleId, String(username || '').toLowerCase(), actorId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Collaborator not found');
+    }
+
+    return true;
+  }
+
+  /**
+   * Role of an accepted collaborator, or null
+   */
+  static async getRole(articleId, userId) {
+    if (!userId) {
+      return null;
+    }
+
+    const result = await query(`
+      SELECT role FROM article_collaborators
+      WHERE article_id = $1 AND user_id = $2 AND status = 'accepted'
+    `, [articleId, userId]);
+
+    return result.rows.length > 0 ? result.rows[0].role : null;
+  }
+
+  /**
+   * Collaborators on an article (accepted only unless includePending)
+   */
+  static async findByArticle(articleId, options = {}) {
+    const { includePending = false } = options;
+
+    const result = await query(`
+      SELECT ac.*, u.username, u.display_name, u.avatar_url
+      FROM article_collaborators ac
+      JOIN users u ON u.id = ac.user_id
+      WHERE ac.article_id = $1
+        ${includePending ? '' : "AND ac.status = 'accepted'"}
+      ORDER BY ac.status ASC, ac.accepted_at ASC NULLS LAST, ac.created_at ASC
+    `, [articleId]);
+
+    return result.rows.map(row => new ArticleCollaborator({
+      ...row,
+      user: {
+        id: row.user_id,
+        username: row.username,
+        display_name: row.display_name,
+        avatar_url: row.avatar_url
+      }
+    }));
+  }
+
+  /**
+   * A user's invitations and the articles they collaborate on
+   * Returns { collaborations, total }.
+   */
+  static async findByUser(userId, options = {}) {
+    const { status = null, limit = 50, offset = 0 } = options;
+
+    const params = [userId, limit, offset];
+    let statusClause = '';
+    if (status) {
+      params.push(status);
+      statusClause = 'AND ac.status = $4';
+    }
+
+    const result = await query(`
+      SELECT ac.*, a.title, a.slug, a.status as article_status,
+             o.username as owner_username, o.display_name as owner_display_name,
+             COUNT(*) OVER() as total_count
+      FROM article_collaborators ac
+      JOIN articles a ON a.id = ac.article_id
+      JOIN users o ON o.id = a.user_id
+      WHERE ac.user_id = $1 ${statusClause}
+      ORDER BY ac.status DESC, a.updated_at DESC
+      LIMIT $2 OFFSET $3
+    `, params);
+
+    return {
+      collaborations: result.rows.map(row => new ArticleCollaborator({
+        ...row,
+        article: {
+          id: row.article_id,
+          title: row.title,
+          slug: row.slug,
+          status: row.article_status,
+          owner: { username: row.owner_username, display_name: row.owner_display_name }
+        }
+      })),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  toJSON() {
+    return {
+      article_id: this.article_id,
+      user_id: this.user_id,
+      role: this.role,
+      status: this.status,
+      accepted_at: this.accepted_at,
+      created_at: this.created_at,
+      ...(this.user ? { user: this.user } : {}),
+      ...(this.article ? { article: this.article } : {})
+    };
+  }
+}
+
+module.exports = ArticleCollaborator;
@@ -89,6 +89,10 @@ class ArticleVersion {
             changes
           );
         }
+
+        // Carry inline feedback anchors onto the new content
+        const FeedbackAnchorService = require('../services/FeedbackAnchorService');
+        await FeedbackAnchorService.remapArticleAnchors(client, articleId, previousVersion, newVersion);
       }
 
       return newVersion;
@@ -120,6 +124,38 @@ class ArticleVersion {
     });
   }
 
+  /**
+   * Get versions created after each article was first published, newest first
+   * (the update entries of syndication feeds)
+   */
+  static async getPublishedUpdates(articleIds, options = {}) {
+    const { limit = 20 } = options;
+
+    if (!Array.isArray(articleIds) || articleIds.length === 0) {
+      return [];
+    }
+
+    const result = await query(`
+      SELECT av.*, u.username, u.display_name
+      FROM article_versions av
+      JOIN articles a ON av.article_id = a.id
+      LEFT JOIN users u ON av.created_by = u.id
+      WHERE av.article_id = ANY($1::uuid[])
+        AND av.version_number > 1
+        AND a.published_at IS NOT NULL
+        AND av.created_at > a.published_at
+      ORDER BY av.created_at DESC
+      LIMIT $2
+    `, [articleIds, limit]);
+
+    // The author is whoever made the version (the owner or an editor)
+    return result.rows.map(row => {
+      const version = new ArticleVersion(row);
+      version.author = { username: row.username, display_name: row.display_name };
+      return version;
+    });
+  }
+
   /**
    * Get a specific version by version number
    */
@@ -0,0 +1,401 @@
+/**
+ * Conversation Model
+ *
+ * Private 1:1 and small-group conversations. Direct messages are private
+ * rows in `messages` carrying the conversation_id; each participant's read
+ * position gives unread counts and the read receipts other participants see.
+ */
+
+const { query, transaction } = require('../config/database');
+
+// Including the person who starts the conversation
+const MAX_PARTICIPANTS = 10;
+const MAX_TITLE_LENGTH = 100;
+
+class Conversation {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.created_by = data.created_by || null;
+    this.title = data.title || null;
+    this.is_group = data.is_group || false;
+    this.last_message_at = data.last_message_at || null;
+    this.created_at = data.created_at || null;
+    this.updated_at = data.updated_at || null;
+    // For joined queries
+    this.participants = data.participants || [];
+    this.last_message = data.last_message || null;
+    this.unread_count = data.unread_count || 0;
+  }
+
+  static get MAX_PARTICIPANTS() {
+    return MAX_PARTICIPANTS;
+  }
+
+  /**
+   * Key shared by both directions of a 1:1 conversation
+   */
+  static directKey(userId, otherUserId) {
+    return [userId, otherUserId].sort().join(':');
+  }
+
+  /**
+   * Send a direct message
+   * Goes to an existing conversation (conversationId) or to usernames: one
+   * recipient reuses the pair's 1:1 conversation, several start a group.
+   * Returns { conversation, message, recipientIds }.
+   */
+  static async sendMessage(messageData) {
+    const { senderId, conversationId = null, recipients = [], content, title = null } = messageData;
+    const Message = require('./Message');
+
+    Message.validateContent(content);
+
+    const result = await transaction(async (client) => {
+      const conversation = conversationId
+        ? await this.findForParticipant(client, conversationId, senderId)
+        : await this.start(client, senderId, recipients, title);
+
+      const participantResult = await client.query(
+        'SELECT user_id FROM conversation_participants WHERE conversation_id = $1',
+        [conversation.id]
+      );
+
+      const recipientIds = participantResult.rows
+        .map(row => row.user_id)
+        .filter(userId => userId !== senderId);
+
+      // Blocking either way ends messaging, in groups too
+      const UserRestriction = require('./UserRestriction');
+      const blockedIds = await UserRestriction.findBlockedAmong(senderId, recipientIds, client);
+      if (blockedIds.length > 0) {
+        throw new Error(conversation.is_group
+          ? 'You cannot message some of the people in this conversation'
+          : 'You cannot message this user');
+      }
+
+      const messageResult = await client.query(`
+        INSERT INTO messages (user_id, content, visibility, conversation_id)
+        VALUES ($1, $2, 'private', $3)
+        RETURNING *
+      `, [senderId, content.trim(), conversation.id]);
+
+      const message = new Message(messageResult.rows[0]);
+
+      await client.query(
+        'UPDATE conversations SET last_message_at = $2 WHERE id = $1',
+        [conversation.id, message.created_at]
+      );
+      conversation.last_message_at = message.created_at;
+
+      // The sender has read everything up to their own message
+      await client.query(`
+        UPDATE conversation_participants
+        SET last_read_message_id = $3, last_read_at = $4
+        WHERE conversation_id = $1 AND user_id = $2
+      `, [conversation.id, senderId, message.id, message.created_at]);
+
+      return { conversation, message, recipientIds };
+    });
+
+    const NotificationService = require('../services/NotificationService');
+    await NotificationService.handleDirectMessageNotifications(result.conversation, result.message, result.recipientIds);
+
+    return result;
+  }
+
+  /**
+   * Conversation the user takes part in (inside a transaction)
+   */
+  static async findForParticipant(client, conversationId, userId) {
+    const result = await client.query(`
+      SELECT c.*
+      FROM conversations c
+      JOIN conversation_participants cp ON cp.conversation_id = c.id AND cp.user_id = $2
+      WHERE c.id = $1
+    `, [conversationId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Conversation not found');
+    }
+
+    return new Conversation(result.rows[0]);
+  }
+
+  /**
+   * Find or create the conversation for a set of recipients (inside a transaction)
+   */
+  static async start(client, senderId, recipients, title) {
+    const usernames = [...new Set((recipients || []).map(name => String(name).toLowerCase()))];
+    if (usernames.length === 0) {
+      throw new Error('At least one recipient is required');
+    }
+
+    const userResult = await client.query(
+      'SELECT id, username FROM users WHERE username = ANY($1) AND is_active = true',
+      [usernames]
+    );
+
+    const missing = usernames.find(name => !userResult.rows.some(row => row.username === name));
+    if (missing) {
+      throw new Error(`User not found: ${missing}`);
+    }
+
+    const recipientIds = userResult.rows.map(row => row.id).filter(id => id !== senderId);
+    if (recipientIds.length === 0) {
+      throw new Error('You cannot message yourself');
+    }
+
+    if (recipientIds.length + 1 > MAX_PARTICIPANTS) {
+      throw new Error(`Conversations are limited to ${MAX_PARTICIPANTS} participants`);
+    }
+
+    let conversationResult;
+    if (recipientIds.length === 1) {
+      // No-op update so RETURNING yields the existing row on conflict
+      conversationResult = await client.query(`
+        INSERT INTO conversations (created_by, direct_key)
+        VALUES ($1, $2)
+        ON CONFLICT (direct_key) DO UPDATE SET direct_key = EXCLUDED.direct_key
+        RETURNING *
+      `, [senderId, this.directKey(senderId, recipientIds[0])]);
+    } else {
+      if (title && title.length > MAX_TITLE_LENGTH) {
+        throw new Error(`Conversation title cannot exceed ${MAX_TITLE_LENGTH} characters`);
+      }
+
+      conversationResult = await client.query(`
+        INSERT INTO conversations (created_by, title, is_group)
+        VALUES ($1, $2, true)
+        RETURNING *
+      `, [senderId, title ? title.trim() : null]);
+    }
+
+    const conversation = new Conversation(conversationResult.rows[0]);
+
+    await client.query(`
+      INSERT INTO conversation_participants (conversation_id, user_id)
+      SELECT $1, unnest($2::uuid[])
+      ON CONFLICT (conversation_id, user_id) DO NOTHING
+    `, [conversation.id, [senderId, ...recipientIds]]);
+
+    return conversation;
+  }
+
+  /**
+   * A user's conversations, most recent first, with unread counts
+   */
+  static async findByUser(userId, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+
+    const result = await query(`
+      SELECT
+        c.*,
+        lm.id as last_message_id,
+        lm.user_id as last_message_user_id,
+        lm.content as last_message_content,
+        lm.created_at as last_message_created_at,
+        (
+          SELECT COUNT(*) FROM messages m
+          WHERE m.conversation_id = c.id
+          AND m.user_id != $1
+          AND (cp.last_read_at IS NULL OR m.created_at > cp.last_read_at)
+        ) as unread_count,
+        COUNT(*) OVER() as total_count
+      FROM conversation_participants cp
+      JOIN conversations c ON c.id = cp.conversation_id
+      LEFT JOIN LATERAL (
+        SELECT id, user_id, content, created_at
+        FROM messages
+        WHERE conversation_id = c.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) lm ON true
+      WHERE cp.user_id = $1
+      AND c.last_message_at IS NOT NULL
+      ORDER BY c.last_message_at DESC
+      LIMIT $2 OFFSET $3
+    `, [userId, limit, offset]);
+
+    const conversations = result.rows.map(row => new Conversation({
+      ...row,
+      unread_count: parseInt(row.unread_count),
+      last_message: row.last_message_id ? {
+        id: row.last_message_id,
+        user_id: row.last_message_user_id,
+        content: row.last_message_content,
+        created_at: row.last_message_created_at
+      } : null
+    }));
+
+    await this.loadParticipants(conversations);
+
+    return {
+      conversations,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  /**
+   * Conversation with participants and read state, or null if the user isn't in it
+   */
+  static async findById(conversationId, userId) {
+    const result = await query(`
+      SELECT c.*
+      FROM conversations c
+      JOIN conversation_participants cp ON cp.conversation_id = c.id AND cp.user_id = $2
+      WHERE c.id = $1
+    `, [conversationId, userId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const conversation = new Conversation(result.rows[0]);
+    await this.loadParticipants([conversation]);
+    return conversation;
+  }
+
+  /**
+   * Attach participants (with read receipts) to conversations
+   */
+  static async loadParticipants(conversations) {
+    if (conversations.length === 0) {
+      return conversations;
+    }
+
+    const result = await query(`
+      SELECT cp.conversation_id, cp.user_id, cp.last_read_message_id, cp.last_read_at,
+             u.username, u.display_name, u.avatar_url
+      FROM conversation_participants cp
+      JOIN users u ON u.id = cp.user_id
+      WHERE cp.conversation_id = ANY($1)
+      ORDER BY cp.joined_at ASC
+    `, [conversations.map(c => c.id)]);
+
+    for (const conversation of conversations) {
+      conversation.participants = result.rows
+        .filter(row => row.conversation_id === conversation.id)
+        .map(row => ({
+          user_id: row.user_id,
+          username: row.username,
+          display_name: row.display_name,
+          avatar_url: row.avatar_url,
+          last_read_message_id: row.last_read_message_id,
+          last_read_at: row.last_read_at
+        }));
+    }
+
+    return conversations;
+  }
+
+  /**
+   * Total unread direct messages across a user's conversations
+   */
+  static async getUnreadCount(userId) {
+    const result = await query(`
+      SELECT COUNT(*) as unread_count
+      FROM conversation_participants cp
+      JOIN messages m ON m.conversation_id = cp.conversation_id
+      WHERE cp.user_id = $1
+      AND m.user_id != $1
+      AND (cp.last_read_at IS NULL OR m.created_at > cp.last_read_at)
+    `, [userId]);
+
+    return parseInt(result.rows[0].unread_count);
+  }
+
+  /**
+   * Ids of everyone in a conversation
+   */
+  static async getParticipantIds(conversationId) {
+    const result = await query(
+      'SELECT user_id FROM conversation_participants WHERE conversation_id = $1',
+      [conversationId]
+    );
+
+    return result.rows.map(row => row.user_id);
+  }
+
+  /**
+   * Messages, newest first
+   */
+  async getMessages(options = {}) {
+    const Message = require('./Message');
+    const { limit = 50, offset = 0 } = options;
+
+    const result = await query(`
+      SELECT m.*, u.username, u.display_name, u.avatar_url
+      FROM messages m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.conversation_id = $1
+      ORDER BY m.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [this.id, limit, offset]);
+
+    return result.rows.map(row => new Message({
+      ...row,
+      author: {
+        username: row.username,
+        display_name: row.display_name,
+        avatar_url: row.avatar_url
+      }
+    }));
+  }
+
+  /**
+   * Mark everything in the conversation read for a user
+   * Returns the read receipt, or null if there was nothing new to read.
+   */
+  async markRead(userId) {
+    const result = await query(`
+      UPDATE conversation_participants cp
+      SET last_read_message_id = latest.id, last_read_at = latest.created_at
+      FROM (
+        SELECT id, created_at FROM messages
+        WHERE conversation_id = $1
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) latest
+      WHERE cp.conversation_id = $1
+      AND cp.user_id = $2
+      AND (cp.last_read_at IS NULL OR cp.last_read_at < latest.created_at)
+      RETURNING cp.last_read_message_id, cp.last_read_at
+    `, [this.id, userId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const receipt = {
+      conversation_id: this.id,
+      user_id: userId,
+      last_read_message_id: result.rows[0].last_read_message_id,
+      last_read_at: result.rows[0].last_read_at
+    };
+
+    const participant = this.participants.find(p => p.user_id === userId);
+    if (participant) {
+      participant.last_read_message_id = receipt.last_read_message_id;
+      participant.last_read_at = receipt.last_read_at;
+    }
+    this.unread_count = 0;
+
+    return receipt;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      title: this.title,
+      is_group: this.is_group,
+      created_by: this.created_by,
+      last_message_at: this.last_message_at,
+      created_at: this.created_at,
+      participants: this.participants,
+      last_message: this.last_message,
+      unread_count: this.unread_count
+    };
+  }
+}
+
+module.exports = Conversation;
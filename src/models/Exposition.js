@@ -23,6 +23,24 @@ class Exposition {
     this.article_count = data.article_count || 0;
   }
 
+  /**
+   * Layout limits
+   */
+  static get MAX_SECTIONS() {
+    return 20;
+  }
+
+  static get MAX_PLACED_ARTICLES() {
+    return 200;
+  }
+
+  /**
+   * update() fields that change the layout rather than the exposition row
+   */
+  static get LAYOUT_FIELDS() {
+    return ['pinned_article_ids', 'article_order', 'sections'];
+  }
+
   /**
    * Valid exposition statuses
    */
@@ -371,10 +389,25 @@ class Exposition {
       }
     }
 
-    if (updateFields.length === 0) {
+    const layout = Object.fromEntries(
+      Exposition.LAYOUT_FIELDS
+        .filter(field => updates[field] !== undefined)
+        .map(field => [field, updates[field]])
+    );
+    const hasLayout = Object.keys(layout).length > 0;
+
+    if (updateFields.length === 0 && !hasLayout) {
       throw new Error('No valid fields to update');
     }
 
+    if (hasLayout) {
+      await this.setLayout(layout, userId);
+    }
+
+    if (updateFields.length === 0) {
+      return this;
+    }
+
     values.push(this.id);
     const result = await query(`
       UPDATE expositions
@@ -391,6 +424,181 @@ class Exposition {
     return this;
   }
 
+  /**
+   * Replace parts of the layout; each field is optional and replaces only its own placements
+   * - pinned_article_ids: articles shown first, in this order
+   * - article_order: manual order for the top of the main list
+   * - sections: [{ id?, title, description?, criteria?, article_ids? }] in display order;
+   *   sections left out are removed, criteria use the criteria expression language
+   * An article placed twice is moved to its latest placement.
+   */
+  async setLayout(layout, userId) {
+    if (this.author_id !== userId) {
+      throw new Error('Unauthorized to update this exposition');
+    }
+
+    const { pinned_article_ids: pinned, article_order: order, sections } = layout;
+
+    for (const [name, list] of [['pinned_article_ids', pinned], ['article_order', order]]) {
+      if (list !== undefined && !Array.isArray(list)) {
+        throw new Error(`${name} must be an array of article IDs`);
+      }
+    }
+
+    if (sections !== undefined) {
+      if (!Array.isArray(sections)) {
+        throw new Error('sections must be an array');
+      }
+      if (sections.length > Exposition.MAX_SECTIONS) {
+        throw new Error(`Expositions can have at most ${Exposition.MAX_SECTIONS} sections`);
+      }
+    }
+
+    const sectionList = await Promise.all((sections || []).map(section => Exposition.validateSection(section)));
+
+    // Every article may be placed once per request
+    const placed = [
+      ...(pinned || []),
+      ...(order || []),
+      ...sectionList.flatMap(section => section.article_ids)
+    ];
+
+    const duplicate = placed.find((id, index) => placed.indexOf(id) !== index);
+    if (duplicate) {
+      throw new Error(`Article ${duplicate} is placed more than once`);
+    }
+
+    if (placed.length > Exposition.MAX_PLACED_ARTICLES) {
+      throw new Error(`Expositions can place at most ${Exposition.MAX_PLACED_ARTICLES} articles by hand`);
+    }
+
+    if (placed.length > 0) {
+      const existing = await query('SELECT id FROM articles WHERE id = ANY($1::uuid[])', [placed]);
+      const found = new Set(existing.rows.map(row => row.id));
+      const missing = placed.find(id => !found.has(id));
+      if (missing) {
+        throw new Error(`Article ${missing} not found`);
+      }
+    }
+
+    await transaction(async (client) => {
+      const place = async (articleIds, { sectionId = null, isPinned = false }) => {
+        for (const [position, articleId] of articleIds.entries()) {
+          await client.query(`
+            INSERT INTO exposition_articles (exposition_id, article_id, section_id, position, pinned)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (exposition_id, article_id)
+            DO UPDATE SET section_id = $3, position = $4, pinned = $5, added_at = NOW()
+          `, [this.id, articleId, sectionId, position, isPinned]);
+        }
+      };
+
+      if (pinned !== undefined) {
+        await client.query(
+          'DELETE FROM exposition_articles WHERE exposition_id = $1 AND pinned = true',
+          [this.id]
+        );
+        await place(pinned, { isPinned: true });
+      }
+
+      if (order !== undefined) {
+        await client.query(
+          'DELETE FROM exposition_articles WHERE exposition_id = $1 AND pinned = false AND section_id IS NULL',
+          [this.id]
+        );
+        await place(order, {});
+      }
+
+      if (sections !== undefined) {
+        const keptIds = sectionList.filter(section => section.id).map(section => section.id);
+
+        // Removing a section also removes its hand-picked placements (ON DELETE CASCADE)
+        await client.query(`
+          DELETE FROM exposition_sections
+          WHERE exposition_id = $1 AND NOT (id = ANY($2::uuid[]))
+        `, [this.id, keptIds]);
+
+        await client.query(`
+          DELETE FROM exposition_articles
+          WHERE exposition_id = $1 AND section_id IS NOT NULL
+        `, [this.id]);
+
+        for (const [position, section] of sectionList.entries()) {
+          let sectionId = section.id;
+
+          if (sectionId) {
+            const updated = await client.query(`
+              UPDATE exposition_sections
+              SET title = $1, description = $2, criteria = $3, criteria_expression = $4, position = $5
+              WHERE id = $6 AND exposition_id = $7
+              RETURNING id
+            `, [section.title, section.description, section.criteria, section.criteria_expression, position, sectionId, this.id]);
+
+            if (updated.rows.length === 0) {
+              throw new Error(`Section ${sectionId} not found`);
+            }
+          } else {
+            const inserted = await client.query(`
+              INSERT INTO exposition_sections (
+                exposition_id, title, description, criteria, criteria_expression, position
+              ) VALUES ($1, $2, $3, $4, $5, $6)
+              RETURNING id
+            `, [this.id, section.title, section.description, section.criteria, section.criteria_expression, position]);
+            sectionId = inserted.rows[0].id;
+          }
+
+          await place(section.article_ids, { sectionId });
+        }
+      }
+
+      await client.query('UPDATE expositions SET updated_at = NOW() WHERE id = $1', [this.id]);
+    });
+
+    return this;
+  }
+
+  /**
+   * Validate a section definition and parse its criteria
+   */
+  static async validateSection(section) {
+    const { id = null, title, description = null, criteria = null, article_ids = [] } = section || {};
+
+    if (!title || title.trim().length === 0) {
+      throw new Error('Section title is required');
+    }
+
+    if (title.length > 100) {
+      throw new Error('Section title cannot exceed 100 characters');
+    }
+
+    if (description && description.length > 1000) {
+      throw new Error('Section description cannot exceed 1000 characters');
+    }
+
+    if (!Array.isArray(article_ids)) {
+      throw new Error('Section article_ids must be an array');
+    }
+
+    let canonicalCriteria = null;
+    let criteriaExpression = null;
+
+    if (criteria && criteria.trim().length > 0) {
+      const ExpositionCriteria = require('./ExpositionCriteria');
+      const CriteriaExpressionService = require('../services/CriteriaExpressionService');
+      canonicalCriteria = await ExpositionCriteria.validateCriterionValue('expression', criteria);
+      criteriaExpression = JSON.stringify(CriteriaExpressionService.parse(canonicalCriteria));
+    }
+
+    return {
+      id,
+      title: title.trim(),
+      description: description ? description.trim() : null,
+      criteria: canonicalCriteria,
+      criteria_expression: criteriaExpression,
+      article_ids
+    };
+  }
+
   /**
    * Change exposition status
    */
@@ -476,6 +684,81 @@ class Exposition {
     return result.rows;
   }
 
+  /**
+   * Get the curated layout: pinned articles, named sections and the remaining articles
+   * Placed articles keep their manual order ahead of newest-first criteria matches.
+   * An article appears once: pinned, else its assigned section, else the main list
+   * when hand-ordered there, else the first section whose criteria it matches,
+   * else the main list (which is paginated).
+   */
+  async getLayout(options = {}) {
+    const { limit = 50, offset = 0 } = options;
+
+    const [sectionResult, articleResult] = await Promise.all([
+      query(`
+        SELECT id, title, description, criteria, position
+        FROM exposition_sections
+        WHERE exposition_id = $1
+        ORDER BY position, created_at
+      `, [this.id]),
+      query(`
+        SELECT
+          ga.*,
+          ea.section_id,
+          ea.position,
+          COALESCE(ea.pinned, false) as pinned,
+          (
+            SELECT es.id FROM exposition_sections es
+            WHERE es.exposition_id = $1
+              AND es.criteria_expression IS NOT NULL
+              AND article_matches_criteria_expression(ga.article_id, es.criteria_expression)
+            ORDER BY es.position, es.created_at
+            LIMIT 1
+          ) as matched_section_id
+        FROM get_exposition_articles($1) ga
+        LEFT JOIN exposition_articles ea
+          ON ea.exposition_id = $1 AND ea.article_id = ga.article_id
+        ORDER BY ga.article_published_at DESC
+      `, [this.id])
+    ]);
+
+    const sections = sectionResult.rows.map(row => ({ ...row, articles: [] }));
+    const sectionsById = new Map(sections.map(section => [section.id, section]));
+    const pinned = [];
+    const main = [];
+
+    for (const row of articleResult.rows) {
+      const { section_id, matched_section_id, ...article } = row;
+
+      if (row.pinned) {
+        pinned.push(article);
+      } else if (section_id && sectionsById.has(section_id)) {
+        sectionsById.get(section_id).articles.push(article);
+      } else if (article.position === null && sectionsById.has(matched_section_id)) {
+        sectionsById.get(matched_section_id).articles.push(article);
+      } else {
+        main.push(article);
+      }
+    }
+
+    // Manually positioned first; Array.prototype.sort is stable, so the rest stay newest-first
+    const byPosition = (a, b) => {
+      if (a.position === null) return b.position === null ? 0 : 1;
+      if (b.position === null) return -1;
+      return a.position - b.position;
+    };
+    pinned.sort(byPosition);
+    main.sort(byPosition);
+    sections.forEach(section => section.articles.sort(byPosition));
+
+    return {
+      pinned,
+      sections,
+      articles: main.slice(offset, offset + limit),
+      article_total: main.length
+    };
+  }
+
   /**
    * Get exposition statistics
    */
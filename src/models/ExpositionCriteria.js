@@ -5,6 +5,8 @@
  */
 
 const { query, transaction } = require('../config/database');
+const Tag = require('./Tag');
+const CriteriaExpressionService = require('../services/CriteriaExpressionService');
 
 class ExpositionCriteria {
   constructor(data = {}) {
@@ -12,6 +14,7 @@ class ExpositionCriteria {
     this.exposition_id = data.exposition_id || null;
     this.criterion_type = data.criterion_type || null;
     this.criterion_value = data.criterion_value || null;
+    this.criterion_expression = data.criterion_expression || null;
     this.added_at = data.added_at || null;
     // For joined queries
     this.exposition = data.exposition || null;
@@ -21,9 +24,31 @@ class ExpositionCriteria {
 
   /**
    * Valid criterion types
+   * author/tag include articles (any may match); expressions must all match;
+   * the remaining types exclude or filter what the inclusions select
    */
   static get CRITERION_TYPES() {
-    return ['author', 'tag'];
+    return [
+      'author', 'tag',
+      'not_author', 'not_tag',
+      'published_after', 'published_before',
+      'min_useful_feedback', 'min_versions',
+      'expression'
+    ];
+  }
+
+  /**
+   * Types that add articles to an exposition; without one it matches nothing
+   */
+  static get INCLUSION_TYPES() {
+    return ['author', 'tag', 'expression'];
+  }
+
+  /**
+   * Maximum criterion value length (expressions are stored as canonical text)
+   */
+  static maxValueLength(criterionType) {
+    return criterionType === 'expression' ? 500 : 100;
   }
 
   /**
@@ -46,13 +71,11 @@ class ExpositionCriteria {
       throw new Error('Criterion value is required');
     }
 
-    if (criterionValue.length > 100) {
-      throw new Error('Criterion value cannot exceed 100 characters');
+    const maxLength = ExpositionCriteria.maxValueLength(criterionType);
+    if (criterionValue.length > maxLength) {
+      throw new Error(`Criterion value cannot exceed ${maxLength} characters`);
     }
 
-    // Normalize value
-    const normalizedValue = criterionValue.trim().toLowerCase();
-
     return await transaction(async (client) => {
       // Check if user owns the exposition
       const expositionResult = await client.query(
@@ -78,35 +101,18 @@ class ExpositionCriteria {
         throw new Error(`Maximum ${ExpositionCriteria.MAX_CRITERIA_PER_EXPOSITION} criteria per exposition`);
       }
 
-      // Validate criterion value based on type
-      if (criterionType === 'author') {
-        // Check if user exists
-        const userResult = await client.query(
-          'SELECT username FROM users WHERE LOWER(username) = $1 AND is_active = true',
-          [normalizedValue]
-        );
-
-        if (userResult.rows.length === 0) {
-          throw new Error(`User '${criterionValue}' not found`);
-        }
-
-        // Use actual username casing
-        normalizedValue = userResult.rows[0].username;
-      } else if (criterionType === 'tag') {
-        // Check if tag exists
-        const tagResult = await client.query(
-          'SELECT name FROM tags WHERE LOWER(name) = $1',
-          [normalizedValue]
-        );
-
-        if (tagResult.rows.length === 0) {
-          throw new Error(`Tag '${criterionValue}' not found`);
-        }
+      // Validate and normalize the value (existing user/tag, date, threshold or expression)
+      const normalizedValue = await ExpositionCriteria.validateCriterionValue(criterionType, criterionValue);
 
-        // Use actual tag casing
-        normalizedValue = tagResult.rows[0].name;
+      if (!normalizedValue) {
+        const subject = ['author', 'not_author'].includes(criterionType) ? 'User' : 'Tag';
+        throw new Error(`${subject} '${criterionValue}' not found`);
       }
 
+      const expression = criterionType === 'expression'
+        ? JSON.stringify(CriteriaExpressionService.parse(normalizedValue))
+        : null;
+
       // Check for duplicate criterion
       const existingResult = await client.query(`
         SELECT id FROM exposition_criteria
@@ -122,10 +128,10 @@ class ExpositionCriteria {
       // Create the criterion
       const result = await client.query(`
         INSERT INTO exposition_criteria (
-          exposition_id, criterion_type, criterion_value
-        ) VALUES ($1, $2, $3)
+          exposition_id, criterion_type, criterion_value, criterion_expression
+        ) VALUES ($1, $2, $3, $4)
         RETURNING *
-      `, [expositionId, criterionType, normalizedValue]);
+      `, [expositionId, criterionType, normalizedValue, expression]);
 
       return new ExpositionCriteria(result.rows[0]);
     });
@@ -143,8 +149,8 @@ class ExpositionCriteria {
     if (includeResolved) {
       selectClause += ', u.username as resolved_author_username, u.display_name as resolved_author_display, t.name as resolved_tag_name';
       joinClause = `
-        LEFT JOIN users u ON ec.criterion_type = 'author' AND LOWER(u.username) = LOWER(ec.criterion_value)
-        LEFT JOIN tags t ON ec.criterion_type = 'tag' AND LOWER(t.name) = LOWER(ec.criterion_value)
+        LEFT JOIN users u ON ec.criterion_type IN ('author', 'not_author') AND LOWER(u.username) = LOWER(ec.criterion_value)
+        LEFT JOIN tags t ON ec.criterion_type IN ('tag', 'not_tag') AND LOWER(t.name) = LOWER(ec.criterion_value)
       `;
     }
 
@@ -160,12 +166,12 @@ class ExpositionCriteria {
       const criteria = new ExpositionCriteria(row);
 
       if (includeResolved) {
-        if (criteria.criterion_type === 'author') {
+        if (['author', 'not_author'].includes(criteria.criterion_type)) {
           criteria.resolved_author = row.resolved_author_username ? {
             username: row.resolved_author_username,
             display_name: row.resolved_author_display
           } : null;
-        } else if (criteria.criterion_type === 'tag') {
+        } else if (['tag', 'not_tag'].includes(criteria.criterion_type)) {
           criteria.resolved_tag = row.resolved_tag_name ? {
             name: row.resolved_tag_name
           } : null;
@@ -204,8 +210,8 @@ class ExpositionCriteria {
         u.display_name as resolved_author_display,
         t.name as resolved_tag_name
       FROM exposition_criteria ec
-      LEFT JOIN users u ON ec.criterion_type = 'author' AND LOWER(u.username) = LOWER(ec.criterion_value)
-      LEFT JOIN tags t ON ec.criterion_type = 'tag' AND LOWER(t.name) = LOWER(ec.criterion_value)
+      LEFT JOIN users u ON ec.criterion_type IN ('author', 'not_author') AND LOWER(u.username) = LOWER(ec.criterion_value)
+      LEFT JOIN tags t ON ec.criterion_type IN ('tag', 'not_tag') AND LOWER(t.name) = LOWER(ec.criterion_value)
       WHERE ec.exposition_id = ANY($1)
       ORDER BY ec.exposition_id, ec.criterion_type, ec.criterion_value
     `, [expositionIds]);
@@ -217,12 +223,12 @@ class ExpositionCriteria {
       }
 
       const criteria = new ExpositionCriteria(row);
-      if (criteria.criterion_type === 'author') {
+      if (['author', 'not_author'].includes(criteria.criterion_type)) {
         criteria.resolved_author = row.resolved_author_username ? {
           username: row.resolved_author_username,
           display_name: row.resolved_author_display
         } : null;
-      } else if (criteria.criterion_type === 'tag') {
+      } else if (['tag', 'not_tag'].includes(criteria.criterion_type)) {
         criteria.resolved_tag = row.resolved_tag_name ? {
           name: row.resolved_tag_name
         } : null;
@@ -242,7 +248,9 @@ class ExpositionCriteria {
       SELECT
         COUNT(*) as total_criteria,
         COUNT(CASE WHEN criterion_type = 'author' THEN 1 END) as author_criteria,
-        COUNT(CASE WHEN criterion_type = 'tag' THEN 1 END) as tag_criteria
+        COUNT(CASE WHEN criterion_type = 'tag' THEN 1 END) as tag_criteria,
+        COUNT(CASE WHEN criterion_type = 'expression' THEN 1 END) as expression_criteria,
+        COUNT(CASE WHEN criterion_type NOT IN ('author', 'tag', 'expression') THEN 1 END) as filter_criteria
       FROM exposition_criteria
       WHERE exposition_id = $1
     `, [expositionId]);
@@ -251,7 +259,9 @@ class ExpositionCriteria {
     return {
       total_criteria: parseInt(row.total_criteria),
       author_criteria: parseInt(row.author_criteria),
-      tag_criteria: parseInt(row.tag_criteria)
+      tag_criteria: parseInt(row.tag_criteria),
+      expression_criteria: parseInt(row.expression_criteria),
+      filter_criteria: parseInt(row.filter_criteria)
     };
   }
 
@@ -414,25 +424,68 @@ class ExpositionCriteria {
 
   /**
    * Validate criterion value exists
+   * Returns the normalized value, or null when a referenced user or tag does not exist.
+   * Throws for malformed dates, thresholds and expressions.
    */
   static async validateCriterionValue(criterionType, criterionValue) {
-    const normalizedValue = criterionValue.trim().toLowerCase();
+    const value = criterionValue.trim();
+
+    switch (criterionType) {
+      case 'author':
+      case 'not_author':
+        return await ExpositionCriteria.resolveAuthor(value);
+
+      case 'tag':
+      case 'not_tag':
+        return await ExpositionCriteria.resolveTag(value);
+
+      case 'published_after':
+      case 'published_before':
+      case 'min_useful_feedback':
+      case 'min_versions':
+        return CriteriaExpressionService.normalizeValue(criterionType, value);
+
+      case 'expression': {
+        const tree = CriteriaExpressionService.parse(value);
+
+        // Every author and tag the expression names must exist
+        for (const test of CriteriaExpressionService.getTests(tree)) {
+          if (test.field === 'author' && !(await ExpositionCriteria.resolveAuthor(test.value))) {
+            throw new Error(`User '${test.value}' not found`);
+          }
+          if (test.field === 'tag' && !(await ExpositionCriteria.resolveTag(test.value))) {
+            throw new Error(`Tag '${test.value}' not found`);
+          }
+        }
 
-    if (criterionType === 'author') {
-      const result = await query(
-        'SELECT username FROM users WHERE LOWER(username) = $1 AND is_active = true',
-        [normalizedValue]
-      );
-      return result.rows.length > 0 ? result.rows[0].username : null;
-    } else if (criterionType === 'tag') {
-      const result = await query(
-        'SELECT name FROM tags WHERE LOWER(name) = $1',
-        [normalizedValue]
-      );
-      return result.rows.length > 0 ? result.rows[0].name : null;
+        return CriteriaExpressionService.serialize(tree);
+      }
+
+      default:
+        return null;
     }
+  }
 
-    return null;
+  /**
+   * Actual username casing for an active user, or null
+   */
+  static async resolveAuthor(username) {
+    const result = await query(
+      'SELECT username FROM users WHERE LOWER(username) = $1 AND is_active = true',
+      [username.toLowerCase()]
+    );
+    return result.rows.length > 0 ? result.rows[0].username : null;
+  }
+
+  /**
+   * Existing tag name for free-form input, or null
+   */
+  static async resolveTag(tagName) {
+    const result = await query(
+      'SELECT name FROM tags WHERE name = $1',
+      [Tag.normalize(tagName)]
+    );
+    return result.rows.length > 0 ? result.rows[0].name : null;
   }
 
   /**
@@ -444,6 +497,7 @@ class ExpositionCriteria {
       exposition_id: this.exposition_id,
       criterion_type: this.criterion_type,
       criterion_value: this.criterion_value,
+      criterion_expression: this.criterion_expression,
       added_at: this.added_at,
       exposition: this.exposition,
       resolved_author: this.resolved_author,
@@ -7,18 +7,40 @@
 const { query, transaction } = require('../config/database');
 const validator = require('validator');
 
+// Article access fields for Feedback.isVisibleTo (the query must join articles as a)
+const ARTICLE_ACCESS_COLUMNS = `a.user_id as article_author_id, a.status as article_status,
+  a.visibility as article_visibility,
+  COALESCE((
+    SELECT json_object_agg(ac.user_id, ac.role)
+    FROM article_collaborators ac
+    WHERE ac.article_id = a.id AND ac.status = 'accepted'
+  ), '{}') as collaborator_roles`;
+
 class Feedback {
   constructor(data = {}) {
     this.id = data.id || null;
     this.article_id = data.article_id || null;
     this.user_id = data.user_id || null;
     this.content = data.content || '';
+    this.polarity = data.polarity || null;
     this.is_public = data.is_public !== undefined ? data.is_public : true;
     this.status = data.status || 'active';
+    this.status_reason = data.status_reason || null;
+    this.status_changed_by = data.status_changed_by || null;
+    this.status_changed_at = data.status_changed_at || null;
+    this.feedback_type = data.feedback_type || 'general';
     this.embedding = data.embedding || null;
     this.ai_similarity_score = data.ai_similarity_score || null;
     this.embedding_model = data.embedding_model || null;
     this.embedding_generated_at = data.embedding_generated_at || null;
+    this.anchor_quote = data.anchor_quote || null;
+    this.anchor_prefix = data.anchor_prefix || null;
+    this.anchor_suffix = data.anchor_suffix || null;
+    this.anchor_start = data.anchor_start !== undefined ? data.anchor_start : null;
+    this.anchor_end = data.anchor_end !== undefined ? data.anchor_end : null;
+    this.anchor_version = data.anchor_version || null;
+    this.anchor_status = data.anchor_status || null;
+    this.anchor_updated_at = data.anchor_updated_at || null;
     this.created_at = data.created_at || null;
     this.updated_at = data.updated_at || null;
     // For joined queries
@@ -31,7 +53,80 @@ class Feedback {
    * Valid feedback statuses
    */
   static get STATUS_OPTIONS() {
-    return ['active', 'addressed', 'ignored_by_ai', 'manually_restored'];
+    return [
+      'active', 'acknowledged', 'addressed', 'dismissed',
+      'ignored_by_ai', 'manually_restored', 'may_no_longer_apply'
+    ];
+  }
+
+  /**
+   * Statuses still waiting on the author (the triage queue, and what readers see by default).
+   * 'may_no_longer_apply' is feedback flagged in a review round, open for re-votes.
+   */
+  static get OPEN_STATUSES() {
+    return ['active', 'acknowledged', 'manually_restored', 'may_no_longer_apply'];
+  }
+
+  /**
+   * Bulk triage actions: the status each sets and the statuses it applies to
+   */
+  static get TRIAGE_ACTIONS() {
+    return {
+      acknowledge: { status: 'acknowledged', from: ['active', 'manually_restored'] },
+      dismiss: { status: 'dismissed', from: ['active', 'acknowledged', 'manually_restored', 'may_no_longer_apply'] },
+      restore: { status: 'manually_restored', from: ['ignored_by_ai'] }
+    };
+  }
+
+  /**
+   * Feedback types from the original schema (polarity is the pro/con split)
+   */
+  static get FEEDBACK_TYPES() {
+    return ['general', 'suggestion', 'correction', 'praise', 'question'];
+  }
+
+  /**
+   * Valid feedback polarities (pro = keep/amplify, con = address/improve)
+   */
+  static get POLARITY_OPTIONS() {
+    return ['pro', 'con'];
+  }
+
+  /**
+   * Valid anchor statuses (see FeedbackAnchorService)
+   */
+  static get ANCHOR_STATUSES() {
+    return ['anchored', 'changed', 'orphaned'];
+  }
+
+  static get ARTICLE_ACCESS_COLUMNS() {
+    return ARTICLE_ACCESS_COLUMNS;
+  }
+
+  /**
+   * Whether a user may see a feedback item: its article must be published and
+   * not private, or the user its owner or a collaborator; private feedback is
+   * only for its author and those who review the article's feedback
+   * feedback: a row selected with ARTICLE_ACCESS_COLUMNS
+   */
+  static isVisibleTo(feedback, userId) {
+    const ArticleCollaborator = require('./ArticleCollaborator');
+
+    let role = null;
+    if (userId && userId === feedback.article_author_id) {
+      role = 'owner';
+    } else if (userId) {
+      role = (feedback.collaborator_roles || {})[userId] || null;
+    }
+
+    const articleVisible = (feedback.article_status === 'published' && feedback.article_visibility !== 'private') ||
+      ArticleCollaborator.can(role, 'view');
+
+    return articleVisible && (
+      feedback.is_public ||
+      (Boolean(userId) && userId === feedback.user_id) ||
+      ArticleCollaborator.can(role, 'view_private_feedback')
+    );
   }
 
   /**
@@ -42,7 +137,9 @@ class Feedback {
       articleId,
       userId,
       content,
-      isPublic = true
+      polarity,
+      isPublic = true,
+      anchor = null
     } = feedbackData;
 
     // Validation
@@ -50,6 +147,10 @@ class Feedback {
       throw new Error('Feedback content is required');
     }
 
+    if (!this.POLARITY_OPTIONS.includes(polarity)) {
+      throw new Error(`Invalid feedback polarity: ${polarity}`);
+    }
+
     if (content.length > 2000) {
       throw new Error('Feedback content cannot exceed 2000 characters');
     }
@@ -62,12 +163,19 @@ class Feedback {
       throw new Error('Invalid user ID');
     }
 
-    return await transaction(async (client) => {
+    let mentionedUserIds = [];
+
+    const feedback = await transaction(async (client) => {
       // Check if article exists and user is not the author
-      const articleResult = await client.query(
-        'SELECT user_id FROM articles WHERE id = $1',
-        [articleId]
-      );
+      const articleResult = await client.query(`
+        SELECT a.user_id, a.content,
+               COALESCE(MAX(av.version_number), a.version) as version,
+               is_blocked($2, a.user_id) as blocked
+        FROM articles a
+        LEFT JOIN article_versions av ON av.article_id = a.id
+        WHERE a.id = $1
+        GROUP BY a.id
+      `, [articleId, userId]);
 
       if (articleResult.rows.length === 0) {
         throw new Error('Article not found');
@@ -77,16 +185,47 @@ class Feedback {
         throw new Error('Authors cannot provide feedback on their own articles');
       }
 
+      if (articleResult.rows[0].blocked) {
+        throw new Error('You cannot give feedback on this article');
+      }
+
+      // Optional passage the feedback refers to, checked against the current content
+      let resolved = null;
+      if (anchor) {
+        const FeedbackAnchorService = require('../services/FeedbackAnchorService');
+        resolved = FeedbackAnchorService.resolveAnchor(articleResult.rows[0].content, anchor);
+      }
+
       // Create feedback
       const result = await client.query(`
         INSERT INTO feedback (
-          article_id, user_id, content, is_public, status
-        ) VALUES ($1, $2, $3, $4, $5)
+          article_id, user_id, content, polarity, is_public, status,
+          anchor_quote, anchor_prefix, anchor_suffix, anchor_start, anchor_end,
+          anchor_version, anchor_status
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
         RETURNING *
-      `, [articleId, userId, content.trim(), isPublic, 'active']);
+      `, [
+        articleId, userId, content.trim(), polarity, isPublic, 'active',
+        resolved ? resolved.quote : null,
+        resolved ? resolved.prefix : null,
+        resolved ? resolved.suffix : null,
+        resolved ? resolved.start : null,
+        resolved ? resolved.end : null,
+        resolved ? articleResult.rows[0].version : null,
+        resolved ? 'anchored' : null
+      ]);
 
       const feedback = new Feedback(result.rows[0]);
 
+      // Private feedback is only seen by its author and the article's author
+      const MentionService = require('../services/MentionService');
+      const { addedUserIds } = await MentionService.recordMentions(
+        client, 'feedback', feedback.id, userId, MentionService.parse(feedback.content).mentions
+      );
+      mentionedUserIds = isPublic
+        ? addedUserIds
+        : addedUserIds.filter(id => id === articleResult.rows[0].user_id);
+
       // Queue for embedding generation (handled by background service)
       try {
         const openAIService = require('../services/OpenAIService');
@@ -106,6 +245,19 @@ class Feedback {
 
       return feedback;
     });
+
+    if (mentionedUserIds.length > 0) {
+      const NotificationService = require('../services/NotificationService');
+      await NotificationService.handleMentionNotifications({
+        source: 'feedback',
+        id: feedback.id,
+        authorId: userId,
+        content: feedback.content,
+        articleId
+      }, mentionedUserIds);
+    }
+
+    return feedback;
   }
 
   /**
@@ -146,11 +298,13 @@ class Feedback {
 
   /**
    * Get feedback for article
+   * Returns { feedback, total }.
    */
   static async findByArticle(articleId, options = {}) {
     const {
       includePrivate = false,
       status = 'active',
+      polarity = null,
       includeAuthor = true,
       limit = 50,
       offset = 0,
@@ -166,22 +320,51 @@ class Feedback {
       whereClause += ' AND f.is_public = true';
     }
 
-    if (status) {
+    if (Array.isArray(status)) {
+      paramCount++;
+      whereClause += ` AND f.status = ANY($${paramCount})`;
+      params.push(status);
+    } else if (status) {
       paramCount++;
       whereClause += ` AND f.status = $${paramCount}`;
       params.push(status);
     }
 
-    const validOrderFields = ['created_at', 'updated_at'];
+    if (polarity) {
+      paramCount++;
+      whereClause += ` AND f.polarity = $${paramCount}`;
+      params.push(polarity);
+    }
+
+    const validOrderFields = ['created_at', 'updated_at', 'utility', 'reputation'];
     const orderField = validOrderFields.includes(orderBy) ? orderBy : 'created_at';
     const direction = orderDirection.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
-    let selectClause = 'f.*';
-    let joinClause = '';
+    // Utility ordering ranks by net helpful votes, breaking ties by vote volume and
+    // then by the reviewer's reputation; reputation ordering puts proven reviewers first
+    let orderClause;
+    if (orderField === 'utility') {
+      orderClause = `COALESCE(us.net_utility, 0) ${direction}, COALESCE(us.total_rankings, 0) DESC,
+        COALESCE(rr.score, 0) DESC, f.created_at DESC`;
+    } else if (orderField === 'reputation') {
+      orderClause = `COALESCE(rr.score, 0) ${direction}, COALESCE(us.net_utility, 0) DESC, f.created_at DESC`;
+    } else {
+      orderClause = `f.${orderField} ${direction}`;
+    }
+
+    let selectClause = `f.*, us.positive_vote_count, us.negative_vote_count,
+      us.ignore_count, us.total_rankings, us.net_utility, rr.score as reviewer_score,
+      COUNT(*) OVER() as total_count`;
+    // The reputation view aggregates all feedback; the lateral join lets Postgres
+    // push the reviewer filter into it so only the listed reviewers are scored
+    let joinClause = `LEFT JOIN feedback_utility_scores us ON us.feedback_id = f.id
+      LEFT JOIN LATERAL (
+        SELECT score FROM reviewer_reputation WHERE user_id = f.user_id
+      ) rr ON true`;
 
     if (includeAuthor) {
       selectClause += ', u.username, u.display_name, u.avatar_url';
-      joinClause = 'LEFT JOIN users u ON f.user_id = u.id';
+      joinClause += ' LEFT JOIN users u ON f.user_id = u.id';
     }
 
     const result = await query(`
@@ -189,23 +372,34 @@ class Feedback {
       FROM feedback f
       ${joinClause}
       ${whereClause}
-      ORDER BY f.${orderField} ${direction}
+      ORDER BY ${orderClause}
       LIMIT $${params.length + 1} OFFSET $${params.length + 2}
     `, [...params, limit, offset]);
 
-    return result.rows.map(row => {
-      const feedback = new Feedback(row);
+    const FeedbackRanking = require('./FeedbackRanking');
+    const ReviewerReputation = require('./ReviewerReputation');
+
+    const feedback = result.rows.map(row => {
+      const item = new Feedback(row);
+      item.ranking = FeedbackRanking.formatScores(row.total_rankings !== null ? row : null);
 
       if (includeAuthor) {
-        feedback.author = {
+        const reviewerScore = row.reviewer_score !== null ? parseFloat(row.reviewer_score) : 0;
+        item.author = {
           username: row.username,
           display_name: row.display_name,
-          avatar_url: row.avatar_url
+          avatar_url: row.avatar_url,
+          reputation: { score: reviewerScore, level: ReviewerReputation.levelFor(reviewerScore) }
         };
       }
 
-      return feedback;
+      return item;
     });
+
+    return {
+      feedback,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
   }
 
   /**
@@ -373,7 +567,10 @@ Provide a brief analysis of what the new feedback adds that the original doesn't
 
           const systemPrompt = "You are an expert at analyzing feedback similarity. Provide concise, helpful analysis about what makes feedback unique or redundant.";
 
-          const completionResult = await openAIService.generateCompletion(analysisPrompt, systemPrompt);
+          const completionResult = await openAIService.generateCompletion(analysisPrompt, systemPrompt, {
+            task: 'similarity_analysis',
+            context: { content, similarFeedback }
+          });
           analysis = completionResult.content;
         } catch (error) {
           console.error('Error generating similarity analysis:', error.message);
@@ -396,11 +593,13 @@ Provide a brief analysis of what the new feedback adds that the original doesn't
   /**
    * Update feedback status
    */
-  async updateStatus(newStatus, userId = null) {
+  async updateStatus(newStatus, userId = null, reason = null) {
     if (!Feedback.STATUS_OPTIONS.includes(newStatus)) {
       throw new Error(`Invalid status: ${newStatus}`);
     }
 
+    const statusReason = Feedback.validateStatusReason(reason);
+
     // Check permissions if userId provided
     if (userId && this.user_id !== userId) {
       // Allow article authors to mark feedback as addressed
@@ -416,15 +615,217 @@ Provide a brief analysis of what the new feedback adds that the original doesn't
 
     const result = await query(`
       UPDATE feedback
-      SET status = $1, updated_at = NOW()
-      WHERE id = $2
+      SET status = $1,
+          status_reason = $2,
+          status_changed_by = $3,
+          status_changed_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $4
       RETURNING *
-    `, [newStatus, this.id]);
+    `, [newStatus, statusReason, userId, this.id]);
 
     Object.assign(this, result.rows[0]);
     return this;
   }
 
+  static validateStatusReason(reason) {
+    if (reason === null || reason === undefined || String(reason).trim().length === 0) {
+      return null;
+    }
+
+    if (String(reason).length > 500) {
+      throw new Error('Status reason cannot exceed 500 characters');
+    }
+
+    return String(reason).trim();
+  }
+
+  /**
+   * Get the triage inbox: feedback across all of an author's articles
+   * Filters: status (string or array, default OPEN_STATUSES), polarity, feedbackType,
+   * articleId and minUtility (net helpful votes). Returns { feedback, total }.
+   */
+  static async getTriageInbox(authorId, options = {}) {
+    const {
+      status = this.OPEN_STATUSES,
+      polarity = null,
+      feedbackType = null,
+      articleId = null,
+      minUtility = null,
+      orderBy = 'created_at',
+      orderDirection = 'DESC',
+      limit = 50,
+      offset = 0
+    } = options;
+
+    const statuses = Array.isArray(status) ? status : [status];
+    const invalidStatus = statuses.find(value => !this.STATUS_OPTIONS.includes(value));
+    if (invalidStatus) {
+      throw new Error(`Invalid status: ${invalidStatus}`);
+    }
+
+    if (polarity && !this.POLARITY_OPTIONS.includes(polarity)) {
+      throw new Error(`Invalid feedback polarity: ${polarity}`);
+    }
+
+    if (feedbackType && !this.FEEDBACK_TYPES.includes(feedbackType)) {
+      throw new Error(`Invalid feedback type: ${feedbackType}`);
+    }
+
+    if (articleId && !validator.isUUID(articleId)) {
+      throw new Error('Invalid article ID');
+    }
+
+    const conditions = ['a.user_id = $1', 'f.status = ANY($2)'];
+    const params = [authorId, statuses];
+
+    if (polarity) {
+      params.push(polarity);
+      conditions.push(`f.polarity = $${params.length}`);
+    }
+
+    if (feedbackType) {
+      params.push(feedbackType);
+      conditions.push(`f.feedback_type = $${params.length}`);
+    }
+
+    if (articleId) {
+      params.push(articleId);
+      conditions.push(`f.article_id = $${params.length}`);
+    }
+
+    if (minUtility !== null && minUtility !== undefined) {
+      params.push(minUtility);
+      conditions.push(`COALESCE(us.net_utility, 0) >= $${params.length}`);
+    }
+
+    const direction = orderDirection.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    const orderClause = orderBy === 'utility'
+      ? `COALESCE(us.net_utility, 0) ${direction}, COALESCE(us.total_rankings, 0) DESC, f.created_at DESC`
+      : `f.created_at ${direction}`;
+
+    const result = await query(`
+      SELECT
+        f.*, us.positive_vote_count, us.negative_vote_count,
+        us.ignore_count, us.total_rankings, us.net_utility,
+        u.username, u.display_name, u.avatar_url,
+        a.title as article_title, a.slug as article_slug,
+        COUNT(*) OVER() as total_count
+      FROM feedback f
+      JOIN articles a ON f.article_id = a.id
+      LEFT JOIN feedback_utility_scores us ON us.feedback_id = f.id
+      LEFT JOIN users u ON f.user_id = u.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${orderClause}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const FeedbackRanking = require('./FeedbackRanking');
+
+    const feedback = result.rows.map(row => {
+      const item = new Feedback(row);
+      item.ranking = FeedbackRanking.formatScores(row.total_rankings !== null ? row : null);
+      item.author = {
+        username: row.username,
+        display_name: row.display_name,
+        avatar_url: row.avatar_url
+      };
+      item.article = {
+        id: row.article_id,
+        title: row.article_title,
+        slug: row.article_slug
+      };
+      return item;
+    });
+
+    return {
+      feedback,
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  /**
+   * Per-article feedback counts by status for an author's triage inbox
+   * Only articles with feedback are listed, busiest queue first.
+   */
+  static async getTriageCounts(authorId) {
+    const result = await query(`
+      SELECT
+        a.id as article_id, a.title, a.slug,
+        ${this.STATUS_OPTIONS.map(status => `COUNT(*) FILTER (WHERE f.status = '${status}') as ${status}`).join(',\n        ')}
+      FROM articles a
+      JOIN feedback f ON f.article_id = a.id
+      WHERE a.user_id = $1
+      GROUP BY a.id, a.title, a.slug
+      ORDER BY COUNT(*) FILTER (WHERE f.status = ANY($2)) DESC, a.title ASC
+    `, [authorId, this.OPEN_STATUSES]);
+
+    return result.rows.map(row => {
+      const counts = {};
+      for (const status of this.STATUS_OPTIONS) {
+        counts[status] = parseInt(row[status]);
+      }
+
+      return {
+        article_id: row.article_id,
+        title: row.title,
+        slug: row.slug,
+        open: this.OPEN_STATUSES.reduce((sum, status) => sum + counts[status], 0),
+        counts
+      };
+    });
+  }
+
+  /**
+   * Apply a triage action to many feedback items on the author's articles
+   * Items on other authors' articles, or not in a status the action applies to,
+   * are left alone and reported as skipped. Returns { status, updated, skipped }.
+   */
+  static async bulkTriage(authorId, feedbackIds, action, reason = null) {
+    const triageAction = this.TRIAGE_ACTIONS[action];
+    if (!triageAction) {
+      throw new Error(`Invalid triage action: ${action}`);
+    }
+
+    if (!Array.isArray(feedbackIds) || feedbackIds.length === 0) {
+      throw new Error('At least one feedback ID is required');
+    }
+
+    if (feedbackIds.length > 100) {
+      throw new Error('Cannot triage more than 100 feedback items at once');
+    }
+
+    if (!feedbackIds.every(id => validator.isUUID(String(id)))) {
+      throw new Error('Invalid feedback ID');
+    }
+
+    const statusReason = this.validateStatusReason(reason);
+    const ids = [...new Set(feedbackIds)];
+
+    const result = await query(`
+      UPDATE feedback f
+      SET status = $1,
+          status_reason = $2,
+          status_changed_by = $3,
+          status_changed_at = NOW(),
+          updated_at = NOW()
+      FROM articles a
+      WHERE f.article_id = a.id
+        AND a.user_id = $3
+        AND f.id = ANY($4::uuid[])
+        AND f.status = ANY($5)
+      RETURNING f.id
+    `, [triageAction.status, statusReason, authorId, ids, triageAction.from]);
+
+    const updated = result.rows.map(row => row.id);
+
+    return {
+      status: triageAction.status,
+      updated,
+      skipped: ids.filter(id => !updated.includes(id))
+    };
+  }
+
   /**
    * Delete feedback
    */
@@ -445,7 +846,7 @@ Provide a brief analysis of what the new feedback adds that the original doesn't
       // Delete related data
       await client.query('DELETE FROM feedback_similarity_analysis WHERE feedback_id = $1 OR similar_feedback_id = $1', [this.id]);
       await client.query('DELETE FROM feedback_resolution_analysis WHERE feedback_id = $1', [this.id]);
-      await client.query('DELETE FROM feedback_ranking WHERE feedback_id = $1', [this.id]);
+      await client.query('DELETE FROM feedback_rankings WHERE feedback_id = $1', [this.id]);
       await client.query('DELETE FROM feedback WHERE id = $1', [this.id]);
     });
 
@@ -467,6 +868,8 @@ Provide a brief analysis of what the new feedback adds that the original doesn't
       SELECT
         COUNT(CASE WHEN status = 'active' THEN 1 END) as active_feedback,
         COUNT(CASE WHEN status = 'addressed' THEN 1 END) as addressed_feedback,
+        COUNT(CASE WHEN polarity = 'pro' THEN 1 END) as pro_feedback,
+        COUNT(CASE WHEN polarity = 'con' THEN 1 END) as con_feedback,
         COUNT(CASE WHEN is_public = true THEN 1 END) as public_feedback,
         COUNT(CASE WHEN is_public = false THEN 1 END) as private_feedback
       FROM feedback
@@ -481,11 +884,32 @@ Provide a brief analysis of what the new feedback adds that the original doesn't
       avg_similarity_checks: parseInt(stats.avg_similarity_checks),
       active_feedback: parseInt(additionalStats.rows[0].active_feedback),
       addressed_feedback: parseInt(additionalStats.rows[0].addressed_feedback),
+      pro_feedback: parseInt(additionalStats.rows[0].pro_feedback),
+      con_feedback: parseInt(additionalStats.rows[0].con_feedback),
       public_feedback: parseInt(additionalStats.rows[0].public_feedback),
       private_feedback: parseInt(additionalStats.rows[0].private_feedback)
     };
   }
 
+  /**
+   * Passage this feedback is anchored to, or null
+   */
+  getAnchor() {
+    if (!this.anchor_quote) {
+      return null;
+    }
+
+    return {
+      quote: this.anchor_quote,
+      prefix: this.anchor_prefix,
+      suffix: this.anchor_suffix,
+      start: this.anchor_start,
+      end: this.anchor_end,
+      version: this.anchor_version,
+      status: this.anchor_status
+    };
+  }
+
   /**
    * Convert to JSON for API responses
    */
@@ -495,11 +919,16 @@ Provide a brief analysis of what the new feedback adds that the original doesn't
       article_id: this.article_id,
       user_id: this.user_id,
       content: this.content,
+      polarity: this.polarity,
       is_public: this.is_public,
       status: this.status,
+      status_reason: this.status_reason,
+      status_changed_at: this.status_changed_at,
+      feedback_type: this.feedback_type,
       ai_similarity_score: this.ai_similarity_score,
       embedding_model: this.embedding_model,
       embedding_generated_at: this.embedding_generated_at,
+      anchor: this.getAnchor(),
       created_at: this.created_at,
       updated_at: this.updated_at,
       author: this.author,
@@ -515,13 +944,16 @@ Provide a brief analysis of what the new feedback adds that the original doesn't
     return {
       id: this.id,
       content: this.content,
+      polarity: this.polarity,
       is_public: this.is_public,
       status: this.status,
+      anchor: this.getAnchor(),
       created_at: this.created_at,
       updated_at: this.updated_at,
       author: this.author ? {
         username: this.author.username,
-        display_name: this.author.display_name
+        display_name: this.author.display_name,
+        reputation: this.author.reputation || null
       } : null,
       ranking: this.ranking
     };
@@ -0,0 +1,178 @@
+/**
+ * FeedbackRanking Model for Knowledge Foyer
+ *
+ * Tracks reader votes on feedback utility and the denormalized utility scores
+ */
+
+const { query, transaction } = require('../config/database');
+const validator = require('validator');
+
+class FeedbackRanking {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.feedback_id = data.feedback_id || null;
+    this.user_id = data.user_id || null;
+    this.positive_utility = data.positive_utility || false;
+    this.negative_utility = data.negative_utility || false;
+    this.ignored = data.ignored || false;
+    this.created_at = data.created_at || null;
+    this.updated_at = data.updated_at || null;
+  }
+
+  /**
+   * Record (or change) a user's utility vote on a feedback item
+   */
+  static async rank(rankingData) {
+    const {
+      feedbackId,
+      userId,
+      positiveUtility = false,
+      negativeUtility = false,
+      ignored = false
+    } = rankingData;
+
+    if (!validator.isUUID(feedbackId)) {
+      throw new Error('Invalid feedback ID');
+    }
+
+    if (!positiveUtility && !negativeUtility && !ignored) {
+      throw new Error('A ranking must be positive, negative, or ignored');
+    }
+
+    if (positiveUtility && negativeUtility) {
+      throw new Error('Feedback cannot be ranked both positive and negative');
+    }
+
+    const Feedback = require('./Feedback');
+
+    return await transaction(async (client) => {
+      const feedbackResult = await client.query(`
+        SELECT f.id, f.user_id, f.article_id, f.is_public, ${Feedback.ARTICLE_ACCESS_COLUMNS}
+        FROM feedback f
+        JOIN articles a ON f.article_id = a.id
+        WHERE f.id = $1
+      `, [feedbackId]);
+
+      // Only feedback the user can read may be ranked
+      if (feedbackResult.rows.length === 0 || !Feedback.isVisibleTo(feedbackResult.rows[0], userId)) {
+        throw new Error('Feedback not found');
+      }
+
+      if (feedbackResult.rows[0].user_id === userId) {
+        throw new Error('Users cannot rank their own feedback');
+      }
+
+      const result = await client.query(`
+        INSERT INTO feedback_rankings (
+          feedback_id, user_id, positive_utility, negative_utility, ignored
+        ) VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (feedback_id, user_id) DO UPDATE SET
+          positive_utility = EXCLUDED.positive_utility,
+          negative_utility = EXCLUDED.negative_utility,
+          ignored = EXCLUDED.ignored
+        RETURNING *
+      `, [feedbackId, userId, !!positiveUtility, !!negativeUtility, !!ignored]);
+
+      const scoresResult = await client.query(
+        'SELECT * FROM feedback_utility_scores WHERE feedback_id = $1',
+        [feedbackId]
+      );
+
+      return {
+        ranking: new FeedbackRanking(result.rows[0]),
+        articleId: feedbackResult.rows[0].article_id,
+        scores: FeedbackRanking.formatScores(scoresResult.rows[0])
+      };
+    });
+  }
+
+  /**
+   * Remove a user's vote on a feedback item
+   */
+  static async remove(feedbackId, userId) {
+    const result = await query(`
+      DELETE FROM feedback_rankings
+      WHERE feedback_id = $1 AND user_id = $2
+      RETURNING *
+    `, [feedbackId, userId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Ranking not found');
+    }
+
+    return await this.getScores(feedbackId);
+  }
+
+  /**
+   * Find a user's vote on a feedback item
+   */
+  static async findByUserAndFeedback(userId, feedbackId) {
+    const result = await query(`
+      SELECT * FROM feedback_rankings
+      WHERE user_id = $1 AND feedback_id = $2
+    `, [userId, feedbackId]);
+
+    return result.rows.length > 0 ? new FeedbackRanking(result.rows[0]) : null;
+  }
+
+  /**
+   * Get denormalized utility scores for a feedback item
+   */
+  static async getScores(feedbackId) {
+    const result = await query(
+      'SELECT * FROM feedback_utility_scores WHERE feedback_id = $1',
+      [feedbackId]
+    );
+
+    return this.formatScores(result.rows[0]);
+  }
+
+  /**
+   * Get a user's votes for every feedback item on an article, keyed by feedback ID
+   */
+  static async getUserVotesForArticle(userId, articleId) {
+    const result = await query(`
+      SELECT fr.*
+      FROM feedback_rankings fr
+      JOIN feedback f ON fr.feedback_id = f.id
+      WHERE fr.user_id = $1 AND f.article_id = $2
+    `, [userId, articleId]);
+
+    const votes = {};
+    for (const row of result.rows) {
+      votes[row.feedback_id] = new FeedbackRanking(row).toJSON();
+    }
+    return votes;
+  }
+
+  /**
+   * Normalize a feedback_utility_scores row (missing row means no votes yet)
+   */
+  static formatScores(row) {
+    return {
+      positive_count: row ? parseInt(row.positive_vote_count) : 0,
+      negative_count: row ? parseInt(row.negative_vote_count) : 0,
+      ignore_count: row ? parseInt(row.ignore_count) : 0,
+      total_rankings: row ? parseInt(row.total_rankings) : 0,
+      net_utility: row ? parseInt(row.net_utility) : 0
+    };
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      feedback_id: this.feedback_id,
+      user_id: this.user_id,
+      positive_utility: this.positive_utility,
+      negative_utility: this.negative_utility,
+      ignored: this.ignored,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = FeedbackRanking;
@@ -0,0 +1,246 @@
+/**
+ * Feedback Reply Model for Knowledge Foyer
+ *
+ * Threaded discussion under a feedback item. Replies by the article's author
+ * are flagged so they stand out as responses to the feedback.
+ */
+
+const { query, transaction } = require('../config/database');
+const validator = require('validator');
+
+class FeedbackReply {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.feedback_id = data.feedback_id || null;
+    this.parent_reply_id = data.parent_reply_id || null;
+    this.user_id = data.user_id || null;
+    this.content = data.content || '';
+    this.is_author_reply = data.is_author_reply || false;
+    this.created_at = data.created_at || null;
+    this.updated_at = data.updated_at || null;
+    // For joined queries and threads
+    this.author = data.author || null;
+    this.replies = data.replies || [];
+  }
+
+  /**
+   * Create a reply to a feedback item or to another reply in its thread
+   */
+  static async create(replyData) {
+    const {
+      feedbackId,
+      userId,
+      content,
+      parentReplyId = null
+    } = replyData;
+
+    // Validation
+    if (!content || content.trim().length === 0) {
+      throw new Error('Reply content is required');
+    }
+
+    if (content.length > 2000) {
+      throw new Error('Reply content cannot exceed 2000 characters');
+    }
+
+    if (!validator.isUUID(feedbackId)) {
+      throw new Error('Invalid feedback ID');
+    }
+
+    if (!validator.isUUID(userId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    if (parentReplyId !== null && !validator.isUUID(parentReplyId)) {
+      throw new Error('Invalid parent reply ID');
+    }
+
+    const Feedback = require('./Feedback');
+
+    const { reply, context, mentionedUserIds } = await transaction(async (client) => {
+      const feedbackResult = await client.query(`
+        SELECT f.user_id, f.is_public, f.article_id, a.title as article_title,
+               ${Feedback.ARTICLE_ACCESS_COLUMNS},
+               is_blocked($2, a.user_id) as blocked
+        FROM feedback f
+        JOIN articles a ON f.article_id = a.id
+        WHERE f.id = $1
+      `, [feedbackId, userId]);
+
+      const feedback = feedbackResult.rows[0];
+
+      // Only people who can read the thread can reply to it
+      if (!feedback || !this.canView(feedback, userId)) {
+        throw new Error('Feedback not found');
+      }
+
+      if (feedback.blocked) {
+        throw new Error('You cannot reply on this article');
+      }
+
+      let parentReplyAuthorId = null;
+      if (parentReplyId) {
+        const parentResult = await client.query(
+          'SELECT user_id FROM feedback_replies WHERE id = $1 AND feedback_id = $2',
+          [parentReplyId, feedbackId]
+        );
+
+        if (parentResult.rows.length === 0) {
+          throw new Error('Parent reply not found');
+        }
+
+        parentReplyAuthorId = parentResult.rows[0].user_id;
+      }
+
+      const result = await client.query(`
+        INSERT INTO feedback_replies (
+          feedback_id, parent_reply_id, user_id, content, is_author_reply
+        ) VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [feedbackId, parentReplyId, userId, content.trim(), userId === feedback.article_author_id]);
+
+      const reply = new FeedbackReply(result.rows[0]);
+
+      const MentionService = require('../services/MentionService');
+      const { addedUserIds } = await MentionService.recordMentions(
+        client, 'feedback_reply', reply.id, userId, MentionService.parse(reply.content).mentions
+      );
+
+      return {
+        reply,
+        // Only people who can read the thread; participants hear about the reply anyway
+        mentionedUserIds: addedUserIds.filter(id => this.canView(feedback, id) &&
+          ![feedback.user_id, feedback.article_author_id, parentReplyAuthorId].includes(id)),
+        context: {
+          articleId: feedback.article_id,
+          articleTitle: feedback.article_title,
+          articleAuthorId: feedback.article_author_id,
+          feedbackAuthorId: feedback.user_id,
+          parentReplyAuthorId
+        }
+      };
+    });
+
+    try {
+      const NotificationService = require('../services/NotificationService');
+      await NotificationService.handleFeedbackReplyNotifications(reply, context);
+
+      if (mentionedUserIds.length > 0) {
+        await NotificationService.handleMentionNotifications({
+          source: 'feedback_reply',
+          id: reply.id,
+          authorId: userId,
+          content: reply.content,
+          articleId: context.articleId,
+          feedbackId
+        }, mentionedUserIds);
+      }
+    } catch (error) {
+      console.error('Error creating feedback reply notifications:', error.message);
+    }
+
+    return reply;
+  }
+
+  /**
+   * Whether a user may see a feedback item's thread: the article must be
+   * readable to them, and private feedback is a conversation between its
+   * author, the article's author and its reviewers (see Feedback.isVisibleTo)
+   * feedback: a row selected with Feedback.ARTICLE_ACCESS_COLUMNS
+   */
+  static canView(feedback, userId) {
+    const Feedback = require('./Feedback');
+    return Feedback.isVisibleTo(feedback, userId);
+  }
+
+  /**
+   * Get a feedback item with its replies nested under their parents
+   * Returns null when the feedback does not exist or is not visible to the viewer.
+   */
+  static async getThread(feedbackId, viewerId = null) {
+    const Feedback = require('./Feedback');
+
+    const feedback = await Feedback.findById(feedbackId, true);
+    if (!feedback) {
+      return null;
+    }
+
+    const articleResult = await query(
+      `SELECT a.title, ${Feedback.ARTICLE_ACCESS_COLUMNS} FROM articles a WHERE a.id = $1`,
+      [feedback.article_id]
+    );
+    const article = articleResult.rows[0];
+
+    if (!article || !this.canView({ ...article, is_public: feedback.is_public, user_id: feedback.user_id }, viewerId)) {
+      return null;
+    }
+
+    const result = await query(`
+      SELECT fr.*, u.username, u.display_name, u.avatar_url
+      FROM feedback_replies fr
+      LEFT JOIN users u ON fr.user_id = u.id
+      WHERE fr.feedback_id = $1
+      ORDER BY fr.created_at ASC
+    `, [feedbackId]);
+
+    const replies = result.rows.map(row => {
+      const reply = new FeedbackReply(row);
+      reply.author = {
+        username: row.username,
+        display_name: row.display_name,
+        avatar_url: row.avatar_url
+      };
+      return reply;
+    });
+
+    return {
+      feedback,
+      article: { id: feedback.article_id, title: article.title, user_id: article.article_author_id },
+      replies: this.buildTree(replies),
+      reply_count: replies.length
+    };
+  }
+
+  /**
+   * Nest replies (oldest first) under their parents; returns the top-level replies
+   */
+  static buildTree(replies) {
+    const byId = new Map(replies.map(reply => [reply.id, reply]));
+    const roots = [];
+
+    for (const reply of replies) {
+      const parent = reply.parent_reply_id ? byId.get(reply.parent_reply_id) : null;
+      if (parent) {
+        parent.replies.push(reply);
+      } else {
+        roots.push(reply);
+      }
+    }
+
+    return roots;
+  }
+
+  /**
+   * Convert to JSON for API responses (includes nested replies)
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      feedback_id: this.feedback_id,
+      parent_reply_id: this.parent_reply_id,
+      user_id: this.user_id,
+      content: this.content,
+      is_author_reply: this.is_author_reply,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      author: this.author ? {
+        username: this.author.username,
+        display_name: this.author.display_name,
+        avatar_url: this.author.avatar_url
+      } : null,
+      replies: this.replies.map(reply => reply.toJSON())
+    };
+  }
+}
+
+module.exports = FeedbackReply;
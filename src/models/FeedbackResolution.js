@@ -98,7 +98,7 @@ class FeedbackResolution {
     const { limit = 50, offset = 0 } = options;
 
     const result = await query(`
-      SELECT fr.*, f.content as feedback_content, f.type as feedback_type,
+      SELECT fr.*, f.content as feedback_content, f.polarity as feedback_polarity,
              fu.username as feedback_author, u.username as resolver_username,
              u.display_name as resolver_name
       FROM feedback_resolutions fr
@@ -114,7 +114,7 @@ class FeedbackResolution {
       const resolution = new FeedbackResolution(row);
       resolution.feedback = {
         content: row.feedback_content,
-        type: row.feedback_type,
+        polarity: row.feedback_polarity,
         author: row.feedback_author
       };
       resolution.resolver = {
@@ -130,7 +130,7 @@ class FeedbackResolution {
    */
   static async getByVersion(articleId, versionNumber) {
     const result = await query(`
-      SELECT fr.*, f.content as feedback_content, f.type as feedback_type,
+      SELECT fr.*, f.content as feedback_content, f.polarity as feedback_polarity,
              fu.username as feedback_author, u.username as resolver_username,
              u.display_name as resolver_name
       FROM feedback_resolutions fr
@@ -145,7 +145,7 @@ class FeedbackResolution {
       const resolution = new FeedbackResolution(row);
       resolution.feedback = {
         content: row.feedback_content,
-        type: row.feedback_type,
+        polarity: row.feedback_polarity,
         author: row.feedback_author
       };
       resolution.resolver = {
@@ -157,11 +157,11 @@ class FeedbackResolution {
   }
 
   /**
-   * Get resolutions between versions
+   * Get resolutions that landed between versions (to_version in (fromVersion, toVersion])
    */
   static async getByVersionRange(articleId, fromVersion, toVersion) {
     const result = await query(`
-      SELECT fr.*, f.content as feedback_content, f.type as feedback_type,
+      SELECT fr.*, f.content as feedback_content, f.polarity as feedback_polarity,
              fu.username as feedback_author, u.username as resolver_username,
              u.display_name as resolver_name
       FROM feedback_resolutions fr
@@ -169,7 +169,7 @@ class FeedbackResolution {
       LEFT JOIN users fu ON f.user_id = fu.id
       LEFT JOIN users u ON fr.created_by = u.id
       WHERE fr.article_id = $1
-        AND fr.from_version >= $2
+        AND fr.to_version > $2
         AND fr.to_version <= $3
       ORDER BY fr.to_version ASC, fr.created_at DESC
     `, [articleId, fromVersion, toVersion]);
@@ -178,7 +178,7 @@ class FeedbackResolution {
       const resolution = new FeedbackResolution(row);
       resolution.feedback = {
         content: row.feedback_content,
-        type: row.feedback_type,
+        polarity: row.feedback_polarity,
         author: row.feedback_author
       };
       resolution.resolver = {
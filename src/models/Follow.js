@@ -25,6 +25,11 @@ class Follow {
       throw new Error('Users cannot follow themselves');
     }
 
+    const UserRestriction = require('./UserRestriction');
+    if (await UserRestriction.isBlocked(followerId, followedId)) {
+      throw new Error('You cannot follow this user');
+    }
+
     // Check if relationship already exists
     const existing = await this.findRelationship(followerId, followedId);
     if (existing) {
@@ -150,6 +155,7 @@ class Follow {
         SELECT followed_id FROM follows WHERE follower_id = $1
       )
       AND u.is_active = true
+      AND NOT is_hidden_from(u.id, $1)
       GROUP BY u.id, u.username, u.display_name, u.bio, u.followers_count, u.created_at
       ORDER BY mutual_followers DESC, u.followers_count DESC, u.created_at DESC
       LIMIT $2 OFFSET $3
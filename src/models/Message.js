@@ -6,6 +6,14 @@
 
 const { query, transaction } = require('../config/database');
 
+// Select-list column aggregating the usernames a message mentions (alias `m` for messages)
+const MENTIONS_COLUMN = `COALESCE((
+        SELECT array_agg(mu.username ORDER BY mu.username)
+        FROM mentions mn
+        JOIN users mu ON mn.user_id = mu.id
+        WHERE mn.message_id = m.id
+      ), '{}') as mentions`;
+
 class Message {
   constructor(data = {}) {
     this.id = data.id || null;
@@ -17,6 +25,7 @@ class Message {
     this.article_id = data.article_id || null;
     this.metadata = data.metadata || {};
     this.is_pinned = data.is_pinned || false;
+    this.conversation_id = data.conversation_id || null;
     this.created_at = data.created_at || null;
     this.updated_at = data.updated_at || null;
     // For joined queries
@@ -24,6 +33,11 @@ class Message {
     this.reply_to = data.reply_to || null;
     this.article = data.article || null;
     this.replies_count = data.replies_count || 0;
+    this.mentions = data.mentions || [];
+  }
+
+  static get MENTIONS_COLUMN() {
+    return MENTIONS_COLUMN;
   }
 
   /**
@@ -40,6 +54,19 @@ class Message {
     return ['public', 'followers', 'private'];
   }
 
+  /**
+   * Check message content (posts and direct messages)
+   */
+  static validateContent(content) {
+    if (!content || content.trim().length === 0) {
+      throw new Error('Message content is required');
+    }
+
+    if (content.length > 2000) {
+      throw new Error('Message content cannot exceed 2000 characters');
+    }
+  }
+
   /**
    * Create a new message
    */
@@ -55,13 +82,7 @@ class Message {
     } = messageData;
 
     // Validation
-    if (!content || content.trim().length === 0) {
-      throw new Error('Message content is required');
-    }
-
-    if (content.length > 2000) {
-      throw new Error('Message content cannot exceed 2000 characters');
-    }
+    this.validateContent(content);
 
     if (!this.MESSAGE_TYPES.includes(messageType)) {
       throw new Error(`Invalid message type: ${messageType}`);
@@ -71,7 +92,21 @@ class Message {
       throw new Error(`Invalid visibility: ${visibility}`);
     }
 
-    return await transaction(async (client) => {
+    if (replyToId) {
+      const blockResult = await query(
+        'SELECT is_blocked($1, user_id) as blocked FROM messages WHERE id = $2',
+        [userId, replyToId]
+      );
+
+      if (blockResult.rows.length > 0 && blockResult.rows[0].blocked) {
+        throw new Error('You cannot reply to this user');
+      }
+    }
+
+    let mentionedUserIds = [];
+    let repliedToUserId = null;
+
+    const message = await transaction(async (client) => {
       const result = await client.query(`
         INSERT INTO messages (
           user_id, content, message_type, visibility,
@@ -84,12 +119,14 @@ class Message {
       ]);
 
       const message = new Message(result.rows[0]);
+      mentionedUserIds = await Message.recordReferences(client, message);
 
       // Handle reply notifications
       if (replyToId) {
         try {
           const originalMessage = await Message.findById(replyToId, true);
           if (originalMessage && originalMessage.user_id !== userId) {
+            repliedToUserId = originalMessage.user_id;
             const NotificationService = require('../services/NotificationService');
             await NotificationService.handleMessageReplyNotification(originalMessage, message, userId);
           }
@@ -100,6 +137,59 @@ class Message {
 
       return message;
     });
+
+    // The author of the message replied to already heard about the reply
+    await Message.notifyMentions(message, mentionedUserIds.filter(id => id !== repliedToUserId));
+
+    return message;
+  }
+
+  /**
+   * Record a message's @mentions and #hashtags inside a transaction
+   * Returns the ids of newly mentioned users who can see the message.
+   */
+  static async recordReferences(client, message) {
+    const MentionService = require('../services/MentionService');
+    const Tag = require('./Tag');
+    const { mentions, hashtags } = MentionService.parse(message.content);
+
+    const { usernames, addedUserIds } = await MentionService.recordMentions(
+      client, 'message', message.id, message.user_id, mentions
+    );
+    await Tag.setMessageTags(client, message.id, hashtags);
+    message.mentions = usernames;
+
+    const candidateIds = addedUserIds.filter(id => id !== message.user_id);
+    if (message.visibility === 'private' || candidateIds.length === 0) {
+      return [];
+    }
+
+    if (message.visibility === 'followers') {
+      const followerResult = await client.query(
+        'SELECT follower_id FROM follows WHERE followed_id = $1 AND follower_id = ANY($2::uuid[])',
+        [message.user_id, candidateIds]
+      );
+      return followerResult.rows.map(row => row.follower_id);
+    }
+
+    return candidateIds;
+  }
+
+  /**
+   * Notify users mentioned in a message
+   */
+  static async notifyMentions(message, userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    const NotificationService = require('../services/NotificationService');
+    return await NotificationService.handleMentionNotifications({
+      source: 'message',
+      id: message.id,
+      authorId: message.user_id,
+      content: message.content
+    }, userIds);
   }
 
   /**
@@ -114,7 +204,7 @@ class Message {
     const result = await query(`
       SELECT
         m.*,
-        u.username, u.display_name, u.avatar_url,
+        u.username, u.display_name, u.avatar_url, ${MENTIONS_COLUMN},
         (SELECT COUNT(*) FROM messages WHERE reply_to_id = m.id) as replies_count
       FROM messages m
       LEFT JOIN users u ON m.user_id = u.id
@@ -149,7 +239,8 @@ class Message {
       orderDirection = 'DESC'
     } = options;
 
-    let whereClause = 'WHERE m.user_id = $1';
+    // Direct messages belong to conversations, not the user's posts
+    let whereClause = 'WHERE m.user_id = $1 AND m.conversation_id IS NULL';
     const params = [userId];
     let paramCount = 1;
 
@@ -170,7 +261,7 @@ class Message {
     const result = await query(`
       SELECT
         m.*,
-        u.username, u.display_name, u.avatar_url,
+        u.username, u.display_name, u.avatar_url, ${MENTIONS_COLUMN},
         (SELECT COUNT(*) FROM messages WHERE reply_to_id = m.id) as replies_count
       FROM messages m
       LEFT JOIN users u ON m.user_id = u.id
@@ -200,7 +291,7 @@ class Message {
     const result = await query(`
       SELECT
         m.*,
-        u.username, u.display_name, u.avatar_url,
+        u.username, u.display_name, u.avatar_url, ${MENTIONS_COLUMN},
         (SELECT COUNT(*) FROM messages WHERE reply_to_id = m.id) as replies_count
       FROM messages m
       LEFT JOIN users u ON m.user_id = u.id
@@ -224,6 +315,7 @@ class Message {
 
   /**
    * Get user's personalized feed
+   * get_user_feed() leaves out users the viewer muted or blocked (migration 023).
    */
   static async getUserFeed(userId, options = {}) {
     const { limit = 50, offset = 0 } = options;
@@ -245,7 +337,7 @@ class Message {
     const result = await query(`
       SELECT
         m.*,
-        u.username, u.display_name, u.avatar_url,
+        u.username, u.display_name, u.avatar_url, ${MENTIONS_COLUMN},
         (SELECT COUNT(*) FROM messages WHERE reply_to_id = m.id) as replies_count
       FROM messages m
       LEFT JOIN users u ON m.user_id = u.id
@@ -277,7 +369,7 @@ class Message {
     const result = await query(`
       SELECT
         m.*,
-        u.username, u.display_name, u.avatar_url
+        u.username, u.display_name, u.avatar_url, ${MENTIONS_COLUMN}
       FROM messages m
       LEFT JOIN users u ON m.user_id = u.id
       WHERE m.article_id = $1
@@ -335,14 +427,14 @@ class Message {
     const params = [searchTerm];
 
     if (userId) {
-      whereClause += ` OR (m.user_id = $2 AND m.visibility IN ('public', 'followers', 'private'))`;
+      whereClause += ` OR (m.user_id = $2 AND m.visibility IN ('public', 'followers', 'private') AND m.conversation_id IS NULL)`;
       params.push(userId);
     }
 
     const result = await query(`
       SELECT
         m.*,
-        u.username, u.display_name, u.avatar_url,
+        u.username, u.display_name, u.avatar_url, ${MENTIONS_COLUMN},
         (SELECT COUNT(*) FROM messages WHERE reply_to_id = m.id) as replies_count
       FROM messages m
       LEFT JOIN users u ON m.user_id = u.id
@@ -372,6 +464,10 @@ class Message {
       throw new Error('Unauthorized to update this message');
     }
 
+    if (this.conversation_id) {
+      throw new Error('Direct messages cannot be edited');
+    }
+
     const allowedFields = ['content', 'visibility', 'is_pinned'];
     const updateFields = [];
     const values = [];
@@ -400,18 +496,26 @@ class Message {
     }
 
     values.push(this.id);
-    const result = await query(`
-      UPDATE messages
-      SET ${updateFields.join(', ')}, updated_at = NOW()
-      WHERE id = $${paramCount}
-      RETURNING *
-    `, values);
+    const mentionedUserIds = await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE messages
+        SET ${updateFields.join(', ')}, updated_at = NOW()
+        WHERE id = $${paramCount}
+        RETURNING *
+      `, values);
 
-    if (result.rows.length === 0) {
-      throw new Error('Message not found');
-    }
+      if (result.rows.length === 0) {
+        throw new Error('Message not found');
+      }
+
+      Object.assign(this, result.rows[0]);
+
+      // Edited content may mention different people and tags
+      return updates.content !== undefined ? await Message.recordReferences(client, this) : [];
+    });
+
+    await Message.notifyMentions(this, mentionedUserIds);
 
-    Object.assign(this, result.rows[0]);
     return this;
   }
 
@@ -468,7 +572,7 @@ class Message {
         COUNT(CASE WHEN is_pinned = true THEN 1 END) as pinned_messages,
         MAX(created_at) as latest_message_at
       FROM messages
-      WHERE user_id = $1
+      WHERE user_id = $1 AND conversation_id IS NULL
     `, [userId]);
 
     const row = result.rows[0];
@@ -483,6 +587,14 @@ class Message {
     };
   }
 
+  /**
+   * Content as escaped HTML with @mentions and #hashtags linked
+   */
+  renderContent() {
+    const MentionService = require('../services/MentionService');
+    return MentionService.render(this.content, this.mentions);
+  }
+
   /**
    * Convert to JSON for API responses
    */
@@ -497,6 +609,9 @@ class Message {
       article_id: this.article_id,
       metadata: typeof this.metadata === 'string' ? JSON.parse(this.metadata) : this.metadata,
       is_pinned: this.is_pinned,
+      conversation_id: this.conversation_id,
+      mentions: this.mentions,
+      content_html: this.renderContent(),
       created_at: this.created_at,
       updated_at: this.updated_at,
       author: this.author,
@@ -513,6 +628,8 @@ class Message {
     return {
       id: this.id,
       content: this.content,
+      content_html: this.renderContent(),
+      mentions: this.mentions,
       message_type: this.message_type,
       is_pinned: this.is_pinned,
       created_at: this.created_at,
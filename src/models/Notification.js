@@ -30,7 +30,14 @@ class Notification {
       'new_message',
       'message_reply',
       'feedback_received',
-      'feedback_resolved'
+      'feedback_resolved',
+      'feedback_reply',
+      'review_round_opened',
+      'review_round_closed',
+      'collaboration_invite',
+      'collaboration_accepted',
+      'direct_message',
+      'mention'
     ];
   }
 
@@ -0,0 +1,288 @@
+/**
+ * NotificationPreference Model
+ *
+ * Per-user notification settings: which types are on, the channels each type
+ * is delivered through, digest frequency and quiet hours in the user's
+ * timezone. Only overrides are stored; types without one use defaultSetting().
+ */
+
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+const CHANNELS = ['in_app', 'email', 'digest'];
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DEFAULT_CHANNELS = ['in_app', 'digest'];
+
+// Types that are off unless the user turns them on
+const DISABLED_BY_DEFAULT = ['new_message'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+
+class NotificationPreference {
+  constructor(data = {}) {
+    this.user_id = data.user_id || null;
+    this.type_settings = data.type_settings || {};
+    this.digest_frequency = data.digest_frequency || 'weekly';
+    this.quiet_hours_enabled = data.quiet_hours_enabled || false;
+    this.quiet_hours_start = data.quiet_hours_start ? data.quiet_hours_start.slice(0, 5) : null;
+    this.quiet_hours_end = data.quiet_hours_end ? data.quiet_hours_end.slice(0, 5) : null;
+    this.timezone = data.timezone || 'UTC';
+    this.last_digest_sent_at = data.last_digest_sent_at || null;
+    this.updated_at = data.updated_at || null;
+  }
+
+  static get CHANNELS() {
+    return CHANNELS;
+  }
+
+  static get DIGEST_FREQUENCIES() {
+    return DIGEST_FREQUENCIES;
+  }
+
+  /**
+   * Settings for a type with no override
+   */
+  static defaultSetting(type) {
+    return {
+      enabled: !DISABLED_BY_DEFAULT.includes(type),
+      channels: [...DEFAULT_CHANNELS]
+    };
+  }
+
+  /**
+   * Preferences for a user (defaults if they never changed anything)
+   */
+  static async findByUser(userId) {
+    const result = await query(
+      'SELECT * FROM user_notification_preferences WHERE user_id = $1',
+      [userId]
+    );
+
+    return new NotificationPreference(result.rows[0] || { user_id: userId });
+  }
+
+  /**
+   * Apply changes and save
+   * changes: { types: { [type]: { enabled, channels } }, digest_frequency,
+   *            quiet_hours: { enabled, start: 'HH:MM', end: 'HH:MM', timezone } }
+   */
+  static async update(userId, changes = {}) {
+    const Notification = require('./Notification');
+    const current = await this.findByUser(userId);
+    const typeSettings = { ...current.type_settings };
+
+    for (const [type, setting] of Object.entries(changes.types || {})) {
+      if (!Notification.NOTIFICATION_TYPES.includes(type)) {
+        throw new Error(`Invalid notification type: ${type}`);
+      }
+
+      const merged = { ...this.defaultSetting(type), ...typeSettings[type] };
+
+      if (setting.enabled !== undefined) {
+        if (typeof setting.enabled !== 'boolean') {
+          throw new Error('enabled must be true or false');
+        }
+        merged.enabled = setting.enabled;
+      }
+
+      if (setting.channels !== undefined) {
+        if (!Array.isArray(setting.channels)) {
+          throw new Error('channels must be a list');
+        }
+        const invalid = setting.channels.find(channel => !CHANNELS.includes(channel));
+        if (invalid) {
+          throw new Error(`Invalid notification channel: ${invalid}`);
+        }
+        merged.channels = CHANNELS.filter(channel => setting.channels.includes(channel));
+      }
+
+      typeSettings[type] = merged;
+    }
+
+    const digestFrequency = changes.digest_frequency !== undefined
+      ? changes.digest_frequency
+      : current.digest_frequency;
+    if (!DIGEST_FREQUENCIES.includes(digestFrequency)) {
+      throw new Error(`Invalid digest frequency: ${digestFrequency}`);
+    }
+
+    const quietHours = {
+      enabled: current.quiet_hours_enabled,
+      start: current.quiet_hours_start,
+      end: current.quiet_hours_end,
+      timezone: current.timezone,
+      ...changes.quiet_hours
+    };
+    this.validateQuietHours(quietHours);
+
+    const result = await query(`
+      INSERT INTO user_notification_preferences (
+        user_id, type_settings, digest_frequency,
+        quiet_hours_enabled, quiet_hours_start, quiet_hours_end, timezone
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (user_id) DO UPDATE SET
+        type_settings = EXCLUDED.type_settings,
+        digest_frequency = EXCLUDED.digest_frequency,
+        quiet_hours_enabled = EXCLUDED.quiet_hours_enabled,
+        quiet_hours_start = EXCLUDED.quiet_hours_start,
+        quiet_hours_end = EXCLUDED.quiet_hours_end,
+        timezone = EXCLUDED.timezone
+      RETURNING *
+    `, [
+      userId,
+      JSON.stringify(typeSettings),
+      digestFrequency,
+      Boolean(quietHours.enabled),
+      quietHours.start || null,
+      quietHours.end || null,
+      quietHours.timezone
+    ]);
+
+    return new NotificationPreference(result.rows[0]);
+  }
+
+  /**
+   * Record that a digest went out (creates the row for users on defaults)
+   */
+  static async markDigestSent(userId, sentAt = new Date()) {
+    await query(`
+      INSERT INTO user_notification_preferences (user_id, last_digest_sent_at)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE SET last_digest_sent_at = EXCLUDED.last_digest_sent_at
+    `, [userId, sentAt]);
+  }
+
+  /**
+   * Signed token for one-click digest unsubscribe links
+   * Tokens don't expire; they only allow turning the digest off.
+   */
+  static createUnsubscribeToken(userId) {
+    return `${userId}.${this.signUnsubscribe(userId)}`;
+  }
+
+  /**
+   * User id from a valid unsubscribe token, or null
+   */
+  static verifyUnsubscribeToken(token) {
+    const [userId, signature] = String(token || '').split('.');
+    if (!userId || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.signUnsubscribe(userId));
+    const given = Buffer.from(signature);
+
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return null;
+    }
+    return userId;
+  }
+
+  static signUnsubscribe(userId) {
+    const secret = process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('UNSUBSCRIBE_SECRET or JWT_SECRET must be set to sign unsubscribe links');
+    }
+
+    return crypto.createHmac('sha256', secret)
+      .update(`digest-unsubscribe:${userId}`)
+      .digest('base64url');
+  }
+
+  static validateQuietHours(quietHours) {
+    if (!this.isValidTimezone(quietHours.timezone)) {
+      throw new Error(`Invalid timezone: ${quietHours.timezone}`);
+    }
+
+    for (const field of ['start', 'end']) {
+      if (quietHours[field] && !TIME_PATTERN.test(quietHours[field])) {
+        throw new Error(`Quiet hours ${field} must be HH:MM`);
+      }
+    }
+
+    if (quietHours.enabled) {
+      if (!quietHours.start || !quietHours.end) {
+        throw new Error('Quiet hours need a start and an end time');
+      }
+      if (quietHours.start.slice(0, 5) === quietHours.end.slice(0, 5)) {
+        throw new Error('Quiet hours cannot start and end at the same time');
+      }
+    }
+  }
+
+  static isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || timezone.length === 0) {
+      return false;
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Effective settings for a type
+   */
+  getSetting(type) {
+    return { ...NotificationPreference.defaultSetting(type), ...this.type_settings[type] };
+  }
+
+  isEnabled(type) {
+    return this.getSetting(type).enabled;
+  }
+
+  hasChannel(type, channel) {
+    const setting = this.getSetting(type);
+    return setting.enabled && setting.channels.includes(channel);
+  }
+
+  /**
+   * Whether `date` falls in the user's quiet hours (windows may span midnight)
+   */
+  isQuietTime(date = new Date()) {
+    if (!this.quiet_hours_enabled || !this.quiet_hours_start || !this.quiet_hours_end) {
+      return false;
+    }
+
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: this.timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = (type) => parseInt(parts.find(p => p.type === type).value);
+    const minutes = (time) => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3, 5));
+
+    const now = part('hour') * 60 + part('minute');
+    const start = minutes(this.quiet_hours_start);
+    const end = minutes(this.quiet_hours_end);
+
+    return start < end
+      ? now >= start && now < end
+      : now >= start || now < end;
+  }
+
+  toJSON() {
+    const Notification = require('./Notification');
+
+    return {
+      types: Object.fromEntries(
+        Notification.NOTIFICATION_TYPES.map(type => [type, this.getSetting(type)])
+      ),
+      digest_frequency: this.digest_frequency,
+      quiet_hours: {
+        enabled: this.quiet_hours_enabled,
+        start: this.quiet_hours_start,
+        end: this.quiet_hours_end,
+        timezone: this.timezone
+      },
+      channels: CHANNELS,
+      last_digest_sent_at: this.last_digest_sent_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = NotificationPreference;
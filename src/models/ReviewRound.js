@@ -0,0 +1,493 @@
+/**
+ * Review Round Model for Knowledge Foyer
+ *
+ * "Push for Review": an author pushes an edited version, the AI re-evaluates the
+ * article's open feedback against the changes (flagging items that may no longer
+ * apply), readers re-vote during a window, and closing the round settles each
+ * item and records a summary. See ReviewRoundService for the workflow.
+ */
+
+const { query, transaction } = require('../config/database');
+const validator = require('validator');
+const Feedback = require('./Feedback');
+
+const DEFAULT_REVOTE_HOURS = 72;
+const MAX_REVOTE_HOURS = 336;
+
+// Re-votes needed to retire feedback the AI did not flag
+const MIN_COMMUNITY_VOTES = 3;
+
+const ITEMS_QUERY = `
+  SELECT
+    rrf.*,
+    f.content, f.polarity, f.status as feedback_status, f.is_public,
+    f.user_id as feedback_user_id, f.created_at as feedback_created_at,
+    u.username, u.display_name, ${Feedback.ARTICLE_ACCESS_COLUMNS},
+    COUNT(v.user_id) FILTER (WHERE v.still_applies) as still_applies_votes,
+    COUNT(v.user_id) FILTER (WHERE NOT v.still_applies) as no_longer_applies_votes,
+    BOOL_OR(v.still_applies) FILTER (WHERE v.user_id = $2) as viewer_vote
+  FROM review_round_feedback rrf
+  JOIN feedback f ON f.id = rrf.feedback_id
+  JOIN articles a ON a.id = f.article_id
+  LEFT JOIN users u ON u.id = f.user_id
+  LEFT JOIN review_round_votes v ON v.round_id = rrf.round_id AND v.feedback_id = rrf.feedback_id
+  WHERE rrf.round_id = $1
+  GROUP BY rrf.round_id, rrf.feedback_id, f.id, a.id, u.id
+  ORDER BY (rrf.ai_verdict = 'may_no_longer_apply') DESC, f.created_at ASC
+`;
+
+class ReviewRound {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.article_id = data.article_id || null;
+    this.version_number = data.version_number || null;
+    this.base_version = data.base_version || null;
+    this.opened_by = data.opened_by || null;
+    this.status = data.status || 'analyzing';
+    this.change_summary = data.change_summary || null;
+    this.revote_hours = data.revote_hours || DEFAULT_REVOTE_HOURS;
+    this.revote_closes_at = data.revote_closes_at || null;
+    this.closed_at = data.closed_at || null;
+    this.summary = data.summary || null;
+    this.created_at = data.created_at || null;
+    this.updated_at = data.updated_at || null;
+    // For detailed views
+    this.items = data.items || null;
+  }
+
+  static get STATUSES() {
+    return ['analyzing', 'open', 'closed'];
+  }
+
+  static get DEFAULT_REVOTE_HOURS() {
+    return DEFAULT_REVOTE_HOURS;
+  }
+
+  static get MIN_COMMUNITY_VOTES() {
+    return MIN_COMMUNITY_VOTES;
+  }
+
+  /**
+   * Start a round for the article's latest version
+   * The round covers the feedback open at that moment and compares against the
+   * version pushed in the previous round (or the first version).
+   */
+  static async create(roundData) {
+    const {
+      articleId,
+      userId,
+      changeSummary = null,
+      revoteHours = DEFAULT_REVOTE_HOURS
+    } = roundData;
+
+    if (!validator.isUUID(articleId)) {
+      throw new Error('Invalid article ID');
+    }
+
+    if (!Number.isInteger(revoteHours) || revoteHours < 1 || revoteHours > MAX_REVOTE_HOURS) {
+      throw new Error(`Re-vote window must be between 1 and ${MAX_REVOTE_HOURS} hours`);
+    }
+
+    if (changeSummary && changeSummary.length > 500) {
+      throw new Error('Change summary cannot exceed 500 characters');
+    }
+
+    return await transaction(async (client) => {
+      const articleResult = await client.query(
+        'SELECT user_id, status FROM articles WHERE id = $1 FOR UPDATE',
+        [articleId]
+      );
+
+      const article = articleResult.rows[0];
+      if (!article) {
+        throw new Error('Article not found');
+      }
+
+      if (article.user_id !== userId) {
+        throw new Error('Only the author can push an article for review');
+      }
+
+      if (article.status !== 'published') {
+        throw new Error('Only published articles can be pushed for review');
+      }
+
+      const versionResult = await client.query(
+        'SELECT COALESCE(MAX(version_number), 1) as latest FROM article_versions WHERE article_id = $1',
+        [articleId]
+      );
+      const latestVersion = parseInt(versionResult.rows[0].latest);
+
+      const previousResult = await client.query(`
+        SELECT version_number, status FROM review_rounds
+        WHERE article_id = $1
+        ORDER BY version_number DESC
+        LIMIT 1
+      `, [articleId]);
+      const previous = previousResult.rows[0];
+
+      if (previous && previous.status !== 'closed') {
+        throw new Error('A review round is already in progress for this article');
+      }
+
+      const baseVersion = previous ? previous.version_number : 1;
+      if (latestVersion <= baseVersion) {
+        throw new Error('Edit the article before pushing it for review');
+      }
+
+      const result = await client.query(`
+        INSERT INTO review_rounds (
+          article_id, version_number, base_version, opened_by, change_summary, revote_hours
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [articleId, latestVersion, baseVersion, userId, changeSummary, revoteHours]);
+
+      const round = new ReviewRound(result.rows[0]);
+
+      const itemsResult = await client.query(`
+        INSERT INTO review_round_feedback (round_id, feedback_id, previous_status)
+        SELECT $1, id, status FROM feedback
+        WHERE article_id = $2 AND status = ANY($3)
+        RETURNING feedback_id
+      `, [round.id, articleId, Feedback.OPEN_STATUSES]);
+
+      round.feedback_count = itemsResult.rows.length;
+      return round;
+    });
+  }
+
+  static async findById(id) {
+    if (!validator.isUUID(String(id))) {
+      return null;
+    }
+
+    const result = await query('SELECT * FROM review_rounds WHERE id = $1', [id]);
+    return result.rows.length > 0 ? new ReviewRound(result.rows[0]) : null;
+  }
+
+  /**
+   * Rounds for an article, newest first
+   */
+  static async findByArticle(articleId, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+
+    const result = await query(`
+      SELECT * FROM review_rounds
+      WHERE article_id = $1
+      ORDER BY version_number DESC
+      LIMIT $2 OFFSET $3
+    `, [articleId, limit, offset]);
+
+    return result.rows.map(row => new ReviewRound(row));
+  }
+
+  /**
+   * Rounds whose re-vote window has passed but are still open
+   */
+  static async findExpired(limit = 50) {
+    const result = await query(`
+      SELECT * FROM review_rounds
+      WHERE status = 'open' AND revote_closes_at <= NOW()
+      ORDER BY revote_closes_at ASC
+      LIMIT $1
+    `, [limit]);
+
+    return result.rows.map(row => new ReviewRound(row));
+  }
+
+  /**
+   * Rounds still analyzing long after they were pushed, e.g. because the
+   * process restarted during the AI pass
+   */
+  static async findStaleAnalyzing(staleMinutes, limit = 50) {
+    const result = await query(`
+      SELECT * FROM review_rounds
+      WHERE status = 'analyzing' AND created_at <= NOW() - $1 * INTERVAL '1 minute'
+      ORDER BY created_at ASC
+      LIMIT $2
+    `, [staleMinutes, limit]);
+
+    return result.rows.map(row => new ReviewRound(row));
+  }
+
+  /**
+   * Feedback under review with the AI verdict and re-vote tallies
+   * With a viewer, only the items Feedback.isVisibleTo lets them see are listed;
+   * without one (the analysis and closing passes), every item is.
+   */
+  async getItems(viewerId = null, client = null) {
+    const result = await (client || { query }).query(ITEMS_QUERY, [this.id, viewerId]);
+
+    return result.rows
+      .filter(row => !viewerId || Feedback.isVisibleTo({ ...row, user_id: row.feedback_user_id }, viewerId))
+      .map(row => ({
+        feedback_id: row.feedback_id,
+        content: row.content,
+        polarity: row.polarity,
+        status: row.feedback_status,
+        previous_status: row.previous_status,
+        author: { username: row.username, display_name: row.display_name },
+        feedback_user_id: row.feedback_user_id,
+        created_at: row.feedback_created_at,
+        ai_verdict: row.ai_verdict,
+        ai_confidence: row.ai_confidence !== null ? parseFloat(row.ai_confidence) : null,
+        ai_explanation: row.ai_explanation,
+        outcome: row.outcome,
+        votes: {
+          still_applies: parseInt(row.still_applies_votes),
+          no_longer_applies: parseInt(row.no_longer_applies_votes)
+        },
+        viewer_vote: row.viewer_vote === null ? null : (row.viewer_vote ? 'still_applies' : 'no_longer_applies')
+      }));
+  }
+
+  /**
+   * Store the AI's verdict for one item; a "may no longer apply" verdict flags
+   * the feedback unless the author changed its status in the meantime
+   */
+  async recordVerdict(feedbackId, verdict) {
+    const aiVerdict = verdict ? (verdict.still_applies ? 'still_applies' : 'may_no_longer_apply') : 'unanalyzed';
+
+    await transaction(async (client) => {
+      await client.query(`
+        UPDATE review_round_feedback
+        SET ai_verdict = $1, ai_confidence = $2, ai_explanation = $3
+        WHERE round_id = $4 AND feedback_id = $5
+      `, [
+        aiVerdict,
+        verdict ? verdict.confidence : null,
+        verdict ? verdict.explanation : null,
+        this.id,
+        feedbackId
+      ]);
+
+      if (aiVerdict === 'may_no_longer_apply') {
+        await client.query(`
+          UPDATE feedback f
+          SET status = 'may_no_longer_apply',
+              status_reason = $1,
+              status_changed_by = NULL,
+              status_changed_at = NOW(),
+              updated_at = NOW()
+          FROM review_round_feedback rrf
+          WHERE rrf.round_id = $2 AND rrf.feedback_id = f.id
+            AND f.id = $3 AND f.status = rrf.previous_status
+        `, [verdict.explanation, this.id, feedbackId]);
+      }
+    });
+
+    return aiVerdict;
+  }
+
+  /**
+   * Open the re-vote window once the AI pass is done
+   */
+  async open() {
+    const result = await query(`
+      UPDATE review_rounds
+      SET status = 'open',
+          revote_closes_at = NOW() + revote_hours * INTERVAL '1 hour'
+      WHERE id = $1 AND status = 'analyzing'
+      RETURNING *
+    `, [this.id]);
+
+    if (result.rows.length > 0) {
+      Object.assign(this, result.rows[0]);
+    }
+
+    return this;
+  }
+
+  /**
+   * Record a reader's re-vote on whether feedback still applies
+   */
+  static async vote(voteData) {
+    const { roundId, feedbackId, userId, stillApplies } = voteData;
+
+    if (!validator.isUUID(String(roundId)) || !validator.isUUID(String(feedbackId))) {
+      throw new Error('Invalid review round or feedback ID');
+    }
+
+    if (typeof stillApplies !== 'boolean') {
+      throw new Error('still_applies must be true or false');
+    }
+
+    return await transaction(async (client) => {
+      const roundResult = await client.query(`
+        SELECT rr.status, rr.revote_closes_at, ${Feedback.ARTICLE_ACCESS_COLUMNS},
+               f.is_public, f.user_id
+        FROM review_rounds rr
+        JOIN articles a ON a.id = rr.article_id
+        JOIN review_round_feedback rrf ON rrf.round_id = rr.id AND rrf.feedback_id = $2
+        JOIN feedback f ON f.id = rrf.feedback_id
+        WHERE rr.id = $1
+      `, [roundId, feedbackId]);
+
+      const round = roundResult.rows[0];
+      if (!round || !Feedback.isVisibleTo(round, userId)) {
+        throw new Error('Feedback is not part of this review round');
+      }
+
+      if (round.status !== 'open' || new Date(round.revote_closes_at) <= new Date()) {
+        throw new Error('This review round is not open for votes');
+      }
+
+      if (round.article_author_id === userId) {
+        throw new Error('Authors cannot vote on feedback for their own articles');
+      }
+
+      await client.query(`
+        INSERT INTO review_round_votes (round_id, feedback_id, user_id, still_applies)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (round_id, feedback_id, user_id)
+        DO UPDATE SET still_applies = EXCLUDED.still_applies, updated_at = NOW()
+      `, [roundId, feedbackId, userId, stillApplies]);
+
+      const tally = await client.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE still_applies) as still_applies,
+          COUNT(*) FILTER (WHERE NOT still_applies) as no_longer_applies
+        FROM review_round_votes
+        WHERE round_id = $1 AND feedback_id = $2
+      `, [roundId, feedbackId]);
+
+      return {
+        still_applies: parseInt(tally.rows[0].still_applies),
+        no_longer_applies: parseInt(tally.rows[0].no_longer_applies)
+      };
+    });
+  }
+
+  /**
+   * Decide an item's outcome from its current status and the re-votes
+   * Returns { outcome, status } where status is the feedback's new status (or null to leave it).
+   */
+  static settle(item) {
+    const { still_applies: still, no_longer_applies: gone } = item.votes;
+    const retired = item.polarity === 'con' ? 'addressed' : 'dismissed';
+
+    if (item.status === 'may_no_longer_apply') {
+      return still > gone
+        ? { outcome: 'still_applies', status: item.previous_status }
+        : { outcome: 'no_longer_applies', status: retired };
+    }
+
+    if (item.status === item.previous_status && gone >= MIN_COMMUNITY_VOTES && gone > still) {
+      return { outcome: 'no_longer_applies', status: retired };
+    }
+
+    return { outcome: 'unchanged', status: null };
+  }
+
+  /**
+   * Close the round: settle every item, then store and return the summary
+   * Returns null if the round was not open (already closed, or still analyzing).
+   */
+  async close() {
+    return await transaction(async (client) => {
+      const closing = await client.query(`
+        UPDATE review_rounds
+        SET status = 'closed', closed_at = NOW()
+        WHERE id = $1 AND status = 'open'
+        RETURNING *
+      `, [this.id]);
+
+      if (closing.rows.length === 0) {
+        return null;
+      }
+
+      Object.assign(this, closing.rows[0]);
+
+      const items = await this.getItems(null, client);
+      const summary = {
+        base_version: this.base_version,
+        version_number: this.version_number,
+        feedback_reviewed: items.length,
+        flagged_by_ai: 0,
+        no_longer_applies: { pro: 0, con: 0 },
+        still_applies: 0,
+        unchanged: 0,
+        votes_cast: 0,
+        new_feedback: 0
+      };
+
+      for (const item of items) {
+        const { outcome, status } = ReviewRound.settle(item);
+
+        if (item.ai_verdict === 'may_no_longer_apply') summary.flagged_by_ai++;
+        summary.votes_cast += item.votes.still_applies + item.votes.no_longer_applies;
+
+        if (outcome === 'no_longer_applies') {
+          summary.no_longer_applies[item.polarity]++;
+        } else {
+          summary[outcome]++;
+        }
+
+        await client.query(
+          'UPDATE review_round_feedback SET outcome = $1 WHERE round_id = $2 AND feedback_id = $3',
+          [outcome, this.id, item.feedback_id]
+        );
+
+        if (status) {
+          await client.query(`
+            UPDATE feedback
+            SET status = $1,
+                status_reason = $2,
+                status_changed_by = NULL,
+                status_changed_at = NOW(),
+                updated_at = NOW()
+            WHERE id = $3
+          `, [
+            status,
+            outcome === 'still_applies'
+              ? `Readers confirmed this still applies to version ${this.version_number}`
+              : `No longer applies as of version ${this.version_number} (review round)`,
+            item.feedback_id
+          ]);
+        }
+      }
+
+      const votersResult = await client.query(
+        'SELECT COUNT(DISTINCT user_id) as voters FROM review_round_votes WHERE round_id = $1',
+        [this.id]
+      );
+      summary.voters = parseInt(votersResult.rows[0].voters);
+
+      const freshResult = await client.query(
+        'SELECT COUNT(*) as count FROM feedback WHERE article_id = $1 AND created_at >= $2',
+        [this.article_id, this.created_at]
+      );
+      summary.new_feedback = parseInt(freshResult.rows[0].count);
+
+      await client.query(
+        'UPDATE review_rounds SET summary = $1 WHERE id = $2',
+        [JSON.stringify(summary), this.id]
+      );
+
+      this.summary = summary;
+      return summary;
+    });
+  }
+
+  isExpired() {
+    return this.status === 'open' && this.revote_closes_at !== null && new Date(this.revote_closes_at) <= new Date();
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      article_id: this.article_id,
+      version_number: this.version_number,
+      base_version: this.base_version,
+      status: this.status,
+      change_summary: this.change_summary,
+      revote_hours: this.revote_hours,
+      revote_closes_at: this.revote_closes_at,
+      closed_at: this.closed_at,
+      summary: this.summary,
+      created_at: this.created_at,
+      items: this.items
+    };
+  }
+}
+
+module.exports = ReviewRound;
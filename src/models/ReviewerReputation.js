@@ -0,0 +1,145 @@
+/**
+ * ReviewerReputation Model
+ *
+ * Credit for helpful feedback: resolutions, helpful votes and dismissals,
+ * decayed over time. Scores come from the reviewer_reputation view (migration 017).
+ */
+
+const { query } = require('../config/database');
+
+// Minimum score for each level, highest first
+const LEVELS = [
+  { name: 'expert', minScore: 100 },
+  { name: 'trusted', minScore: 25 },
+  { name: 'contributor', minScore: 5 },
+  { name: 'newcomer', minScore: 0 }
+];
+
+class ReviewerReputation {
+  constructor(data = {}) {
+    this.user_id = data.user_id || null;
+    this.score = data.score !== undefined && data.score !== null ? parseFloat(data.score) : 0;
+    this.feedback_count = parseInt(data.feedback_count) || 0;
+    this.resolved_count = parseInt(data.resolved_count) || 0;
+    this.helpful_votes = parseInt(data.helpful_votes) || 0;
+    this.dismissal_rate = data.dismissal_rate !== undefined && data.dismissal_rate !== null
+      ? parseFloat(data.dismissal_rate)
+      : 0;
+    // For leaderboards
+    this.user = data.user || null;
+  }
+
+  static get LEVELS() {
+    return LEVELS.map(level => level.name);
+  }
+
+  /**
+   * Level name for a score
+   */
+  static levelFor(score) {
+    return LEVELS.find(level => score >= level.minScore).name;
+  }
+
+  get level() {
+    return ReviewerReputation.levelFor(this.score);
+  }
+
+  /**
+   * Reputation for one reviewer (zeroed if they have never given feedback)
+   */
+  static async getForUser(userId) {
+    const result = await query('SELECT * FROM reviewer_reputation WHERE user_id = $1', [userId]);
+    return new ReviewerReputation(result.rows[0] || { user_id: userId });
+  }
+
+  /**
+   * Reputation for several reviewers, keyed by user ID
+   */
+  static async getForUsers(userIds) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    const reputations = {};
+
+    if (ids.length === 0) {
+      return reputations;
+    }
+
+    const result = await query('SELECT * FROM reviewer_reputation WHERE user_id = ANY($1)', [ids]);
+    result.rows.forEach(row => {
+      reputations[row.user_id] = new ReviewerReputation(row);
+    });
+
+    ids.filter(id => !reputations[id]).forEach(id => {
+      reputations[id] = new ReviewerReputation({ user_id: id });
+    });
+
+    return reputations;
+  }
+
+  /**
+   * Attach a `reputation` summary to user rows (e.g. follower lists)
+   */
+  static async attachTo(rows, idField = 'id') {
+    const reputations = await this.getForUsers(rows.map(row => row[idField]));
+
+    return rows.map(row => ({
+      ...row,
+      reputation: reputations[row[idField]] ? reputations[row[idField]].toSummaryJSON() : null
+    }));
+  }
+
+  /**
+   * Reviewers who consistently give useful critique
+   * Returns { reviewers, total }.
+   */
+  static async getTopReviewers(options = {}) {
+    const { limit = 20, offset = 0 } = options;
+
+    const result = await query(`
+      SELECT rr.*, u.username, u.display_name, u.avatar_url,
+             COUNT(*) OVER() as total_count
+      FROM reviewer_reputation rr
+      JOIN users u ON u.id = rr.user_id
+      WHERE rr.score > 0 AND u.is_active = true
+      ORDER BY rr.score DESC, rr.resolved_count DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    return {
+      reviewers: result.rows.map(row => new ReviewerReputation({
+        ...row,
+        user: {
+          id: row.user_id,
+          username: row.username,
+          display_name: row.display_name,
+          avatar_url: row.avatar_url
+        }
+      })),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  /**
+   * Compact form shown next to names
+   */
+  toSummaryJSON() {
+    return {
+      score: this.score,
+      level: this.level
+    };
+  }
+
+  toJSON() {
+    return {
+      user_id: this.user_id,
+      score: this.score,
+      level: this.level,
+      feedback_count: this.feedback_count,
+      resolved_count: this.resolved_count,
+      helpful_votes: this.helpful_votes,
+      dismissal_rate: this.dismissal_rate,
+      ...(this.user ? { user: this.user } : {})
+    };
+  }
+}
+
+module.exports = ReviewerReputation;
@@ -0,0 +1,454 @@
+/**
+ * Tag Model for Knowledge Foyer
+ *
+ * Tag normalization and rules, article and message tag assignment, and tag discovery
+ * (listing, suggestions, related tags and the tag cloud)
+ */
+
+const { query } = require('../config/database');
+
+// Names that collide with routes or system concepts
+const RESERVED_WORDS = [
+  'admin', 'administrator', 'api', 'auth', 'dashboard', 'feed', 'help', 'login', 'logout',
+  'moderator', 'null', 'register', 'root', 'search', 'settings', 'signup', 'support',
+  'system', 'tag', 'tags', 'undefined', 'www'
+];
+
+// Words never proposed as new tags when suggesting from article text
+const SUGGESTION_STOPWORDS = new Set([
+  'about', 'after', 'again', 'also', 'because', 'been', 'before', 'being', 'between', 'both',
+  'could', 'does', 'doing', 'each', 'even', 'every', 'from', 'have', 'having', 'here', 'into',
+  'just', 'like', 'made', 'make', 'many', 'more', 'most', 'much', 'must', 'only', 'other',
+  'over', 'same', 'should', 'some', 'such', 'than', 'that', 'their', 'them', 'then', 'there',
+  'these', 'they', 'this', 'those', 'through', 'very', 'were', 'what', 'when', 'where',
+  'which', 'while', 'will', 'with', 'would', 'your'
+]);
+
+// Tags with their usage on published public articles; tags used only on drafts
+// or private articles are left out of listings and suggestions
+const PUBLIC_TAGS = `(
+  SELECT t.id, t.name, t.slug, t.description, t.created_at, COUNT(*) as usage_count
+  FROM tags t
+  JOIN article_tags at ON at.tag_id = t.id
+  JOIN articles a ON at.article_id = a.id
+  WHERE a.status = 'published' AND a.visibility = 'public'
+  GROUP BY t.id, t.name
+) t`;
+
+class Tag {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.name = data.name || null;
+    this.slug = data.slug || null;
+    this.description = data.description || null;
+    this.usage_count = parseInt(data.usage_count) || 0;
+    this.article_count = data.article_count !== undefined ? parseInt(data.article_count) : null;
+    this.created_at = data.created_at || null;
+  }
+
+  static get MIN_LENGTH() {
+    return 2;
+  }
+
+  static get MAX_LENGTH() {
+    return 50;
+  }
+
+  static get MAX_TAGS_PER_ARTICLE() {
+    return 20;
+  }
+
+  static get RESERVED_WORDS() {
+    return RESERVED_WORDS;
+  }
+
+  /**
+   * Normalize free-form input to tag form: lowercase, ASCII letters/digits, hyphen-separated
+   * ("#Machine Learning" -> "machine-learning")
+   */
+  static normalize(name) {
+    return String(name || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim()
+      .replace(/^#+/, '')
+      .replace(/[\s_.\/]+/g, '-')
+      .replace(/[^a-z0-9-]/g, '')
+      .replace(/-{2,}/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Normalize and validate a single tag name
+   */
+  static validate(name) {
+    const normalized = Tag.normalize(name);
+
+    if (normalized.length < Tag.MIN_LENGTH || normalized.length > Tag.MAX_LENGTH) {
+      throw new Error(`Tag "${name}" must be ${Tag.MIN_LENGTH}-${Tag.MAX_LENGTH} characters of letters, numbers or hyphens`);
+    }
+
+    if (RESERVED_WORDS.includes(normalized)) {
+      throw new Error(`"${normalized}" is a reserved word and cannot be used as a tag`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Normalize, validate and de-duplicate an article's tag list
+   */
+  static validateList(names) {
+    if (names === undefined || names === null) {
+      return [];
+    }
+
+    const list = Array.isArray(names) ? names : String(names).split(',');
+    const normalized = [...new Set(
+      list
+        .filter(name => String(name).trim().length > 0)
+        .map(name => Tag.validate(name))
+    )];
+
+    if (normalized.length > Tag.MAX_TAGS_PER_ARTICLE) {
+      throw new Error(`Articles can have at most ${Tag.MAX_TAGS_PER_ARTICLE} tags`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Replace an article's tags inside a transaction, creating missing tags
+   * Returns the assigned tag names in order
+   */
+  static async setArticleTags(client, articleId, names) {
+    const tagNames = Tag.validateList(names);
+    const tagIds = await Tag.findOrCreateIds(client, tagNames);
+
+    await client.query(`
+      DELETE FROM article_tags
+      WHERE article_id = $1 AND NOT (tag_id = ANY($2::uuid[]))
+    `, [articleId, tagIds]);
+
+    if (tagIds.length > 0) {
+      await client.query(`
+        INSERT INTO article_tags (article_id, tag_id)
+        SELECT $1, UNNEST($2::uuid[])
+        ON CONFLICT (article_id, tag_id) DO NOTHING
+      `, [articleId, tagIds]);
+    }
+
+    return tagNames;
+  }
+
+  /**
+   * Replace the tags a message references with #hashtags inside a transaction,
+   * creating missing tags. Names must already be validated.
+   */
+  static async setMessageTags(client, messageId, tagNames) {
+    const tagIds = await Tag.findOrCreateIds(client, tagNames);
+
+    await client.query(`
+      DELETE FROM message_tags
+      WHERE message_id = $1 AND NOT (tag_id = ANY($2::uuid[]))
+    `, [messageId, tagIds]);
+
+    if (tagIds.length > 0) {
+      await client.query(`
+        INSERT INTO message_tags (message_id, tag_id)
+        SELECT $1, UNNEST($2::uuid[])
+        ON CONFLICT (message_id, tag_id) DO NOTHING
+      `, [messageId, tagIds]);
+    }
+
+    return tagNames;
+  }
+
+  /**
+   * Ids of validated tag names inside a transaction, creating missing tags
+   */
+  static async findOrCreateIds(client, tagNames) {
+    const tagIds = [];
+    for (const name of tagNames) {
+      const result = await client.query(`
+        INSERT INTO tags (name, slug)
+        VALUES ($1, $1)
+        ON CONFLICT (name) DO UPDATE SET name = EXCLUDED.name
+        RETURNING id
+      `, [name]);
+      tagIds.push(result.rows[0].id);
+    }
+
+    return tagIds;
+  }
+
+  /**
+   * Find a tag by name, counting only public published articles
+   */
+  static async findByName(name) {
+    const result = await query(`
+      SELECT t.*, (
+        SELECT COUNT(*)
+        FROM article_tags at
+        JOIN articles a ON at.article_id = a.id
+        WHERE at.tag_id = t.id AND a.status = 'published' AND a.visibility = 'public'
+      ) as article_count
+      FROM tags t
+      WHERE t.name = $1
+    `, [Tag.normalize(name)]);
+
+    return result.rows.length > 0 ? new Tag(result.rows[0]) : null;
+  }
+
+  /**
+   * List tags in use on public articles, optionally filtered by name prefix (autocomplete)
+   */
+  static async list(options = {}) {
+    const {
+      prefix = null,
+      orderBy = 'usage',
+      limit = 50,
+      offset = 0
+    } = options;
+
+    let whereClause = '';
+    const params = [];
+
+    if (prefix) {
+      params.push(`${Tag.normalize(prefix)}%`);
+      whereClause = `WHERE t.name LIKE $${params.length}`;
+    }
+
+    const orderClause = orderBy === 'name'
+      ? 'ORDER BY t.name ASC'
+      : 'ORDER BY t.usage_count DESC, t.name ASC';
+
+    const [result, countResult] = await Promise.all([
+      query(`
+        SELECT t.*
+        FROM ${PUBLIC_TAGS}
+        ${whereClause}
+        ${orderClause}
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      query(`SELECT COUNT(*) as total FROM ${PUBLIC_TAGS} ${whereClause}`, params)
+    ]);
+
+    return {
+      tags: result.rows.map(row => new Tag(row)),
+      total: parseInt(countResult.rows[0].total)
+    };
+  }
+
+  /**
+   * Suggest tags for a draft: existing tags mentioned in the text (ranked by
+   * mentions and popularity), then frequent words from the text as new tags
+   */
+  static async suggest(options = {}) {
+    const { text = '', prefix = null, exclude = [], limit = 10 } = options;
+
+    const excluded = new Set(exclude.map(name => Tag.normalize(name)));
+    const suggestions = [];
+
+    if (prefix) {
+      const { tags } = await Tag.list({ prefix, limit: limit + excluded.size });
+      for (const tag of tags) {
+        if (!excluded.has(tag.name)) {
+          suggestions.push({ name: tag.name, existing: true, usage_count: tag.usage_count, score: tag.usage_count });
+        }
+      }
+      return suggestions.slice(0, limit);
+    }
+
+    const words = Tag.normalize(text.replace(/[^\p{L}\p{N}\s-]/gu, ' ')).split('-').filter(Boolean);
+    if (words.length === 0) {
+      return [];
+    }
+
+    const normalizedText = `-${words.join('-')}-`;
+
+    // Existing tags that appear as a phrase in the text
+    const candidates = await query(`
+      SELECT t.*
+      FROM ${PUBLIC_TAGS}
+      WHERE $1 LIKE '%-' || t.name || '-%'
+      ORDER BY t.usage_count DESC
+      LIMIT 100
+    `, [normalizedText]);
+
+    for (const row of candidates.rows) {
+      const tag = new Tag(row);
+      if (excluded.has(tag.name)) {
+        continue;
+      }
+
+      const mentions = normalizedText.split(`-${tag.name}-`).length - 1;
+      suggestions.push({
+        name: tag.name,
+        existing: true,
+        usage_count: tag.usage_count,
+        score: mentions * Math.log2(tag.usage_count + 1)
+      });
+    }
+
+    // Frequent words from the text that are not tags yet
+    const known = new Set([...excluded, ...suggestions.map(s => s.name)]);
+    const frequency = new Map();
+    for (const word of words) {
+      if (word.length < 4 || /^\d+$/.test(word) || SUGGESTION_STOPWORDS.has(word) ||
+          RESERVED_WORDS.includes(word) || known.has(word)) {
+        continue;
+      }
+      frequency.set(word, (frequency.get(word) || 0) + 1);
+    }
+
+    const newTags = [...frequency.entries()]
+      .filter(([, count]) => count >= 2)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([name, count]) => ({ name, existing: false, usage_count: 0, score: count }));
+
+    suggestions.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+    return [...suggestions, ...newTags].slice(0, limit);
+  }
+
+  /**
+   * Tags that co-occur with this tag on public published articles
+   */
+  async getRelated(limit = 10) {
+    const result = await query(`
+      SELECT t.*, COUNT(*) as shared_count
+      FROM article_tags base
+      JOIN articles a ON base.article_id = a.id
+      JOIN article_tags other ON other.article_id = base.article_id AND other.tag_id != base.tag_id
+      JOIN tags t ON other.tag_id = t.id
+      WHERE base.tag_id = $1
+        AND a.status = 'published' AND a.visibility = 'public'
+      GROUP BY t.id
+      ORDER BY shared_count DESC, t.usage_count DESC, t.name ASC
+      LIMIT $2
+    `, [this.id, limit]);
+
+    return result.rows.map(row => ({
+      ...new Tag(row).toJSON(),
+      shared_count: parseInt(row.shared_count)
+    }));
+  }
+
+  /**
+   * Public published articles carrying this tag, newest first
+   */
+  async getArticles(options = {}) {
+    const { limit = 20, offset = 0 } = options;
+    const Article = require('./Article');
+
+    const result = await query(`
+      SELECT a.*, u.username, u.display_name, ${Article.TAGS_COLUMN}
+      FROM article_tags at
+      JOIN articles a ON at.article_id = a.id
+      LEFT JOIN users u ON a.user_id = u.id
+      WHERE at.tag_id = $1
+        AND a.status = 'published' AND a.visibility = 'public'
+      ORDER BY a.published_at DESC
+      LIMIT $2 OFFSET $3
+    `, [this.id, limit, offset]);
+
+    return result.rows.map(row => {
+      const article = new Article(row);
+      article.author = {
+        username: row.username,
+        display_name: row.display_name
+      };
+      return article;
+    });
+  }
+
+  /**
+   * Public messages referencing this tag with a #hashtag, newest first
+   */
+  async getMessages(options = {}) {
+    const { limit = 10, offset = 0 } = options;
+    const Message = require('./Message');
+
+    const result = await query(`
+      SELECT m.*, u.username, u.display_name, u.avatar_url, ${Message.MENTIONS_COLUMN},
+        (SELECT COUNT(*) FROM messages WHERE reply_to_id = m.id) as replies_count
+      FROM message_tags mt
+      JOIN messages m ON mt.message_id = m.id
+      JOIN users u ON m.user_id = u.id
+      WHERE mt.tag_id = $1
+        AND m.visibility = 'public'
+        AND u.is_active = true
+      ORDER BY m.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [this.id, limit, offset]);
+
+    return result.rows.map(row => {
+      const message = new Message(row);
+      message.author = {
+        username: row.username,
+        display_name: row.display_name,
+        avatar_url: row.avatar_url
+      };
+      message.replies_count = parseInt(row.replies_count);
+      return message;
+    });
+  }
+
+  /**
+   * Most used tags on public published articles (optionally one author's),
+   * with a 1-5 weight for sizing in a tag cloud
+   */
+  static async getCloud(options = {}) {
+    const { limit = 50, username = null } = options;
+
+    const params = [limit];
+    let authorClause = '';
+    if (username) {
+      params.push(username.toLowerCase());
+      authorClause = `AND a.user_id = (SELECT id FROM users WHERE username = $${params.length})`;
+    }
+
+    const result = await query(`
+      SELECT t.name, COUNT(*) as article_count
+      FROM article_tags at
+      JOIN articles a ON at.article_id = a.id
+      JOIN tags t ON at.tag_id = t.id
+      WHERE a.status = 'published' AND a.visibility = 'public'
+        ${authorClause}
+      GROUP BY t.id, t.name
+      ORDER BY article_count DESC, t.name ASC
+      LIMIT $1
+    `, params);
+
+    const counts = result.rows.map(row => parseInt(row.article_count));
+    const max = Math.log(Math.max(1, ...counts) + 1);
+    const min = Math.log((counts.length > 0 ? Math.min(...counts) : 1) + 1);
+
+    return result.rows
+      .map((row, i) => ({
+        name: row.name,
+        article_count: counts[i],
+        weight: max === min ? 3 : 1 + Math.round(4 * (Math.log(counts[i] + 1) - min) / (max - min))
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      slug: this.slug,
+      description: this.description,
+      usage_count: this.usage_count,
+      article_count: this.article_count,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = Tag;
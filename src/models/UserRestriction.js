@@ -0,0 +1,227 @@
+/**
+ * User Restriction Model for Knowledge Foyer
+ *
+ * Blocks and mutes between users. A block works both ways: neither user can
+ * follow, message or reply to the other, or give feedback on the other's
+ * articles, and blocking ends any follows between them. A mute is one-sided
+ * and quiet: the muted user's content and notifications stop reaching the
+ * muter, and the muted user isn't told.
+ */
+
+const { query, transaction } = require('../config/database');
+
+const RESTRICTION_TYPES = ['block', 'mute'];
+
+class UserRestriction {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.user_id = data.user_id || null;
+    this.target_user_id = data.target_user_id || null;
+    this.restriction_type = data.restriction_type || null;
+    this.created_at = data.created_at || null;
+    // For joined queries
+    this.target = data.target || null;
+  }
+
+  static get RESTRICTION_TYPES() {
+    return RESTRICTION_TYPES;
+  }
+
+  /**
+   * Block a user, ending follows in both directions
+   */
+  static async block(userId, targetUserId) {
+    return await this.create(userId, targetUserId, 'block');
+  }
+
+  /**
+   * Mute a user
+   */
+  static async mute(userId, targetUserId) {
+    return await this.create(userId, targetUserId, 'mute');
+  }
+
+  /**
+   * Create a block or mute
+   */
+  static async create(userId, targetUserId, restrictionType) {
+    if (!RESTRICTION_TYPES.includes(restrictionType)) {
+      throw new Error(`Invalid restriction type: ${restrictionType}`);
+    }
+
+    if (userId === targetUserId) {
+      throw new Error(`You cannot ${restrictionType} yourself`);
+    }
+
+    return await transaction(async (client) => {
+      const targetResult = await client.query(
+        'SELECT id FROM users WHERE id = $1',
+        [targetUserId]
+      );
+
+      if (targetResult.rows.length === 0) {
+        throw new Error('User not found');
+      }
+
+      const result = await client.query(`
+        INSERT INTO user_restrictions (user_id, target_user_id, restriction_type)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (user_id, target_user_id, restriction_type) DO NOTHING
+        RETURNING *
+      `, [userId, targetUserId, restrictionType]);
+
+      if (result.rows.length === 0) {
+        throw new Error(`User is already ${restrictionType === 'block' ? 'blocked' : 'muted'}`);
+      }
+
+      if (restrictionType === 'block') {
+        await client.query(`
+          DELETE FROM follows
+          WHERE (follower_id = $1 AND followed_id = $2)
+          OR (follower_id = $2 AND followed_id = $1)
+        `, [userId, targetUserId]);
+      }
+
+      return new UserRestriction(result.rows[0]);
+    });
+  }
+
+  /**
+   * Lift a block or mute
+   */
+  static async remove(userId, targetUserId, restrictionType) {
+    const result = await query(`
+      DELETE FROM user_restrictions
+      WHERE user_id = $1 AND target_user_id = $2 AND restriction_type = $3
+      RETURNING *
+    `, [userId, targetUserId, restrictionType]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`User is not ${restrictionType === 'block' ? 'blocked' : 'muted'}`);
+    }
+
+    return new UserRestriction(result.rows[0]);
+  }
+
+  /**
+   * Users a user has blocked or muted, most recent first
+   */
+  static async findByUser(userId, options = {}) {
+    const { restrictionType = null, limit = 50, offset = 0 } = options;
+
+    const params = [userId];
+    let whereClause = 'WHERE r.user_id = $1';
+
+    if (restrictionType) {
+      params.push(restrictionType);
+      whereClause += ` AND r.restriction_type = $${params.length}`;
+    }
+
+    const result = await query(`
+      SELECT r.*, u.username, u.display_name, u.avatar_url,
+             COUNT(*) OVER() as total_count
+      FROM user_restrictions r
+      JOIN users u ON r.target_user_id = u.id
+      ${whereClause}
+      ORDER BY r.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return {
+      restrictions: result.rows.map(row => new UserRestriction({
+        ...row,
+        target: {
+          username: row.username,
+          display_name: row.display_name,
+          avatar_url: row.avatar_url
+        }
+      })),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0
+    };
+  }
+
+  /**
+   * Whether either user blocked the other
+   */
+  static async isBlocked(userId, otherUserId) {
+    const result = await query(
+      'SELECT is_blocked($1, $2) as blocked',
+      [userId, otherUserId]
+    );
+
+    return result.rows[0].blocked;
+  }
+
+  /**
+   * Whether the user and the article's author blocked each other
+   */
+  static async isBlockedFromArticle(userId, articleId) {
+    const result = await query(
+      'SELECT is_blocked($1, user_id) as blocked FROM articles WHERE id = $2',
+      [userId, articleId]
+    );
+
+    return result.rows.length > 0 && result.rows[0].blocked;
+  }
+
+  /**
+   * Whether the author's content and notifications are kept from the viewer:
+   * the viewer muted or blocked the author, or the author blocked the viewer
+   */
+  static async isHidden(authorId, viewerId) {
+    const result = await query(
+      'SELECT is_hidden_from($1, $2) as hidden',
+      [authorId, viewerId]
+    );
+
+    return result.rows[0].hidden;
+  }
+
+  /**
+   * Ids of everyone whose content is kept from the viewer
+   */
+  static async getHiddenUserIds(viewerId) {
+    const result = await query(`
+      SELECT target_user_id as user_id FROM user_restrictions WHERE user_id = $1
+      UNION
+      SELECT user_id FROM user_restrictions WHERE target_user_id = $1 AND restriction_type = 'block'
+    `, [viewerId]);
+
+    return result.rows.map(row => row.user_id);
+  }
+
+  /**
+   * Users among otherUserIds who blocked, or were blocked by, userId
+   * (pass a transaction client as db to check inside a transaction)
+   */
+  static async findBlockedAmong(userId, otherUserIds, db = { query }) {
+    if (otherUserIds.length === 0) {
+      return [];
+    }
+
+    const result = await db.query(`
+      SELECT DISTINCT CASE WHEN user_id = $1 THEN target_user_id ELSE user_id END as user_id
+      FROM user_restrictions
+      WHERE restriction_type = 'block'
+      AND ((user_id = $1 AND target_user_id = ANY($2::uuid[]))
+        OR (target_user_id = $1 AND user_id = ANY($2::uuid[])))
+    `, [userId, otherUserIds]);
+
+    return result.rows.map(row => row.user_id);
+  }
+
+  /**
+   * Convert to JSON for API responses
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      target_user_id: this.target_user_id,
+      restriction_type: this.restriction_type,
+      created_at: this.created_at,
+      target: this.target
+    };
+  }
+}
+
+module.exports = UserRestriction;
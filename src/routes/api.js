@@ -5,7 +5,9 @@
  */
 
 const express = require('express');
+const validator = require('validator');
 const { optionalAuth } = require('../middleware/auth');
+const { createValidationError, createNotFoundError } = require('../middleware/errorHandlers');
 
 const router = express.Router();
 
@@ -22,6 +24,8 @@ router.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       articles: '/api/articles',
+      tags: '/api/tags',
+      notifications: '/api/notifications',
       health: '/health',
       metrics: '/metrics'
     },
@@ -79,43 +83,66 @@ router.get('/stats', optionalAuth, async (req, res, next) => {
 
 /**
  * GET /api/search
- * Global search across articles
+ * Full-text search across published articles and expositions
+ * Query: q, mode (keyword|semantic|hybrid), type (article|exposition), author, tags (comma-separated),
+ * from, to (ISO dates), sort (relevance|date|popularity), limit, cursor
  */
 router.get('/search', optionalAuth, async (req, res, next) => {
   try {
-    const { q: searchQuery, limit = 20, offset = 0 } = req.query;
+    const {
+      q: searchQuery = '',
+      mode = 'keyword',
+      type,
+      author,
+      tags,
+      from,
+      to,
+      sort,
+      limit = 20,
+      cursor
+    } = req.query;
+
+    const SearchService = require('../services/SearchService');
+    const term = searchQuery.trim();
+
+    if (term.length === 1) {
+      throw createValidationError('Search query must be at least 2 characters');
+    }
 
-    if (!searchQuery || searchQuery.trim().length < 2) {
-      return res.json({
-        results: [],
-        pagination: { limit: parseInt(limit), offset: parseInt(offset), total: 0 },
-        message: 'Search query must be at least 2 characters'
+    let options;
+    try {
+      options = SearchService.validateOptions(term, {
+        mode,
+        types: type ? [type] : SearchService.CONTENT_TYPES,
+        author: author || null,
+        tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+        from: from || null,
+        to: to || null,
+        sort: sort || undefined,
+        limit,
+        cursor: cursor || null
       });
+    } catch (error) {
+      throw createValidationError(error.message);
     }
 
-    const Article = require('../models/Article');
+    if (options.mode !== 'keyword' && !require('../services/OpenAIService').isEnabled) {
+      throw createValidationError('Semantic search is not available');
+    }
 
-    const articles = await Article.search(searchQuery, {
-      limit: Math.min(parseInt(limit), 100),
-      offset: parseInt(offset)
-    });
+    const results = await SearchService.search(term, options);
 
     res.json({
-      results: articles.map(article => ({
-        type: 'article',
-        id: article.id,
-        title: article.title,
-        summary: article.summary,
-        author: article.author,
-        published_at: article.published_at,
-        relevance: article.relevance
-      })),
+      results: results.results,
       pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        total: articles.length // In a real app, this would be the total count
+        limit: options.limit,
+        total: results.total,
+        totals: results.totals,
+        next_cursor: results.next_cursor
       },
-      query: searchQuery.trim()
+      query: results.query,
+      mode: results.mode,
+      sort: options.sort
     });
   } catch (error) {
     next(error);
@@ -125,12 +152,15 @@ router.get('/search', optionalAuth, async (req, res, next) => {
 /**
  * GET /api/discover
  * Content discovery recommendations
+ * category=related&article_id= lists the articles closest to that article by
+ * embedding similarity (empty until it has been embedded)
  */
 router.get('/discover', optionalAuth, async (req, res, next) => {
   try {
-    const { category = 'recent', limit = 20 } = req.query;
+    const { category = 'recent', limit = 20, article_id = null } = req.query;
 
     const { query } = require('../config/database');
+    const Article = require('../models/Article');
 
     let articles = [];
 
@@ -178,18 +208,36 @@ router.get('/discover', optionalAuth, async (req, res, next) => {
         articles = discussedResult.rows;
         break;
 
+      case 'related': {
+        if (!article_id || !validator.isUUID(article_id)) {
+          throw createValidationError('A valid article_id is required for related articles');
+        }
+
+        const source = await Article.findById(article_id, false);
+        if (!source || source.status !== 'published') {
+          throw createNotFoundError('Article');
+        }
+
+        const ArticleEmbeddingService = require('../services/ArticleEmbeddingService');
+        articles = await ArticleEmbeddingService.findSimilarArticles(article_id, {
+          limit: Math.min(parseInt(limit) || 20, 50)
+        });
+        break;
+      }
+
       default:
-        throw createValidationError('Invalid category. Use: recent, popular, or discussed');
+        throw createValidationError('Invalid category. Use: recent, popular, discussed, or related');
     }
 
-    const Article = require('../models/Article');
     const formattedArticles = articles.map(row => {
       const article = new Article(row);
       article.author = {
         username: row.username,
         display_name: row.display_name
       };
-      return article.toPublicJSON();
+      return row.similarity !== undefined
+        ? { ...article.toPublicJSON(), similarity: parseFloat(row.similarity) }
+        : article.toPublicJSON();
     });
 
     res.json({
@@ -7,7 +7,7 @@
 const express = require('express');
 const { authMiddleware, optionalAuth, requireResourceOwner } = require('../middleware/auth');
 const { requireUserSubdomain } = require('../middleware/subdomain');
-const { createValidationError, createNotFoundError, createAuthzError } = require('../middleware/errorHandlers');
+const { createValidationError, createNotFoundError, createAuthorizationError } = require('../middleware/errorHandlers');
 const Article = require('../models/Article');
 const User = require('../models/User');
 
@@ -89,7 +89,7 @@ router.get('/:id', optionalAuth, async (req, res, next) => {
 
     // Check if user can view private article
     if (article.visibility === 'private' && (!req.user || req.user.id !== article.user_id)) {
-      throw createAuthzError('You do not have permission to view this article');
+      throw createAuthorizationError('You do not have permission to view this article');
     }
 
     // Increment view count (but not for the author)
@@ -121,11 +121,10 @@ router.post('/', authMiddleware, requireUserSubdomain, requireResourceOwner, asy
       title,
       content,
       summary,
-      visibility
+      visibility,
+      tags
     });
 
-    // TODO: Handle tags in a future update
-
     res.status(201).json({
       message: 'Article created successfully',
       article: article.toOwnerJSON()
@@ -142,7 +141,7 @@ router.post('/', authMiddleware, requireUserSubdomain, requireResourceOwner, asy
 router.put('/:id', authMiddleware, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { title, content, summary, visibility } = req.body;
+    const { title, content, summary, visibility, tags } = req.body;
 
     const article = await Article.findById(id, true);
 
@@ -151,7 +150,7 @@ router.put('/:id', authMiddleware, async (req, res, next) => {
     }
 
     if (article.user_id !== req.user.id) {
-      throw createAuthzError('You do not have permission to update this article');
+      throw createAuthorizationError('You do not have permission to update this article');
     }
 
     const updates = {};
@@ -159,6 +158,7 @@ router.put('/:id', authMiddleware, async (req, res, next) => {
     if (content !== undefined) updates.content = content;
     if (summary !== undefined) updates.summary = summary;
     if (visibility !== undefined) updates.visibility = visibility;
+    if (tags !== undefined) updates.tags = tags;
 
     if (Object.keys(updates).length === 0) {
       throw createValidationError('No valid fields provided for update');
@@ -190,7 +190,7 @@ router.delete('/:id', authMiddleware, async (req, res, next) => {
     }
 
     if (article.user_id !== req.user.id) {
-      throw createAuthzError('You do not have permission to delete this article');
+      throw createAuthorizationError('You do not have permission to delete this article');
     }
 
     await article.delete(req.user.id);
@@ -218,7 +218,7 @@ router.post('/:id/publish', authMiddleware, async (req, res, next) => {
     }
 
     if (article.user_id !== req.user.id) {
-      throw createAuthzError('You do not have permission to publish this article');
+      throw createAuthorizationError('You do not have permission to publish this article');
     }
 
     await article.publish(req.user.id);
@@ -247,7 +247,7 @@ router.post('/:id/unpublish', authMiddleware, async (req, res, next) => {
     }
 
     if (article.user_id !== req.user.id) {
-      throw createAuthzError('You do not have permission to unpublish this article');
+      throw createAuthorizationError('You do not have permission to unpublish this article');
     }
 
     await article.unpublish(req.user.id);
@@ -261,9 +261,55 @@ router.post('/:id/unpublish', authMiddleware, async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/articles/:id/revert
+ * Revert an article to a previous version (creates a new version)
+ */
+router.post('/:id/revert', authMiddleware, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const versionNumber = parseInt(req.body.version_number);
+
+    if (isNaN(versionNumber) || versionNumber < 1) {
+      throw createValidationError('A valid version_number is required');
+    }
+
+    const article = await Article.findById(id, true);
+
+    if (!article) {
+      throw createNotFoundError('Article');
+    }
+
+    if (article.user_id !== req.user.id) {
+      throw createAuthorizationError('You do not have permission to revert this article');
+    }
+
+    let droppedTags;
+    try {
+      droppedTags = await article.revertToVersion(versionNumber, req.user.id);
+    } catch (error) {
+      if (error.message === 'Version not found') {
+        throw createNotFoundError('Version');
+      }
+      if (error.message.startsWith('Article already matches')) {
+        throw createValidationError(error.message);
+      }
+      throw error;
+    }
+
+    res.json({
+      message: `Article reverted to version ${versionNumber}`,
+      article: article.toOwnerJSON(),
+      dropped_tags: droppedTags
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/articles/:id/similar
- * Find similar articles (duplicate detection)
+ * Find related articles by embedding similarity (content-hash duplicates until embedded)
  */
 router.get('/:id/similar', optionalAuth, async (req, res, next) => {
   try {
@@ -277,14 +323,21 @@ router.get('/:id/similar', optionalAuth, async (req, res, next) => {
 
     // Check if user can view the article
     if (article.visibility === 'private' && (!req.user || req.user.id !== article.user_id)) {
-      throw createAuthzError('You do not have permission to view this article');
+      throw createAuthorizationError('You do not have permission to view this article');
     }
 
-    const similarArticles = await Article.findSimilarContent(article.content_hash, id);
+    const { limit = 10 } = req.query;
+    const { method, articles: similarArticles } = await Article.findSimilar(article, {
+      limit: Math.min(parseInt(limit) || 10, 50)
+    });
 
     res.json({
-      similar_articles: similarArticles.map(a => a.toPublicJSON()),
-      count: similarArticles.length
+      similar_articles: similarArticles.map(a => ({
+        ...a.toPublicJSON(),
+        similarity: a.similarity
+      })),
+      count: similarArticles.length,
+      method
     });
   } catch (error) {
     next(error);
@@ -314,7 +367,7 @@ router.get('/:slug', optionalAuth, async (req, res, next) => {
 
     // Check if user can view private article
     if (article.visibility === 'private' && (!req.user || req.user.id !== article.user_id)) {
-      throw createAuthzError('You do not have permission to view this article');
+      throw createAuthorizationError('You do not have permission to view this article');
     }
 
     // Increment view count (but not for the author)
@@ -353,7 +406,7 @@ router.get('/:slug/versions', optionalAuth, async (req, res, next) => {
 
     // Check permissions
     if (article.visibility === 'private' && (!req.user || req.user.id !== article.user_id)) {
-      throw createAuthzError('You do not have permission to view this article');
+      throw createAuthorizationError('You do not have permission to view this article');
     }
 
     const versions = await article.getVersionHistory({ limit: parseInt(limit), offset: parseInt(offset) });
@@ -379,7 +432,8 @@ router.get('/:slug/versions', optionalAuth, async (req, res, next) => {
 
 /**
  * GET /:slug/versions/:version_number
- * Get specific version content
+ * Get specific version content, optionally with a diff against the previous
+ * version (?diff=inline or ?diff=side_by_side)
  */
 router.get('/:slug/versions/:version_number', optionalAuth, async (req, res, next) => {
   try {
@@ -399,7 +453,12 @@ router.get('/:slug/versions/:version_number', optionalAuth, async (req, res, nex
 
     // Check permissions
     if (article.visibility === 'private' && (!req.user || req.user.id !== article.user_id)) {
-      throw createAuthzError('You do not have permission to view this article');
+      throw createAuthorizationError('You do not have permission to view this article');
+    }
+
+    const { diff } = req.query;
+    if (diff && !['inline', 'side_by_side'].includes(diff)) {
+      throw createValidationError('diff must be "inline" or "side_by_side"');
     }
 
     const version = await article.getVersion(parseInt(version_number));
@@ -408,10 +467,90 @@ router.get('/:slug/versions/:version_number', optionalAuth, async (req, res, nex
     }
 
     const isOwner = req.user && req.user.id === article.user_id;
-
-    res.json({
+    const response = {
       version: isOwner ? version.toJSON() : version.toPublicJSON()
-    });
+    };
+
+    if (diff && version.version_number > 1) {
+      const VersionService = require('../services/VersionService');
+      const fromVersion = version.version_number - 1;
+      const changes = await VersionService.getVersionDiff(article.id, fromVersion, version.version_number);
+
+      response.diff = {
+        from_version: fromVersion,
+        to_version: version.version_number,
+        mode: diff,
+        changes: VersionService.renderChanges(changes || [], diff)
+      };
+    }
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /:slug/compare?from=3&to=7
+ * Compare any two versions of an article (?diff=inline or ?diff=side_by_side)
+ */
+router.get('/:slug/compare', optionalAuth, async (req, res, next) => {
+  try {
+    const { slug } = req.params;
+    const { from, to, diff = 'inline' } = req.query;
+    const username = req.subdomain;
+
+    if (!username) {
+      throw createValidationError('This endpoint requires a user subdomain');
+    }
+
+    const fromVersion = parseInt(from);
+    const toVersion = parseInt(to);
+    if (isNaN(fromVersion) || isNaN(toVersion)) {
+      throw createValidationError('from and to version numbers are required');
+    }
+
+    if (fromVersion < 1) {
+      throw createValidationError('Version numbers must be positive integers');
+    }
+
+    if (fromVersion >= toVersion) {
+      throw createValidationError('from version must be lower than to version');
+    }
+
+    if (!['inline', 'side_by_side'].includes(diff)) {
+      throw createValidationError('diff must be "inline" or "side_by_side"');
+    }
+
+    const includePrivate = req.user && req.user.username === username.toLowerCase();
+    const article = await Article.findByUserAndSlug(username, slug, includePrivate);
+
+    if (!article) {
+      throw createNotFoundError('Article');
+    }
+
+    // Check permissions
+    if (article.visibility === 'private' && (!req.user || req.user.id !== article.user_id)) {
+      throw createAuthorizationError('You do not have permission to view this article');
+    }
+
+    const VersionService = require('../services/VersionService');
+    const isOwner = req.user && req.user.id === article.user_id;
+
+    let comparison;
+    try {
+      comparison = await VersionService.compareVersions(article.id, fromVersion, toVersion, {
+        mode: diff,
+        includePrivate: isOwner
+      });
+    } catch (error) {
+      if (error.message === 'Version not found') {
+        throw createNotFoundError('Version');
+      }
+      throw error;
+    }
+
+    res.json(comparison);
   } catch (error) {
     next(error);
   }
@@ -433,7 +572,7 @@ router.get('/api/articles/:id/versions', authMiddleware, async (req, res, next)
 
     // Check ownership
     if (article.user_id !== req.user.id) {
-      throw createAuthzError('You do not have permission to view this article');
+      throw createAuthorizationError('You do not have permission to view this article');
     }
 
     const versions = await article.getVersionHistory({ limit: parseInt(limit), offset: parseInt(offset) });
@@ -471,7 +610,7 @@ router.get('/api/articles/:id/changes', authMiddleware, async (req, res, next) =
 
     // Check ownership
     if (article.user_id !== req.user.id) {
-      throw createAuthzError('You do not have permission to view this article');
+      throw createAuthorizationError('You do not have permission to view this article');
     }
 
     const ArticleVersion = require('../models/ArticleVersion');
@@ -7,6 +7,7 @@
 const express = require('express');
 const { optionalAuth, requireAuth } = require('../middleware/auth');
 const Exposition = require('../models/Exposition');
+const ExpositionCriteria = require('../models/ExpositionCriteria');
 const ExpositionService = require('../services/ExpositionService');
 
 const router = express.Router();
@@ -210,11 +211,14 @@ router.get('/:id', optionalAuth, async (req, res, next) => {
       data: {
         exposition: isOwner ? result.exposition.toJSON() : result.exposition.toPublicJSON(),
         criteria: result.criteria.map(c => c.toPublicJSON()),
+        pinned: includeArticles === 'true' ? result.pinned : [],
+        sections: includeArticles === 'true' ? result.sections : [],
         articles: includeArticles === 'true' ? result.articles : [],
         stats: result.stats,
         pagination: includeArticles === 'true' ? {
           limit: parseInt(articleLimit) || 50,
-          offset: parseInt(articleOffset) || 0
+          offset: parseInt(articleOffset) || 0,
+          total: result.article_total
         } : null
       }
     });
@@ -353,18 +357,19 @@ router.get('/:username/expositions/:slug', optionalAuth, async (req, res, next)
       });
     }
 
-    const { exposition, criteria, articles, stats } = result;
+    const { exposition, criteria, pinned, sections, articles, stats } = result;
 
     // Group criteria by type for display
-    const criteriaByType = {
-      author: criteria.filter(c => c.criterion_type === 'author'),
-      tag: criteria.filter(c => c.criterion_type === 'tag')
-    };
+    const criteriaByType = Object.fromEntries(
+      ExpositionCriteria.CRITERION_TYPES.map(type => [type, criteria.filter(c => c.criterion_type === type)])
+    );
 
     res.render('exposition', {
       title: `${exposition.title} - ${exposition.author.display_name} - Knowledge Foyer`,
       exposition: exposition.toPublicJSON(),
       criteria: criteriaByType,
+      pinned,
+      sections,
       articles,
       stats,
       user: req.user,
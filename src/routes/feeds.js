@@ -0,0 +1,99 @@
+/**
+ * Feed Routes for Knowledge Foyer
+ *
+ * RSS 2.0 (feed.xml), Atom (feed.atom) and JSON Feed (feed.json) for
+ * author subdomains, tags and expositions
+ */
+
+const express = require('express');
+const { requireUserSubdomain } = require('../middleware/subdomain');
+const { createNotFoundError } = require('../middleware/errorHandlers');
+const SyndicationService = require('../services/SyndicationService');
+const User = require('../models/User');
+const Tag = require('../models/Tag');
+const Exposition = require('../models/Exposition');
+
+const router = express.Router();
+
+// Feed readers poll frequently; let proxies absorb most of it
+const FEED_CACHE_SECONDS = 300;
+
+function getFormat(req) {
+  const { format } = req.params;
+  if (!SyndicationService.FORMATS[format]) {
+    throw createNotFoundError('Feed format');
+  }
+  return format;
+}
+
+function getLimit(req) {
+  return Math.min(parseInt(req.query.limit) || 20, SyndicationService.MAX_ENTRY_LIMIT);
+}
+
+function sendFeed(res, feed, format) {
+  res.set('Content-Type', SyndicationService.FORMATS[format].contentType);
+  res.set('Cache-Control', `public, max-age=${FEED_CACHE_SECONDS}`);
+  res.send(SyndicationService.render(feed, format));
+}
+
+/**
+ * GET /feed.:format (user subdomain)
+ * An author's published articles and their updates
+ */
+router.get('/feed.:format', requireUserSubdomain, async (req, res, next) => {
+  try {
+    const format = getFormat(req);
+
+    const user = await User.findByUsername(req.subdomain);
+    if (!user) {
+      throw createNotFoundError('Author');
+    }
+
+    const feed = await SyndicationService.getAuthorFeed(user, { limit: getLimit(req) });
+    sendFeed(res, feed, format);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /tags/:name/feed.:format
+ * Published articles with a tag and their updates
+ */
+router.get('/tags/:name/feed.:format', async (req, res, next) => {
+  try {
+    const format = getFormat(req);
+
+    const tag = await Tag.findByName(req.params.name);
+    if (!tag) {
+      throw createNotFoundError('Tag');
+    }
+
+    const feed = await SyndicationService.getTagFeed(tag, { limit: getLimit(req) });
+    sendFeed(res, feed, format);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /expositions/:id/feed.:format
+ * Articles in a published exposition and their updates
+ */
+router.get('/expositions/:id/feed.:format', async (req, res, next) => {
+  try {
+    const format = getFormat(req);
+
+    const exposition = await Exposition.findById(req.params.id);
+    if (!exposition) {
+      throw createNotFoundError('Exposition');
+    }
+
+    const feed = await SyndicationService.getExpositionFeed(exposition, { limit: getLimit(req) });
+    sendFeed(res, feed, format);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
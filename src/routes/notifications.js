@@ -0,0 +1,86 @@
+/**
+ * Notification Routes for Knowledge Foyer
+ *
+ * Unsubscribe links from digest emails. The link opens a confirmation page;
+ * the POST does the unsubscribing, which is also what mail clients send for
+ * one-click List-Unsubscribe (RFC 8058), so link scanners can't unsubscribe
+ * anyone by prefetching the GET.
+ */
+
+const express = require('express');
+const NotificationPreference = require('../models/NotificationPreference');
+const { escapeHtml } = require('../utils/emailTemplates');
+
+const router = express.Router();
+
+function renderPage(title, body) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head><title>${title} - Knowledge Foyer</title></head>
+    <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+      ${body}
+      <p><a href="/">← Return to Knowledge Foyer</a></p>
+    </body>
+    </html>
+  `;
+}
+
+function invalidLinkPage() {
+  return renderPage('Unsubscribe', `
+      <h1 style="color: #d32f2f;">Invalid Unsubscribe Link</h1>
+      <p>This unsubscribe link is missing or invalid. You can turn digests off in your notification preferences.</p>
+  `);
+}
+
+/**
+ * GET /api/notifications/unsubscribe
+ * Confirmation page for the link in digest emails
+ */
+router.get('/unsubscribe', (req, res, next) => {
+  try {
+    const { token } = req.query;
+
+    if (!NotificationPreference.verifyUnsubscribeToken(token)) {
+      return res.status(400).send(invalidLinkPage());
+    }
+
+    const action = `/api/notifications/unsubscribe?token=${encodeURIComponent(token)}`;
+
+    res.send(renderPage('Unsubscribe', `
+      <h1 style="color: #2f5233;">Unsubscribe from digests?</h1>
+      <p>You will no longer get daily or weekly digest emails. Other notifications are not affected.</p>
+      <form method="POST" action="${escapeHtml(action)}">
+        <button type="submit" style="background: #c9a961; color: white; border: none; padding: 12px 30px; border-radius: 6px; cursor: pointer;">Unsubscribe</button>
+      </form>
+    `));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/notifications/unsubscribe
+ * Turn digests off (confirmation form and one-click List-Unsubscribe)
+ */
+router.post('/unsubscribe', async (req, res, next) => {
+  try {
+    const token = req.query.token || req.body.token;
+    const userId = NotificationPreference.verifyUnsubscribeToken(token);
+
+    if (!userId) {
+      return res.status(400).send(invalidLinkPage());
+    }
+
+    await NotificationPreference.update(userId, { digest_frequency: 'off' });
+
+    res.send(renderPage('Unsubscribed', `
+      <h1 style="color: #2f5233;">You're unsubscribed</h1>
+      <p>You won't get digest emails anymore. You can turn them back on in your notification preferences.</p>
+    `));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+/**
+ * Page Routes for Knowledge Foyer
+ *
+ * Server-rendered author home pages, articles and expositions on user
+ * subdomains, with each author's sitemap.xml and robots.txt, and tag pages
+ */
+
+const express = require('express');
+const validator = require('validator');
+const PageService = require('../services/PageService');
+const Article = require('../models/Article');
+const Exposition = require('../models/Exposition');
+const { articleUrl, expositionUrl } = require('../utils/urls');
+
+const router = express.Router();
+
+// Let proxies absorb crawler and link-preview traffic
+const PAGE_CACHE_SECONDS = 60;
+
+/**
+ * Only handle user subdomain requests; main-domain requests continue to the
+ * next matching route
+ */
+function userSubdomainOnly(req, res, next) {
+  if (req.subdomain && req.subdomain !== 'www') {
+    return next();
+  }
+  next('route');
+}
+
+function sendPage(res, html, notFoundMessage) {
+  if (!html) {
+    return res.status(404).send(PageService.renderNotFoundPage(notFoundMessage));
+  }
+  res.set('Cache-Control', `public, max-age=${PAGE_CACHE_SECONDS}`);
+  res.send(html);
+}
+
+/**
+ * GET / (user subdomain)
+ * Author home page
+ */
+router.get('/', userSubdomainOnly, async (req, res, next) => {
+  try {
+    const html = await PageService.getAuthorPage(req.subdomain);
+    sendPage(res, html, 'This author does not exist.');
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /sitemap.xml (user subdomain)
+ * The author's public articles and expositions
+ */
+router.get('/sitemap.xml', userSubdomainOnly, async (req, res, next) => {
+  try {
+    const sitemap = await PageService.getSitemap(req.subdomain);
+    if (!sitemap) {
+      return res.status(404).send(PageService.renderNotFoundPage('This author does not exist.'));
+    }
+
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Cache-Control', `public, max-age=${PAGE_CACHE_SECONDS}`);
+    res.send(sitemap);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /robots.txt (user subdomain)
+ */
+router.get('/robots.txt', userSubdomainOnly, (req, res) => {
+  res.type('text/plain').send(PageService.getRobots(req.subdomain));
+});
+
+/**
+ * GET /expositions/:slug (user subdomain)
+ * Exposition page
+ */
+router.get('/expositions/:slug', userSubdomainOnly, async (req, res, next) => {
+  try {
+    const html = await PageService.getExpositionPage(req.subdomain, req.params.slug);
+    sendPage(res, html, 'The exposition you are looking for does not exist.');
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /expositions/:id (main domain)
+ * Redirect to the exposition's page on its author's subdomain
+ */
+router.get('/expositions/:id', async (req, res, next) => {
+  try {
+    const exposition = validator.isUUID(req.params.id)
+      ? await Exposition.findById(req.params.id)
+      : null;
+
+    if (!exposition) {
+      return res.status(404).send(PageService.renderNotFoundPage('The exposition you are looking for does not exist.'));
+    }
+
+    res.redirect(301, expositionUrl(exposition.author.username, exposition.slug));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /tags/:name
+ * Tag page
+ */
+router.get('/tags/:name', async (req, res, next) => {
+  try {
+    const html = await PageService.getTagPage(req.params.name);
+    sendPage(res, html, 'This tag does not exist.');
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /:slug (user subdomain)
+ * Article page (?version=N shows an earlier version)
+ */
+router.get('/:slug', userSubdomainOnly, async (req, res, next) => {
+  try {
+    const html = await PageService.getArticlePage(req.subdomain, req.params.slug, {
+      version: req.query.version
+    });
+    sendPage(res, html, 'The article you are looking for does not exist.');
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /:slug (main domain)
+ * Redirect to the article's page on its author's subdomain; paths that can't
+ * be a slug fall through to the 404 handler without a lookup
+ */
+router.get('/:slug', async (req, res, next) => {
+  if (!Article.SLUG_PATTERN.test(req.params.slug)) {
+    return next();
+  }
+
+  try {
+    const article = await Article.findPublishedBySlug(req.params.slug);
+
+    if (!article) {
+      return res.status(404).send(PageService.renderNotFoundPage('The article you are looking for does not exist.'));
+    }
+
+    res.redirect(301, articleUrl(article.author.username, article.slug));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+/**
+ * Tag Routes for Knowledge Foyer
+ *
+ * Tag listing and autocomplete, the tag cloud, and tag pages
+ */
+
+const express = require('express');
+const { optionalAuth } = require('../middleware/auth');
+const { createNotFoundError } = require('../middleware/errorHandlers');
+const Tag = require('../models/Tag');
+
+const router = express.Router();
+
+/**
+ * GET /api/tags
+ * List tags in use (?q= filters by name prefix for autocomplete)
+ */
+router.get('/', optionalAuth, async (req, res, next) => {
+  try {
+    const { q = null, order_by = 'usage', limit = 50, offset = 0 } = req.query;
+
+    const parsedLimit = Math.min(parseInt(limit) || 50, 100);
+    const parsedOffset = parseInt(offset) || 0;
+
+    const { tags, total } = await Tag.list({
+      prefix: q,
+      orderBy: order_by,
+      limit: parsedLimit,
+      offset: parsedOffset
+    });
+
+    res.json({
+      tags: tags.map(tag => tag.toJSON()),
+      pagination: { limit: parsedLimit, offset: parsedOffset, total }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tags/cloud
+ * Most used tags on public articles with 1-5 size weights (?username= for one author)
+ */
+router.get('/cloud', optionalAuth, async (req, res, next) => {
+  try {
+    const { limit = 50, username = null } = req.query;
+
+    const tags = await Tag.getCloud({
+      limit: Math.min(parseInt(limit) || 50, 200),
+      username
+    });
+
+    res.json({ tags });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tags/:name
+ * Tag page: the tag, related tags by co-occurrence, its public articles and
+ * the latest public posts using it as a #hashtag
+ */
+router.get('/:name', optionalAuth, async (req, res, next) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+
+    const parsedLimit = Math.min(parseInt(limit) || 20, 100);
+    const parsedOffset = parseInt(offset) || 0;
+
+    const tag = await Tag.findByName(req.params.name);
+
+    if (!tag) {
+      throw createNotFoundError('Tag');
+    }
+
+    const [relatedTags, articles, messages] = await Promise.all([
+      tag.getRelated(),
+      tag.getArticles({ limit: parsedLimit, offset: parsedOffset }),
+      tag.getMessages()
+    ]);
+
+    res.json({
+      tag: tag.toJSON(),
+      related_tags: relatedTags,
+      articles: articles.map(article => article.toPublicJSON()),
+      messages: messages.map(message => message.toPublicJSON()),
+      pagination: { limit: parsedLimit, offset: parsedOffset, total: tag.article_count }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
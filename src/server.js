@@ -17,6 +17,8 @@ const app = require('./app');
 const { createMCPServer } = require('./mcp/server');
 const ProgressTracker = require('./utils/progress');
 const emailService = require('./services/EmailService');
+const ReviewRoundService = require('./services/ReviewRoundService');
+const NotificationService = require('./services/NotificationService');
 
 // Configuration
 const PORT = process.env.PORT || 3000;
@@ -121,6 +123,12 @@ async function main() {
     // Start MCP WebSocket server
     const mcpServer = startMCPServer();
 
+    // Close review rounds whose re-vote window has passed
+    ReviewRoundService.startScheduler();
+
+    // Email daily/weekly digests at each user's local morning
+    NotificationService.startDigestScheduler();
+
     // Update progress tracker
     progressTracker.updateTaskCompletion('foundation', 5, 5);
 
@@ -0,0 +1,80 @@
+/**
+ * AI Provider base class for Knowledge Foyer
+ *
+ * Defines the interface OpenAIService delegates to: embeddings, completions,
+ * and cost accounting. Concrete providers override embed() and complete().
+ */
+
+class AIProvider {
+  constructor(config = {}) {
+    this.name = 'base';
+    this.embeddingModel = config.embeddingModel || null;
+    this.completionModel = config.completionModel || null;
+    this.embeddingDimensions = config.embeddingDimensions || 1536;
+
+    // USD per 1K tokens
+    this.pricing = {
+      embedding: 0,
+      input: 0,
+      output: 0,
+      ...(config.pricing || {})
+    };
+  }
+
+  /**
+   * Whether the provider is configured and able to serve requests
+   */
+  isAvailable() {
+    return false;
+  }
+
+  /**
+   * Generate an embedding
+   * Resolves to { embedding, tokens, model }
+   */
+  async embed(text) {
+    throw new Error(`${this.name} provider does not support embeddings`);
+  }
+
+  /**
+   * Generate a completion
+   * Options: { systemPrompt, maxTokens, temperature, task, context }. `task` and
+   * `context` carry the structured inputs behind the prompt for providers that
+   * cannot read free text; remote providers ignore them.
+   * Resolves to { content, tokens: { input, output, total }, model }
+   */
+  async complete(prompt, options = {}) {
+    throw new Error(`${this.name} provider does not support completions`);
+  }
+
+  /**
+   * Rough token estimate (1 token ≈ 4 characters)
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Cost of an embedding request
+   */
+  calculateEmbeddingCost(tokens) {
+    return (tokens / 1000) * this.pricing.embedding;
+  }
+
+  /**
+   * Cost of a completion request
+   */
+  calculateCompletionCost(inputTokens, outputTokens) {
+    return (inputTokens / 1000) * this.pricing.input +
+      (outputTokens / 1000) * this.pricing.output;
+  }
+
+  /**
+   * Whether a failed request is worth retrying
+   */
+  isRetryableError(error) {
+    return false;
+  }
+}
+
+module.exports = AIProvider;
@@ -0,0 +1,263 @@
+/**
+ * Article Embedding Service for Knowledge Foyer
+ *
+ * Generates whole-article and per-section embeddings for published articles
+ * and finds semantically related articles
+ */
+
+const { query, transaction } = require('../config/database');
+
+// Stay well inside the embedding model's input window (~4 characters per token)
+const MAX_INPUT_CHARS = 24000;
+
+// Sections shorter than this carry too little meaning to embed on their own
+const MIN_SECTION_CHARS = 80;
+
+const MAX_SECTIONS = 50;
+
+// Hash of the text the article embedding is built from (title, summary and
+// content), stored as embedding_content_hash so any of them changing re-embeds
+const SOURCE_HASH = `encode(sha256(convert_to(
+  concat_ws(E'\\n\\n', NULLIF(title, ''), NULLIF(summary, ''), NULLIF(content, '')), 'UTF8'
+)), 'hex')`;
+
+class ArticleEmbeddingService {
+  static get MAX_INPUT_CHARS() {
+    return MAX_INPUT_CHARS;
+  }
+
+  /**
+   * Split markdown content into sections on ATX headings
+   * Text before the first heading forms a section with a null heading
+   */
+  static splitSections(content) {
+    const sections = [];
+    let current = { heading: null, lines: [] };
+    let inCodeBlock = false;
+
+    for (const line of (content || '').split('\n')) {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inCodeBlock = !inCodeBlock;
+      }
+
+      const heading = !inCodeBlock && line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        sections.push(current);
+        current = { heading: heading[1].slice(0, 255), lines: [] };
+      } else {
+        current.lines.push(line);
+      }
+    }
+    sections.push(current);
+
+    return sections
+      .map(section => ({
+        heading: section.heading,
+        content: section.lines.join('\n').trim()
+      }))
+      .filter(section => section.content.length >= MIN_SECTION_CHARS)
+      .slice(0, MAX_SECTIONS);
+  }
+
+  /**
+   * Text embedded for the whole article
+   */
+  static buildArticleText(article) {
+    return [article.title, article.summary, article.content]
+      .filter(Boolean)
+      .join('\n\n')
+      .slice(0, MAX_INPUT_CHARS);
+  }
+
+  /**
+   * Text embedded for one section; the article title keeps short sections in context
+   */
+  static buildSectionText(article, section) {
+    return [article.title, section.heading, section.content]
+      .filter(Boolean)
+      .join('\n\n')
+      .slice(0, MAX_INPUT_CHARS);
+  }
+
+  /**
+   * Generate embeddings in the background when AI is enabled
+   */
+  static queueArticleEmbedding(articleId) {
+    try {
+      const openAIService = require('./OpenAIService');
+      if (!openAIService.isEnabled) {
+        return;
+      }
+
+      setImmediate(async () => {
+        try {
+          await this.embedArticle(articleId);
+        } catch (error) {
+          console.error(`Error generating embeddings for article ${articleId}:`, error.message);
+        }
+      });
+    } catch (error) {
+      console.error('Error queuing article embedding generation:', error.message);
+    }
+  }
+
+  /**
+   * Embed a published article and its sections
+   * Skips articles already embedded from the same title, summary and content
+   * with the current model
+   */
+  static async embedArticle(articleId, { force = false } = {}) {
+    const openAIService = require('./OpenAIService');
+
+    if (!openAIService.isEnabled) {
+      throw new Error('OpenAI service not available for embedding generation');
+    }
+
+    const result = await query(`
+      SELECT id, title, summary, content, status,
+             embedding_model, embedding_content_hash, ${SOURCE_HASH} as source_hash
+      FROM articles
+      WHERE id = $1
+    `, [articleId]);
+
+    const article = result.rows[0];
+    if (!article) {
+      throw new Error('Article not found');
+    }
+
+    if (article.status !== 'published') {
+      return { skipped: true, reason: 'not_published' };
+    }
+
+    if (!force &&
+        article.embedding_content_hash === article.source_hash &&
+        article.embedding_model === openAIService.config.embeddingModel) {
+      return { skipped: true, reason: 'up_to_date' };
+    }
+
+    const articleEmbedding = await openAIService.generateEmbedding(this.buildArticleText(article));
+
+    // A single-section article is already covered by the article embedding
+    const sections = this.splitSections(article.content);
+    const sectionEmbeddings = [];
+    if (sections.length > 1) {
+      for (const [index, section] of sections.entries()) {
+        const embedding = await openAIService.generateEmbedding(this.buildSectionText(article, section));
+        sectionEmbeddings.push({ index, ...section, embedding });
+      }
+    }
+
+    await transaction(async (client) => {
+      await client.query(`
+        UPDATE articles
+        SET embedding = $1,
+            embedding_model = $2,
+            embedding_content_hash = $3,
+            embedding_generated_at = NOW()
+        WHERE id = $4
+      `, [JSON.stringify(articleEmbedding.embedding), articleEmbedding.model, article.source_hash, articleId]);
+
+      await client.query('DELETE FROM article_section_embeddings WHERE article_id = $1', [articleId]);
+
+      for (const section of sectionEmbeddings) {
+        await client.query(`
+          INSERT INTO article_section_embeddings (
+            article_id, section_index, heading, content, embedding, embedding_model
+          ) VALUES ($1, $2, $3, $4, $5, $6)
+        `, [
+          articleId, section.index, section.heading, section.content,
+          JSON.stringify(section.embedding.embedding), section.embedding.model
+        ]);
+      }
+    });
+
+    console.log(`✅ Generated embeddings for article ${articleId} (${sectionEmbeddings.length} sections)`);
+
+    return {
+      skipped: false,
+      model: articleEmbedding.model,
+      sections: sectionEmbeddings.length
+    };
+  }
+
+  /**
+   * Embed published articles that have no embedding or changed since theirs
+   * was generated (batch processing, e.g. after enabling AI)
+   */
+  static async generateMissingEmbeddings(limit = 20) {
+    const openAIService = require('./OpenAIService');
+
+    if (!openAIService.isEnabled) {
+      console.log('🤖 OpenAI service not available for embedding generation');
+      return { processed: 0, errors: 0 };
+    }
+
+    const result = await query(`
+      SELECT id
+      FROM articles
+      WHERE status = 'published'
+        AND (embedding IS NULL OR embedding_content_hash IS DISTINCT FROM ${SOURCE_HASH})
+      ORDER BY published_at DESC
+      LIMIT $1
+    `, [limit]);
+
+    let processed = 0;
+    let errors = 0;
+
+    for (const { id } of result.rows) {
+      try {
+        await this.embedArticle(id);
+        processed++;
+      } catch (error) {
+        console.error(`Error generating embeddings for article ${id}:`, error.message);
+        errors++;
+
+        // Stop if we hit API limits
+        if (error.message.includes('quota') || error.message.includes('rate limit')) {
+          console.log('🤖 Stopping batch processing due to API limits');
+          break;
+        }
+      }
+    }
+
+    return { processed, errors };
+  }
+
+  /**
+   * Published public articles closest to the given article's embedding
+   * Returns null when the article has no embedding yet
+   */
+  static async findSimilarArticles(articleId, { limit = 10, threshold = 0.5 } = {}) {
+    const result = await query(`
+      SELECT a.*, u.username, u.display_name,
+             1 - (a.embedding <=> source.embedding) as similarity
+      FROM articles source
+      JOIN articles a ON a.id != source.id
+        AND a.embedding IS NOT NULL
+        AND a.embedding_model = source.embedding_model
+      LEFT JOIN users u ON a.user_id = u.id
+      WHERE source.id = $1
+        AND source.embedding IS NOT NULL
+        AND a.status = 'published'
+        AND a.visibility = 'public'
+        AND 1 - (a.embedding <=> source.embedding) >= $2
+      ORDER BY a.embedding <=> source.embedding
+      LIMIT $3
+    `, [articleId, threshold, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Whether an article has an embedding to compare against
+   */
+  static async hasEmbedding(articleId) {
+    const result = await query(
+      'SELECT embedding IS NOT NULL as has_embedding FROM articles WHERE id = $1',
+      [articleId]
+    );
+    return result.rows.length > 0 && result.rows[0].has_embedding;
+  }
+}
+
+module.exports = ArticleEmbeddingService;
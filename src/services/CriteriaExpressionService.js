@@ -0,0 +1,241 @@
+/**
+ * Criteria Expression Service for Knowledge Foyer
+ *
+ * Parses the exposition criteria expression language into a JSON tree that
+ * the database evaluates (see article_matches_criteria_expression in migration 011).
+ *
+ *   (tag:ai OR tag:"machine learning") AND NOT author:spammer
+ *     AND published_after:2025-01-01 AND min_useful_feedback:3
+ *
+ * Operators are AND, OR and NOT (case-insensitive; AND binds tighter than OR)
+ * with parentheses for grouping. Values containing spaces are double-quoted.
+ */
+
+const Tag = require('../models/Tag');
+
+const FIELDS = [
+  'author',
+  'tag',
+  'published_after',
+  'published_before',
+  'min_useful_feedback',
+  'min_versions'
+];
+
+const MAX_TESTS = 25;
+const MAX_DEPTH = 10;
+const MAX_THRESHOLD = 10000;
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]{1,50}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class CriteriaExpressionService {
+  static get FIELDS() {
+    return FIELDS;
+  }
+
+  /**
+   * Parse expression text into a tree of
+   * { op: 'and' | 'or', args: [...] }, { op: 'not', arg } and { field, value }
+   */
+  static parse(text) {
+    if (!text || text.trim().length === 0) {
+      throw new Error('Criteria expression is required');
+    }
+
+    const tokens = this.tokenize(text);
+    let position = 0;
+    let tests = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const isKeyword = (token, keyword) => token && token.type === 'word' && token.value.toUpperCase() === keyword;
+
+    const parseOr = (depth) => {
+      const args = [parseAnd(depth)];
+      while (isKeyword(peek(), 'OR')) {
+        next();
+        args.push(parseAnd(depth));
+      }
+      return args.length === 1 ? args[0] : { op: 'or', args };
+    };
+
+    const parseAnd = (depth) => {
+      const args = [parseUnary(depth)];
+      while (isKeyword(peek(), 'AND')) {
+        next();
+        args.push(parseUnary(depth));
+      }
+      return args.length === 1 ? args[0] : { op: 'and', args };
+    };
+
+    const parseUnary = (depth) => {
+      if (depth > MAX_DEPTH) {
+        throw new Error(`Criteria expression is nested more than ${MAX_DEPTH} levels deep`);
+      }
+
+      const token = next();
+      if (!token) {
+        throw new Error('Criteria expression ended unexpectedly');
+      }
+
+      if (isKeyword(token, 'NOT')) {
+        return { op: 'not', arg: parseUnary(depth + 1) };
+      }
+
+      if (token.type === '(') {
+        const inner = parseOr(depth + 1);
+        if (!peek() || peek().type !== ')') {
+          throw new Error('Missing closing parenthesis in criteria expression');
+        }
+        next();
+        return inner;
+      }
+
+      if (token.type !== 'word' || !peek() || peek().type !== ':') {
+        throw new Error(`Expected field:value at "${token.value}"`);
+      }
+      next();
+
+      const value = next();
+      if (!value || (value.type !== 'word' && value.type !== 'string')) {
+        throw new Error(`Missing value for "${token.value}"`);
+      }
+
+      if (++tests > MAX_TESTS) {
+        throw new Error(`Criteria expressions can have at most ${MAX_TESTS} conditions`);
+      }
+
+      const field = token.value.toLowerCase();
+      return { field, value: this.normalizeValue(field, value.value) };
+    };
+
+    const tree = parseOr(0);
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${peek().value}" in criteria expression`);
+    }
+
+    return tree;
+  }
+
+  /**
+   * Split expression text into words, quoted strings, parentheses and colons
+   */
+  static tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '(' || char === ')' || char === ':') {
+        tokens.push({ type: char, value: char });
+        i++;
+      } else if (char === '"') {
+        let value = '';
+        i++;
+        while (i < text.length && text[i] !== '"') {
+          if (text[i] === '\\' && i + 1 < text.length) {
+            i++;
+          }
+          value += text[i++];
+        }
+        if (i >= text.length) {
+          throw new Error('Unterminated quoted value in criteria expression');
+        }
+        i++;
+        tokens.push({ type: 'string', value });
+      } else {
+        let value = '';
+        while (i < text.length && !/[\s():"]/.test(text[i])) {
+          value += text[i++];
+        }
+        tokens.push({ type: 'word', value });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Validate and normalize a value for a field
+   */
+  static normalizeValue(field, rawValue) {
+    const value = String(rawValue).trim();
+
+    switch (field) {
+      case 'author':
+        if (!USERNAME_PATTERN.test(value)) {
+          throw new Error(`Invalid username "${value}"`);
+        }
+        return value.toLowerCase();
+
+      case 'tag': {
+        const name = Tag.normalize(value);
+        if (!name) {
+          throw new Error(`Invalid tag "${value}"`);
+        }
+        return name;
+      }
+
+      case 'published_after':
+      case 'published_before': {
+        const timestamp = Date.parse(value);
+        if (isNaN(timestamp)) {
+          throw new Error(`Invalid date "${value}" for ${field}`);
+        }
+        return DATE_PATTERN.test(value) ? value : new Date(timestamp).toISOString();
+      }
+
+      case 'min_useful_feedback':
+      case 'min_versions': {
+        if (!/^\d+$/.test(value) || parseInt(value) > MAX_THRESHOLD) {
+          throw new Error(`${field} must be a whole number between 0 and ${MAX_THRESHOLD}`);
+        }
+        return String(parseInt(value));
+      }
+
+      default:
+        throw new Error(`Unknown criteria field "${field}". Use: ${FIELDS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Canonical text for a tree; parse(serialize(tree)) yields the same tree
+   */
+  static serialize(node, parentOp = null) {
+    if (node.field) {
+      const needsQuotes = !/^[^\s():"]+$/.test(node.value);
+      const value = needsQuotes ? `"${node.value.replace(/(["\\])/g, '\\$1')}"` : node.value;
+      return `${node.field}:${value}`;
+    }
+
+    if (node.op === 'not') {
+      const inner = this.serialize(node.arg, 'not');
+      return `NOT ${inner}`;
+    }
+
+    const text = node.args
+      .map(arg => this.serialize(arg, node.op))
+      .join(` ${node.op.toUpperCase()} `);
+
+    return parentOp ? `(${text})` : text;
+  }
+
+  /**
+   * All field tests in a tree
+   */
+  static getTests(node) {
+    if (node.field) {
+      return [node];
+    }
+    if (node.op === 'not') {
+      return this.getTests(node.arg);
+    }
+    return node.args.flatMap(arg => this.getTests(arg));
+  }
+}
+
+module.exports = CriteriaExpressionService;
@@ -0,0 +1,613 @@
+/**
+ * Diff Service for Knowledge Foyer
+ *
+ * Myers line diff with word-level refinement of modified lines, move detection,
+ * hunk grouping, and inline / side-by-side rendering of the resulting diff_data
+ */
+
+// Beyond this many edits we stop searching and treat the block as replaced
+const MAX_EDIT_DISTANCE = 2000;
+
+// A deleted/inserted pair is shown as one modified line above this similarity
+const MODIFY_SIMILARITY_THRESHOLD = 0.5;
+
+// Moved blocks must carry at least this much non-whitespace text
+const MIN_MOVE_CHARACTERS = 20;
+
+const DEFAULT_CONTEXT_LINES = 3;
+
+const WORD_TOKEN_PATTERN = /\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+
+class DiffService {
+  /**
+   * Compute the shortest edit script between two sequences (Myers, O(ND))
+   * Returns ops of { type: 'equal' | 'delete' | 'insert', oldIndex, newIndex }
+   */
+  static diffSequences(oldItems, newItems) {
+    let prefix = 0;
+    while (prefix < oldItems.length && prefix < newItems.length && oldItems[prefix] === newItems[prefix]) {
+      prefix++;
+    }
+
+    let suffix = 0;
+    while (
+      suffix < oldItems.length - prefix &&
+      suffix < newItems.length - prefix &&
+      oldItems[oldItems.length - 1 - suffix] === newItems[newItems.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    const ops = [];
+    for (let i = 0; i < prefix; i++) {
+      ops.push({ type: 'equal', oldIndex: i, newIndex: i });
+    }
+
+    const middleOps = this.myers(
+      oldItems.slice(prefix, oldItems.length - suffix),
+      newItems.slice(prefix, newItems.length - suffix)
+    );
+
+    for (const op of middleOps) {
+      ops.push({
+        type: op.type,
+        oldIndex: op.oldIndex !== null ? op.oldIndex + prefix : null,
+        newIndex: op.newIndex !== null ? op.newIndex + prefix : null
+      });
+    }
+
+    for (let i = suffix; i > 0; i--) {
+      ops.push({
+        type: 'equal',
+        oldIndex: oldItems.length - i,
+        newIndex: newItems.length - i
+      });
+    }
+
+    return ops;
+  }
+
+  /**
+   * Core Myers greedy algorithm with trace-based backtracking
+   */
+  static myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+
+    if (n === 0 || m === 0) {
+      return [
+        ...a.map((_, i) => ({ type: 'delete', oldIndex: i, newIndex: null })),
+        ...b.map((_, j) => ({ type: 'insert', oldIndex: null, newIndex: j }))
+      ];
+    }
+
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+      if (d > MAX_EDIT_DISTANCE) {
+        return this.replaceAll(n, m);
+      }
+
+      // Keep only the diagonals reachable at this depth
+      trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+      for (let k = -d; k <= d; k += 2) {
+        let x;
+        if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+          x = v[offset + k + 1];
+        } else {
+          x = v[offset + k - 1] + 1;
+        }
+        let y = x - k;
+
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+
+        v[offset + k] = x;
+
+        if (x >= n && y >= m) {
+          return this.backtrack(trace, n, m);
+        }
+      }
+    }
+
+    return this.replaceAll(n, m);
+  }
+
+  /**
+   * Walk the Myers trace back from (n, m) to recover the edit script
+   */
+  static backtrack(trace, n, m) {
+    const ops = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const snapshot = trace[d];
+      const at = (k) => snapshot[k + d + 1];
+      const k = x - y;
+
+      let prevK;
+      if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+        prevK = k + 1;
+      } else {
+        prevK = k - 1;
+      }
+
+      const prevX = at(prevK);
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        ops.push({ type: 'equal', oldIndex: x - 1, newIndex: y - 1 });
+        x--;
+        y--;
+      }
+
+      if (d > 0) {
+        if (x === prevX) {
+          ops.push({ type: 'insert', oldIndex: null, newIndex: y - 1 });
+        } else {
+          ops.push({ type: 'delete', oldIndex: x - 1, newIndex: null });
+        }
+      }
+
+      x = prevX;
+      y = prevY;
+    }
+
+    return ops.reverse();
+  }
+
+  /**
+   * Fallback edit script: delete everything, insert everything
+   */
+  static replaceAll(n, m) {
+    const ops = [];
+    for (let i = 0; i < n; i++) {
+      ops.push({ type: 'delete', oldIndex: i, newIndex: null });
+    }
+    for (let j = 0; j < m; j++) {
+      ops.push({ type: 'insert', oldIndex: null, newIndex: j });
+    }
+    return ops;
+  }
+
+  /**
+   * Split a line into word, whitespace and punctuation tokens
+   */
+  static tokenizeWords(text) {
+    return text.match(WORD_TOKEN_PATTERN) || [];
+  }
+
+  /**
+   * Word-level diff of a single modified line
+   * Returns merged segments of { type: 'equal' | 'remove' | 'add', text } and a similarity ratio
+   */
+  static diffWords(oldLine, newLine) {
+    const oldTokens = this.tokenizeWords(oldLine);
+    const newTokens = this.tokenizeWords(newLine);
+    const ops = this.diffSequences(oldTokens, newTokens);
+
+    const segments = [];
+    let equalChars = 0;
+
+    for (const op of ops) {
+      let type;
+      let text;
+      if (op.type === 'equal') {
+        type = 'equal';
+        text = oldTokens[op.oldIndex];
+        equalChars += text.length;
+      } else if (op.type === 'delete') {
+        type = 'remove';
+        text = oldTokens[op.oldIndex];
+      } else {
+        type = 'add';
+        text = newTokens[op.newIndex];
+      }
+
+      const last = segments[segments.length - 1];
+      if (last && last.type === type) {
+        last.text += text;
+      } else {
+        segments.push({ type, text });
+      }
+    }
+
+    const totalChars = oldLine.length + newLine.length;
+    const similarity = totalChars === 0 ? 1 : (2 * equalChars) / totalChars;
+
+    return { segments, similarity };
+  }
+
+  /**
+   * Detect blocks of deleted lines that reappear verbatim as inserted lines
+   * Returns moves plus maps from old/new line index to move id
+   */
+  static detectMoves(oldLines, newLines, ops) {
+    const deleted = new Set();
+    const inserted = new Set();
+    const insertsByKey = new Map();
+
+    for (const op of ops) {
+      if (op.type === 'delete') {
+        deleted.add(op.oldIndex);
+      } else if (op.type === 'insert') {
+        inserted.add(op.newIndex);
+        const key = newLines[op.newIndex].trim();
+        if (key) {
+          if (!insertsByKey.has(key)) insertsByKey.set(key, []);
+          insertsByKey.get(key).push(op.newIndex);
+        }
+      }
+    }
+
+    const movedOld = new Map();
+    const movedNew = new Map();
+    const moves = [];
+
+    for (const op of ops) {
+      if (op.type !== 'delete' || movedOld.has(op.oldIndex)) continue;
+
+      const key = oldLines[op.oldIndex].trim();
+      if (!key) continue;
+
+      const candidates = (insertsByKey.get(key) || []).filter(index => !movedNew.has(index));
+      if (candidates.length === 0) continue;
+
+      const moveId = moves.length + 1;
+      const oldStart = op.oldIndex;
+      const newStart = candidates[0];
+      let length = 0;
+      let characters = 0;
+
+      while (
+        deleted.has(oldStart + length) &&
+        inserted.has(newStart + length) &&
+        !movedOld.has(oldStart + length) &&
+        !movedNew.has(newStart + length) &&
+        oldLines[oldStart + length].trim() === newLines[newStart + length].trim()
+      ) {
+        movedOld.set(oldStart + length, moveId);
+        movedNew.set(newStart + length, moveId);
+        characters += oldLines[oldStart + length].replace(/\s/g, '').length;
+        length++;
+      }
+
+      if (characters < MIN_MOVE_CHARACTERS) {
+        for (let i = 0; i < length; i++) {
+          movedOld.delete(oldStart + i);
+          movedNew.delete(newStart + i);
+        }
+        continue;
+      }
+
+      moves.push({
+        id: moveId,
+        old_start: oldStart + 1,
+        new_start: newStart + 1,
+        lines: length
+      });
+    }
+
+    // Renumber so move ids are contiguous after discarding short candidates
+    const renumber = new Map(moves.map((move, index) => [move.id, index + 1]));
+    for (const [index, id] of movedOld) movedOld.set(index, renumber.get(id));
+    for (const [index, id] of movedNew) movedNew.set(index, renumber.get(id));
+    moves.forEach((move, index) => { move.id = index + 1; });
+
+    return { moves, movedOld, movedNew };
+  }
+
+  /**
+   * Turn the edit script into display entries, pairing similar deleted and
+   * inserted lines into word-diffed modifications
+   */
+  static buildEntries(oldLines, newLines, ops, movedOld, movedNew) {
+    const entries = [];
+    let i = 0;
+
+    while (i < ops.length) {
+      if (ops[i].type === 'equal') {
+        entries.push({
+          type: 'context',
+          old_line: ops[i].oldIndex + 1,
+          new_line: ops[i].newIndex + 1,
+          content: newLines[ops[i].newIndex]
+        });
+        i++;
+        continue;
+      }
+
+      // Collect a contiguous block of changes
+      const block = [];
+      while (i < ops.length && ops[i].type !== 'equal') {
+        block.push(ops[i]);
+        i++;
+      }
+
+      const deletes = block.filter(op => op.type === 'delete' && !movedOld.has(op.oldIndex));
+      const inserts = block.filter(op => op.type === 'insert' && !movedNew.has(op.newIndex));
+
+      // Pair deleted and inserted lines positionally when they are similar enough
+      const pairs = new Map();
+      const pairedInserts = new Set();
+      for (let p = 0; p < Math.min(deletes.length, inserts.length); p++) {
+        const oldLine = oldLines[deletes[p].oldIndex];
+        const newLine = newLines[inserts[p].newIndex];
+        const wordDiff = this.diffWords(oldLine, newLine);
+        if (wordDiff.similarity >= MODIFY_SIMILARITY_THRESHOLD) {
+          pairs.set(deletes[p].oldIndex, { insert: inserts[p], segments: wordDiff.segments });
+          pairedInserts.add(inserts[p].newIndex);
+        }
+      }
+
+      let pendingRemoves = [];
+      let pendingAdds = [];
+      const flush = () => {
+        entries.push(...pendingRemoves, ...pendingAdds);
+        pendingRemoves = [];
+        pendingAdds = [];
+      };
+
+      for (const op of block) {
+        if (op.type === 'delete') {
+          if (movedOld.has(op.oldIndex)) {
+            pendingRemoves.push({
+              type: 'moved_from',
+              move_id: movedOld.get(op.oldIndex),
+              old_line: op.oldIndex + 1,
+              content: oldLines[op.oldIndex]
+            });
+          } else if (pairs.has(op.oldIndex)) {
+            const pair = pairs.get(op.oldIndex);
+            flush();
+            entries.push({
+              type: 'modify',
+              old_line: op.oldIndex + 1,
+              new_line: pair.insert.newIndex + 1,
+              old_content: oldLines[op.oldIndex],
+              new_content: newLines[pair.insert.newIndex],
+              segments: pair.segments
+            });
+          } else {
+            pendingRemoves.push({
+              type: 'remove',
+              old_line: op.oldIndex + 1,
+              content: oldLines[op.oldIndex]
+            });
+          }
+        } else if (movedNew.has(op.newIndex)) {
+          pendingAdds.push({
+            type: 'moved_to',
+            move_id: movedNew.get(op.newIndex),
+            new_line: op.newIndex + 1,
+            content: newLines[op.newIndex]
+          });
+        } else if (!pairedInserts.has(op.newIndex)) {
+          pendingAdds.push({
+            type: 'add',
+            new_line: op.newIndex + 1,
+            content: newLines[op.newIndex]
+          });
+        }
+      }
+
+      flush();
+    }
+
+    return entries;
+  }
+
+  /**
+   * Group display entries into hunks with surrounding context lines
+   */
+  static buildHunks(entries, contextLines = DEFAULT_CONTEXT_LINES) {
+    const changeIndexes = [];
+    entries.forEach((entry, index) => {
+      if (entry.type !== 'context') changeIndexes.push(index);
+    });
+
+    if (changeIndexes.length === 0) {
+      return [];
+    }
+
+    // Merge change ranges whose context would overlap
+    const ranges = [];
+    for (const index of changeIndexes) {
+      const start = Math.max(0, index - contextLines);
+      const end = Math.min(entries.length, index + contextLines + 1);
+      const last = ranges[ranges.length - 1];
+      if (last && start <= last.end) {
+        last.end = end;
+      } else {
+        ranges.push({ start, end });
+      }
+    }
+
+    // Running line positions so empty-sided hunks still get a start line
+    const oldBefore = [];
+    const newBefore = [];
+    let oldCount = 0;
+    let newCount = 0;
+    for (const entry of entries) {
+      oldBefore.push(oldCount);
+      newBefore.push(newCount);
+      if (entry.old_line) oldCount++;
+      if (entry.new_line) newCount++;
+    }
+
+    return ranges.map(range => {
+      const lines = entries.slice(range.start, range.end);
+      const oldLines = lines.filter(line => line.old_line).length;
+      const newLines = lines.filter(line => line.new_line).length;
+
+      return {
+        old_start: oldLines > 0 ? oldBefore[range.start] + 1 : oldBefore[range.start],
+        old_lines: oldLines,
+        new_start: newLines > 0 ? newBefore[range.start] + 1 : newBefore[range.start],
+        new_lines: newLines,
+        lines
+      };
+    });
+  }
+
+  /**
+   * Full line diff of two texts, suitable for storing in article_changes.diff_data
+   */
+  static diffText(oldText, newText, options = {}) {
+    const { contextLines = DEFAULT_CONTEXT_LINES } = options;
+
+    const oldLines = (oldText || '').split('\n');
+    const newLines = (newText || '').split('\n');
+
+    const ops = this.diffSequences(oldLines, newLines);
+    const { moves, movedOld, movedNew } = this.detectMoves(oldLines, newLines, ops);
+    const entries = this.buildEntries(oldLines, newLines, ops, movedOld, movedNew);
+    const hunks = this.buildHunks(entries, contextLines);
+
+    const count = (type) => entries.filter(entry => entry.type === type).length;
+    const stats = {
+      lines_added: count('add'),
+      lines_removed: count('remove'),
+      lines_modified: count('modify'),
+      lines_moved: count('moved_to'),
+      moves: moves.length
+    };
+    stats.total_changes = stats.lines_added + stats.lines_removed + stats.lines_modified + stats.lines_moved;
+
+    return {
+      format: 'hunks',
+      context_lines: contextLines,
+      hunks,
+      moves,
+      stats
+    };
+  }
+
+  /**
+   * Render diff_data as unified (inline) rows
+   */
+  static toInlineRows(diffData) {
+    const rows = [];
+
+    for (const hunk of diffData.hunks || []) {
+      rows.push({
+        type: 'hunk',
+        header: `@@ -${hunk.old_start},${hunk.old_lines} +${hunk.new_start},${hunk.new_lines} @@`
+      });
+
+      for (const line of hunk.lines) {
+        if (line.type === 'modify') {
+          rows.push({
+            type: 'remove',
+            old_line: line.old_line,
+            new_line: null,
+            segments: line.segments.filter(segment => segment.type !== 'add')
+          });
+          rows.push({
+            type: 'add',
+            old_line: null,
+            new_line: line.new_line,
+            segments: line.segments.filter(segment => segment.type !== 'remove')
+          });
+        } else {
+          rows.push({
+            type: line.type,
+            old_line: line.old_line || null,
+            new_line: line.new_line || null,
+            move_id: line.move_id,
+            segments: [{ type: 'equal', text: line.content }]
+          });
+        }
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Render diff_data as side-by-side rows with old text on the left
+   */
+  static toSideBySideRows(diffData) {
+    const rows = [];
+
+    for (const hunk of diffData.hunks || []) {
+      rows.push({
+        type: 'hunk',
+        header: `@@ -${hunk.old_start},${hunk.old_lines} +${hunk.new_start},${hunk.new_lines} @@`
+      });
+
+      let lefts = [];
+      let rights = [];
+      const flush = () => {
+        for (let i = 0; i < Math.max(lefts.length, rights.length); i++) {
+          rows.push({ type: 'change', left: lefts[i] || null, right: rights[i] || null });
+        }
+        lefts = [];
+        rights = [];
+      };
+
+      for (const line of hunk.lines) {
+        if (line.type === 'context') {
+          flush();
+          const segments = [{ type: 'equal', text: line.content }];
+          rows.push({
+            type: 'context',
+            left: { line: line.old_line, type: 'context', segments },
+            right: { line: line.new_line, type: 'context', segments }
+          });
+        } else if (line.type === 'modify') {
+          flush();
+          rows.push({
+            type: 'modify',
+            left: {
+              line: line.old_line,
+              type: 'remove',
+              segments: line.segments.filter(segment => segment.type !== 'add')
+            },
+            right: {
+              line: line.new_line,
+              type: 'add',
+              segments: line.segments.filter(segment => segment.type !== 'remove')
+            }
+          });
+        } else if (line.type === 'remove' || line.type === 'moved_from') {
+          lefts.push({
+            line: line.old_line,
+            type: line.type,
+            move_id: line.move_id,
+            segments: [{ type: 'equal', text: line.content }]
+          });
+        } else {
+          rights.push({
+            line: line.new_line,
+            type: line.type,
+            move_id: line.move_id,
+            segments: [{ type: 'equal', text: line.content }]
+          });
+        }
+      }
+
+      flush();
+    }
+
+    return rows;
+  }
+
+  /**
+   * Render rows for the requested view mode ('inline' or 'side_by_side')
+   */
+  static render(diffData, mode = 'inline') {
+    return mode === 'side_by_side'
+      ? this.toSideBySideRows(diffData)
+      : this.toInlineRows(diffData);
+  }
+}
+
+module.exports = DiffService;
@@ -6,6 +6,7 @@
  */
 
 const nodemailer = require('nodemailer');
+const emailTemplates = require('../utils/emailTemplates');
 
 class EmailService {
   constructor() {
@@ -18,48 +19,41 @@ class EmailService {
    */
   async initialize() {
     try {
-      if (process.env.NODE_ENV === 'development') {
+      const hasCredentials = process.env.SMTP_USER && process.env.SMTP_PASS;
+      const usesEthereal = !process.env.SMTP_HOST || process.env.SMTP_HOST === 'smtp.ethereal.email';
+
+      if (process.env.NODE_ENV === 'development' && !hasCredentials && usesEthereal) {
         // For development, create Ethereal Email test account if needed
-        if (!process.env.SMTP_USER || !process.env.SMTP_PASS) {
-          console.log('📧 Creating Ethereal Email test account...');
-          this.testAccount = await nodemailer.createTestAccount();
-
-          this.transporter = nodemailer.createTransport({
-            host: 'smtp.ethereal.email',
-            port: 587,
-            secure: false,
-            auth: {
-              user: this.testAccount.user,
-              pass: this.testAccount.pass
-            }
-          });
-
-          console.log('✅ Ethereal Email configured:');
-          console.log(`📧 User: ${this.testAccount.user}`);
-          console.log(`🔑 Pass: ${this.testAccount.pass}`);
-          console.log('📬 Preview emails at: https://ethereal.email');
-        } else {
-          // Use provided SMTP credentials
-          this.transporter = nodemailer.createTransport({
-            host: process.env.SMTP_HOST,
-            port: parseInt(process.env.SMTP_PORT) || 587,
-            secure: process.env.SMTP_PORT === '465',
-            auth: {
-              user: process.env.SMTP_USER,
-              pass: process.env.SMTP_PASS
-            }
-          });
-        }
+        console.log('📧 Creating Ethereal Email test account...');
+        this.testAccount = await nodemailer.createTestAccount();
+
+        this.transporter = nodemailer.createTransport({
+          host: 'smtp.ethereal.email',
+          port: 587,
+          secure: false,
+          auth: {
+            user: this.testAccount.user,
+            pass: this.testAccount.pass
+          }
+        });
+
+        console.log('✅ Ethereal Email configured:');
+        console.log(`📧 User: ${this.testAccount.user}`);
+        console.log(`🔑 Pass: ${this.testAccount.pass}`);
+        console.log('📬 Preview emails at: https://ethereal.email');
       } else {
-        // Production SMTP configuration
+        // Configured SMTP server; without credentials (e.g. the local capture
+        // in scripts/smtp-capture.js) no authentication is attempted
         this.transporter = nodemailer.createTransport({
           host: process.env.SMTP_HOST,
           port: parseInt(process.env.SMTP_PORT) || 587,
           secure: process.env.SMTP_PORT === '465',
-          auth: {
-            user: process.env.SMTP_USER,
-            pass: process.env.SMTP_PASS
-          }
+          ...(hasCredentials ? {
+            auth: {
+              user: process.env.SMTP_USER,
+              pass: process.env.SMTP_PASS
+            }
+          } : {})
         });
       }
 
@@ -76,7 +70,7 @@ class EmailService {
   /**
    * Send email
    */
-  async sendEmail(to, subject, html, text = null) {
+  async sendEmail(to, subject, html, text = null, options = {}) {
     if (!this.transporter) {
       console.warn('Email service not initialized - email not sent');
       return { success: false, error: 'Email service not available' };
@@ -88,7 +82,8 @@ class EmailService {
         to,
         subject,
         html,
-        text: text || this.htmlToText(html)
+        text: text || this.htmlToText(html),
+        headers: options.headers || {}
       };
 
       const info = await this.transporter.sendMail(mailOptions);
@@ -232,6 +227,28 @@ class EmailService {
     );
   }
 
+  /**
+   * Send a notification by email (for users who chose the email channel)
+   */
+  async sendNotificationEmail(user, notification) {
+    const { subject, html, text } = emailTemplates.notificationEmail(user, notification);
+    return await this.sendEmail(user.email, subject, html, text);
+  }
+
+  /**
+   * Send a daily or weekly digest with one-click unsubscribe (RFC 8058)
+   */
+  async sendDigestEmail(user, digest, options) {
+    const { subject, html, text } = emailTemplates.digestEmail(user, digest, options);
+
+    return await this.sendEmail(user.email, subject, html, text, {
+      headers: {
+        'List-Unsubscribe': `<${options.unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+  }
+
   /**
    * Simple HTML to text conversion
    */
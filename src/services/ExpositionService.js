@@ -44,7 +44,7 @@ class ExpositionService {
   }
 
   /**
-   * Get exposition with criteria and articles
+   * Get exposition with criteria and its article layout
    */
   static async getExpositionWithContent(expositionId, options = {}) {
     const {
@@ -63,7 +63,10 @@ class ExpositionService {
 
     const result = {
       exposition,
+      pinned: [],
+      sections: [],
       articles: [],
+      article_total: 0,
       criteria: [],
       stats: null
     };
@@ -75,11 +78,12 @@ class ExpositionService {
       });
     }
 
-    // Get matching articles
-    result.articles = await exposition.getMatchingArticles({
+    // Get matching articles arranged into pinned, sections and the main list
+    const layout = await exposition.getLayout({
       limit: articleLimit,
       offset: articleOffset
     });
+    Object.assign(result, layout);
 
     // Get statistics if requested
     if (includeStats) {
@@ -112,11 +116,12 @@ class ExpositionService {
     );
 
     if (!validatedValue) {
-      if (criterionType === 'author') {
+      if (['author', 'not_author'].includes(criterionType)) {
         throw new Error(`User '${criterionValue}' not found`);
-      } else if (criterionType === 'tag') {
+      } else if (['tag', 'not_tag'].includes(criterionType)) {
         throw new Error(`Tag '${criterionValue}' not found`);
       }
+      throw new Error(`Invalid criterion type: ${criterionType}`);
     }
 
     // Create the criterion
@@ -400,10 +405,9 @@ class ExpositionService {
     });
 
     // Group criteria by type
-    const criteriaByType = {
-      author: criteria.filter(c => c.criterion_type === 'author'),
-      tag: criteria.filter(c => c.criterion_type === 'tag')
-    };
+    const criteriaByType = Object.fromEntries(
+      ExpositionCriteria.CRITERION_TYPES.map(type => [type, criteria.filter(c => c.criterion_type === type)])
+    );
 
     // Calculate author contribution percentages
     const authorStats = {};
@@ -8,17 +8,24 @@ const { query, transaction } = require('../config/database');
 const Follow = require('../models/Follow');
 const Message = require('../models/Message');
 const Article = require('../models/Article');
+const UserRestriction = require('../models/UserRestriction');
 
 class FeedService {
   /**
    * Generate personalized feed for a user
+   * Followed users the user has muted or blocked are left out.
    */
   static async generatePersonalizedFeed(userId, options = {}) {
     const { limit = 50, offset = 0, includeOwnContent = true } = options;
 
     // Get users that this user follows
-    const following = await Follow.getFollowing(userId);
-    const followingIds = following.map(f => f.user_id);
+    const [following, hiddenIds] = await Promise.all([
+      Follow.getFollowing(userId),
+      UserRestriction.getHiddenUserIds(userId)
+    ]);
+    const followingIds = following
+      .map(f => f.user_id)
+      .filter(id => !hiddenIds.includes(id));
 
     if (includeOwnContent) {
       followingIds.push(userId);
@@ -26,7 +33,7 @@ class FeedService {
 
     if (followingIds.length === 0) {
       // User doesn't follow anyone, return public timeline
-      return await this.getPublicFeed({ limit, offset });
+      return await this.getPublicFeed({ limit, offset, excludeUserIds: hiddenIds });
     }
 
     // Get feed items from followed users
@@ -102,7 +109,7 @@ class FeedService {
    * Get public feed (trending/recent public content)
    */
   static async getPublicFeed(options = {}) {
-    const { limit = 50, offset = 0, timeframe = '7 days' } = options;
+    const { limit = 50, offset = 0, timeframe = '7 days', excludeUserIds = [] } = options;
 
     const result = await query(`
       WITH public_content AS (
@@ -154,9 +161,10 @@ class FeedService {
       FROM public_content pc
       LEFT JOIN users u ON pc.source_user_id = u.id
       WHERE u.is_active = true
+      AND NOT (u.id = ANY($4::uuid[]))
       ORDER BY pc.sort_priority DESC, pc.created_at DESC
       LIMIT $1 OFFSET $2
-    `, [limit, offset, timeframe]);
+    `, [limit, offset, timeframe, excludeUserIds]);
 
     return result.rows.map(item => ({
       ...item,
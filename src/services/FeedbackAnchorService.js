@@ -0,0 +1,300 @@
+/**
+ * Feedback Anchor Service for Knowledge Foyer
+ *
+ * Inline feedback can point at a passage of an article's markdown: the quoted
+ * text, its offsets (UTF-16 code units into the content) and a little context
+ * on either side. When a new version is saved the offsets are carried through a
+ * word-level diff of the content (DiffService). A passage that was edited is
+ * followed as 'changed'; one that was deleted is marked 'orphaned'.
+ */
+
+const DiffService = require('./DiffService');
+
+const MAX_QUOTE_LENGTH = 1000;
+
+// Characters of context stored on each side of the quote
+const CONTEXT_LENGTH = 32;
+
+// An edited passage is still followed while this much of its text survives
+const MIN_SURVIVING_RATIO = 0.5;
+
+// Give up scoring candidate matches for very common quotes beyond this many
+const MAX_CANDIDATES = 200;
+
+const ANCHOR_STATUSES = ['anchored', 'changed', 'orphaned'];
+
+class FeedbackAnchorService {
+  static get ANCHOR_STATUSES() {
+    return ANCHOR_STATUSES;
+  }
+
+  static get MAX_QUOTE_LENGTH() {
+    return MAX_QUOTE_LENGTH;
+  }
+
+  /**
+   * Validate a submitted anchor against the article content
+   * Offsets are trusted when they match the quote; otherwise the quote is
+   * located using the context. Returns { quote, prefix, suffix, start, end }.
+   */
+  static resolveAnchor(content, anchor) {
+    if (!anchor || typeof anchor !== 'object') {
+      throw new Error('Anchor must be an object with a quote');
+    }
+
+    const { quote, start = null, end = null, prefix = '', suffix = '' } = anchor;
+
+    if (typeof quote !== 'string' || quote.trim().length === 0) {
+      throw new Error('Anchor quote is required');
+    }
+
+    if (quote.length > MAX_QUOTE_LENGTH) {
+      throw new Error(`Anchor quote cannot exceed ${MAX_QUOTE_LENGTH} characters`);
+    }
+
+    if (start !== null && (!Number.isInteger(start) || start < 0)) {
+      throw new Error('Anchor start must be a non-negative integer');
+    }
+
+    if (end !== null && (start === null || end !== start + quote.length)) {
+      throw new Error('Anchor end must equal start plus the quote length');
+    }
+
+    const position = this.locate(content || '', { quote, start, prefix, suffix });
+
+    if (position === null) {
+      throw new Error('Anchor quote not found in the article');
+    }
+
+    return this.buildAnchor(content, position, position + quote.length);
+  }
+
+  /**
+   * Anchor for content.slice(start, end) with context taken from the content
+   */
+  static buildAnchor(content, start, end) {
+    return {
+      quote: content.slice(start, end),
+      prefix: content.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+      suffix: content.slice(end, end + CONTEXT_LENGTH),
+      start,
+      end
+    };
+  }
+
+  /**
+   * Find the quote in the content, preferring the given offset, then the
+   * occurrence whose surroundings best match the context, then the nearest
+   */
+  static locate(content, { quote, start = null, prefix = '', suffix = '' }) {
+    if (start !== null && content.slice(start, start + quote.length) === quote) {
+      return start;
+    }
+
+    const candidates = [];
+    let index = content.indexOf(quote);
+    while (index !== -1 && candidates.length < MAX_CANDIDATES) {
+      candidates.push(index);
+      index = content.indexOf(quote, index + 1);
+    }
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const score = (position) => (
+      this.commonSuffixLength(content.slice(Math.max(0, position - CONTEXT_LENGTH), position), prefix || '') +
+      this.commonPrefixLength(content.slice(position + quote.length, position + quote.length + CONTEXT_LENGTH), suffix || '')
+    );
+    const distance = (position) => (start === null ? 0 : Math.abs(position - start));
+
+    return candidates.reduce((best, position) => {
+      const difference = score(position) - score(best);
+      return difference > 0 || (difference === 0 && distance(position) < distance(best)) ? position : best;
+    });
+  }
+
+  static commonPrefixLength(a, b) {
+    let length = 0;
+    while (length < a.length && length < b.length && a[length] === b[length]) {
+      length++;
+    }
+    return length;
+  }
+
+  static commonSuffixLength(a, b) {
+    let length = 0;
+    while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) {
+      length++;
+    }
+    return length;
+  }
+
+  /**
+   * Word-level diff of two contents as character ranges
+   * Returns segments of { type: 'equal' | 'delete' | 'insert', oldStart, oldEnd, newStart, newEnd }
+   */
+  static diffContent(oldContent, newContent) {
+    const oldTokens = DiffService.tokenizeWords(oldContent || '');
+    const newTokens = DiffService.tokenizeWords(newContent || '');
+    const ops = DiffService.diffSequences(oldTokens, newTokens);
+
+    const segments = [];
+    let oldPosition = 0;
+    let newPosition = 0;
+
+    for (const op of ops) {
+      const oldLength = op.type === 'insert' ? 0 : oldTokens[op.oldIndex].length;
+      const newLength = op.type === 'delete' ? 0 : newTokens[op.newIndex].length;
+
+      segments.push({
+        type: op.type,
+        oldStart: oldPosition,
+        oldEnd: oldPosition + oldLength,
+        newStart: newPosition,
+        newEnd: newPosition + newLength
+      });
+
+      oldPosition += oldLength;
+      newPosition += newLength;
+    }
+
+    return segments;
+  }
+
+  /**
+   * Carry one anchor from the old content onto the new content
+   * anchor: { quote, prefix, suffix, start, end, status } with offsets into oldContent
+   * Returns { status, start, end }; orphaned anchors keep their old offsets.
+   */
+  static remapAnchor(anchor, oldContent, newContent, segments = null) {
+    const diff = segments || this.diffContent(oldContent, newContent);
+    const { start, end } = anchor;
+
+    let newStart = null;
+    let newEnd = null;
+    let surviving = 0;
+    let edited = false;
+
+    for (const segment of diff) {
+      if (segment.type === 'insert') {
+        // Text inserted strictly inside the passage edits it
+        if (segment.oldStart > start && segment.oldStart < end) {
+          edited = true;
+        }
+        continue;
+      }
+
+      const overlapStart = Math.max(start, segment.oldStart);
+      const overlapEnd = Math.min(end, segment.oldEnd);
+      if (overlapStart >= overlapEnd) {
+        continue;
+      }
+
+      if (segment.type === 'delete') {
+        edited = true;
+        continue;
+      }
+
+      if (newStart === null) {
+        newStart = segment.newStart + (overlapStart - segment.oldStart);
+      }
+      newEnd = segment.newStart + (overlapEnd - segment.oldStart);
+      surviving += overlapEnd - overlapStart;
+    }
+
+    if (!edited && surviving === end - start) {
+      return { status: anchor.status || 'anchored', start: newStart, end: newEnd };
+    }
+
+    // Moved or rewritten around it: look for the original quote
+    const relocated = this.locate(newContent, {
+      quote: anchor.quote,
+      start: newStart,
+      prefix: anchor.prefix,
+      suffix: anchor.suffix
+    });
+    if (relocated !== null) {
+      return { status: 'anchored', start: relocated, end: relocated + anchor.quote.length };
+    }
+
+    if (newStart !== null && surviving / (end - start) >= MIN_SURVIVING_RATIO) {
+      return { status: 'changed', start: newStart, end: newEnd };
+    }
+
+    return { status: 'orphaned', start, end };
+  }
+
+  /**
+   * Re-map every live anchor on an article onto a newly created version
+   * Runs inside the version's transaction (ArticleVersion.createVersion).
+   */
+  static async remapArticleAnchors(client, articleId, previousVersion, newVersion) {
+    const result = await client.query(`
+      SELECT id, anchor_quote, anchor_prefix, anchor_suffix, anchor_start, anchor_end, anchor_status
+      FROM feedback
+      WHERE article_id = $1
+        AND anchor_quote IS NOT NULL
+        AND anchor_status != 'orphaned'
+        AND anchor_version = $2
+    `, [articleId, previousVersion.version_number]);
+
+    if (result.rows.length === 0) {
+      return [];
+    }
+
+    // Title, summary or tag-only versions leave every offset in place
+    if (previousVersion.content === newVersion.content) {
+      await client.query(`
+        UPDATE feedback
+        SET anchor_version = $1
+        WHERE id = ANY($2::uuid[])
+      `, [newVersion.version_number, result.rows.map(row => row.id)]);
+      return [];
+    }
+
+    const segments = this.diffContent(previousVersion.content, newVersion.content);
+    const changes = [];
+
+    for (const row of result.rows) {
+      const remapped = this.remapAnchor({
+        quote: row.anchor_quote,
+        prefix: row.anchor_prefix,
+        suffix: row.anchor_suffix,
+        start: row.anchor_start,
+        end: row.anchor_end,
+        status: row.anchor_status
+      }, previousVersion.content, newVersion.content, segments);
+
+      const orphaned = remapped.status === 'orphaned';
+
+      await client.query(`
+        UPDATE feedback
+        SET anchor_start = $1,
+            anchor_end = $2,
+            anchor_status = $3,
+            anchor_version = $4,
+            anchor_updated_at = NOW()
+        WHERE id = $5
+      `, [
+        remapped.start,
+        remapped.end,
+        remapped.status,
+        orphaned ? previousVersion.version_number : newVersion.version_number,
+        row.id
+      ]);
+
+      if (remapped.status !== row.anchor_status) {
+        changes.push({ feedback_id: row.id, from: row.anchor_status, to: remapped.status });
+      }
+    }
+
+    if (changes.length > 0) {
+      console.log(`📌 Re-mapped feedback anchors on article ${articleId} (v${newVersion.version_number}): ${changes.length} changed status`);
+    }
+
+    return changes;
+  }
+}
+
+module.exports = FeedbackAnchorService;
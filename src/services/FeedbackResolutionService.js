@@ -31,13 +31,13 @@ class FeedbackResolutionService {
     try {
       console.log(`🔍 Analyzing feedback resolution for article ${articleId}`);
 
-      // Get active feedback for this article
+      // Get open feedback for this article (see Feedback.OPEN_STATUSES)
       const feedbackResult = await query(`
         SELECT f.id, f.content, f.user_id, f.created_at, u.username
         FROM feedback f
         JOIN users u ON f.user_id = u.id
         WHERE f.article_id = $1
-          AND f.status = 'active'
+          AND f.status IN ('active', 'acknowledged', 'manually_restored', 'may_no_longer_apply')
         ORDER BY f.created_at DESC
         LIMIT 50
       `, [articleId]);
@@ -166,7 +166,10 @@ Guidelines:
 - Consider both direct changes and indirect improvements
 - Be conservative - false positives are worse than false negatives`;
 
-      const completionResult = await openAIService.generateCompletion(analysisPrompt, systemPrompt);
+      const completionResult = await openAIService.generateCompletion(analysisPrompt, systemPrompt, {
+        task: 'feedback_resolution',
+        context: { feedbackContent: feedback.content, oldContent, newContent, changeSummary }
+      });
 
       // Parse JSON response
       try {
@@ -206,19 +209,87 @@ Guidelines:
     }
   }
 
+  /**
+   * Truncate article content to manage API costs
+   */
+  truncateForPrompt(content, maxContentLength = 3000) {
+    return content.length > maxContentLength
+      ? content.substring(0, maxContentLength) + '... [truncated]'
+      : content;
+  }
+
+  /**
+   * Assess whether a pro or con still applies to a revised article (review rounds)
+   * Returns { still_applies, confidence, explanation }, or null if the analysis failed.
+   */
+  async assessFeedbackRelevance(feedback, oldContent, newContent, changeSummary = null) {
+    if (!openAIService.isEnabled) {
+      return null;
+    }
+
+    const kind = feedback.polarity === 'pro'
+      ? 'a PRO (a strength readers want kept)'
+      : 'a CON (something readers want improved)';
+
+    let prompt = `
+The author revised this article and pushed it for review. Decide whether this feedback, ${kind}, still applies to the updated version.
+
+FEEDBACK:
+"${feedback.content}"
+
+PREVIOUSLY REVIEWED VERSION:
+${this.truncateForPrompt(oldContent)}
+
+UPDATED VERSION:
+${this.truncateForPrompt(newContent)}
+    `.trim();
+
+    if (changeSummary) {
+      prompt += `\n\nAUTHOR'S CHANGE SUMMARY:\n"${changeSummary}"`;
+    }
+
+    const systemPrompt = `You review article revisions for a community feedback system. A con no longer applies once the concern is resolved or the passage it refers to is gone. A pro no longer applies once the strength it praises has been removed or undone.
+
+Return JSON only:
+{
+  "still_applies": boolean,
+  "confidence": number (0.0 to 1.0),
+  "explanation": "One or two sentences for readers"
+}
+
+Readers re-vote on your verdict, so be conservative: say it still applies unless the revision clearly changes that.`;
+
+    try {
+      const completionResult = await openAIService.generateCompletion(prompt, systemPrompt, {
+        task: 'feedback_relevance',
+        context: { feedbackContent: feedback.content, polarity: feedback.polarity, oldContent, newContent, changeSummary }
+      });
+
+      const analysis = JSON.parse(completionResult.content);
+
+      if (typeof analysis.still_applies !== 'boolean' ||
+          typeof analysis.confidence !== 'number' ||
+          typeof analysis.explanation !== 'string') {
+        throw new Error('Invalid response structure');
+      }
+
+      return {
+        still_applies: analysis.still_applies,
+        confidence: Math.max(0, Math.min(1, analysis.confidence)),
+        explanation: analysis.explanation
+      };
+    } catch (error) {
+      console.error(`Error assessing relevance of feedback ${feedback.id}:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Build analysis prompt for GPT-4
    */
   buildAnalysisPrompt(feedbackContent, oldContent, newContent, changeSummary) {
-    // Truncate content if too long to manage API costs
-    const maxContentLength = 3000;
-    const truncatedOldContent = oldContent.length > maxContentLength
-      ? oldContent.substring(0, maxContentLength) + '... [truncated]'
-      : oldContent;
-
-    const truncatedNewContent = newContent.length > maxContentLength
-      ? newContent.substring(0, maxContentLength) + '... [truncated]'
-      : newContent;
+    const truncatedOldContent = this.truncateForPrompt(oldContent);
+    const truncatedNewContent = this.truncateForPrompt(newContent);
 
     let prompt = `
 Analyze whether the following feedback has been addressed in this article revision:
@@ -1,7 +1,9 @@
 /**
  * Feedback Similarity Service for Knowledge Foyer
  *
- * AI-powered feedback similarity detection and analysis using vector embeddings
+ * AI-powered feedback similarity detection and analysis using vector embeddings.
+ * Only top-level feedback is compared: replies (feedback_replies) are conversation
+ * under a feedback item, are never embedded and never count as duplicates.
  */
 
 const { query, transaction } = require('../config/database');
@@ -142,7 +144,10 @@ Keep the response concise and actionable.`;
 
       const systemPrompt = `You are an expert at analyzing feedback quality and similarity. Your role is to help users understand whether their feedback adds value to the conversation or if it's redundant with existing feedback. Be fair, constructive, and specific in your analysis.`;
 
-      const completionResult = await openAIService.generateCompletion(analysisPrompt, systemPrompt);
+      const completionResult = await openAIService.generateCompletion(analysisPrompt, systemPrompt, {
+        task: 'similarity_analysis',
+        context: { content: newContent, similarFeedback }
+      });
 
       return completionResult.content;
     } catch (error) {
@@ -0,0 +1,260 @@
+/**
+ * Local AI Provider for Knowledge Foyer
+ *
+ * Deterministic, network-free AIProvider: hashed n-gram embeddings and
+ * rule-based completions. Used in air-gapped dev/CI (AI_PROVIDER=local) so
+ * similarity detection and resolution analysis run and can be asserted on.
+ */
+
+const crypto = require('crypto');
+const AIProvider = require('./AIProvider');
+const DiffService = require('./DiffService');
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing',
+  'for', 'from', 'had', 'has', 'have', 'having', 'here', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+  'just', 'me', 'more', 'most', 'my', 'no', 'not', 'of', 'on', 'one', 'only', 'or', 'other', 'our', 'out',
+  'over', 'really', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'this', 'those', 'to', 'too', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where',
+  'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+  // Feedback phrasing that carries no topic
+  'add', 'feel', 'like', 'make', 'maybe', 'need', 'needs', 'please', 'think'
+]);
+
+// Feature weights for the hashed embedding
+const WORD_WEIGHT = 1.0;
+const BIGRAM_WEIGHT = 0.5;
+const TRIGRAM_WEIGHT = 0.25;
+
+// Share of feedback terms that must appear in changed passages to count as addressed
+const ADDRESSED_COVERAGE = 0.5;
+
+class LocalAIProvider extends AIProvider {
+  constructor(config = {}) {
+    super({
+      embeddingModel: 'local-hashed-ngrams',
+      completionModel: 'local-rules',
+      embeddingDimensions: config.embeddingDimensions
+    });
+
+    this.name = 'local';
+    this.responders = {
+      feedback_resolution: context => this.respondFeedbackResolution(context),
+      feedback_relevance: context => this.respondFeedbackRelevance(context),
+      similarity_analysis: context => this.respondSimilarityAnalysis(context)
+    };
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async embed(text) {
+    return {
+      embedding: this.hashEmbedding(text),
+      tokens: this.estimateTokens(text),
+      model: this.embeddingModel
+    };
+  }
+
+  async complete(prompt, options = {}) {
+    const { systemPrompt = null, task = null, context = null } = options;
+
+    const responder = task && context ? this.responders[task] : null;
+    const content = responder ? responder(context) : this.respondGeneric(prompt);
+
+    const input = this.estimateTokens(prompt + (systemPrompt || ''));
+    const output = this.estimateTokens(content);
+
+    return {
+      content,
+      tokens: { input, output, total: input + output },
+      model: this.completionModel
+    };
+  }
+
+  /**
+   * Lowercased word tokens
+   */
+  tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu) || [];
+  }
+
+  /**
+   * Distinct content words with a crude plural fold, in first-seen order
+   */
+  keywords(text) {
+    const terms = this.tokenize(text)
+      .filter(word => word.length > 2 && !STOPWORDS.has(word))
+      .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+    return [...new Set(terms)];
+  }
+
+  /**
+   * Feature-hashed bag of words, word bigrams and character trigrams, L2-normalized
+   */
+  hashEmbedding(text) {
+    const vector = new Array(this.embeddingDimensions).fill(0);
+    const words = this.tokenize(text);
+
+    const addFeature = (feature, weight) => {
+      const digest = crypto.createHash('md5').update(feature).digest();
+      const index = digest.readUInt32BE(0) % this.embeddingDimensions;
+      vector[index] += (digest[4] & 1 ? -1 : 1) * weight;
+    };
+
+    words.forEach((word, i) => {
+      if (!STOPWORDS.has(word)) {
+        addFeature(`w:${word}`, WORD_WEIGHT);
+      }
+
+      if (i > 0) {
+        addFeature(`b:${words[i - 1]} ${word}`, BIGRAM_WEIGHT);
+      }
+
+      const padded = `#${word}#`;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        addFeature(`c:${padded.slice(j, j + 3)}`, TRIGRAM_WEIGHT);
+      }
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  /**
+   * Decide whether feedback was addressed by checking how many of its terms
+   * appear in the lines that changed between versions
+   */
+  respondFeedbackResolution({ feedbackContent, oldContent, newContent, changeSummary = null }) {
+    const diff = DiffService.diffText(oldContent || '', newContent || '', { contextLines: 0 });
+
+    const changedText = [];
+    for (const hunk of diff.hunks) {
+      for (const line of hunk.lines) {
+        if (line.type === 'modify') {
+          changedText.push(line.old_content, line.new_content);
+        } else if (line.type === 'add' || line.type === 'remove') {
+          changedText.push(line.content);
+        }
+      }
+    }
+
+    if (changedText.length === 0) {
+      return JSON.stringify({
+        addressed: false,
+        confidence: 0.9,
+        explanation: 'The article content did not change in this revision.'
+      });
+    }
+
+    if (changeSummary) {
+      changedText.push(changeSummary);
+    }
+
+    const terms = this.keywords(feedbackContent);
+    if (terms.length === 0) {
+      return JSON.stringify({
+        addressed: false,
+        confidence: 0.5,
+        explanation: 'The feedback has no distinctive terms to match against the changes.'
+      });
+    }
+
+    const changedTerms = new Set(this.keywords(changedText.join('\n')));
+    const matched = terms.filter(term => changedTerms.has(term));
+    const coverage = matched.length / terms.length;
+    const addressed = coverage >= ADDRESSED_COVERAGE;
+
+    return JSON.stringify({
+      addressed,
+      confidence: Math.round((0.5 + Math.abs(coverage - ADDRESSED_COVERAGE) * 0.8) * 100) / 100,
+      explanation: matched.length > 0
+        ? `Changed passages mention ${matched.length} of ${terms.length} feedback terms (${matched.slice(0, 5).join(', ')}).`
+        : `None of the ${terms.length} feedback terms appear in the changed passages.`
+    });
+  }
+
+  /**
+   * Decide whether a pro or con still applies after a revision (review rounds).
+   * A con stops applying once it is addressed; a pro once most of its terms are
+   * gone from the article.
+   */
+  respondFeedbackRelevance({ feedbackContent, polarity, oldContent, newContent, changeSummary = null }) {
+    if (polarity !== 'pro') {
+      const resolution = JSON.parse(this.respondFeedbackResolution({ feedbackContent, oldContent, newContent, changeSummary }));
+      return JSON.stringify({
+        still_applies: !resolution.addressed,
+        confidence: resolution.confidence,
+        explanation: resolution.explanation
+      });
+    }
+
+    const terms = this.keywords(feedbackContent);
+    const oldTerms = new Set(this.keywords(oldContent));
+    const newTerms = new Set(this.keywords(newContent));
+    const praised = terms.filter(term => oldTerms.has(term));
+
+    if (praised.length === 0) {
+      return JSON.stringify({
+        still_applies: true,
+        confidence: 0.5,
+        explanation: 'The praised aspect cannot be matched to the article text.'
+      });
+    }
+
+    const removed = praised.filter(term => !newTerms.has(term));
+    const coverage = removed.length / praised.length;
+
+    return JSON.stringify({
+      still_applies: coverage < ADDRESSED_COVERAGE,
+      confidence: Math.round((0.5 + Math.abs(coverage - ADDRESSED_COVERAGE) * 0.8) * 100) / 100,
+      explanation: removed.length > 0
+        ? `The revision removed ${removed.length} of ${praised.length} praised terms (${removed.slice(0, 5).join(', ')}).`
+        : 'Everything the feedback praises is still in the article.'
+    });
+  }
+
+  /**
+   * Summarize what new feedback adds over its closest existing match
+   */
+  respondSimilarityAnalysis({ content, similarFeedback = [] }) {
+    const mostSimilar = similarFeedback[0];
+    if (!mostSimilar) {
+      return 'No similar feedback to compare against.';
+    }
+
+    const existingTerms = new Set(this.keywords(mostSimilar.content));
+    const newTerms = this.keywords(content);
+    const shared = newTerms.filter(term => existingTerms.has(term));
+    const added = newTerms.filter(term => !existingTerms.has(term));
+
+    const lines = [
+      `The most similar existing feedback is ${(mostSimilar.similarity_score * 100).toFixed(1)}% similar.`
+    ];
+
+    if (shared.length > 0) {
+      lines.push(`Shared points: ${shared.slice(0, 8).join(', ')}.`);
+    }
+
+    lines.push(added.length > 0
+      ? `New in this submission: ${added.slice(0, 8).join(', ')}.`
+      : 'This submission adds little beyond the existing feedback.');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Fallback for prompts without a rule: echo the prompt's key terms
+   */
+  respondGeneric(prompt) {
+    const terms = this.keywords(prompt).slice(0, 10);
+    return terms.length > 0
+      ? `Key terms: ${terms.join(', ')}.`
+      : 'No content to analyze.';
+  }
+}
+
+module.exports = LocalAIProvider;
@@ -0,0 +1,195 @@
+/**
+ * Mention Service for Knowledge Foyer
+ *
+ * Parses @username mentions and #hashtags out of messages and feedback,
+ * records who was mentioned, and renders content with both linked: mentions
+ * to the user's page, hashtags to the tag's page. Only mentions that resolved
+ * to a user are linked, so an @ that names nobody stays plain text.
+ */
+
+const { query } = require('../config/database');
+const Tag = require('../models/Tag');
+const { escapeHtml } = require('../utils/emailTemplates');
+const { userUrl, tagUrl } = require('../utils/urls');
+
+// @username (the User model's username rules), not part of an email address or URL path
+const MENTION_PATTERN = /(?<![\w@.\/-])@([a-zA-Z0-9_-]{3,30})(?![\w-])/g;
+
+// #tag, not part of a URL fragment or an HTML entity, ending in a letter or digit
+const HASHTAG_PATTERN = /(?<![\w&#\/])#([a-zA-Z0-9](?:[\w-]*[a-zA-Z0-9])?)/g;
+
+// Mentions beyond this many in one item are ignored
+const MAX_MENTIONS = 10;
+
+// mentions column for each kind of content
+const SOURCE_COLUMNS = {
+  message: 'message_id',
+  feedback: 'feedback_id',
+  feedback_reply: 'feedback_reply_id'
+};
+
+class MentionService {
+  static get MAX_MENTIONS() {
+    return MAX_MENTIONS;
+  }
+
+  /**
+   * Normalized tag name for a #hashtag, or null if it can't be a tag
+   * (too short or long, reserved, or a bare number like an issue reference)
+   */
+  static hashtagName(hashtag) {
+    if (/^\d+$/.test(hashtag)) {
+      return null;
+    }
+
+    try {
+      return Tag.validate(hashtag);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Unique mentioned usernames (lowercase) and hashtag tag names, in order of appearance
+   */
+  static parse(text) {
+    const content = String(text || '');
+
+    const mentions = [...new Set(
+      [...content.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase())
+    )].slice(0, MAX_MENTIONS);
+
+    const hashtags = [...new Set(
+      [...content.matchAll(HASHTAG_PATTERN)]
+        .map(match => this.hashtagName(match[1]))
+        .filter(Boolean)
+    )].slice(0, Tag.MAX_TAGS_PER_ARTICLE);
+
+    return { mentions, hashtags };
+  }
+
+  /**
+   * Escaped HTML of plain-text content with mentions of the given usernames
+   * and valid hashtags turned into links
+   */
+  static render(text, mentionedUsernames = []) {
+    const content = String(text || '');
+    const mentioned = new Set(mentionedUsernames.map(name => name.toLowerCase()));
+
+    const links = [];
+    for (const match of content.matchAll(MENTION_PATTERN)) {
+      const username = match[1].toLowerCase();
+      if (mentioned.has(username)) {
+        links.push({
+          index: match.index,
+          text: match[0],
+          html: `<a href="${escapeHtml(userUrl(username))}" class="mention">${escapeHtml(match[0])}</a>`
+        });
+      }
+    }
+
+    for (const match of content.matchAll(HASHTAG_PATTERN)) {
+      const name = this.hashtagName(match[1]);
+      if (name) {
+        links.push({
+          index: match.index,
+          text: match[0],
+          html: `<a href="${escapeHtml(tagUrl(name))}" class="hashtag" rel="tag">${escapeHtml(match[0])}</a>`
+        });
+      }
+    }
+
+    links.sort((a, b) => a.index - b.index);
+
+    let html = '';
+    let position = 0;
+    for (const link of links) {
+      html += escapeHtml(content.slice(position, link.index)) + link.html;
+      position = link.index + link.text.length;
+    }
+
+    return html + escapeHtml(content.slice(position));
+  }
+
+  /**
+   * Record the users mentioned in an item, replacing any earlier mentions
+   * (inside a transaction). Usernames that don't resolve to an active user are
+   * ignored. Returns { usernames, addedUserIds }: everyone mentioned, and the
+   * ids of users who weren't mentioned in it before.
+   */
+  static async recordMentions(client, source, sourceId, authorId, usernames) {
+    const column = SOURCE_COLUMNS[source];
+    if (!column) {
+      throw new Error(`Invalid mention source: ${source}`);
+    }
+
+    const userResult = usernames.length > 0
+      ? await client.query(
+        'SELECT id, username FROM users WHERE username = ANY($1) AND is_active = true',
+        [usernames]
+      )
+      : { rows: [] };
+
+    const userIds = userResult.rows.map(row => row.id);
+
+    await client.query(
+      `DELETE FROM mentions WHERE ${column} = $1 AND NOT (user_id = ANY($2::uuid[]))`,
+      [sourceId, userIds]
+    );
+
+    let addedUserIds = [];
+    if (userIds.length > 0) {
+      const insertResult = await client.query(`
+        INSERT INTO mentions (user_id, mentioned_by, ${column})
+        SELECT UNNEST($1::uuid[]), $2, $3
+        ON CONFLICT (${column}, user_id) DO NOTHING
+        RETURNING user_id
+      `, [userIds, authorId, sourceId]);
+
+      addedUserIds = insertResult.rows.map(row => row.user_id);
+    }
+
+    return {
+      usernames: usernames.filter(name => userResult.rows.some(row => row.username === name)),
+      addedUserIds
+    };
+  }
+
+  /**
+   * Users to offer when completing an @mention: username or display name
+   * starting with the prefix, people the user follows first, blocked users left out
+   */
+  static async suggestUsers(prefix, options = {}) {
+    const { userId = null, limit = 10 } = options;
+
+    const pattern = String(prefix || '')
+      .replace(/^@+/, '')
+      .toLowerCase()
+      .replace(/[\\%_]/g, '\\$&') + '%';
+
+    const result = await query(`
+      SELECT
+        u.id, u.username, u.display_name, u.avatar_url,
+        EXISTS (
+          SELECT 1 FROM follows f WHERE f.follower_id = $2 AND f.followed_id = u.id
+        ) as is_following
+      FROM users u
+      WHERE u.is_active = true
+        AND u.id IS DISTINCT FROM $2
+        AND NOT is_blocked($2, u.id)
+        AND (u.username LIKE $1 OR LOWER(u.display_name) LIKE $1)
+      ORDER BY is_following DESC, (u.username LIKE $1) DESC, u.followers_count DESC, u.username ASC
+      LIMIT $3
+    `, [pattern, userId, limit]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      username: row.username,
+      display_name: row.display_name,
+      avatar_url: row.avatar_url,
+      is_following: row.is_following
+    }));
+  }
+}
+
+module.exports = MentionService;
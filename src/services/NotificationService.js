@@ -7,18 +7,48 @@
 const { query, transaction } = require('../config/database');
 const Notification = require('../models/Notification');
 const Follow = require('../models/Follow');
+const NotificationPreference = require('../models/NotificationPreference');
+const UserRestriction = require('../models/UserRestriction');
+
+// Digests go out at this hour of the user's local time
+const DIGEST_LOCAL_HOUR = 8;
+
+// isoDay: local weekday to send on (1 = Monday, null = every day)
+// minGap: skip users who already got one more recently (guards repeated checks)
+// lookbackMs: window covered by a user's first digest
+const DIGEST_SCHEDULES = {
+  daily: { isoDay: null, minGap: '20 hours', lookbackMs: 24 * 60 * 60 * 1000 },
+  weekly: { isoDay: 1, minGap: '6 days', lookbackMs: 7 * 24 * 60 * 60 * 1000 }
+};
+
+// Checked several times an hour so no local hour is missed
+const DIGEST_CHECK_INTERVAL_MS = 15 * 60 * 1000;
 
 class NotificationService {
   /**
    * Create and send notification to user
+   * actorId is the user whose action caused it, if any. Returns null when the
+   * user turned this notification type off, or muted or blocked the actor (or
+   * was blocked by them).
    */
-  static async createAndSendNotification(notificationData, realTimeWS = null) {
+  static async createAndSendNotification(notificationData) {
     try {
+      const { userId, type, actorId = null } = notificationData;
+
+      if (actorId && await UserRestriction.isHidden(actorId, userId)) {
+        return null;
+      }
+
+      const preferences = await NotificationPreference.findByUser(userId);
+      if (!preferences.isEnabled(type)) {
+        return null;
+      }
+
       const notification = await Notification.create(notificationData);
 
-      // Send real-time notification if WebSocket server is available
-      if (realTimeWS && global.mcpServer) {
-        this.sendRealTimeNotification(notification, global.mcpServer);
+      // Quiet hours hold back push and email; the notification stays in the inbox
+      if (!preferences.isQuietTime()) {
+        await this.deliverNotification(notification, preferences);
       }
 
       return notification;
@@ -28,6 +58,32 @@ class NotificationService {
     }
   }
 
+  /**
+   * Deliver a stored notification over the channels the user chose
+   */
+  static async deliverNotification(notification, preferences) {
+    if (preferences.hasChannel(notification.type, 'in_app')) {
+      this.sendRealTimeNotification(notification, global.mcpServer);
+    }
+
+    if (preferences.hasChannel(notification.type, 'email')) {
+      try {
+        const userResult = await query(
+          'SELECT email, username, display_name, email_verified FROM users WHERE id = $1 AND is_active = true',
+          [notification.user_id]
+        );
+
+        const user = userResult.rows[0];
+        if (user && user.email_verified) {
+          const EmailService = require('./EmailService');
+          await EmailService.sendNotificationEmail(user, notification);
+        }
+      } catch (error) {
+        console.error('Error sending notification email:', error.message);
+      }
+    }
+  }
+
   /**
    * Send real-time notification via WebSocket
    */
@@ -72,6 +128,7 @@ class NotificationService {
       const notification = await this.createAndSendNotification({
         userId: followedId,
         type: 'new_follower',
+        actorId: followerId,
         title: 'New Follower',
         content: `${follower.display_name || follower.username} started following you`,
         data: {
@@ -119,6 +176,7 @@ class NotificationService {
           const notification = await this.createAndSendNotification({
             userId: follower.user_id,
             type: 'new_article',
+            actorId: authorId,
             title: 'New Article',
             content: `${author.display_name || author.username} published "${article.title}"`,
             data: {
@@ -131,7 +189,9 @@ class NotificationService {
             }
           });
 
-          notifications.push(notification);
+          if (notification) {
+            notifications.push(notification);
+          }
         } catch (error) {
           console.error(`Error creating article notification for user ${follower.user_id}:`, error.message);
         }
@@ -186,6 +246,7 @@ class NotificationService {
           const notification = await this.createAndSendNotification({
             userId: user.user_id,
             type: 'article_updated',
+            actorId: authorId,
             title: 'Article Updated',
             content: `${author.display_name || author.username} updated "${article.title}" (v${versionNumber})`,
             data: {
@@ -199,7 +260,9 @@ class NotificationService {
             }
           });
 
-          notifications.push(notification);
+          if (notification) {
+            notifications.push(notification);
+          }
         } catch (error) {
           console.error(`Error creating article update notification for user ${user.user_id}:`, error.message);
         }
@@ -237,6 +300,7 @@ class NotificationService {
       const notification = await this.createAndSendNotification({
         userId: originalMessage.user_id,
         type: 'message_reply',
+        actorId: replyAuthorId,
         title: 'New Reply',
         content: `${author.display_name || author.username} replied to your message`,
         data: {
@@ -284,13 +348,14 @@ class NotificationService {
       const notification = await this.createAndSendNotification({
         userId: articleAuthorId,
         type: 'feedback_received',
+        actorId: feedback.user_id,
         title: 'New Feedback',
-        content: `${info.display_name || info.username} left ${feedback.type} feedback on "${info.article_title}"`,
+        content: `${info.display_name || info.username} left ${feedback.polarity} feedback on "${info.article_title}"`,
         data: {
           feedback_id: feedback.id,
           article_id: feedback.article_id,
           article_title: info.article_title,
-          feedback_type: feedback.type,
+          feedback_polarity: feedback.polarity,
           feedback_author_id: feedback.user_id,
           feedback_author_username: info.username,
           feedback_author_display_name: info.display_name
@@ -304,6 +369,372 @@ class NotificationService {
     }
   }
 
+  /**
+   * Handle feedback reply notifications
+   * Notifies the feedback author, the article author and the author of the reply
+   * being answered, once each and never the replier themselves.
+   */
+  static async handleFeedbackReplyNotifications(reply, context) {
+    try {
+      const recipients = new Set([
+        context.feedbackAuthorId,
+        context.articleAuthorId,
+        context.parentReplyAuthorId
+      ].filter(id => id && id !== reply.user_id));
+
+      if (recipients.size === 0) {
+        return [];
+      }
+
+      const authorResult = await query(
+        'SELECT username, display_name FROM users WHERE id = $1',
+        [reply.user_id]
+      );
+
+      if (authorResult.rows.length === 0) {
+        throw new Error('Reply author not found');
+      }
+
+      const author = authorResult.rows[0];
+      const name = author.display_name || author.username;
+      const notifications = [];
+
+      for (const userId of recipients) {
+        let target;
+        if (userId === context.parentReplyAuthorId) {
+          target = 'your reply';
+        } else if (userId === context.feedbackAuthorId) {
+          target = 'your feedback';
+        } else {
+          target = 'feedback';
+        }
+
+        const notification = await this.createAndSendNotification({
+          userId,
+          type: 'feedback_reply',
+          actorId: reply.user_id,
+          title: reply.is_author_reply ? 'Author Replied' : 'New Reply',
+          content: `${name} replied to ${target} on "${context.articleTitle}"`,
+          data: {
+            reply_id: reply.id,
+            feedback_id: reply.feedback_id,
+            parent_reply_id: reply.parent_reply_id,
+            article_id: context.articleId,
+            article_title: context.articleTitle,
+            is_author_reply: reply.is_author_reply,
+            reply_author_id: reply.user_id,
+            reply_author_username: author.username,
+            reply_author_display_name: author.display_name,
+            reply_content: reply.content.substring(0, 100)
+          }
+        });
+
+        if (notification) {
+          notifications.push(notification);
+        }
+      }
+
+      return notifications;
+    } catch (error) {
+      console.error('Error handling feedback reply notifications:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Notify users mentioned with @username
+   * mention: { source: 'message' | 'feedback' | 'feedback_reply', id, authorId,
+   * content, articleId?, feedbackId? }. Callers pass only users who can see the item.
+   */
+  static async handleMentionNotifications(mention, userIds) {
+    try {
+      const recipients = [...new Set(userIds)].filter(id => id !== mention.authorId);
+      if (recipients.length === 0) {
+        return [];
+      }
+
+      const authorResult = await query(
+        'SELECT username, display_name FROM users WHERE id = $1',
+        [mention.authorId]
+      );
+
+      if (authorResult.rows.length === 0) {
+        throw new Error('Mention author not found');
+      }
+
+      const author = authorResult.rows[0];
+
+      let article = null;
+      if (mention.articleId) {
+        const articleResult = await query(`
+          SELECT a.title, a.slug, u.username as author_username
+          FROM articles a
+          JOIN users u ON a.user_id = u.id
+          WHERE a.id = $1
+        `, [mention.articleId]);
+        article = articleResult.rows[0] || null;
+      }
+
+      let where = 'a post';
+      if (mention.source === 'feedback') {
+        where = article ? `feedback on "${article.title}"` : 'feedback';
+      } else if (mention.source === 'feedback_reply') {
+        where = article ? `a reply on "${article.title}"` : 'a reply';
+      }
+
+      const notifications = [];
+
+      for (const userId of recipients) {
+        const notification = await this.createAndSendNotification({
+          userId,
+          type: 'mention',
+          actorId: mention.authorId,
+          title: 'You Were Mentioned',
+          content: `${author.display_name || author.username} mentioned you in ${where}`,
+          data: {
+            mention_source: mention.source,
+            message_id: mention.source === 'message' ? mention.id : null,
+            feedback_id: mention.source === 'feedback' ? mention.id : (mention.feedbackId || null),
+            reply_id: mention.source === 'feedback_reply' ? mention.id : null,
+            article_id: mention.articleId || null,
+            article_title: article ? article.title : null,
+            article_slug: article ? article.slug : null,
+            article_author_username: article ? article.author_username : null,
+            mention_author_id: mention.authorId,
+            mention_author_username: author.username,
+            mention_author_display_name: author.display_name,
+            content_preview: mention.content.substring(0, 100)
+          }
+        });
+
+        if (notification) {
+          notifications.push(notification);
+        }
+      }
+
+      return notifications;
+    } catch (error) {
+      console.error('Error handling mention notifications:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Tell reviewers their feedback may no longer apply after a pushed revision
+   */
+  static async handleReviewRoundOpenedNotifications(round, flaggedItems) {
+    try {
+      const recipients = new Map();
+      for (const item of flaggedItems) {
+        if (!item.feedback_user_id || item.feedback_user_id === round.opened_by) continue;
+        if (!recipients.has(item.feedback_user_id)) {
+          recipients.set(item.feedback_user_id, []);
+        }
+        recipients.get(item.feedback_user_id).push(item.feedback_id);
+      }
+
+      if (recipients.size === 0) {
+        return [];
+      }
+
+      const articleResult = await query('SELECT title FROM articles WHERE id = $1', [round.article_id]);
+      if (articleResult.rows.length === 0) {
+        throw new Error('Article not found');
+      }
+
+      const articleTitle = articleResult.rows[0].title;
+      const notifications = [];
+
+      for (const [userId, feedbackIds] of recipients) {
+        const notification = await this.createAndSendNotification({
+          userId,
+          type: 'review_round_opened',
+          actorId: round.opened_by,
+          title: 'Feedback Up for Re-vote',
+          content: feedbackIds.length === 1
+            ? `Your feedback on "${articleTitle}" may no longer apply to version ${round.version_number}`
+            : `${feedbackIds.length} of your feedback items on "${articleTitle}" may no longer apply to version ${round.version_number}`,
+          data: {
+            round_id: round.id,
+            article_id: round.article_id,
+            article_title: articleTitle,
+            version_number: round.version_number,
+            feedback_ids: feedbackIds,
+            revote_closes_at: round.revote_closes_at
+          }
+        });
+
+        if (notification) {
+          notifications.push(notification);
+        }
+      }
+
+      return notifications;
+    } catch (error) {
+      console.error('Error handling review round opened notifications:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Send the author the summary of a closed review round
+   */
+  static async handleReviewRoundClosedNotification(round, summary) {
+    try {
+      if (!round.opened_by) {
+        return null;
+      }
+
+      const articleResult = await query('SELECT title FROM articles WHERE id = $1', [round.article_id]);
+      if (articleResult.rows.length === 0) {
+        throw new Error('Article not found');
+      }
+
+      const articleTitle = articleResult.rows[0].title;
+      const retired = summary.no_longer_applies.pro + summary.no_longer_applies.con;
+
+      return await this.createAndSendNotification({
+        userId: round.opened_by,
+        type: 'review_round_closed',
+        title: 'Review Round Closed',
+        content: `Review of "${articleTitle}" v${round.version_number}: ${retired} no longer apply, ${summary.still_applies} confirmed by readers, ${summary.new_feedback} new`,
+        data: {
+          round_id: round.id,
+          article_id: round.article_id,
+          article_title: articleTitle,
+          version_number: round.version_number,
+          summary
+        }
+      });
+    } catch (error) {
+      console.error('Error handling review round closed notification:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Invite a user to collaborate on an article
+   */
+  static async handleCollaborationInviteNotification(collaborator, ownerId) {
+    try {
+      const ownerResult = await query(
+        'SELECT username, display_name FROM users WHERE id = $1',
+        [ownerId]
+      );
+
+      if (ownerResult.rows.length === 0) {
+        throw new Error('Article owner not found');
+      }
+
+      const owner = ownerResult.rows[0];
+
+      return await this.createAndSendNotification({
+        userId: collaborator.user_id,
+        type: 'collaboration_invite',
+        actorId: ownerId,
+        title: 'Collaboration Invitation',
+        content: `${owner.display_name || owner.username} invited you to collaborate on "${collaborator.article.title}" as ${collaborator.role}`,
+        data: {
+          article_id: collaborator.article_id,
+          article_title: collaborator.article.title,
+          role: collaborator.role,
+          owner_id: ownerId,
+          owner_username: owner.username,
+          owner_display_name: owner.display_name
+        }
+      });
+    } catch (error) {
+      console.error('Error handling collaboration invite notification:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Tell the owner an invitation was accepted
+   */
+  static async handleCollaborationAcceptedNotification(collaborator, ownerId) {
+    try {
+      const userResult = await query(
+        'SELECT username, display_name FROM users WHERE id = $1',
+        [collaborator.user_id]
+      );
+
+      if (userResult.rows.length === 0) {
+        throw new Error('Collaborator not found');
+      }
+
+      const member = userResult.rows[0];
+
+      return await this.createAndSendNotification({
+        userId: ownerId,
+        type: 'collaboration_accepted',
+        actorId: collaborator.user_id,
+        title: 'Invitation Accepted',
+        content: `${member.display_name || member.username} joined "${collaborator.article.title}" as ${collaborator.role}`,
+        data: {
+          article_id: collaborator.article_id,
+          article_title: collaborator.article.title,
+          role: collaborator.role,
+          collaborator_id: collaborator.user_id,
+          collaborator_username: member.username,
+          collaborator_display_name: member.display_name
+        }
+      });
+    } catch (error) {
+      console.error('Error handling collaboration accepted notification:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Notify the other participants of a direct message
+   */
+  static async handleDirectMessageNotifications(conversation, message, recipientIds) {
+    try {
+      const senderResult = await query(
+        'SELECT username, display_name FROM users WHERE id = $1',
+        [message.user_id]
+      );
+
+      if (senderResult.rows.length === 0) {
+        throw new Error('Sender not found');
+      }
+
+      const sender = senderResult.rows[0];
+      const senderName = sender.display_name || sender.username;
+      const notifications = [];
+
+      for (const recipientId of recipientIds) {
+        const notification = await this.createAndSendNotification({
+          userId: recipientId,
+          type: 'direct_message',
+          actorId: message.user_id,
+          title: 'New Direct Message',
+          content: conversation.is_group && conversation.title
+            ? `${senderName} wrote in "${conversation.title}"`
+            : `${senderName} sent you a message`,
+          data: {
+            conversation_id: conversation.id,
+            message_id: message.id,
+            sender_id: message.user_id,
+            sender_username: sender.username,
+            sender_display_name: sender.display_name,
+            message_preview: message.content.substring(0, 100)
+          }
+        });
+
+        if (notification) {
+          notifications.push(notification);
+        }
+      }
+
+      return notifications;
+    } catch (error) {
+      console.error('Error handling direct message notifications:', error.message);
+      return [];
+    }
+  }
+
   /**
    * Handle feedback resolution notifications
    */
@@ -329,6 +760,7 @@ class NotificationService {
       const notification = await this.createAndSendNotification({
         userId: feedbackAuthorId,
         type: 'feedback_resolved',
+        actorId: info.article_author_id,
         title: 'Feedback Addressed',
         content: `${info.article_author_display_name || info.article_author_username} addressed your feedback on "${info.article_title}"`,
         data: {
@@ -351,54 +783,63 @@ class NotificationService {
   }
 
   /**
-   * Send digest notifications (daily/weekly summaries)
+   * Email digests to users whose local digest time is now
+   * Daily digests go out every morning, weekly ones on Monday mornings, in
+   * the user's timezone. Returns the ids of users who were sent one.
    */
-  static async sendDigestNotifications(type = 'daily') {
+  static async sendDigestNotifications(frequency = 'daily', now = new Date()) {
     try {
-      const timeframe = type === 'daily' ? '24 hours' : '7 days';
+      const schedule = DIGEST_SCHEDULES[frequency];
+      if (!schedule) {
+        throw new Error(`Invalid digest frequency: ${frequency}`);
+      }
 
-      // Get active users who should receive digests
+      // Users on this frequency whose local time is the digest hour (and day)
       const usersResult = await query(`
-        SELECT DISTINCT u.id, u.username, u.display_name, u.email
+        SELECT u.id, u.username, u.display_name, u.email, p.last_digest_sent_at
         FROM users u
+        LEFT JOIN user_notification_preferences p ON p.user_id = u.id
         WHERE u.is_active = true
         AND u.email_verified = true
-        AND EXISTS (
-          SELECT 1 FROM follows WHERE follower_id = u.id
-        )
-        AND NOT EXISTS (
-          SELECT 1 FROM notifications
-          WHERE user_id = u.id
-          AND type = $1
-          AND created_at > NOW() - INTERVAL $2
-        )
-      `, [`digest_${type}`, timeframe]);
+        AND COALESCE(p.digest_frequency, 'weekly') = $1
+        AND EXTRACT(HOUR FROM $2::timestamptz AT TIME ZONE COALESCE(p.timezone, 'UTC')) = $3
+        AND ($4::int IS NULL OR EXTRACT(ISODOW FROM $2::timestamptz AT TIME ZONE COALESCE(p.timezone, 'UTC')) = $4)
+        AND (p.last_digest_sent_at IS NULL OR p.last_digest_sent_at < $2::timestamptz - $5::interval)
+      `, [frequency, now, DIGEST_LOCAL_HOUR, schedule.isoDay, schedule.minGap]);
 
-      const notifications = [];
+      const EmailService = require('./EmailService');
+      const { baseUrl } = require('../utils/urls');
+      const sent = [];
 
       for (const user of usersResult.rows) {
         try {
-          // Get digest content for this user
-          const digestContent = await this.generateDigestContent(user.id, timeframe);
-
-          if (digestContent.totalItems > 0) {
-            const notification = await this.createAndSendNotification({
-              userId: user.id,
-              type: `digest_${type}`,
-              title: `Your ${type} digest`,
-              content: `${digestContent.totalItems} new items from ${digestContent.uniqueAuthors} authors`,
-              data: digestContent,
-              expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // Expire in 7 days
-            });
+          const since = user.last_digest_sent_at || new Date(now.getTime() - schedule.lookbackMs);
+          const digest = await this.generateDigestContent(user.id, since);
 
-            notifications.push(notification);
+          if (digest.totalItems === 0) {
+            continue;
+          }
+
+          const token = NotificationPreference.createUnsubscribeToken(user.id);
+          const result = await EmailService.sendDigestEmail(user, digest, {
+            frequency,
+            unsubscribeUrl: `${baseUrl()}/api/notifications/unsubscribe?token=${encodeURIComponent(token)}`
+          });
+
+          if (result.success) {
+            await NotificationPreference.markDigestSent(user.id, now);
+            sent.push(user.id);
           }
         } catch (error) {
-          console.error(`Error creating digest for user ${user.id}:`, error.message);
+          console.error(`Error sending digest to user ${user.id}:`, error.message);
         }
       }
 
-      return notifications;
+      if (sent.length > 0) {
+        console.log(`📬 Sent ${sent.length} ${frequency} digest(s)`);
+      }
+
+      return sent;
     } catch (error) {
       console.error('Error sending digest notifications:', error.message);
       return [];
@@ -407,30 +848,57 @@ class NotificationService {
 
   /**
    * Generate digest content for a user
+   * Unread notifications since `since` whose type goes to the digest channel,
+   * grouped by type.
    */
-  static async generateDigestContent(userId, timeframe) {
+  static async generateDigestContent(userId, since) {
+    const preferences = await NotificationPreference.findByUser(userId);
+
     const result = await query(`
-      SELECT
-        COUNT(*) as total_items,
-        COUNT(CASE WHEN item_type = 'message' THEN 1 END) as new_messages,
-        COUNT(CASE WHEN item_type = 'article_published' THEN 1 END) as new_articles,
-        COUNT(DISTINCT source_user_id) as unique_authors,
-        array_agg(DISTINCT source_user_id) as author_ids
-      FROM feed_items
+      SELECT * FROM notifications
       WHERE user_id = $1
-      AND created_at > NOW() - INTERVAL $2
-    `, [userId, timeframe]);
+      AND is_read = false
+      AND created_at > $2
+      AND (expires_at IS NULL OR expires_at > NOW())
+      ORDER BY created_at DESC
+    `, [userId, since]);
+
+    const byType = new Map();
+    for (const row of result.rows) {
+      if (!preferences.hasChannel(row.type, 'digest')) {
+        continue;
+      }
+      if (!byType.has(row.type)) {
+        byType.set(row.type, []);
+      }
+      byType.get(row.type).push(new Notification(row).toJSON());
+    }
+
+    const sections = Notification.NOTIFICATION_TYPES
+      .filter(type => byType.has(type))
+      .map(type => ({ type, items: byType.get(type) }));
 
-    const row = result.rows[0];
     return {
-      totalItems: parseInt(row.total_items),
-      newMessages: parseInt(row.new_messages),
-      newArticles: parseInt(row.new_articles),
-      uniqueAuthors: parseInt(row.unique_authors),
-      authorIds: row.author_ids || []
+      since,
+      totalItems: sections.reduce((total, section) => total + section.items.length, 0),
+      sections
     };
   }
 
+  /**
+   * Periodically send digests that are due
+   */
+  static startDigestScheduler(intervalMs = DIGEST_CHECK_INTERVAL_MS) {
+    if (this.digestScheduler) return;
+
+    this.digestScheduler = setInterval(async () => {
+      for (const frequency of Object.keys(DIGEST_SCHEDULES)) {
+        await this.sendDigestNotifications(frequency);
+      }
+    }, intervalMs);
+    this.digestScheduler.unref();
+  }
+
   /**
    * Cleanup expired and read notifications
    */
@@ -470,36 +938,27 @@ class NotificationService {
   }
 
   /**
-   * Get notification preferences for a user (placeholder for future implementation)
+   * Get notification preferences for a user
    */
   static async getNotificationPreferences(userId) {
-    // For now, return default preferences
-    // In the future, this could be stored in a user_notification_preferences table
-    return {
-      email_notifications: true,
-      push_notifications: true,
-      types: {
-        new_follower: true,
-        new_article: true,
-        article_updated: true,
-        new_message: false,
-        message_reply: true,
-        feedback_received: true,
-        feedback_resolved: true
-      },
-      digest: {
-        daily: false,
-        weekly: true
-      }
-    };
+    const preferences = await NotificationPreference.findByUser(userId);
+    return preferences.toJSON();
+  }
+
+  /**
+   * Update notification preferences for a user
+   */
+  static async updateNotificationPreferences(userId, changes) {
+    const preferences = await NotificationPreference.update(userId, changes);
+    return preferences.toJSON();
   }
 
   /**
    * Check if user should receive notification based on preferences
    */
   static async shouldSendNotification(userId, notificationType) {
-    const preferences = await this.getNotificationPreferences(userId);
-    return preferences.types[notificationType] !== false;
+    const preferences = await NotificationPreference.findByUser(userId);
+    return preferences.isEnabled(notificationType);
   }
 
   /**
@@ -0,0 +1,89 @@
+/**
+ * OpenAI Provider for Knowledge Foyer
+ *
+ * AIProvider implementation backed by the OpenAI embeddings and chat APIs
+ */
+
+const OpenAI = require('openai');
+const AIProvider = require('./AIProvider');
+
+class OpenAIProvider extends AIProvider {
+  constructor(config = {}) {
+    super({
+      embeddingModel: config.embeddingModel || 'text-embedding-3-small',
+      completionModel: config.completionModel || 'gpt-4',
+      // text-embedding-3-small: $0.00002 / 1K tokens; gpt-4: $0.03 in, $0.06 out
+      pricing: { embedding: 0.00002, input: 0.03, output: 0.06 }
+    });
+
+    this.name = 'openai';
+    this.client = config.apiKey ? new OpenAI({ apiKey: config.apiKey }) : null;
+  }
+
+  isAvailable() {
+    return this.client !== null;
+  }
+
+  async embed(text) {
+    const response = await this.client.embeddings.create({
+      model: this.embeddingModel,
+      input: text,
+      encoding_format: 'float'
+    });
+
+    return {
+      embedding: response.data[0].embedding,
+      tokens: response.usage.total_tokens,
+      model: this.embeddingModel
+    };
+  }
+
+  async complete(prompt, options = {}) {
+    const { systemPrompt = null, maxTokens = 500, temperature = 0.3 } = options;
+
+    const messages = [];
+
+    if (systemPrompt) {
+      messages.push({ role: 'system', content: systemPrompt });
+    }
+
+    messages.push({ role: 'user', content: prompt });
+
+    const response = await this.client.chat.completions.create({
+      model: this.completionModel,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      top_p: 1,
+      frequency_penalty: 0,
+      presence_penalty: 0
+    });
+
+    return {
+      content: response.choices[0].message.content,
+      tokens: {
+        input: response.usage.prompt_tokens,
+        output: response.usage.completion_tokens,
+        total: response.usage.total_tokens
+      },
+      model: this.completionModel
+    };
+  }
+
+  isRetryableError(error) {
+    const retryableErrors = [
+      'rate_limit_exceeded',
+      'server_error',
+      'timeout',
+      'connection_error',
+      'service_unavailable'
+    ];
+
+    return retryableErrors.some(errorType =>
+      error.code === errorType ||
+      error.message.toLowerCase().includes(errorType.replace('_', ' '))
+    );
+  }
+}
+
+module.exports = OpenAIProvider;
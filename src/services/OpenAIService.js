@@ -1,17 +1,26 @@
 /**
  * OpenAI Service for Knowledge Foyer
  *
- * Manages all OpenAI API interactions including embeddings generation,
- * feedback similarity detection, and automated feedback analysis
+ * Entry point for all AI requests (embeddings and completions). Requests are
+ * delegated to the provider selected by AI_PROVIDER ('openai' by default, or
+ * 'local' for the offline deterministic provider); budget, retries and usage
+ * tracking are handled here for every provider.
  */
 
-const OpenAI = require('openai');
 const { query } = require('../config/database');
+const OpenAIProvider = require('./OpenAIProvider');
+const LocalAIProvider = require('./LocalAIProvider');
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  local: LocalAIProvider
+};
 
 class OpenAIService {
   constructor() {
-    this.client = null;
+    this.provider = null;
     this.config = {
+      provider: (process.env.AI_PROVIDER || 'openai').toLowerCase(),
       apiKey: process.env.OPENAI_API_KEY,
       embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
       completionModel: process.env.OPENAI_COMPLETION_MODEL || 'gpt-4',
@@ -22,6 +31,13 @@ class OpenAIService {
       retryDelay: 1000
     };
 
+    // Provider settings as configured, kept apart from the active models in config
+    this.providerConfig = {
+      apiKey: this.config.apiKey,
+      embeddingModel: this.config.embeddingModel,
+      completionModel: this.config.completionModel
+    };
+
     this.dailyUsage = {
       date: new Date().toISOString().split('T')[0],
       cost: 0,
@@ -36,22 +52,11 @@ class OpenAIService {
   }
 
   /**
-   * Initialize OpenAI client
+   * Initialize the configured AI provider
    */
   initialize() {
     try {
-      if (!this.config.apiKey) {
-        console.warn('🤖 OpenAI API key not provided. AI features will be disabled.');
-        return;
-      }
-
-      this.client = new OpenAI({
-        apiKey: this.config.apiKey
-      });
-
-      this.isEnabled = true;
-      this.loadDailyUsage();
-      console.log('🤖 OpenAI service initialized successfully');
+      this.useProvider(this.config.provider);
     } catch (error) {
       console.error('❌ Failed to initialize OpenAI service:', error.message);
       this.lastError = error;
@@ -59,6 +64,32 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Switch to a provider by name ('openai' or 'local')
+   */
+  useProvider(name) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown AI provider: ${name}. Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    this.provider = new Provider(this.providerConfig);
+    this.config.provider = name;
+    this.config.embeddingModel = this.provider.embeddingModel;
+    this.config.completionModel = this.provider.completionModel;
+    this.isEnabled = false;
+
+    if (!this.provider.isAvailable()) {
+      console.warn(`🤖 AI provider '${name}' is not configured. AI features will be disabled.`);
+      return this.provider;
+    }
+
+    this.isEnabled = true;
+    this.loadDailyUsage();
+    console.log(`🤖 AI service initialized with '${name}' provider`);
+    return this.provider;
+  }
+
   /**
    * Load daily usage from database
    */
@@ -134,10 +165,8 @@ class OpenAIService {
    * Estimate cost for embedding request
    */
   estimateEmbeddingCost(text) {
-    // text-embedding-3-small pricing: $0.00002 per 1K tokens
-    // Rough estimate: 1 token ≈ 4 characters
-    const estimatedTokens = Math.ceil(text.length / 4);
-    const cost = (estimatedTokens / 1000) * 0.00002;
+    const estimatedTokens = this.provider.estimateTokens(text);
+    const cost = this.provider.calculateEmbeddingCost(estimatedTokens);
     return { estimatedTokens, cost };
   }
 
@@ -145,17 +174,13 @@ class OpenAIService {
    * Estimate cost for completion request
    */
   estimateCompletionCost(inputText, outputTokens = null) {
-    // gpt-4 pricing: $0.03 per 1K input tokens, $0.06 per 1K output tokens
-    const inputTokens = Math.ceil(inputText.length / 4);
+    const inputTokens = this.provider.estimateTokens(inputText);
     const outputTokensEst = outputTokens || this.config.maxTokens;
 
-    const inputCost = (inputTokens / 1000) * 0.03;
-    const outputCost = (outputTokensEst / 1000) * 0.06;
-
     return {
       inputTokens,
       outputTokens: outputTokensEst,
-      cost: inputCost + outputCost
+      cost: this.provider.calculateCompletionCost(inputTokens, outputTokensEst)
     };
   }
 
@@ -176,25 +201,20 @@ class OpenAIService {
 
       console.log(`🤖 Generating embedding for ${estimatedTokens} tokens (est. $${cost.toFixed(6)})`);
 
-      const response = await this.client.embeddings.create({
-        model: this.config.embeddingModel,
-        input: text.trim(),
-        encoding_format: 'float'
-      });
-
-      const embedding = response.data[0].embedding;
-      const actualTokens = response.usage.total_tokens;
-      const actualCost = (actualTokens / 1000) * 0.00002;
+      const result = await this.provider.embed(text.trim());
+      const actualTokens = result.tokens;
+      const actualCost = this.provider.calculateEmbeddingCost(actualTokens);
 
       await this.saveUsage(actualCost, actualTokens, 'embedding');
 
       console.log(`🤖 Embedding generated: ${actualTokens} tokens, $${actualCost.toFixed(6)}`);
 
       return {
-        embedding,
+        embedding: result.embedding,
         tokens: actualTokens,
         cost: actualCost,
-        model: this.config.embeddingModel
+        model: result.model,
+        provider: this.provider.name
       };
     } catch (error) {
       console.error('OpenAI embedding error:', error.message);
@@ -222,8 +242,10 @@ class OpenAIService {
 
   /**
    * Generate completion for feedback analysis
+   * Options: { task, context } describe the request for providers that
+   * answer from structured inputs rather than the prompt text
    */
-  async generateCompletion(prompt, systemPrompt = null, retryCount = 0) {
+  async generateCompletion(prompt, systemPrompt = null, options = {}, retryCount = 0) {
     if (!this.isEnabled || !this.checkBudget()) {
       throw new Error('OpenAI service not available or budget exceeded');
     }
@@ -233,47 +255,32 @@ class OpenAIService {
 
       console.log(`🤖 Generating completion (est. $${cost.toFixed(4)})`);
 
-      const messages = [];
-
-      if (systemPrompt) {
-        messages.push({ role: 'system', content: systemPrompt });
-      }
-
-      messages.push({ role: 'user', content: prompt });
-
-      const response = await this.client.chat.completions.create({
-        model: this.config.completionModel,
-        messages,
-        max_tokens: this.config.maxTokens,
-        temperature: 0.3, // Lower temperature for more consistent analysis
-        top_p: 1,
-        frequency_penalty: 0,
-        presence_penalty: 0
+      const result = await this.provider.complete(prompt, {
+        ...options,
+        systemPrompt,
+        maxTokens: this.config.maxTokens,
+        temperature: 0.3 // Lower temperature for more consistent analysis
       });
 
-      const completion = response.choices[0].message.content;
-      const inputTokens = response.usage.prompt_tokens;
-      const outputTokens = response.usage.completion_tokens;
-      const totalTokens = response.usage.total_tokens;
-
-      // Calculate actual cost
-      const inputCost = (inputTokens / 1000) * 0.03;
-      const outputCost = (outputTokens / 1000) * 0.06;
-      const actualCost = inputCost + outputCost;
+      const inputTokens = result.tokens.input;
+      const outputTokens = result.tokens.output;
+      const totalTokens = result.tokens.total;
+      const actualCost = this.provider.calculateCompletionCost(inputTokens, outputTokens);
 
       await this.saveUsage(actualCost, totalTokens, 'completion');
 
       console.log(`🤖 Completion generated: ${totalTokens} tokens (${inputTokens}+${outputTokens}), $${actualCost.toFixed(4)}`);
 
       return {
-        content: completion,
+        content: result.content,
         tokens: {
           input: inputTokens,
           output: outputTokens,
           total: totalTokens
         },
         cost: actualCost,
-        model: this.config.completionModel
+        model: result.model,
+        provider: this.provider.name
       };
     } catch (error) {
       console.error('OpenAI completion error:', error.message);
@@ -282,7 +289,7 @@ class OpenAIService {
       if (retryCount < this.config.retryAttempts && this.isRetryableError(error)) {
         console.log(`🤖 Retrying completion generation (attempt ${retryCount + 1}/${this.config.retryAttempts})`);
         await this.sleep(this.config.retryDelay * (retryCount + 1));
-        return this.generateCompletion(prompt, systemPrompt, retryCount + 1);
+        return this.generateCompletion(prompt, systemPrompt, options, retryCount + 1);
       }
 
       // Handle specific error types
@@ -303,18 +310,7 @@ class OpenAIService {
    * Check if error is retryable
    */
   isRetryableError(error) {
-    const retryableErrors = [
-      'rate_limit_exceeded',
-      'server_error',
-      'timeout',
-      'connection_error',
-      'service_unavailable'
-    ];
-
-    return retryableErrors.some(errorType =>
-      error.code === errorType ||
-      error.message.toLowerCase().includes(errorType.replace('_', ' '))
-    );
+    return this.provider.isRetryableError(error);
   }
 
   /**
@@ -359,6 +355,7 @@ class OpenAIService {
       budgetUsed: (this.dailyUsage.cost / this.config.dailyBudget * 100).toFixed(1),
       isEnabled: this.isEnabled,
       lastError: this.lastError?.message || null,
+      provider: this.config.provider,
       models: {
         embedding: this.config.embeddingModel,
         completion: this.config.completionModel
@@ -382,12 +379,12 @@ class OpenAIService {
    * Enable/disable service manually
    */
   setEnabled(enabled) {
-    if (enabled && !this.config.apiKey) {
-      throw new Error('Cannot enable OpenAI service without API key');
+    if (enabled && !this.provider?.isAvailable()) {
+      throw new Error(`Cannot enable AI service: '${this.config.provider}' provider is not configured`);
     }
 
     this.isEnabled = enabled;
-    console.log(`🤖 OpenAI service ${enabled ? 'enabled' : 'disabled'}`);
+    console.log(`🤖 AI service ${enabled ? 'enabled' : 'disabled'}`);
   }
 
   /**
@@ -399,7 +396,8 @@ class OpenAIService {
       const result = await this.generateEmbedding(testText);
       return {
         success: true,
-        message: 'OpenAI API connection successful',
+        message: `AI provider '${this.provider.name}' connection successful`,
+        provider: this.provider.name,
         model: result.model,
         tokens: result.tokens,
         cost: result.cost
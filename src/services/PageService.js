@@ -0,0 +1,558 @@
+/**
+ * Page Service for Knowledge Foyer
+ *
+ * Server-rendered article, author and exposition pages for crawlers and link
+ * previews: rendered markdown, OpenGraph/Twitter meta, canonical URLs and
+ * JSON-LD, plus each author's sitemap.xml.
+ */
+
+const { query } = require('../config/database');
+const Article = require('../models/Article');
+const Exposition = require('../models/Exposition');
+const ReviewerReputation = require('../models/ReviewerReputation');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const SyndicationService = require('./SyndicationService');
+const { baseUrl, userUrl, articleUrl, expositionUrl, tagUrl } = require('../utils/urls');
+const { markdown } = require('../utils/markdown');
+
+const SITE_NAME = 'Knowledge Foyer';
+
+// Search engines show roughly this much of a meta description
+const DESCRIPTION_LENGTH = 160;
+
+const LIST_LIMIT = 50;
+const MAX_SITEMAP_URLS = 5000;
+
+// Articles with fewer headings than this get no table of contents
+const MIN_TOC_HEADINGS = 3;
+
+const FEED_FORMATS = [
+  { format: 'xml', type: 'application/rss+xml', label: 'RSS' },
+  { format: 'atom', type: 'application/atom+xml', label: 'Atom' },
+  { format: 'json', type: 'application/feed+json', label: 'JSON Feed' }
+];
+
+const STYLES = `
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; margin: 0; padding: 20px; background-color: #fafaf7; color: #1a1a1a; }
+        .container { max-width: 760px; margin: 0 auto; }
+        h1, h2, h3 { color: #2f5233; }
+        a { color: #2f5233; }
+        .byline, .meta { color: #525252; font-size: 0.95em; }
+        .tags span { display: inline-block; background: #f5f5f0; border-radius: 4px; padding: 2px 8px; margin: 0 4px 4px 0; font-size: 0.85em; }
+        .content { font-family: 'Lora', Georgia, serif; line-height: 1.8; }
+        .content pre { background: #f5f5f0; padding: 12px; overflow-x: auto; border-radius: 6px; }
+        .content .heading-anchor { visibility: hidden; text-decoration: none; color: #c9a961; }
+        .content h1:hover .heading-anchor, .content h2:hover .heading-anchor, .content h3:hover .heading-anchor { visibility: visible; }
+        .table-of-contents { background: #f5f5f0; padding: 12px 20px; border-radius: 6px; margin: 20px 0; }
+        .table-of-contents h3 { margin-top: 0; }
+        .table-of-contents .toc-level-3, .table-of-contents .toc-level-4 { margin-left: 1.5em; }
+        .notice { background: #f5f5f0; padding: 12px 16px; border-left: 4px solid #c9a961; margin: 20px 0; }
+        .list { list-style: none; padding: 0; }
+        .list li { margin-bottom: 18px; }
+        footer { margin-top: 40px; color: #525252; font-size: 0.9em; }`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+class PageService {
+  static escapeHtml(value) {
+    return escapeHtml(value);
+  }
+
+
+  static describe(text) {
+    return SyndicationService.excerpt(text, DESCRIPTION_LENGTH);
+  }
+
+  static formatDate(date) {
+    return date
+      ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+      : '';
+  }
+
+  /**
+   * Server-rendered article page, or null when the article is not published
+   * (?version=N renders that version; the canonical URL stays the article's)
+   */
+  static async getArticlePage(username, slug, options = {}) {
+    const article = await Article.findByUserAndSlug(username, slug);
+
+    if (!article || article.status !== 'published') {
+      return null;
+    }
+
+    let version = null;
+    if (options.version !== undefined) {
+      const versionNumber = parseInt(options.version);
+      version = versionNumber > 0 ? await article.getVersion(versionNumber) : null;
+      if (!version) {
+        return null;
+      }
+    }
+
+    const shown = version || article;
+    const author = article.author;
+    const authorName = author.display_name || author.username;
+    // Editors are credited as co-authors and reviewers are listed; viewers are not shown
+    const collaborators = await article.loadCollaborators();
+    const coAuthors = collaborators.filter(collaborator => collaborator.role === 'editor');
+    const reviewers = collaborators.filter(collaborator => collaborator.role === 'reviewer');
+    const personLink = (person) => `<a href="${escapeHtml(userUrl(person.username))}">${escapeHtml(person.display_name || person.username)}</a>`;
+    const canonical = articleUrl(author.username, article.slug);
+    const description = shown.summary || this.describe(shown.content);
+    const { html: contentHtml, toc } = markdown.renderDocument(shown.content);
+    const wordCount = markdown.getWordCount(shown.content);
+
+    const head = this.renderHead({
+      title: `${shown.title} by ${authorName} - ${SITE_NAME}`,
+      description,
+      canonical,
+      type: 'article',
+      // Old versions and unlisted articles stay out of search results
+      robots: version || article.visibility !== 'public' ? 'noindex, follow' : null,
+      article: {
+        published_time: article.published_at,
+        modified_time: article.updated_at,
+        author: userUrl(author.username),
+        tags: article.tags
+      },
+      feeds: { title: `${authorName} - ${SITE_NAME}`, url: (format) => userUrl(author.username, `/feed.${format}`) },
+      jsonLd: {
+        '@context': 'https://schema.org',
+        '@type': 'Article',
+        headline: shown.title.slice(0, 110),
+        description,
+        url: canonical,
+        mainEntityOfPage: canonical,
+        datePublished: article.published_at,
+        dateModified: version ? version.created_at : article.updated_at,
+        version: String(version ? version.version_number : article.version),
+        wordCount,
+        keywords: article.tags.join(', ') || undefined,
+        author: coAuthors.length > 0
+          ? [author, ...coAuthors].map(person => ({
+            '@type': 'Person',
+            name: person.display_name || person.username,
+            url: userUrl(person.username)
+          }))
+          : { '@type': 'Person', name: authorName, url: userUrl(author.username) },
+        publisher: { '@type': 'Organization', name: SITE_NAME, url: baseUrl() }
+      }
+    });
+
+    const notice = version
+      ? `
+        <div class="notice">
+            You are reading version ${version.version_number} of this article${version.change_summary ? ` (${escapeHtml(version.change_summary)})` : ''}.
+            <a href="${escapeHtml(canonical)}">Read the latest version</a>
+        </div>`
+      : '';
+
+    const body = `
+        <article>
+            <h1>${escapeHtml(shown.title)}</h1>
+            <div class="byline">
+                by <a href="${escapeHtml(userUrl(author.username))}" rel="author">${escapeHtml(authorName)}</a>${coAuthors.length > 0 ? ` with ${coAuthors.map(personLink).join(', ')}` : ''}
+                · <time datetime="${new Date(article.published_at).toISOString()}">${this.formatDate(article.published_at)}</time>
+                · version ${version ? version.version_number : article.version}
+            </div>
+            ${reviewers.length > 0 ? `<div class="meta">Reviewed by ${reviewers.map(personLink).join(', ')}</div>` : ''}
+            ${this.renderTags(article.tags)}${notice}
+            ${toc.length >= MIN_TOC_HEADINGS ? markdown.generateTableOfContents(toc) : ''}
+            <div class="content">
+${contentHtml}
+            </div>
+        </article>
+        <footer><a href="/">← More from ${escapeHtml(authorName)}</a></footer>`;
+
+    return this.renderPage(head, body);
+  }
+
+  /**
+   * Server-rendered author home page, or null for unknown authors
+   */
+  static async getAuthorPage(username) {
+    const user = await User.findByUsername(username);
+
+    if (!user || user.is_active === false) {
+      return null;
+    }
+
+    const [articles, expositions, reputation] = await Promise.all([
+      Article.findByUser(user.username, { limit: LIST_LIMIT }),
+      Exposition.findByAuthor(user.username, { limit: LIST_LIMIT }),
+      ReviewerReputation.getForUser(user.id)
+    ]);
+    const publicArticles = articles.filter(article => article.visibility === 'public');
+
+    const authorName = user.display_name || user.username;
+    const canonical = userUrl(user.username);
+    const description = user.bio ? this.describe(user.bio) : `Articles and curated expositions by ${authorName} on ${SITE_NAME}.`;
+
+    const head = this.renderHead({
+      title: `${authorName} - ${SITE_NAME}`,
+      description,
+      canonical,
+      type: 'profile',
+      image: user.avatar_url,
+      feeds: { title: `${authorName} - ${SITE_NAME}`, url: (format) => userUrl(user.username, `/feed.${format}`) },
+      jsonLd: {
+        '@context': 'https://schema.org',
+        '@type': 'ProfilePage',
+        url: canonical,
+        mainEntity: {
+          '@type': 'Person',
+          name: authorName,
+          alternateName: user.username,
+          description: user.bio || undefined,
+          image: user.avatar_url || undefined,
+          url: canonical
+        }
+      }
+    });
+
+    const articleItems = publicArticles.map(article => this.renderListItem({
+      url: articleUrl(user.username, article.slug),
+      title: article.title,
+      summary: article.summary || this.describe(article.content),
+      meta: this.formatDate(article.published_at)
+    })).join('');
+
+    const expositionItems = expositions.map(exposition => this.renderListItem({
+      url: expositionUrl(user.username, exposition.slug),
+      title: exposition.title,
+      summary: exposition.description,
+      meta: `${exposition.article_count} article${exposition.article_count === 1 ? '' : 's'}`
+    })).join('');
+
+    const body = `
+        <h1>${escapeHtml(authorName)}</h1>
+        ${user.bio ? `<p>${escapeHtml(user.bio)}</p>` : ''}
+        ${reputation.feedback_count > 0 ? `<p class="meta">Reviewer reputation: ${reputation.score} (${reputation.level}) · ${reputation.resolved_count} feedback resolved · ${reputation.helpful_votes} helpful votes</p>` : ''}
+        <h2>Articles</h2>
+        ${articleItems ? `<ul class="list">${articleItems}</ul>` : '<p class="meta">No published articles yet.</p>'}
+        ${expositionItems ? `<h2>Expositions</h2>
+        <ul class="list">${expositionItems}</ul>` : ''}
+        <footer>
+            Follow: ${FEED_FORMATS.map(feed => `<a href="/feed.${feed.format}">${feed.label}</a>`).join(' · ')}
+            · <a href="${escapeHtml(baseUrl())}">${SITE_NAME}</a>
+        </footer>`;
+
+    return this.renderPage(head, body);
+  }
+
+  /**
+   * Server-rendered tag page: public articles with the tag, related tags and
+   * recent public posts using it as a #hashtag; null for unknown tags
+   */
+  static async getTagPage(name) {
+    const tag = await Tag.findByName(name);
+
+    if (!tag) {
+      return null;
+    }
+
+    const [relatedTags, articles, messages] = await Promise.all([
+      tag.getRelated(),
+      tag.getArticles({ limit: LIST_LIMIT }),
+      tag.getMessages()
+    ]);
+
+    const canonical = tagUrl(tag.name);
+    const feedTitle = `#${tag.name} - ${SITE_NAME}`;
+
+    const head = this.renderHead({
+      title: feedTitle,
+      description: tag.description
+        ? this.describe(tag.description)
+        : `Articles tagged "${tag.name}" on ${SITE_NAME}.`,
+      canonical,
+      // Tags with no public articles are not worth indexing
+      robots: tag.article_count > 0 ? null : 'noindex',
+      feeds: { title: feedTitle, url: (format) => tagUrl(tag.name) + `/feed.${format}` },
+      jsonLd: {
+        '@context': 'https://schema.org',
+        '@type': 'CollectionPage',
+        name: `#${tag.name}`,
+        url: canonical
+      }
+    });
+
+    const articleItems = articles.map(article => this.renderListItem({
+      url: articleUrl(article.author.username, article.slug),
+      title: article.title,
+      summary: article.summary || this.describe(article.content),
+      meta: `${article.author.display_name || article.author.username} · ${this.formatDate(article.published_at)}`
+    })).join('');
+
+    // content_html is escaped by MentionService.render
+    const messageItems = messages.map(message => `
+            <li>
+                <div class="meta"><a href="${escapeHtml(userUrl(message.author.username))}">${escapeHtml(message.author.display_name || message.author.username)}</a> · ${escapeHtml(this.formatDate(message.created_at))}</div>
+                <div>${message.renderContent()}</div>
+            </li>`).join('');
+
+    const body = `
+        <h1>#${escapeHtml(tag.name)}</h1>
+        ${tag.description ? `<p>${escapeHtml(tag.description)}</p>` : ''}
+        <p class="meta">${tag.article_count} article${tag.article_count === 1 ? '' : 's'}</p>
+        ${relatedTags.length > 0 ? `<p class="tags">Related: ${relatedTags.map(related => `<a href="${escapeHtml(tagUrl(related.name))}"><span>${escapeHtml(related.name)}</span></a>`).join('')}</p>` : ''}
+        <h2>Articles</h2>
+        ${articleItems ? `<ul class="list">${articleItems}</ul>` : '<p class="meta">No published articles with this tag yet.</p>'}
+        ${messageItems ? `<h2>Recent posts</h2>
+        <ul class="list">${messageItems}</ul>` : ''}
+        <footer>
+            Follow: ${FEED_FORMATS.map(feed => `<a href="${escapeHtml(tagUrl(tag.name))}/feed.${feed.format}">${feed.label}</a>`).join(' · ')}
+            · <a href="${escapeHtml(baseUrl())}">${SITE_NAME}</a>
+        </footer>`;
+
+    return this.renderPage(head, body);
+  }
+
+  /**
+   * Server-rendered exposition page, or null when it is not published
+   */
+  static async getExpositionPage(username, slug) {
+    const exposition = await Exposition.findByAuthorAndSlug(username, slug);
+
+    if (!exposition) {
+      return null;
+    }
+
+    const layout = await exposition.getLayout({ limit: LIST_LIMIT });
+
+    const author = exposition.author;
+    const authorName = author.display_name || author.username;
+    const canonical = expositionUrl(author.username, exposition.slug);
+    const description = exposition.description
+      ? this.describe(exposition.description)
+      : `A collection of articles curated by ${authorName} on ${SITE_NAME}.`;
+
+    const allArticles = [
+      ...layout.pinned,
+      ...layout.sections.flatMap(section => section.articles),
+      ...layout.articles
+    ];
+
+    const head = this.renderHead({
+      title: `${exposition.title} - ${authorName} - ${SITE_NAME}`,
+      description,
+      canonical,
+      type: 'website',
+      feeds: {
+        title: `${exposition.title} - ${SITE_NAME}`,
+        url: (format) => `${baseUrl()}/expositions/${exposition.id}/feed.${format}`
+      },
+      jsonLd: {
+        '@context': 'https://schema.org',
+        '@type': 'CollectionPage',
+        name: exposition.title,
+        description,
+        url: canonical,
+        dateModified: exposition.updated_at,
+        author: { '@type': 'Person', name: authorName, url: userUrl(author.username) },
+        mainEntity: {
+          '@type': 'ItemList',
+          numberOfItems: exposition.article_count,
+          itemListElement: allArticles.map((item, index) => ({
+            '@type': 'ListItem',
+            position: index + 1,
+            url: articleUrl(item.author_username, item.article_slug),
+            name: item.article_title
+          }))
+        }
+      }
+    });
+
+    const renderItems = (items) => `<ul class="list">${items.map(item => this.renderListItem({
+      url: articleUrl(item.author_username, item.article_slug),
+      title: item.article_title,
+      summary: item.article_summary,
+      meta: `${item.author_display_name || item.author_username} · ${this.formatDate(item.article_published_at)}`
+    })).join('')}</ul>`;
+
+    const sections = layout.sections
+      .filter(section => section.articles.length > 0)
+      .map(section => `
+        <section>
+            <h2>${escapeHtml(section.title)}</h2>
+            ${section.description ? `<p>${escapeHtml(section.description)}</p>` : ''}
+            ${renderItems(section.articles)}
+        </section>`).join('');
+
+    const body = `
+        <h1>${escapeHtml(exposition.title)}</h1>
+        <div class="byline">curated by <a href="${escapeHtml(userUrl(author.username))}" rel="author">${escapeHtml(authorName)}</a> · ${exposition.article_count} articles</div>
+        ${exposition.description ? `<p>${escapeHtml(exposition.description)}</p>` : ''}
+        ${layout.pinned.length > 0 ? `<section>
+            <h2>Pinned</h2>
+            ${renderItems(layout.pinned)}
+        </section>` : ''}${sections}
+        ${layout.articles.length > 0 ? `<section>
+            ${sections || layout.pinned.length > 0 ? '<h2>More articles</h2>' : ''}
+            ${renderItems(layout.articles)}
+        </section>` : ''}
+        <footer><a href="${escapeHtml(userUrl(author.username))}">← More from ${escapeHtml(authorName)}</a></footer>`;
+
+    return this.renderPage(head, body);
+  }
+
+  /**
+   * An author's sitemap: home page, public articles and published expositions
+   */
+  static async getSitemap(username) {
+    const user = await User.findByUsername(username);
+
+    if (!user || user.is_active === false) {
+      return null;
+    }
+
+    const [articleResult, expositionResult] = await Promise.all([
+      query(`
+        SELECT slug, GREATEST(published_at, updated_at) as lastmod
+        FROM articles
+        WHERE user_id = $1 AND status = 'published' AND visibility = 'public'
+        ORDER BY published_at DESC
+        LIMIT $2
+      `, [user.id, MAX_SITEMAP_URLS]),
+      query(`
+        SELECT slug, updated_at as lastmod
+        FROM expositions
+        WHERE author_id = $1 AND status = 'published'
+        ORDER BY updated_at DESC
+        LIMIT $2
+      `, [user.id, MAX_SITEMAP_URLS])
+    ]);
+
+    const entries = [
+      ...articleResult.rows.map(row => ({ loc: articleUrl(user.username, row.slug), lastmod: row.lastmod })),
+      ...expositionResult.rows.map(row => ({ loc: expositionUrl(user.username, row.slug), lastmod: row.lastmod }))
+    ];
+
+    const latest = entries.reduce((max, entry) => (
+      !max || new Date(entry.lastmod) > new Date(max) ? entry.lastmod : max
+    ), null);
+
+    return this.renderSitemap([{ loc: userUrl(user.username), lastmod: latest }, ...entries]);
+  }
+
+  static renderSitemap(entries) {
+    const urls = entries.map(entry => `
+  <url>
+    <loc>${escapeHtml(entry.loc)}</loc>${entry.lastmod ? `
+    <lastmod>${new Date(entry.lastmod).toISOString()}</lastmod>` : ''}
+  </url>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>
+`;
+  }
+
+  static getRobots(username) {
+    return `User-agent: *
+Allow: /
+
+Sitemap: ${userUrl(username, '/sitemap.xml')}
+`;
+  }
+
+  /**
+   * <head> contents: description, canonical URL, OpenGraph, Twitter card,
+   * feed discovery links and JSON-LD
+   */
+  static renderHead(meta) {
+    const {
+      title,
+      description,
+      canonical,
+      type = 'website',
+      image = null,
+      robots = null,
+      article = null,
+      feeds = null,
+      jsonLd = null
+    } = meta;
+
+    const tag = (attribute, name, content) => (
+      content ? `\n    <meta ${attribute}="${name}" content="${escapeHtml(content)}">` : ''
+    );
+    const isoDate = (date) => (date ? new Date(date).toISOString() : null);
+    const imageUrl = image && /^https?:\/\//i.test(image) ? image : null;
+
+    const articleTags = article
+      ? tag('property', 'article:published_time', isoDate(article.published_time)) +
+        tag('property', 'article:modified_time', isoDate(article.modified_time)) +
+        tag('property', 'article:author', article.author) +
+        (article.tags || []).map(name => tag('property', 'article:tag', name)).join('')
+      : '';
+
+    const feedLinks = feeds
+      ? FEED_FORMATS.map(feed => `
+    <link rel="alternate" type="${feed.type}" title="${escapeHtml(`${feeds.title} (${feed.label})`)}" href="${escapeHtml(feeds.url(feed.format))}">`).join('')
+      : '';
+
+    // "<" is escaped so article text cannot close the script element
+    const structuredData = jsonLd
+      ? `\n    <script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script>`
+      : '';
+
+    return `
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>${tag('name', 'description', description)}
+    <link rel="canonical" href="${escapeHtml(canonical)}">${tag('name', 'robots', robots)}${tag('property', 'og:site_name', SITE_NAME)}${tag('property', 'og:type', type)}${tag('property', 'og:title', title)}${tag('property', 'og:description', description)}${tag('property', 'og:url', canonical)}${tag('property', 'og:image', imageUrl)}${articleTags}${tag('name', 'twitter:card', imageUrl ? 'summary_large_image' : 'summary')}${tag('name', 'twitter:title', title)}${tag('name', 'twitter:description', description)}${tag('name', 'twitter:image', imageUrl)}${feedLinks}${structuredData}`;
+  }
+
+  static renderPage(head, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>${head}
+    <style>${STYLES}
+    </style>
+</head>
+<body>
+    <div class="container">${body}
+    </div>
+</body>
+</html>`;
+  }
+
+  static renderNotFoundPage(message = 'The page you are looking for does not exist.') {
+    const head = `
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Not Found - ${SITE_NAME}</title>`;
+
+    return this.renderPage(head, `
+        <h1>Not Found</h1>
+        <p>${escapeHtml(message)}</p>
+        <p><a href="${escapeHtml(baseUrl())}">← Back to ${SITE_NAME}</a></p>`);
+  }
+
+  static renderTags(tags = []) {
+    if (tags.length === 0) {
+      return '';
+    }
+    return `<div class="tags">${tags.map(name => `<span>${escapeHtml(name)}</span>`).join('')}</div>`;
+  }
+
+  static renderListItem({ url, title, summary, meta }) {
+    return `
+            <li>
+                <a href="${escapeHtml(url)}"><strong>${escapeHtml(title)}</strong></a>
+                ${meta ? `<div class="meta">${escapeHtml(meta)}</div>` : ''}
+                ${summary ? `<div>${escapeHtml(summary)}</div>` : ''}
+            </li>`;
+  }
+}
+
+module.exports = PageService;
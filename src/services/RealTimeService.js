@@ -248,6 +248,29 @@ class RealTimeService {
     }
   }
 
+  /**
+   * Deliver a direct message to the other participants of its conversation
+   */
+  sendDirectMessage(conversationId, message, recipientIds) {
+    return this.sendToUsers(recipientIds, {
+      type: 'direct_message',
+      data: {
+        conversation_id: conversationId,
+        message
+      }
+    });
+  }
+
+  /**
+   * Tell the other participants that a user read a conversation
+   */
+  sendReadReceipt(receipt, participantIds) {
+    return this.sendToUsers(participantIds.filter(id => id !== receipt.user_id), {
+      type: 'conversation_read',
+      data: receipt
+    });
+  }
+
   /**
    * Send article publication notification to followers
    */
@@ -296,6 +319,37 @@ class RealTimeService {
     return this.sendToUser(targetUserId, message);
   }
 
+  /**
+   * Send typing indicator to the other participants of a conversation
+   */
+  async sendConversationTypingIndicator(userId, conversationId, isTyping = true) {
+    try {
+      const Conversation = require('../models/Conversation');
+      const participantIds = await Conversation.getParticipantIds(conversationId);
+
+      if (!participantIds.includes(userId)) return 0;
+
+      const UserRestriction = require('../models/UserRestriction');
+      const otherIds = participantIds.filter(id => id !== userId);
+      const blockedIds = await UserRestriction.findBlockedAmong(userId, otherIds);
+
+      const message = {
+        type: 'typing_indicator',
+        data: {
+          user_id: userId,
+          conversation_id: conversationId,
+          is_typing: isTyping,
+          timestamp: new Date().toISOString()
+        }
+      };
+
+      return this.sendToUsers(otherIds.filter(id => !blockedIds.includes(id)), message);
+    } catch (error) {
+      console.error('Error sending conversation typing indicator:', error.message);
+      return 0;
+    }
+  }
+
   /**
    * Send user presence update
    */
@@ -419,16 +473,15 @@ class RealTimeService {
           break;
 
         case 'typing_start':
-          if (data.target_user_id) {
-            this.sendTypingIndicator(ws.user.id, data.target_user_id, true);
-          }
-          break;
-
-        case 'typing_stop':
-          if (data.target_user_id) {
-            this.sendTypingIndicator(ws.user.id, data.target_user_id, false);
+        case 'typing_stop': {
+          const isTyping = data.type === 'typing_start';
+          if (data.conversation_id) {
+            this.sendConversationTypingIndicator(ws.user.id, data.conversation_id, isTyping);
+          } else if (data.target_user_id) {
+            this.sendTypingIndicator(ws.user.id, data.target_user_id, isTyping);
           }
           break;
+        }
 
         case 'presence_update':
           this.sendPresenceUpdate(ws.user.id, data.status || 'online');
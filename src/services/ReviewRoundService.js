@@ -0,0 +1,262 @@
+/**
+ * Review Round Service for Knowledge Foyer
+ *
+ * The "Push for Review" workflow: after editing, the author pushes the new
+ * version; the AI re-evaluates the article's open feedback against the changes
+ * and marks items that may no longer apply; readers re-vote during the round's
+ * window; closing the round settles each item and notifies the author with a
+ * summary. Fresh feedback on the new version arrives as usual in the meantime.
+ */
+
+const ReviewRound = require('../models/ReviewRound');
+const ArticleVersion = require('../models/ArticleVersion');
+const feedbackResolutionService = require('./FeedbackResolutionService');
+const NotificationService = require('./NotificationService');
+
+// Minimum AI confidence before feedback is marked "may no longer apply"
+const FLAG_CONFIDENCE_THRESHOLD = 0.6;
+
+// How often expired re-vote windows are closed
+const CLOSE_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+
+// Rounds still analyzing after this long are opened without the rest of the AI pass
+const STALE_ANALYSIS_MINUTES = 30;
+
+class ReviewRoundService {
+  static get FLAG_CONFIDENCE_THRESHOLD() {
+    return FLAG_CONFIDENCE_THRESHOLD;
+  }
+
+  /**
+   * Push the article's latest version for review
+   * The AI pass runs in the background; the re-vote window opens when it finishes.
+   */
+  static async pushForReview(articleId, userId, options = {}) {
+    const round = await ReviewRound.create({
+      articleId,
+      userId,
+      changeSummary: options.changeSummary ? options.changeSummary.trim() : null,
+      revoteHours: options.revoteHours
+    });
+
+    console.log(`🔁 Review round opened for article ${articleId} v${round.version_number} (${round.feedback_count} feedback items)`);
+
+    setImmediate(async () => {
+      try {
+        await this.runAnalysis(round);
+      } catch (error) {
+        console.error(`Error opening review round ${round.id}:`, error.message);
+      }
+    });
+
+    return round;
+  }
+
+  /**
+   * Ask the AI whether each item still applies, flag the ones that may not,
+   * then open the re-vote window
+   * Items stay 'unanalyzed' when the AI is unavailable or the pass fails;
+   * readers can still re-vote.
+   */
+  static async runAnalysis(round) {
+    const flagged = [];
+
+    try {
+      const [baseVersion, newVersion] = await Promise.all([
+        ArticleVersion.getVersion(round.article_id, round.base_version),
+        ArticleVersion.getVersion(round.article_id, round.version_number)
+      ]);
+
+      if (baseVersion && newVersion) {
+        const items = await round.getItems();
+
+        for (const item of items) {
+          let verdict = await feedbackResolutionService.assessFeedbackRelevance(
+            { id: item.feedback_id, content: item.content, polarity: item.polarity },
+            baseVersion.content,
+            newVersion.content,
+            round.change_summary
+          );
+
+          // Low-confidence "no longer applies" verdicts are recorded as still applying
+          if (verdict && !verdict.still_applies && verdict.confidence < FLAG_CONFIDENCE_THRESHOLD) {
+            verdict = { ...verdict, still_applies: true };
+          }
+
+          const aiVerdict = await round.recordVerdict(item.feedback_id, verdict);
+          if (aiVerdict === 'may_no_longer_apply') {
+            flagged.push(item);
+          }
+        }
+      } else {
+        console.warn(`⚠️  Missing versions for review round ${round.id}, skipping AI analysis`);
+      }
+    } catch (error) {
+      console.error(`Error analyzing review round ${round.id}, opening with remaining items unanalyzed:`, error.message);
+    }
+
+    await this.openRound(round, flagged);
+
+    return flagged;
+  }
+
+  /**
+   * Open the re-vote window and tell the authors of flagged feedback
+   * Does nothing if the round already left 'analyzing'.
+   */
+  static async openRound(round, flagged) {
+    await round.open();
+
+    if (round.status !== 'open') {
+      return false;
+    }
+
+    console.log(`🔁 Review round ${round.id} open for re-votes: ${flagged.length} item(s) may no longer apply`);
+
+    await NotificationService.handleReviewRoundOpenedNotifications(round, flagged);
+
+    return true;
+  }
+
+  /**
+   * Current (or given) round for an article with its items
+   * Closes the round first if its window has passed.
+   */
+  static async getRound(articleId, viewerId, roundId = null) {
+    let round;
+    if (roundId) {
+      round = await ReviewRound.findById(roundId);
+      if (round && round.article_id !== articleId) {
+        round = null;
+      }
+    } else {
+      [round] = await ReviewRound.findByArticle(articleId, { limit: 1 });
+    }
+
+    if (!round) {
+      return null;
+    }
+
+    if (round.isExpired()) {
+      await this.closeRound(round);
+    }
+
+    round.items = await round.getItems(viewerId);
+    return round;
+  }
+
+  /**
+   * Record a reader's re-vote
+   */
+  static async vote(roundId, feedbackId, userId, stillApplies) {
+    const round = await ReviewRound.findById(roundId);
+    if (!round) {
+      throw new Error('Review round not found');
+    }
+
+    if (round.isExpired()) {
+      await this.closeRound(round);
+      throw new Error('This review round is not open for votes');
+    }
+
+    return await ReviewRound.vote({ roundId, feedbackId, userId, stillApplies });
+  }
+
+  /**
+   * Close a round and notify the author with the summary
+   * Returns the summary, or null if the round was already closed.
+   */
+  static async closeRound(round) {
+    const summary = await round.close();
+
+    if (summary) {
+      console.log(`🔁 Review round ${round.id} closed: ${summary.no_longer_applies.pro + summary.no_longer_applies.con} no longer apply, ${summary.still_applies} still apply`);
+      await NotificationService.handleReviewRoundClosedNotification(round, summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Author closes the re-vote window early
+   */
+  static async closeRoundEarly(roundId, userId) {
+    const round = await ReviewRound.findById(roundId);
+    if (!round) {
+      throw new Error('Review round not found');
+    }
+
+    if (round.opened_by !== userId) {
+      throw new Error('Only the author can close this review round');
+    }
+
+    if (round.status !== 'open') {
+      throw new Error('This review round is not open for votes');
+    }
+
+    await this.closeRound(round);
+    return round;
+  }
+
+  /**
+   * Close every round whose re-vote window has passed
+   */
+  static async closeExpiredRounds() {
+    const rounds = await ReviewRound.findExpired();
+    let closed = 0;
+
+    for (const round of rounds) {
+      try {
+        if (await this.closeRound(round)) {
+          closed++;
+        }
+      } catch (error) {
+        console.error(`Error closing review round ${round.id}:`, error.message);
+      }
+    }
+
+    return closed;
+  }
+
+  /**
+   * Open rounds whose AI pass never finished, keeping the verdicts recorded so far
+   */
+  static async openStaleRounds() {
+    const rounds = await ReviewRound.findStaleAnalyzing(STALE_ANALYSIS_MINUTES);
+    let opened = 0;
+
+    for (const round of rounds) {
+      try {
+        const items = await round.getItems();
+        const flagged = items.filter(item => item.ai_verdict === 'may_no_longer_apply');
+
+        if (await this.openRound(round, flagged)) {
+          opened++;
+        }
+      } catch (error) {
+        console.error(`Error opening stale review round ${round.id}:`, error.message);
+      }
+    }
+
+    return opened;
+  }
+
+  /**
+   * Periodically open stalled rounds and close expired ones
+   */
+  static startScheduler(intervalMs = CLOSE_CHECK_INTERVAL_MS) {
+    if (this.scheduler) return;
+
+    this.scheduler = setInterval(async () => {
+      try {
+        await this.openStaleRounds();
+        await this.closeExpiredRounds();
+      } catch (error) {
+        console.error('Error updating review rounds:', error.message);
+      }
+    }, intervalMs);
+    this.scheduler.unref();
+  }
+}
+
+module.exports = ReviewRoundService;
@@ -0,0 +1,423 @@
+/**
+ * Search Service for Knowledge Foyer
+ *
+ * Full-text search over articles (title, tags, summary, content) and
+ * expositions using the tsvector columns from migration 009, with filters,
+ * relevance/date/popularity sorting, ts_headline snippets, exact totals and
+ * cursor pagination. Semantic and hybrid modes rank articles by embedding
+ * similarity (migration 010), alone or blended with keyword rank.
+ */
+
+const { query } = require('../config/database');
+const validator = require('validator');
+const Tag = require('../models/Tag');
+
+const SEARCH_CONFIG = 'english';
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MinWords=15, MaxWords=35, MaxFragments=2, FragmentDelimiter=" … "';
+
+// Snippet length when browsing by filters without a search term
+const PLAIN_SNIPPET_LENGTH = 240;
+
+const CONTENT_TYPES = ['article', 'exposition'];
+
+const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+
+// Cosine similarity below which an article is not considered a semantic match
+const MIN_SIMILARITY = 0.3;
+
+// Share of the hybrid score taken by vector similarity; keyword rank gets the rest
+const SEMANTIC_WEIGHT = 0.6;
+
+// Postgres type of each sort key, used to cast cursor values back exactly
+const SORT_KEY_TYPES = {
+  relevance: 'real',
+  date: 'timestamptz',
+  popularity: 'bigint'
+};
+
+// Cursor keys must cast cleanly to their sort column's type
+const SORT_KEY_VALIDATORS = {
+  relevance: (key) => validator.isFloat(key),
+  date: (key) => validator.isISO8601(key),
+  popularity: (key) => /^-?\d{1,18}$/.test(key)
+};
+
+class SearchService {
+  static get CONTENT_TYPES() {
+    return CONTENT_TYPES;
+  }
+
+  static get SORT_OPTIONS() {
+    return Object.keys(SORT_KEY_TYPES);
+  }
+
+  static get SEARCH_MODES() {
+    return SEARCH_MODES;
+  }
+
+  /**
+   * Check search options from a request and fill in the defaults
+   * Shared by the search route and the search_articles tool, so bad input is
+   * reported before it reaches Postgres. Throws on invalid options.
+   * Returns { mode, types, author, tags, from, to, sort, limit, cursor }
+   */
+  static validateOptions(searchTerm, options = {}) {
+    const term = (searchTerm || '').trim();
+    const {
+      mode = 'keyword',
+      types = CONTENT_TYPES,
+      author = null,
+      tags = [],
+      from = null,
+      to = null,
+      sort = term ? 'relevance' : 'date',
+      limit = 20,
+      cursor = null
+    } = options;
+
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Search mode must be one of: ${SEARCH_MODES.join(', ')}`);
+    }
+
+    if (!Array.isArray(types) || types.length === 0 || !types.every(type => CONTENT_TYPES.includes(type))) {
+      throw new Error(`Content type must be one of: ${CONTENT_TYPES.join(', ')}`);
+    }
+
+    let contentTypes = [...new Set(types)];
+    if (mode !== 'keyword') {
+      if (!term) {
+        throw new Error(`${mode === 'semantic' ? 'Semantic' : 'Hybrid'} search requires a search term`);
+      }
+      if (!contentTypes.includes('article')) {
+        throw new Error(`${mode === 'semantic' ? 'Semantic' : 'Hybrid'} search only covers articles`);
+      }
+      contentTypes = ['article'];
+    }
+
+    if (author !== null && typeof author !== 'string') {
+      throw new Error('Author must be a username');
+    }
+
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+      throw new Error('Tags must be a list of tag names');
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && (typeof value !== 'string' || !validator.isISO8601(value))) {
+        throw new Error(`Invalid ${name} date`);
+      }
+    }
+
+    if (!SORT_KEY_TYPES[sort]) {
+      throw new Error(`Sort must be one of: ${Object.keys(SORT_KEY_TYPES).join(', ')}`);
+    }
+
+    if (sort === 'relevance' && !term) {
+      throw new Error('Relevance sorting requires a search term');
+    }
+
+    if (cursor && !this.decodeCursor(cursor, sort)) {
+      throw new Error('Invalid cursor');
+    }
+
+    return {
+      mode,
+      types: contentTypes,
+      author: author || null,
+      tags,
+      from: from || null,
+      to: to || null,
+      sort,
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+      cursor: cursor || null
+    };
+  }
+
+  /**
+   * Search published public content
+   * Options: { mode, types, author, tags (any of), from, to, sort, limit, cursor },
+   * checked by validateOptions
+   * Semantic and hybrid modes search articles only, since expositions have no embeddings
+   * Returns { query, mode, results, total, totals, next_cursor }
+   */
+  static async search(searchTerm, options = {}) {
+    const term = (searchTerm || '').trim();
+    const { minSimilarity = MIN_SIMILARITY } = options;
+    const {
+      mode,
+      types: contentTypes,
+      author,
+      tags,
+      from,
+      to,
+      sort,
+      limit,
+      cursor
+    } = this.validateOptions(term, options);
+
+    const cursorData = cursor ? this.decodeCursor(cursor, sort) : null;
+
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    const tsQuery = term ? `websearch_to_tsquery('${SEARCH_CONFIG}', ${param(term)})` : null;
+    const filters = {
+      author: author ? param(author.toLowerCase()) : null,
+      tags: tags.length > 0 ? param(tags.map(tag => Tag.normalize(tag))) : null,
+      from: from ? param(from) : null,
+      to: to ? param(to) : null
+    };
+
+    let semantic = null;
+    if (mode !== 'keyword') {
+      const queryEmbedding = await this.embedQuery(term);
+      semantic = {
+        mode,
+        vector: param(JSON.stringify(queryEmbedding.embedding)),
+        model: param(queryEmbedding.model),
+        minSimilarity: param(minSimilarity)
+      };
+    }
+
+    const parts = [];
+    if (contentTypes.includes('article')) {
+      parts.push(this.buildArticleQuery(tsQuery, filters, semantic));
+    }
+    if (contentTypes.includes('exposition')) {
+      parts.push(this.buildExpositionQuery(tsQuery, filters));
+    }
+
+    const matches = parts.join('\n        UNION ALL\n');
+    const filterParamCount = params.length;
+
+    const sortColumn = sort === 'relevance' ? 'rank' : sort;
+    let cursorClause = '';
+    if (cursorData) {
+      cursorClause = `WHERE (m.${sortColumn}, m.id) < (${param(cursorData.key)}::${SORT_KEY_TYPES[sort]}, ${param(cursorData.id)}::uuid)`;
+    }
+
+    const snippet = tsQuery
+      ? `ts_headline('${SEARCH_CONFIG}', p.body, ${tsQuery}, '${HEADLINE_OPTIONS}')`
+      : `LEFT(p.body, ${PLAIN_SNIPPET_LENGTH})`;
+
+    const [result, countResult] = await Promise.all([
+      query(`
+        WITH matches AS (
+          ${matches}
+        )
+        SELECT
+          p.type, p.id, p.title, p.slug, p.date, p.popularity, p.rank, p.section,
+          p.${sortColumn}::text as sort_key,
+          u.username, u.display_name,
+          ${snippet} as snippet,
+          CASE WHEN p.type = 'article' THEN COALESCE((
+            SELECT array_agg(t.name ORDER BY t.name)
+            FROM article_tags at
+            JOIN tags t ON at.tag_id = t.id
+            WHERE at.article_id = p.id
+          ), '{}') END as tags
+        FROM (
+          SELECT m.*
+          FROM matches m
+          ${cursorClause}
+          ORDER BY m.${sortColumn} DESC, m.id DESC
+          LIMIT ${param(limit + 1)}
+        ) p
+        JOIN users u ON p.author_id = u.id
+        ORDER BY p.${sortColumn} DESC, p.id DESC
+      `, params),
+      query(`
+        WITH matches AS (
+          ${matches}
+        )
+        SELECT type, COUNT(*) as count
+        FROM matches
+        GROUP BY type
+      `, params.slice(0, filterParamCount))
+    ]);
+
+    const rows = result.rows.slice(0, limit);
+    const hasMore = result.rows.length > limit;
+    const last = rows[rows.length - 1];
+
+    const totals = Object.fromEntries(contentTypes.map(type => [type, 0]));
+    for (const row of countResult.rows) {
+      totals[row.type] = parseInt(row.count);
+    }
+
+    return {
+      query: term,
+      mode,
+      results: rows.map(row => this.formatResult(row)),
+      total: Object.values(totals).reduce((sum, count) => sum + count, 0),
+      totals,
+      next_cursor: hasMore && last ? this.encodeCursor({ key: last.sort_key, id: last.id }) : null
+    };
+  }
+
+  /**
+   * Embed the search term with the configured AI provider
+   */
+  static async embedQuery(term) {
+    const openAIService = require('./OpenAIService');
+
+    if (!openAIService.isEnabled) {
+      throw new Error('Semantic search is not available: AI service is disabled');
+    }
+
+    return await openAIService.generateEmbedding(term);
+  }
+
+  /**
+   * Matching published public articles
+   * With semantic options, similarity is the closer of the whole-article and
+   * best-section embeddings, compared only against vectors from the same model
+   */
+  static buildArticleQuery(tsQuery, filters, semantic = null) {
+    const conditions = [`a.status = 'published'`, `a.visibility = 'public'`];
+    let joins = '';
+    let rank = tsQuery ? `ts_rank_cd(a.search_vector, ${tsQuery})` : '0::real';
+    let section = 'NULL::text';
+
+    if (semantic) {
+      joins = `
+          LEFT JOIN LATERAL (
+            SELECT s.heading, 1 - (s.embedding <=> ${semantic.vector}::vector) as similarity
+            FROM article_section_embeddings s
+            WHERE s.article_id = a.id AND s.embedding_model = ${semantic.model}
+            ORDER BY s.embedding <=> ${semantic.vector}::vector
+            LIMIT 1
+          ) best_section ON true
+          CROSS JOIN LATERAL (
+            SELECT GREATEST(
+              CASE WHEN a.embedding_model = ${semantic.model}
+                THEN 1 - (a.embedding <=> ${semantic.vector}::vector) END,
+              best_section.similarity
+            ) as similarity
+          ) sim`;
+      section = 'best_section.heading::text';
+
+      // Normalized keyword rank (rank / (rank + 1)) keeps both signals in 0..1
+      if (semantic.mode === 'semantic') {
+        conditions.push(`sim.similarity >= ${semantic.minSimilarity}`);
+        rank = 'sim.similarity::real';
+      } else {
+        conditions.push(`(a.search_vector @@ ${tsQuery} OR sim.similarity >= ${semantic.minSimilarity})`);
+        rank = `(${SEMANTIC_WEIGHT} * COALESCE(sim.similarity, 0) +
+              ${1 - SEMANTIC_WEIGHT} * ts_rank_cd(a.search_vector, ${tsQuery}, 32))::real`;
+      }
+    } else if (tsQuery) {
+      conditions.push(`a.search_vector @@ ${tsQuery}`);
+    }
+
+    if (filters.author) conditions.push(`u.username = ${filters.author}`);
+    if (filters.tags) {
+      conditions.push(`EXISTS (
+            SELECT 1 FROM article_tags at
+            JOIN tags t ON at.tag_id = t.id
+            WHERE at.article_id = a.id AND t.name = ANY(${filters.tags}::text[])
+          )`);
+    }
+    if (filters.from) conditions.push(`COALESCE(a.published_at, a.created_at) >= ${filters.from}::timestamptz`);
+    if (filters.to) conditions.push(`COALESCE(a.published_at, a.created_at) <= ${filters.to}::timestamptz`);
+
+    return `
+          SELECT
+            'article' as type, a.id, a.title, a.slug, a.user_id as author_id,
+            COALESCE(a.summary, '') || ' ' || a.content as body,
+            COALESCE(a.published_at, a.created_at) as date,
+            (COALESCE(a.view_count, 0) + 5 * COALESCE(a.feedback_count, 0))::bigint as popularity,
+            ${rank} as rank,
+            ${section} as section
+          FROM articles a
+          JOIN users u ON a.user_id = u.id${joins}
+          WHERE ${conditions.join('\n            AND ')}`;
+  }
+
+  /**
+   * Matching published expositions; tag filters match their tag criteria.
+   * Expositions carry no view or feedback counts, so their popularity is 0.
+   */
+  static buildExpositionQuery(tsQuery, filters) {
+    const conditions = [`e.status = 'published'`];
+
+    if (tsQuery) conditions.push(`e.search_vector @@ ${tsQuery}`);
+    if (filters.author) conditions.push(`u.username = ${filters.author}`);
+    if (filters.tags) {
+      conditions.push(`EXISTS (
+            SELECT 1 FROM exposition_criteria ec
+            WHERE ec.exposition_id = e.id
+              AND ec.criterion_type = 'tag'
+              AND LOWER(ec.criterion_value) = ANY(${filters.tags}::text[])
+          )`);
+    }
+    if (filters.from) conditions.push(`e.updated_at >= ${filters.from}::timestamptz`);
+    if (filters.to) conditions.push(`e.updated_at <= ${filters.to}::timestamptz`);
+
+    return `
+          SELECT
+            'exposition' as type, e.id, e.title, e.slug, e.author_id,
+            COALESCE(e.description, '') as body,
+            e.updated_at as date,
+            0::bigint as popularity,
+            ${tsQuery ? `ts_rank_cd(e.search_vector, ${tsQuery})` : '0::real'} as rank,
+            NULL::text as section
+          FROM expositions e
+          JOIN users u ON e.author_id = u.id
+          WHERE ${conditions.join('\n            AND ')}`;
+  }
+
+  /**
+   * Shape a result row for API responses
+   */
+  static formatResult(row) {
+    return {
+      type: row.type,
+      id: row.id,
+      title: row.title,
+      slug: row.slug,
+      snippet: row.snippet,
+      section: row.section || null,
+      author: {
+        username: row.username,
+        display_name: row.display_name
+      },
+      date: row.date,
+      popularity: parseInt(row.popularity),
+      relevance: parseFloat(row.rank),
+      tags: row.tags || []
+    };
+  }
+
+  /**
+   * Opaque cursor holding the last row's sort key (as Postgres text) and id
+   */
+  static encodeCursor({ key, id }) {
+    return Buffer.from(JSON.stringify({ k: key, id })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor; returns null when malformed or, given the sort, when its
+   * key doesn't fit that sort's column type
+   */
+  static decodeCursor(cursor, sort = null) {
+    try {
+      const { k, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (typeof k !== 'string' || typeof id !== 'string' || !validator.isUUID(id)) {
+        return null;
+      }
+      if (sort && !SORT_KEY_VALIDATORS[sort](k)) {
+        return null;
+      }
+      return { key: k, id };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = SearchService;
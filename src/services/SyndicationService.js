@@ -0,0 +1,355 @@
+/**
+ * Syndication Service for Knowledge Foyer
+ *
+ * Builds author, tag and exposition feeds and renders them as RSS 2.0, Atom 1.0
+ * and JSON Feed 1.1. Each published article is one entry; every later version
+ * adds an update entry carrying its version number and change summary.
+ */
+
+const { query } = require('../config/database');
+const ArticleVersion = require('../models/ArticleVersion');
+const { baseUrl, userUrl, articleUrl, expositionUrl, tagUrl } = require('../utils/urls');
+const { markdown } = require('../utils/markdown');
+
+const DEFAULT_ENTRY_LIMIT = 20;
+const MAX_ENTRY_LIMIT = 50;
+
+// Plain-text fallback when an article has no summary
+const EXCERPT_LENGTH = 300;
+
+const FORMATS = {
+  xml: { contentType: 'application/rss+xml; charset=utf-8', render: 'renderRSS' },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', render: 'renderAtom' },
+  json: { contentType: 'application/feed+json; charset=utf-8', render: 'renderJSONFeed' }
+};
+
+class SyndicationService {
+  static get FORMATS() {
+    return FORMATS;
+  }
+
+  static get MAX_ENTRY_LIMIT() {
+    return MAX_ENTRY_LIMIT;
+  }
+
+  /**
+   * Feed of an author's articles, including those they co-author as an editor
+   */
+  static async getAuthorFeed(user, options = {}) {
+    const entries = await this.getEntries(`(u.id = $1 OR EXISTS (
+        SELECT 1 FROM article_collaborators ac
+        WHERE ac.article_id = a.id AND ac.user_id = $1
+          AND ac.role = 'editor' AND ac.status = 'accepted'
+      ))`, [user.id], options);
+
+    return {
+      title: `${user.display_name || user.username} - Knowledge Foyer`,
+      description: user.bio || `Articles by ${user.display_name || user.username} on Knowledge Foyer`,
+      home_page_url: userUrl(user.username),
+      feed_path: (format) => userUrl(user.username, `/feed.${format}`),
+      author: { name: user.display_name || user.username, url: userUrl(user.username) },
+      entries
+    };
+  }
+
+  /**
+   * Feed of articles with a tag
+   */
+  static async getTagFeed(tag, options = {}) {
+    const entries = await this.getEntries(`EXISTS (
+        SELECT 1 FROM article_tags at
+        WHERE at.article_id = a.id AND at.tag_id = $1
+      )`, [tag.id], options);
+
+    return {
+      title: `#${tag.name} - Knowledge Foyer`,
+      description: `Articles tagged "${tag.name}" on Knowledge Foyer`,
+      home_page_url: tagUrl(tag.name),
+      feed_path: (format) => `${tagUrl(tag.name)}/feed.${format}`,
+      author: null,
+      entries
+    };
+  }
+
+  /**
+   * Feed of an exposition's articles (Exposition.getMatchingArticles)
+   */
+  static async getExpositionFeed(exposition, options = {}) {
+    const articles = await exposition.getMatchingArticles({ limit: MAX_ENTRY_LIMIT });
+    const articleIds = articles.map(article => article.article_id);
+
+    const entries = articleIds.length > 0
+      ? await this.getEntries('a.id = ANY($1::uuid[])', [articleIds], options)
+      : [];
+
+    const curator = exposition.author || {};
+
+    return {
+      title: `${exposition.title} - Knowledge Foyer`,
+      description: exposition.description || `Curated collection: ${exposition.title}`,
+      home_page_url: expositionUrl(curator.username, exposition.slug),
+      feed_path: (format) => `${baseUrl()}/expositions/${exposition.id}/feed.${format}`,
+      author: curator.username
+        ? { name: curator.display_name || curator.username, url: userUrl(curator.username) }
+        : null,
+      entries
+    };
+  }
+
+  /**
+   * Publish and update entries for public articles matching a condition, newest first
+   */
+  static async getEntries(condition, params, options = {}) {
+    const limit = Math.min(options.limit || DEFAULT_ENTRY_LIMIT, MAX_ENTRY_LIMIT);
+
+    const result = await query(`
+      SELECT
+        a.id, a.title, a.slug, a.summary, a.content, a.published_at, a.updated_at,
+        u.username, u.display_name,
+        COALESCE((
+          SELECT array_agg(t.name ORDER BY t.name)
+          FROM article_tags at
+          JOIN tags t ON at.tag_id = t.id
+          WHERE at.article_id = a.id
+        ), '{}') as tags,
+        COALESCE((
+          SELECT json_agg(json_build_object('username', cu.username, 'display_name', cu.display_name)
+            ORDER BY ac.accepted_at)
+          FROM article_collaborators ac
+          JOIN users cu ON ac.user_id = cu.id
+          WHERE ac.article_id = a.id AND ac.role = 'editor' AND ac.status = 'accepted'
+        ), '[]') as co_authors
+      FROM articles a
+      JOIN users u ON a.user_id = u.id
+      WHERE a.status = 'published'
+        AND a.visibility = 'public'
+        AND ${condition}
+      ORDER BY GREATEST(a.published_at, a.updated_at) DESC
+      LIMIT ${MAX_ENTRY_LIMIT}
+    `, params);
+
+    const articles = new Map(result.rows.map(row => [row.id, row]));
+    const updates = await ArticleVersion.getPublishedUpdates([...articles.keys()], { limit });
+
+    const entries = [
+      ...result.rows.map(article => this.buildPublishEntry(article)),
+      ...updates.map(version => this.buildUpdateEntry(articles.get(version.article_id), version))
+    ];
+
+    return entries
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .slice(0, limit);
+  }
+
+  /**
+   * Feed person ({ name, url }) for a user row
+   */
+  static person(user) {
+    return { name: user.display_name || user.username, url: userUrl(user.username) };
+  }
+
+  /**
+   * Entry announcing a newly published article
+   * Co-authors (accepted editors) are listed as contributors.
+   */
+  static buildPublishEntry(article) {
+    const url = articleUrl(article.username, article.slug);
+
+    return {
+      id: `urn:uuid:${article.id}`,
+      url,
+      title: article.title,
+      summary: article.summary || this.excerpt(article.content),
+      content: article.content,
+      content_html: markdown.render(article.content),
+      date: article.published_at,
+      updated: article.published_at,
+      author: this.person(article),
+      contributors: (article.co_authors || []).map(coAuthor => this.person(coAuthor)),
+      tags: article.tags || [],
+      version: null,
+      change_summary: null
+    };
+  }
+
+  /**
+   * Entry announcing a new version of a published article
+   * The version's editor is the entry author; the article's other authors are contributors.
+   */
+  static buildUpdateEntry(article, version) {
+    const url = `${articleUrl(article.username, article.slug)}?version=${version.version_number}`;
+    const changeSummary = version.change_summary || 'Content updated';
+    const editor = version.author && version.author.username ? version.author : article;
+    const contributors = [article, ...(article.co_authors || [])]
+      .filter(person => person.username !== editor.username)
+      .map(person => this.person(person));
+
+    return {
+      id: `urn:uuid:${version.id}`,
+      url,
+      title: `${version.title} (updated to v${version.version_number})`,
+      summary: `Version ${version.version_number}: ${changeSummary}`,
+      content: version.content,
+      content_html: markdown.render(version.content),
+      date: version.created_at,
+      updated: version.created_at,
+      author: this.person(editor),
+      contributors,
+      tags: article.tags || [],
+      version: version.version_number,
+      change_summary: changeSummary
+    };
+  }
+
+  /**
+   * First few hundred characters of markdown as plain text
+   */
+  static excerpt(content, length = EXCERPT_LENGTH) {
+    const text = markdown.toPlainText(content);
+    return text.length > length ? `${text.slice(0, length).trim()}…` : text;
+  }
+
+  /**
+   * Render a feed in the requested format ('xml' | 'atom' | 'json')
+   */
+  static render(feed, format) {
+    const renderer = FORMATS[format];
+    if (!renderer) {
+      throw new Error(`Unsupported feed format: ${format}`);
+    }
+    return this[renderer.render](feed);
+  }
+
+  static escapeXml(value) {
+    return String(value ?? '')
+      // Characters XML 1.0 does not allow at all
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  static lastUpdated(feed) {
+    return feed.entries.length > 0 ? new Date(feed.entries[0].updated) : new Date();
+  }
+
+  /**
+   * RSS 2.0
+   */
+  static renderRSS(feed) {
+    const esc = (value) => this.escapeXml(value);
+
+    const items = feed.entries.map(entry => `
+    <item>
+      <title>${esc(entry.title)}</title>
+      <link>${esc(entry.url)}</link>
+      <guid isPermaLink="false">${esc(entry.id)}</guid>
+      <pubDate>${new Date(entry.date).toUTCString()}</pubDate>
+      <dc:creator>${esc(entry.author.name)}</dc:creator>${entry.contributors.map(contributor => `
+      <dc:contributor>${esc(contributor.name)}</dc:contributor>`).join('')}
+      <description>${esc(entry.summary)}</description>
+      <content:encoded>${esc(entry.content_html)}</content:encoded>${entry.tags.map(tag => `
+      <category>${esc(tag)}</category>`).join('')}${entry.version ? `
+      <kf:version>${entry.version}</kf:version>
+      <kf:changeSummary>${esc(entry.change_summary)}</kf:changeSummary>` : ''}
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:kf="https://knowledgefoyer.com/ns/feed">
+  <channel>
+    <title>${esc(feed.title)}</title>
+    <link>${esc(feed.home_page_url)}</link>
+    <description>${esc(feed.description)}</description>
+    <atom:link href="${esc(feed.feed_path('xml'))}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${this.lastUpdated(feed).toUTCString()}</lastBuildDate>
+    <generator>Knowledge Foyer</generator>${items}
+  </channel>
+</rss>
+`;
+  }
+
+  /**
+   * Atom 1.0
+   */
+  static renderAtom(feed) {
+    const esc = (value) => this.escapeXml(value);
+    const iso = (date) => new Date(date).toISOString();
+    const feedAuthor = feed.author || { name: 'Knowledge Foyer', url: baseUrl() };
+
+    const entries = feed.entries.map(entry => `
+  <entry>
+    <id>${esc(entry.id)}</id>
+    <title>${esc(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${esc(entry.url)}"/>
+    <published>${iso(entry.date)}</published>
+    <updated>${iso(entry.updated)}</updated>
+    <author>
+      <name>${esc(entry.author.name)}</name>
+      <uri>${esc(entry.author.url)}</uri>
+    </author>${entry.contributors.map(contributor => `
+    <contributor>
+      <name>${esc(contributor.name)}</name>
+      <uri>${esc(contributor.url)}</uri>
+    </contributor>`).join('')}
+    <summary type="text">${esc(entry.summary)}</summary>
+    <content type="html">${esc(entry.content_html)}</content>${entry.tags.map(tag => `
+    <category term="${esc(tag)}"/>`).join('')}${entry.version ? `
+    <kf:version>${entry.version}</kf:version>
+    <kf:changeSummary>${esc(entry.change_summary)}</kf:changeSummary>` : ''}
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:kf="https://knowledgefoyer.com/ns/feed">
+  <id>${esc(feed.feed_path('atom'))}</id>
+  <title>${esc(feed.title)}</title>
+  <subtitle>${esc(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${esc(feed.feed_path('atom'))}"/>
+  <link rel="alternate" type="text/html" href="${esc(feed.home_page_url)}"/>
+  <updated>${this.lastUpdated(feed).toISOString()}</updated>
+  <author>
+    <name>${esc(feedAuthor.name)}</name>
+    <uri>${esc(feedAuthor.url)}</uri>
+  </author>
+  <generator>Knowledge Foyer</generator>${entries}
+</feed>
+`;
+  }
+
+  /**
+   * JSON Feed 1.1 (https://jsonfeed.org/version/1.1)
+   */
+  static renderJSONFeed(feed) {
+    const iso = (date) => new Date(date).toISOString();
+
+    return JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      home_page_url: feed.home_page_url,
+      feed_url: feed.feed_path('json'),
+      description: feed.description,
+      ...(feed.author ? { authors: [feed.author] } : {}),
+      items: feed.entries.map(entry => ({
+        id: entry.id,
+        url: entry.url,
+        title: entry.title,
+        summary: entry.summary,
+        content_html: entry.content_html,
+        content_text: markdown.toPlainText(entry.content),
+        date_published: iso(entry.date),
+        date_modified: iso(entry.updated),
+        authors: [entry.author, ...entry.contributors],
+        tags: entry.tags,
+        ...(entry.version ? {
+          _knowledge_foyer: {
+            version: entry.version,
+            change_summary: entry.change_summary
+          }
+        } : {})
+      }))
+    }, null, 2);
+  }
+}
+
+module.exports = SyndicationService;
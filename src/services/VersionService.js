@@ -5,66 +5,15 @@
  */
 
 const { query, transaction } = require('../config/database');
+const DiffService = require('./DiffService');
 
 class VersionService {
   /**
    * Generate diff between two text versions
-   * Uses a simple line-based diff algorithm
+   * Myers line diff with word-level refinement and move detection (see DiffService)
    */
-  static generateLineDiff(oldText, newText) {
-    const oldLines = oldText.split('\n');
-    const newLines = newText.split('\n');
-
-    const changes = [];
-    let linesAdded = 0;
-    let linesRemoved = 0;
-    let linesModified = 0;
-
-    // Simple line-by-line comparison
-    // This is a basic implementation - could be enhanced with Myers diff or similar
-    const maxLength = Math.max(oldLines.length, newLines.length);
-
-    for (let i = 0; i < maxLength; i++) {
-      const oldLine = oldLines[i];
-      const newLine = newLines[i];
-
-      if (oldLine === undefined) {
-        // Line added
-        changes.push({
-          type: 'add',
-          line: i + 1,
-          content: newLine
-        });
-        linesAdded++;
-      } else if (newLine === undefined) {
-        // Line removed
-        changes.push({
-          type: 'remove',
-          line: i + 1,
-          content: oldLine
-        });
-        linesRemoved++;
-      } else if (oldLine !== newLine) {
-        // Line modified
-        changes.push({
-          type: 'modify',
-          line: i + 1,
-          old_content: oldLine,
-          new_content: newLine
-        });
-        linesModified++;
-      }
-    }
-
-    return {
-      changes,
-      stats: {
-        lines_added: linesAdded,
-        lines_removed: linesRemoved,
-        lines_modified: linesModified,
-        total_changes: changes.length
-      }
-    };
+  static generateLineDiff(oldText, newText, options = {}) {
+    return DiffService.diffText(oldText, newText, options);
   }
 
   /**
@@ -79,7 +28,8 @@ class VersionService {
         change_type: 'title',
         diff_data: {
           old_value: oldVersion.title,
-          new_value: newVersion.title
+          new_value: newVersion.title,
+          segments: DiffService.diffWords(oldVersion.title || '', newVersion.title || '').segments
         },
         lines_added: 0,
         lines_removed: 0,
@@ -191,10 +141,116 @@ class VersionService {
 
     return result.rows.map(row => ({
       ...row,
-      diff_data: JSON.parse(row.diff_data)
+      diff_data: typeof row.diff_data === 'string' ? JSON.parse(row.diff_data) : row.diff_data
     }));
   }
 
+  /**
+   * Get a renderable diff between two versions
+   * Uses stored article_changes when available, otherwise diffs the versions directly
+   */
+  static async getVersionDiff(articleId, fromVersion, toVersion) {
+    let changes = [];
+
+    if (toVersion === fromVersion + 1) {
+      changes = await this.getChangesBetweenVersions(articleId, fromVersion, toVersion);
+    }
+
+    // Rows stored before the hunk format existed are regenerated on the fly
+    const isCurrentFormat = (change) => !['content', 'summary'].includes(change.change_type) ||
+      (change.diff_data && change.diff_data.format === 'hunks');
+
+    if (changes.length === 0 || !changes.every(isCurrentFormat)) {
+      const ArticleVersion = require('../models/ArticleVersion');
+      const [oldVersion, newVersion] = await Promise.all([
+        ArticleVersion.getVersion(articleId, fromVersion),
+        ArticleVersion.getVersion(articleId, toVersion)
+      ]);
+
+      if (!oldVersion || !newVersion) {
+        return null;
+      }
+
+      changes = this.generateVersionDiff(oldVersion, newVersion);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Compare any two versions of an article
+   * Returns a structured diff (title, summary, tags, content) plus the feedback
+   * resolutions that landed in the range
+   */
+  static async compareVersions(articleId, fromVersion, toVersion, options = {}) {
+    const { mode = 'inline', includePrivate = false } = options;
+
+    if (!Number.isInteger(fromVersion) || !Number.isInteger(toVersion) || fromVersion < 1 || toVersion < 1) {
+      throw new Error('Version numbers must be positive integers');
+    }
+
+    if (fromVersion >= toVersion) {
+      throw new Error('from version must be lower than to version');
+    }
+
+    const ArticleVersion = require('../models/ArticleVersion');
+    const FeedbackResolution = require('../models/FeedbackResolution');
+
+    const [oldVersion, newVersion] = await Promise.all([
+      ArticleVersion.getVersion(articleId, fromVersion),
+      ArticleVersion.getVersion(articleId, toVersion)
+    ]);
+
+    if (!oldVersion || !newVersion) {
+      throw new Error('Version not found');
+    }
+
+    const changes = this.renderChanges(this.generateVersionDiff(oldVersion, newVersion), mode);
+    const changeOf = (type) => {
+      const change = changes.find(c => c.change_type === type);
+      return change ? { ...change.diff_data, rows: change.rows } : null;
+    };
+
+    const resolutions = await FeedbackResolution.getByVersionRange(articleId, fromVersion, toVersion);
+
+    const summarize = (version) => ({
+      version_number: version.version_number,
+      title: version.title,
+      change_summary: version.change_summary,
+      created_at: version.created_at
+    });
+
+    return {
+      article_id: articleId,
+      from: summarize(oldVersion),
+      to: summarize(newVersion),
+      mode,
+      title: changeOf('title'),
+      summary: changeOf('summary'),
+      tags: changeOf('tags'),
+      content: changeOf('content'),
+      stats: {
+        lines_added: changes.reduce((sum, c) => sum + (c.lines_added || 0), 0),
+        lines_removed: changes.reduce((sum, c) => sum + (c.lines_removed || 0), 0),
+        lines_modified: changes.reduce((sum, c) => sum + (c.lines_modified || 0), 0),
+        summary_text: this.generateChangeSummaryText(changes)
+      },
+      resolutions: resolutions.map(r => includePrivate ? r.toJSON() : r.toPublicJSON())
+    };
+  }
+
+  /**
+   * Attach inline or side-by-side rows to line-diffed changes for display
+   */
+  static renderChanges(changes, mode = 'inline') {
+    return changes.map(change => {
+      if (change.diff_data && change.diff_data.format === 'hunks') {
+        return { ...change, rows: DiffService.render(change.diff_data, mode) };
+      }
+      return change;
+    });
+  }
+
   /**
    * Get all changes for an article
    */
@@ -210,7 +266,7 @@ class VersionService {
 
     return result.rows.map(row => ({
       ...row,
-      diff_data: JSON.parse(row.diff_data)
+      diff_data: typeof row.diff_data === 'string' ? JSON.parse(row.diff_data) : row.diff_data
     }));
   }
 
@@ -0,0 +1,204 @@
+/**
+ * Email templates for Knowledge Foyer
+ *
+ * Each template returns { subject, html, text }. HTML parts share one layout;
+ * text parts are written out rather than derived from the HTML so they read
+ * well in plain-text clients.
+ */
+
+const { markdown } = require('./markdown');
+const { baseUrl, articleUrl } = require('./urls');
+
+// Digest section headings by notification type
+const TYPE_LABELS = {
+  new_follower: 'New followers',
+  new_article: 'New articles',
+  article_updated: 'Article updates',
+  new_message: 'Messages',
+  message_reply: 'Replies to your messages',
+  feedback_received: 'Feedback on your articles',
+  feedback_resolved: 'Resolved feedback',
+  feedback_reply: 'Replies in feedback threads',
+  review_round_opened: 'Review rounds',
+  review_round_closed: 'Review round results',
+  collaboration_invite: 'Collaboration invitations',
+  collaboration_accepted: 'New collaborators',
+  direct_message: 'Direct messages',
+  mention: 'Mentions'
+};
+
+// Longer sections end with "and N more"
+const MAX_DIGEST_ITEMS_PER_SECTION = 10;
+const EXCERPT_LENGTH = 200;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function excerpt(content) {
+  const text = markdown.toPlainText(content || '');
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Where a notification points: the article it is about, or the site
+ */
+function notificationUrl(notification) {
+  const data = notification.data || {};
+  const author = data.author_username || data.article_author_username;
+
+  if (data.article_slug && author) {
+    return articleUrl(author, data.article_slug);
+  }
+  return baseUrl();
+}
+
+/**
+ * Shared HTML frame; heading and footer are trusted HTML
+ */
+function layout({ title, heading, body, footer = '' }) {
+  return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+          <meta charset="utf-8">
+          <title>${escapeHtml(title)}</title>
+          <style>
+              body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #1a1a1a; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: #2f5233; color: white; padding: 20px; text-align: center; }
+              .content { background: #fafaf7; padding: 30px; }
+              .button { display: inline-block; background: #c9a961; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; }
+              .item { margin: 0 0 12px; }
+              .item a { color: #2f5233; font-weight: 600; }
+              .muted { color: #525252; }
+              .footer { text-align: center; color: #525252; font-size: 0.9em; padding: 20px; }
+          </style>
+      </head>
+      <body>
+          <div class="container">
+              <div class="header">
+                  <h1>${heading}</h1>
+              </div>
+              <div class="content">
+                  ${body}
+              </div>
+              <div class="footer">
+                  ${footer}
+                  <p>Knowledge Foyer - Professional Publishing Platform</p>
+              </div>
+          </div>
+      </body>
+      </html>
+    `;
+}
+
+/**
+ * A single notification (email channel)
+ */
+function notificationEmail(user, notification) {
+  const name = user.display_name || user.username;
+  const url = notificationUrl(notification);
+  const content = excerpt(notification.content);
+
+  const html = layout({
+    title: notification.title,
+    heading: escapeHtml(notification.title),
+    body: `
+                  <h2>Hi ${escapeHtml(name)},</h2>
+                  <p>${escapeHtml(content)}</p>
+
+                  <p style="text-align: center; margin: 30px 0;">
+                      <a href="${escapeHtml(url)}" class="button">Open Knowledge Foyer</a>
+                  </p>`,
+    footer: '<p>You get this email because email delivery is on for this notification type. You can change that in your notification preferences.</p>'
+  });
+
+  const text = [
+    `Hi ${name},`,
+    '',
+    notification.title,
+    content,
+    '',
+    url
+  ].join('\n');
+
+  return { subject: notification.title, html, text };
+}
+
+/**
+ * Daily or weekly digest
+ * digest: { totalItems, sections: [{ type, items: [notification JSON] }] }
+ */
+function digestEmail(user, digest, options) {
+  const { frequency, unsubscribeUrl } = options;
+  const name = user.display_name || user.username;
+  const plural = digest.totalItems === 1 ? '' : 's';
+  const subject = `Your ${frequency} Knowledge Foyer digest: ${digest.totalItems} update${plural}`;
+
+  const htmlSections = [];
+  const textSections = [];
+
+  for (const section of digest.sections) {
+    const label = TYPE_LABELS[section.type] || section.type;
+    const shown = section.items.slice(0, MAX_DIGEST_ITEMS_PER_SECTION);
+    const more = section.items.length - shown.length;
+
+    htmlSections.push(`
+                  <h3>${escapeHtml(label)} (${section.items.length})</h3>
+                  ${shown.map(item => `
+                  <p class="item">
+                      <a href="${escapeHtml(notificationUrl(item))}">${escapeHtml(item.title)}</a><br>
+                      <span class="muted">${escapeHtml(excerpt(item.content))}</span>
+                  </p>`).join('')}
+                  ${more > 0 ? `<p class="muted">and ${more} more</p>` : ''}`);
+
+    textSections.push([
+      `${label} (${section.items.length})`,
+      ...shown.map(item => {
+        const summary = excerpt(item.content);
+        return `- ${item.title}${summary ? `: ${summary}` : ''}\n  ${notificationUrl(item)}`;
+      }),
+      ...(more > 0 ? [`and ${more} more`] : [])
+    ].join('\n'));
+  }
+
+  const html = layout({
+    title: subject,
+    heading: `Your ${escapeHtml(frequency)} digest`,
+    body: `
+                  <h2>Hi ${escapeHtml(name)},</h2>
+                  <p>Here is what happened since your last digest: ${digest.totalItems} update${plural}.</p>
+                  ${htmlSections.join('')}
+
+                  <p style="text-align: center; margin: 30px 0;">
+                      <a href="${escapeHtml(baseUrl())}" class="button">Open Knowledge Foyer</a>
+                  </p>`,
+    footer: `<p>You get this digest ${escapeHtml(frequency)}. Change how often in your notification preferences, or <a href="${escapeHtml(unsubscribeUrl)}">unsubscribe from digests</a>.</p>`
+  });
+
+  const text = [
+    `Hi ${name},`,
+    '',
+    `Here is what happened since your last digest: ${digest.totalItems} update${plural}.`,
+    '',
+    textSections.join('\n\n'),
+    '',
+    baseUrl(),
+    '',
+    `You get this digest ${frequency}. Unsubscribe from digests: ${unsubscribeUrl}`
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+module.exports = {
+  escapeHtml,
+  notificationUrl,
+  notificationEmail,
+  digestEmail
+};
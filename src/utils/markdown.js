@@ -0,0 +1,17 @@
+/**
+ * Markdown for Knowledge Foyer server code
+ *
+ * Server entry point for the shared renderer in public/js/utils/markdown.js,
+ * which the browser loads unchanged for the editor preview, so pages, feeds
+ * and emails render exactly what authors see while writing.
+ */
+
+const MarkdownRenderer = require('../../public/js/utils/markdown');
+
+// Shared instance; a highlighter can be attached with markdown.setHighlighter()
+const markdown = new MarkdownRenderer();
+
+module.exports = {
+  MarkdownRenderer,
+  markdown
+};
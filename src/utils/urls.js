@@ -0,0 +1,41 @@
+/**
+ * Public URL helpers for Knowledge Foyer
+ *
+ * Absolute URLs for pages, feeds and sitemaps, built from BASE_URL.
+ * Authors' pages live on their own subdomain (username.example.com).
+ */
+
+/**
+ * Site root, e.g. http://localhost:3000
+ */
+function baseUrl() {
+  return (process.env.BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+}
+
+/**
+ * URL on an author's subdomain (username.example.com/path)
+ */
+function userUrl(username, path = '/') {
+  const base = new URL(baseUrl());
+  return `${base.protocol}//${username}.${base.host}${path}`;
+}
+
+function articleUrl(username, slug) {
+  return userUrl(username, `/${slug}`);
+}
+
+function expositionUrl(username, slug) {
+  return userUrl(username, `/expositions/${slug}`);
+}
+
+function tagUrl(name) {
+  return `${baseUrl()}/tags/${encodeURIComponent(name)}`;
+}
+
+module.exports = {
+  baseUrl,
+  userUrl,
+  articleUrl,
+  expositionUrl,
+  tagUrl
+};
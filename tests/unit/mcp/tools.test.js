@@ -0,0 +1,156 @@
+/**
+ * Unit Tests for MCP Tool Handlers
+ */
+
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/models/User', () => ({
+  findById: jest.fn(),
+  findByUsername: jest.fn()
+}));
+
+jest.mock('../../../src/models/Article', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../../../src/services/VersionService', () => ({
+  compareVersions: jest.fn()
+}));
+
+jest.mock('../../../src/models/Feedback', () => ({
+  create: jest.fn()
+}));
+
+jest.mock('../../../src/services/FeedbackSimilarityService', () => ({
+  checkSimilarity: jest.fn()
+}));
+
+jest.mock('../../../src/models/UserRestriction', () => ({
+  isBlockedFromArticle: jest.fn()
+}));
+
+const { executeTool, TOOL_HANDLERS } = require('../../../src/mcp/tools');
+const Article = require('../../../src/models/Article');
+const VersionService = require('../../../src/services/VersionService');
+const SearchService = require('../../../src/services/SearchService');
+const Feedback = require('../../../src/models/Feedback');
+const UserRestriction = require('../../../src/models/UserRestriction');
+
+describe('MCP tools', () => {
+  const user = { id: '22222222-2222-4222-8222-222222222222' };
+  const articleId = '11111111-1111-4111-8111-111111111111';
+
+  const mockArticle = (overrides = {}) => ({
+    id: articleId,
+    status: 'published',
+    visibility: 'public',
+    getAccessRole: jest.fn().mockResolvedValue(null),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('compare_versions', () => {
+    it('should require both version numbers', async () => {
+      const result = await executeTool('compare_versions', user, { article_id: articleId, from_version: 1 }, 'req-1');
+
+      expect(result).toMatchObject({ success: false, error: 'Missing required parameter: to_version' });
+      expect(Article.findById).not.toHaveBeenCalled();
+    });
+
+    it('should report invalid version ranges', async () => {
+      Article.findById.mockResolvedValueOnce(mockArticle());
+      VersionService.compareVersions.mockRejectedValueOnce(new Error('from version must be lower than to version'));
+
+      const result = await TOOL_HANDLERS.compare_versions(user, { article_id: articleId, from_version: 4, to_version: 2 });
+
+      expect(result).toEqual({ success: false, error: 'from version must be lower than to version' });
+      expect(VersionService.compareVersions).toHaveBeenCalledWith(articleId, 4, 2, { mode: 'inline', includePrivate: false });
+    });
+
+    it('should hide private articles from readers without access', async () => {
+      Article.findById.mockResolvedValueOnce(mockArticle({ visibility: 'private' }));
+
+      const result = await TOOL_HANDLERS.compare_versions(user, { article_id: articleId, from_version: 1, to_version: 2 });
+
+      expect(result).toEqual({ success: false, error: 'Unauthorized' });
+      expect(VersionService.compareVersions).not.toHaveBeenCalled();
+    });
+
+    it('should include resolution details for collaborators', async () => {
+      Article.findById.mockResolvedValueOnce(mockArticle({ getAccessRole: jest.fn().mockResolvedValue('reviewer') }));
+      VersionService.compareVersions.mockResolvedValueOnce({ article_id: articleId });
+
+      const result = await TOOL_HANDLERS.compare_versions(user, {
+        article_id: articleId, from_version: 1, to_version: 2, mode: 'side_by_side'
+      });
+
+      expect(result).toEqual({ success: true, data: { article_id: articleId } });
+      expect(VersionService.compareVersions).toHaveBeenCalledWith(articleId, 1, 2, { mode: 'side_by_side', includePrivate: true });
+    });
+  });
+
+  describe('submit_feedback', () => {
+    it('should pass the polarity through to the new feedback', async () => {
+      UserRestriction.isBlockedFromArticle.mockResolvedValueOnce(false);
+      Feedback.create.mockResolvedValueOnce({ toJSON: () => ({ id: 'feedback-1', polarity: 'pro' }) });
+
+      const result = await TOOL_HANDLERS.submit_feedback(user, {
+        article_id: articleId,
+        content: 'Great worked example',
+        polarity: 'pro',
+        skip_similarity_check: true
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.feedback.polarity).toBe('pro');
+      expect(Feedback.create).toHaveBeenCalledWith(expect.objectContaining({ articleId: articleId, polarity: 'pro' }));
+    });
+
+    it('should report an invalid polarity', async () => {
+      UserRestriction.isBlockedFromArticle.mockResolvedValueOnce(false);
+      Feedback.create.mockRejectedValueOnce(new Error('Invalid feedback polarity: meh'));
+
+      const result = await TOOL_HANDLERS.submit_feedback(user, {
+        article_id: articleId, content: 'Hmm', polarity: 'meh', skip_similarity_check: true
+      });
+
+      expect(result).toEqual({ success: false, error: 'Invalid feedback polarity: meh' });
+    });
+  });
+
+  describe('search_articles', () => {
+    beforeEach(() => {
+      jest.spyOn(SearchService, 'search');
+    });
+
+    afterEach(() => {
+      SearchService.search.mockRestore();
+    });
+
+    it('should report invalid filters without searching', async () => {
+      const result = await TOOL_HANDLERS.search_articles(user, { query: 'knowledge', from: 'yesterday' });
+
+      expect(result).toEqual({ success: false, error: 'Invalid from date' });
+      expect(SearchService.search).not.toHaveBeenCalled();
+    });
+
+    it('should search with the checked options', async () => {
+      SearchService.search.mockResolvedValueOnce({
+        query: 'knowledge', mode: 'keyword', results: [], total: 0, totals: { article: 0 }, next_cursor: null
+      });
+
+      const result = await TOOL_HANDLERS.search_articles(user, { query: 'knowledge', tags: ['notes'], limit: 500 });
+
+      expect(result.data.pagination.limit).toBe(100);
+      expect(SearchService.search).toHaveBeenCalledWith('knowledge', expect.objectContaining({
+        types: ['article'], tags: ['notes'], sort: 'relevance', limit: 100
+      }));
+    });
+  });
+});
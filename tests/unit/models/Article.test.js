@@ -10,7 +10,18 @@ jest.mock('../../../src/config/database', () => ({
   transaction: jest.fn()
 }));
 
+jest.mock('../../../src/services/FeedbackResolutionService', () => ({
+  analyzeArticleUpdate: jest.fn()
+}));
+
+jest.mock('../../../src/models/ArticleVersion', () => ({
+  createVersion: jest.fn(),
+  getVersion: jest.fn()
+}));
+
 const { query, transaction } = require('../../../src/config/database');
+const ArticleVersion = require('../../../src/models/ArticleVersion');
+const FeedbackResolutionService = require('../../../src/services/FeedbackResolutionService');
 
 describe('Article Model', () => {
   beforeEach(() => {
@@ -243,6 +254,24 @@ describe('Article Model', () => {
     });
   });
 
+  describe('findPublishedBySlug', () => {
+    it('should find the latest published public article with the slug', async () => {
+      query.mockResolvedValue({ rows: [{ id: 'article-123', slug: 'test-article', username: 'testuser', display_name: 'Test User' }] });
+
+      const article = await Article.findPublishedBySlug('test-article');
+
+      expect(article.author.username).toBe('testuser');
+      expect(query.mock.calls[0][0]).toContain("a.status = 'published' AND a.visibility = 'public'");
+      expect(query.mock.calls[0][1]).toEqual(['test-article']);
+    });
+
+    it('should only treat generated-slug shapes as slugs', () => {
+      expect(Article.SLUG_PATTERN.test('test-article-2')).toBe(true);
+      expect(Article.SLUG_PATTERN.test('favicon.ico')).toBe(false);
+      expect(Article.SLUG_PATTERN.test('Test_Article')).toBe(false);
+    });
+  });
+
   describe('search', () => {
     it('should search articles with relevance scoring', async () => {
       const mockResults = [
@@ -263,8 +292,8 @@ describe('Article Model', () => {
       expect(articles[0]).toBeInstanceOf(Article);
       expect(articles[0].relevance).toBe(1.0);
       expect(query).toHaveBeenCalledWith(
-        expect.stringContaining('CASE WHEN LOWER(a.title) LIKE'),
-        ['%test%', 10, 0, 0.1]
+        expect.stringContaining("a.search_vector @@ websearch_to_tsquery('english', $1)"),
+        ['test', 10, 0]
       );
     });
   });
@@ -302,10 +331,7 @@ describe('Article Model', () => {
 
       transaction.mockImplementation(mockTransaction);
 
-      // Mock ArticleVersion.createVersion
-      jest.doMock('../../../src/models/ArticleVersion', () => ({
-        createVersion: jest.fn().mockResolvedValue({ version_number: 2 })
-      }));
+      ArticleVersion.createVersion.mockResolvedValueOnce({ version_number: 2 });
 
       const result = await article.update(updates, 'user-123');
 
@@ -313,15 +339,167 @@ describe('Article Model', () => {
       expect(transaction).toHaveBeenCalledTimes(1);
     });
 
+    it('should version a tag-only change and rewrite article tags', async () => {
+      const mockClient = {
+        query: jest.fn().mockResolvedValue({
+          rows: [{ id: 'tag-1', user_id: 'user-123' }]
+        })
+      };
+      transaction.mockImplementation(async (callback) => await callback(mockClient));
+
+      ArticleVersion.createVersion.mockResolvedValueOnce({ version_number: 2 });
+
+      const result = await article.update({ tags: ['Philosophy'] }, 'user-123');
+
+      expect(result.tags).toEqual(['philosophy']);
+      expect(ArticleVersion.createVersion).toHaveBeenCalledWith(
+        'article-123',
+        expect.objectContaining({ tags: ['philosophy'], changeSummary: 'Tags updated' }),
+        'user-123'
+      );
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO article_tags'), expect.any(Array));
+    });
+
+    it('should skip the update when the tag set is unchanged', async () => {
+      article.tags = ['ethics', 'ai'];
+
+      const result = await article.update({ tags: ['AI', 'Ethics'] }, 'user-123');
+
+      expect(result).toBe(article);
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
     it('should throw error for unauthorized update', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
       await expect(article.update({}, 'different-user')).rejects.toThrow('Unauthorized to update this article');
     });
 
+    it('should let editors update and attribute the version to them', async () => {
+      query.mockResolvedValueOnce({ rows: [{ role: 'editor' }] });
+      transaction.mockImplementation(async (callback) => await callback({
+        query: jest.fn().mockResolvedValue({ rows: [{ id: 'article-123', user_id: 'user-123' }] })
+      }));
+
+      ArticleVersion.createVersion.mockResolvedValueOnce({ version_number: 2 });
+
+      await article.update({ content: 'Edited by a co-author' }, 'editor-456');
+
+      expect(query.mock.calls[0][1]).toEqual(['article-123', 'editor-456']);
+      expect(ArticleVersion.createVersion).toHaveBeenCalledWith('article-123', expect.any(Object), 'editor-456');
+    });
+
+    it('should not let reviewers update or editors change visibility', async () => {
+      query.mockResolvedValueOnce({ rows: [{ role: 'reviewer' }] });
+      await expect(article.update({ content: 'x' }, 'reviewer-789')).rejects.toThrow('Unauthorized to update this article');
+
+      query.mockResolvedValueOnce({ rows: [{ role: 'editor' }] });
+      await expect(article.update({ visibility: 'private' }, 'editor-456'))
+        .rejects.toThrow('Only the owner can change article visibility');
+    });
+
     it('should throw error for no valid fields', async () => {
       await expect(article.update({ invalid_field: 'value' }, 'user-123')).rejects.toThrow('No valid fields to update');
     });
   });
 
+  describe('revertToVersion', () => {
+    let article;
+
+    beforeEach(() => {
+      article = new Article({
+        id: 'article-123',
+        user_id: 'user-123',
+        title: 'Current Title',
+        content: 'Current content',
+        summary: 'Current summary',
+        tags: ['caching']
+      });
+    });
+
+    it('should update article with the old version and a revert change summary', async () => {
+      ArticleVersion.getVersion.mockResolvedValueOnce({
+        version_number: 2,
+        title: 'Old Title',
+        content: 'Old content',
+        summary: null,
+        tags: ['databases']
+      });
+
+      const updateSpy = jest.spyOn(article, 'update').mockResolvedValue(article);
+
+      expect(await article.revertToVersion(2, 'user-123')).toEqual([]);
+
+      expect(updateSpy).toHaveBeenCalledWith(
+        { title: 'Old Title', content: 'Old content', summary: null, tags: ['databases'] },
+        'user-123',
+        'Reverted to v2'
+      );
+
+      await new Promise(resolve => setImmediate(resolve));
+      expect(FeedbackResolutionService.analyzeArticleUpdate).toHaveBeenCalledWith(
+        'article-123', 'Current content', 'Old content', 'Reverted to v2'
+      );
+    });
+
+    it('should revert a version that differs only in its tags', async () => {
+      ArticleVersion.getVersion.mockResolvedValueOnce({
+        version_number: 3,
+        title: 'Current Title',
+        content: 'Current content',
+        summary: 'Current summary',
+        tags: []
+      });
+
+      const updateSpy = jest.spyOn(article, 'update').mockResolvedValue(article);
+
+      await article.revertToVersion(3, 'user-123');
+
+      expect(updateSpy.mock.calls[0][0].tags).toEqual([]);
+      expect(FeedbackResolutionService.analyzeArticleUpdate).not.toHaveBeenCalled();
+
+      ArticleVersion.getVersion.mockResolvedValueOnce({
+        version_number: 4,
+        title: 'Current Title',
+        content: 'Current content',
+        summary: 'Current summary',
+        tags: ['caching']
+      });
+      await expect(article.revertToVersion(4, 'user-123')).rejects.toThrow('Article already matches v4');
+    });
+
+    it('should leave out tags the current naming rules reject and name them', async () => {
+      ArticleVersion.getVersion.mockResolvedValueOnce({
+        version_number: 2,
+        title: 'Old Title',
+        content: 'Current content',
+        summary: 'Current summary',
+        tags: ['Databases', 'x', 'databases', 'admin']
+      });
+
+      const updateSpy = jest.spyOn(article, 'update').mockResolvedValue(article);
+
+      const droppedTags = await article.revertToVersion(2, 'user-123');
+
+      expect(droppedTags).toEqual(['x', 'admin']);
+      expect(updateSpy).toHaveBeenCalledWith(
+        expect.objectContaining({ tags: ['databases'] }),
+        'user-123',
+        'Reverted to v2; dropped tags: x, admin'
+      );
+    });
+
+    it('should throw error when version does not exist', async () => {
+      ArticleVersion.getVersion.mockResolvedValueOnce(null);
+
+      await expect(article.revertToVersion(9, 'user-123')).rejects.toThrow('Version not found');
+    });
+
+    it('should throw error for unauthorized revert', async () => {
+      await expect(article.revertToVersion(1, 'different-user')).rejects.toThrow('Unauthorized to revert this article');
+    });
+  });
+
   describe('publish', () => {
     let article;
 
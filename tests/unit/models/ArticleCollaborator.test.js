@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for ArticleCollaborator Model
+ */
+
+const ArticleCollaborator = require('../../../src/models/ArticleCollaborator');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/services/NotificationService', () => ({
+  handleCollaborationInviteNotification: jest.fn(),
+  handleCollaborationAcceptedNotification: jest.fn()
+}));
+
+const { query, transaction } = require('../../../src/config/database');
+const NotificationService = require('../../../src/services/NotificationService');
+
+describe('ArticleCollaborator Model', () => {
+  const articleId = '11111111-1111-4111-8111-111111111111';
+  const ownerId = '22222222-2222-4222-8222-222222222222';
+  const inviteeId = '33333333-3333-4333-8333-333333333333';
+
+  const mockClient = (rows) => {
+    const client = { query: jest.fn() };
+    rows.forEach(result => client.query.mockResolvedValueOnce({ rows: result }));
+    transaction.mockImplementation(callback => callback(client));
+    return client;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('can', () => {
+    it('should grant each role its permissions', () => {
+      expect(ArticleCollaborator.can('owner', 'edit')).toBe(true);
+      expect(ArticleCollaborator.can('editor', 'edit')).toBe(true);
+      expect(ArticleCollaborator.can('reviewer', 'edit')).toBe(false);
+      expect(ArticleCollaborator.can('reviewer', 'view_private_feedback')).toBe(true);
+      expect(ArticleCollaborator.can('viewer', 'view_private_feedback')).toBe(false);
+      expect(ArticleCollaborator.can('viewer', 'view')).toBe(true);
+      expect(ArticleCollaborator.can(null, 'view')).toBe(false);
+    });
+  });
+
+  describe('invite', () => {
+    it('should invite a user and notify them', async () => {
+      const client = mockClient([
+        [{ user_id: ownerId, title: 'Caching' }],
+        [{ id: inviteeId, username: 'bob', display_name: 'Bob' }],
+        [{ article_id: articleId, user_id: inviteeId, role: 'editor', status: 'pending', is_new: true }]
+      ]);
+
+      const collaborator = await ArticleCollaborator.invite({ articleId, ownerId, username: 'Bob', role: 'editor' });
+
+      expect(client.query.mock.calls[1][1]).toEqual(['bob']);
+      expect(client.query.mock.calls[2][1]).toEqual([articleId, inviteeId, 'editor', ownerId]);
+      expect(collaborator.status).toBe('pending');
+      expect(NotificationService.handleCollaborationInviteNotification).toHaveBeenCalledWith(collaborator, ownerId);
+    });
+
+    it('should change the role of an existing collaborator without a new invitation', async () => {
+      mockClient([
+        [{ user_id: ownerId, title: 'Caching' }],
+        [{ id: inviteeId, username: 'bob' }],
+        [{ article_id: articleId, user_id: inviteeId, role: 'viewer', status: 'accepted', is_new: false }]
+      ]);
+
+      const collaborator = await ArticleCollaborator.invite({ articleId, ownerId, username: 'bob', role: 'viewer' });
+
+      expect(collaborator.role).toBe('viewer');
+      expect(NotificationService.handleCollaborationInviteNotification).not.toHaveBeenCalled();
+    });
+
+    it('should only let the owner invite', async () => {
+      mockClient([[{ user_id: inviteeId, title: 'Caching' }]]);
+
+      await expect(ArticleCollaborator.invite({ articleId, ownerId, username: 'bob', role: 'editor' }))
+        .rejects.toThrow('Only the article owner can manage collaborators');
+    });
+
+    it('should reject unknown roles', async () => {
+      await expect(ArticleCollaborator.invite({ articleId, ownerId, username: 'bob', role: 'admin' }))
+        .rejects.toThrow('Invalid collaborator role: admin');
+      expect(transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('respond', () => {
+    it('should accept a pending invitation and tell the owner', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ article_title: 'Caching', owner_id: ownerId }] })
+        .mockResolvedValueOnce({ rows: [{ article_id: articleId, user_id: inviteeId, role: 'editor', status: 'accepted' }] });
+
+      const collaborator = await ArticleCollaborator.respond(articleId, inviteeId, true);
+
+      expect(collaborator.status).toBe('accepted');
+      expect(NotificationService.handleCollaborationAcceptedNotification).toHaveBeenCalledWith(collaborator, ownerId);
+    });
+
+    it('should delete declined invitations', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ article_title: 'Caching', owner_id: ownerId }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await ArticleCollaborator.respond(articleId, inviteeId, false)).toBeNull();
+      expect(query.mock.calls[1][0]).toContain('DELETE FROM article_collaborators');
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Unit Tests for Conversation Model
+ */
+
+const Conversation = require('../../../src/models/Conversation');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/services/NotificationService', () => ({
+  handleDirectMessageNotifications: jest.fn()
+}));
+
+const { query, transaction } = require('../../../src/config/database');
+const NotificationService = require('../../../src/services/NotificationService');
+
+describe('Conversation Model', () => {
+  const conversationId = '11111111-1111-4111-8111-111111111111';
+  const aliceId = '22222222-2222-4222-8222-222222222222';
+  const bobId = '33333333-3333-4333-8333-333333333333';
+  const carolId = '44444444-4444-4444-8444-444444444444';
+  const sentAt = new Date('2026-10-20T09:00:00Z');
+
+  const mockClient = (rows) => {
+    const client = { query: jest.fn() };
+    rows.forEach(result => client.query.mockResolvedValueOnce({ rows: result }));
+    transaction.mockImplementation(callback => callback(client));
+    return client;
+  };
+
+  const sendRows = (participants, blocked = []) => [
+    participants.map(user_id => ({ user_id })),
+    blocked.map(user_id => ({ user_id })),
+    [{ id: 'm1', user_id: aliceId, content: 'Hi', visibility: 'private', conversation_id: conversationId, created_at: sentAt }],
+    [],
+    []
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('sendMessage', () => {
+    it('should reuse the 1:1 conversation for a single recipient', async () => {
+      const client = mockClient([
+        [{ id: bobId, username: 'bob' }],
+        [{ id: conversationId, is_group: false }],
+        [],
+        ...sendRows([aliceId, bobId])
+      ]);
+
+      const { conversation, message, recipientIds } = await Conversation.sendMessage({
+        senderId: aliceId,
+        recipients: ['Bob'],
+        content: ' Hi '
+      });
+
+      expect(client.query.mock.calls[0][1]).toEqual([['bob']]);
+      expect(client.query.mock.calls[1][0]).toContain('ON CONFLICT (direct_key)');
+      expect(client.query.mock.calls[1][1]).toEqual([aliceId, Conversation.directKey(bobId, aliceId)]);
+      expect(client.query.mock.calls[2][1]).toEqual([conversationId, [aliceId, bobId]]);
+      expect(client.query.mock.calls[4][1]).toEqual([aliceId, [bobId]]);
+      expect(client.query.mock.calls[5][1]).toEqual([aliceId, 'Hi', conversationId]);
+      expect(conversation.last_message_at).toBe(sentAt);
+      expect(recipientIds).toEqual([bobId]);
+      expect(NotificationService.handleDirectMessageNotifications).toHaveBeenCalledWith(conversation, message, [bobId]);
+    });
+
+    it('should start a group conversation for several recipients', async () => {
+      const client = mockClient([
+        [{ id: bobId, username: 'bob' }, { id: carolId, username: 'carol' }],
+        [{ id: conversationId, is_group: true, title: 'Launch' }],
+        [],
+        ...sendRows([aliceId, bobId, carolId])
+      ]);
+
+      const { recipientIds } = await Conversation.sendMessage({
+        senderId: aliceId,
+        recipients: ['bob', 'carol'],
+        content: 'Hi',
+        title: 'Launch'
+      });
+
+      expect(client.query.mock.calls[1][0]).toContain('is_group');
+      expect(client.query.mock.calls[1][1]).toEqual([aliceId, 'Launch']);
+      expect(recipientIds).toEqual([bobId, carolId]);
+    });
+
+    it('should refuse to message users blocked either way', async () => {
+      const client = mockClient([
+        [{ id: conversationId, is_group: false }],
+        ...sendRows([aliceId, bobId], [bobId])
+      ]);
+
+      await expect(Conversation.sendMessage({ senderId: aliceId, conversationId, content: 'Hi' }))
+        .rejects.toThrow('You cannot message this user');
+      expect(client.query).toHaveBeenCalledTimes(3);
+      expect(NotificationService.handleDirectMessageNotifications).not.toHaveBeenCalled();
+    });
+
+    it('should only post to conversations the sender is in', async () => {
+      mockClient([[]]);
+
+      await expect(Conversation.sendMessage({ senderId: carolId, conversationId, content: 'Hi' }))
+        .rejects.toThrow('Conversation not found');
+      expect(NotificationService.handleDirectMessageNotifications).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown users and messages to yourself', async () => {
+      mockClient([[{ id: bobId, username: 'bob' }]]);
+      await expect(Conversation.sendMessage({ senderId: aliceId, recipients: ['bob', 'nobody'], content: 'Hi' }))
+        .rejects.toThrow('User not found: nobody');
+
+      mockClient([[{ id: aliceId, username: 'alice' }]]);
+      await expect(Conversation.sendMessage({ senderId: aliceId, recipients: ['alice'], content: 'Hi' }))
+        .rejects.toThrow('You cannot message yourself');
+    });
+
+    it('should validate content before opening a transaction', async () => {
+      await expect(Conversation.sendMessage({ senderId: aliceId, recipients: ['bob'], content: '  ' }))
+        .rejects.toThrow('Message content is required');
+      expect(transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findByUser', () => {
+    it('should return conversations with unread counts, participants and total', async () => {
+      query
+        .mockResolvedValueOnce({
+          rows: [{
+            id: conversationId,
+            last_message_at: sentAt,
+            last_message_id: 'm1',
+            last_message_user_id: bobId,
+            last_message_content: 'Hi',
+            last_message_created_at: sentAt,
+            unread_count: '2',
+            total_count: '7'
+          }]
+        })
+        .mockResolvedValueOnce({
+          rows: [
+            { conversation_id: conversationId, user_id: aliceId, username: 'alice', last_read_message_id: null },
+            { conversation_id: conversationId, user_id: bobId, username: 'bob', last_read_message_id: 'm1' }
+          ]
+        });
+
+      const { conversations, total } = await Conversation.findByUser(aliceId, { limit: 1, offset: 0 });
+
+      expect(total).toBe(7);
+      expect(conversations[0].unread_count).toBe(2);
+      expect(conversations[0].last_message).toEqual({ id: 'm1', user_id: bobId, content: 'Hi', created_at: sentAt });
+      expect(conversations[0].participants.map(p => p.username)).toEqual(['alice', 'bob']);
+    });
+  });
+
+  describe('markRead', () => {
+    it('should return a read receipt and update the participant', async () => {
+      query.mockResolvedValueOnce({ rows: [{ last_read_message_id: 'm1', last_read_at: sentAt }] });
+
+      const conversation = new Conversation({
+        id: conversationId,
+        unread_count: 3,
+        participants: [{ user_id: bobId, last_read_message_id: null, last_read_at: null }]
+      });
+
+      const receipt = await conversation.markRead(bobId);
+
+      expect(receipt).toEqual({
+        conversation_id: conversationId,
+        user_id: bobId,
+        last_read_message_id: 'm1',
+        last_read_at: sentAt
+      });
+      expect(conversation.participants[0].last_read_message_id).toBe('m1');
+      expect(conversation.unread_count).toBe(0);
+    });
+
+    it('should return null when there is nothing new to read', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await new Conversation({ id: conversationId }).markRead(bobId)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for Exposition Model
+ */
+
+const Exposition = require('../../../src/models/Exposition');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query, transaction } = require('../../../src/config/database');
+
+describe('Exposition Model', () => {
+  let exposition;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    exposition = new Exposition({ id: 'expo-1', author_id: 'user-1', title: 'Curated' });
+  });
+
+  const articleRow = (id, overrides = {}) => ({
+    article_id: id,
+    article_title: `Article ${id}`,
+    section_id: null,
+    position: null,
+    pinned: false,
+    matched_section_id: null,
+    ...overrides
+  });
+
+  describe('getLayout', () => {
+    it('should split articles into pinned, sections and a manually ordered main list', async () => {
+      query
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 'sec-1', title: 'Foundations', description: null, criteria: 'tag:basics', position: 0 },
+            { id: 'sec-2', title: 'Further Reading', description: null, criteria: null, position: 1 }
+          ]
+        })
+        .mockResolvedValueOnce({
+          // Newest first, as returned by get_exposition_articles
+          rows: [
+            articleRow('a1'),
+            articleRow('a2', { pinned: true, position: 1 }),
+            articleRow('a3', { matched_section_id: 'sec-1' }),
+            articleRow('a4', { section_id: 'sec-2', position: 0 }),
+            articleRow('a5', { position: 0, matched_section_id: 'sec-1' }),
+            articleRow('a6', { pinned: true, position: 0 }),
+            articleRow('a7')
+          ]
+        });
+
+      const layout = await exposition.getLayout();
+
+      expect(layout.pinned.map(a => a.article_id)).toEqual(['a6', 'a2']);
+      expect(layout.sections.map(s => s.articles.map(a => a.article_id))).toEqual([['a3'], ['a4']]);
+      expect(layout.articles.map(a => a.article_id)).toEqual(['a5', 'a1', 'a7']);
+      expect(layout.article_total).toBe(3);
+      expect(layout.articles[0]).not.toHaveProperty('matched_section_id');
+    });
+  });
+
+  describe('setLayout', () => {
+    it('should reject articles placed more than once', async () => {
+      await expect(exposition.setLayout({
+        pinned_article_ids: ['a1'],
+        sections: [{ title: 'Intro', article_ids: ['a1'] }]
+      }, 'user-1')).rejects.toThrow('Article a1 is placed more than once');
+
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown articles and other authors', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 'a1' }] });
+
+      await expect(exposition.setLayout({ article_order: ['a1', 'a2'] }, 'user-1'))
+        .rejects.toThrow('Article a2 not found');
+      await expect(exposition.setLayout({ article_order: [] }, 'user-2'))
+        .rejects.toThrow('Unauthorized to update this exposition');
+    });
+
+    it('should replace pins and create sections with parsed criteria', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ name: 'basics' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'a1' }, { id: 'a2' }] });
+
+      const client = {
+        query: jest.fn().mockImplementation(async (sql) => (
+          sql.includes('INSERT INTO exposition_sections') ? { rows: [{ id: 'sec-new' }] } : { rows: [] }
+        ))
+      };
+      transaction.mockImplementation(async (callback) => callback(client));
+
+      await exposition.setLayout({
+        pinned_article_ids: ['a1'],
+        sections: [{ title: ' Foundations ', criteria: 'tag:Basics', article_ids: ['a2'] }]
+      }, 'user-1');
+
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('pinned = true'),
+        ['expo-1']
+      );
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO exposition_sections'),
+        ['expo-1', 'Foundations', null, 'tag:basics', JSON.stringify({ field: 'tag', value: 'basics' }), 0]
+      );
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO exposition_articles'),
+        ['expo-1', 'a1', null, 0, true]
+      );
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO exposition_articles'),
+        ['expo-1', 'a2', 'sec-new', 0, false]
+      );
+      // Main-list order was not part of the update
+      expect(client.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('section_id IS NULL'),
+        expect.anything()
+      );
+    });
+  });
+});
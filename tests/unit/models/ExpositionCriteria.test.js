@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for ExpositionCriteria Model
+ */
+
+const ExpositionCriteria = require('../../../src/models/ExpositionCriteria');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query, transaction } = require('../../../src/config/database');
+
+describe('ExpositionCriteria Model', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateCriterionValue', () => {
+    it('should resolve users and tags for inclusions and exclusions', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ username: 'Alice' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await ExpositionCriteria.validateCriterionValue('not_author', ' alice ')).toBe('Alice');
+      expect(await ExpositionCriteria.validateCriterionValue('tag', 'Machine Learning')).toBeNull();
+      expect(query).toHaveBeenLastCalledWith(expect.stringContaining('FROM tags'), ['machine-learning']);
+    });
+
+    it('should normalize dates and thresholds without a lookup', async () => {
+      expect(await ExpositionCriteria.validateCriterionValue('published_after', '2025-01-01')).toBe('2025-01-01');
+      expect(await ExpositionCriteria.validateCriterionValue('min_useful_feedback', '007')).toBe('7');
+      await expect(ExpositionCriteria.validateCriterionValue('min_versions', 'many')).rejects.toThrow('must be a whole number');
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should return canonical expressions after checking referenced users and tags', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ name: 'ai' }] })
+        .mockResolvedValueOnce({ rows: [{ username: 'bob' }] });
+
+      const value = await ExpositionCriteria.validateCriterionValue('expression', 'tag:AI and not author:bob');
+      expect(value).toBe('tag:ai AND NOT author:bob');
+
+      query.mockResolvedValueOnce({ rows: [] });
+      await expect(ExpositionCriteria.validateCriterionValue('expression', 'tag:nonexistent'))
+        .rejects.toThrow("Tag 'nonexistent' not found");
+    });
+  });
+
+  describe('create', () => {
+    it('should store expression criteria with their parsed tree', async () => {
+      query.mockResolvedValueOnce({ rows: [{ name: 'ai' }] });
+
+      const client = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ author_id: 'user-1' }] })
+          .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({
+            rows: [{ id: 'criterion-1', criterion_type: 'expression', criterion_value: 'tag:ai AND min_versions:2' }]
+          })
+      };
+      transaction.mockImplementation(async (callback) => callback(client));
+
+      const criterion = await ExpositionCriteria.create('exposition-1', 'expression', 'tag:ai AND min_versions:2', 'user-1');
+
+      expect(criterion).toBeInstanceOf(ExpositionCriteria);
+      expect(client.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('criterion_expression'),
+        [
+          'exposition-1',
+          'expression',
+          'tag:ai AND min_versions:2',
+          JSON.stringify({ op: 'and', args: [{ field: 'tag', value: 'ai' }, { field: 'min_versions', value: '2' }] })
+        ]
+      );
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for Feedback Model triage and visibility
+ */
+
+const Feedback = require('../../../src/models/Feedback');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query, transaction } = require('../../../src/config/database');
+
+describe('Feedback Model', () => {
+  const authorId = '22222222-2222-4222-8222-222222222222';
+  const first = '11111111-1111-4111-8111-111111111111';
+  const second = '33333333-3333-4333-8333-333333333333';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    const readerId = '55555555-5555-4555-8555-555555555555';
+    const feedbackData = (overrides = {}) => ({
+      articleId: first,
+      userId: readerId,
+      content: 'The second example is the clearest part',
+      polarity: 'pro',
+      ...overrides
+    });
+
+    it('should reject missing and unknown polarities', async () => {
+      await expect(Feedback.create(feedbackData({ polarity: undefined })))
+        .rejects.toThrow('Invalid feedback polarity: undefined');
+      await expect(Feedback.create(feedbackData({ polarity: 'neutral' })))
+        .rejects.toThrow('Invalid feedback polarity: neutral');
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    it('should store the polarity with the feedback', async () => {
+      const client = { query: jest.fn() };
+      client.query
+        .mockResolvedValueOnce({ rows: [{ user_id: authorId, content: 'Article text', version: 2, blocked: false }] })
+        .mockResolvedValueOnce({ rows: [{ id: second, article_id: first, user_id: readerId, polarity: 'con' }] })
+        .mockResolvedValueOnce({ rows: [] });
+      transaction.mockImplementation(callback => callback(client));
+
+      const feedback = await Feedback.create(feedbackData({ polarity: 'con' }));
+
+      const [sql, params] = client.query.mock.calls[1];
+      expect(sql).toContain('polarity');
+      expect(params.slice(0, 6)).toEqual([first, readerId, 'The second example is the clearest part', 'con', true, 'active']);
+      expect(feedback.polarity).toBe('con');
+    });
+  });
+
+  describe('bulkTriage', () => {
+    it('should update only feedback in a status the action applies to', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: first }] });
+
+      const result = await Feedback.bulkTriage(authorId, [first, second, first], 'dismiss', '  Out of scope ');
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('a.user_id = $3');
+      expect(params).toEqual([
+        'dismissed',
+        'Out of scope',
+        authorId,
+        [first, second],
+        ['active', 'acknowledged', 'manually_restored', 'may_no_longer_apply']
+      ]);
+      expect(result).toEqual({ status: 'dismissed', updated: [first], skipped: [second] });
+    });
+
+    it('should only restore feedback the AI set aside', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await Feedback.bulkTriage(authorId, [first], 'restore');
+
+      expect(query.mock.calls[0][1][0]).toBe('manually_restored');
+      expect(query.mock.calls[0][1][4]).toEqual(['ignored_by_ai']);
+    });
+
+    it('should reject unknown actions and oversized batches', async () => {
+      await expect(Feedback.bulkTriage(authorId, [first], 'delete')).rejects.toThrow('Invalid triage action: delete');
+      await expect(Feedback.bulkTriage(authorId, Array(101).fill(first), 'acknowledge'))
+        .rejects.toThrow('Cannot triage more than 100 feedback items at once');
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isVisibleTo', () => {
+    const reviewerId = '44444444-4444-4444-8444-444444444444';
+    const readerId = '55555555-5555-4555-8555-555555555555';
+
+    const row = (overrides = {}) => ({
+      user_id: first,
+      is_public: true,
+      article_author_id: authorId,
+      article_status: 'published',
+      article_visibility: 'public',
+      collaborator_roles: { [reviewerId]: 'reviewer' },
+      ...overrides
+    });
+
+    it('should hide feedback on private and draft articles from outsiders', () => {
+      expect(Feedback.isVisibleTo(row(), readerId)).toBe(true);
+      expect(Feedback.isVisibleTo(row({ article_visibility: 'private' }), readerId)).toBe(false);
+      expect(Feedback.isVisibleTo(row({ article_status: 'draft' }), null)).toBe(false);
+      expect(Feedback.isVisibleTo(row({ article_visibility: 'private' }), reviewerId)).toBe(true);
+    });
+
+    it('should limit private feedback to its author, the owner and reviewers', () => {
+      const privateFeedback = row({ is_public: false });
+
+      expect(Feedback.isVisibleTo(privateFeedback, first)).toBe(true);
+      expect(Feedback.isVisibleTo(privateFeedback, authorId)).toBe(true);
+      expect(Feedback.isVisibleTo(privateFeedback, reviewerId)).toBe(true);
+      expect(Feedback.isVisibleTo(privateFeedback, readerId)).toBe(false);
+      expect(Feedback.isVisibleTo(row({ is_public: false, collaborator_roles: { [readerId]: 'viewer' } }), readerId)).toBe(false);
+    });
+  });
+
+  describe('getTriageInbox', () => {
+    it('should filter the author\'s open feedback', async () => {
+      query.mockResolvedValueOnce({
+        rows: [{ id: first, article_id: 'article-1', article_title: 'Caching', total_rankings: null, total_count: '7' }]
+      });
+
+      const inbox = await Feedback.getTriageInbox(authorId, { polarity: 'con', minUtility: 2, orderBy: 'utility' });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('f.polarity = $3');
+      expect(sql).toContain('COALESCE(us.net_utility, 0) >= $4');
+      expect(sql).toContain('ORDER BY COALESCE(us.net_utility, 0) DESC');
+      expect(params).toEqual([authorId, Feedback.OPEN_STATUSES, 'con', 2, 50, 0]);
+      expect(inbox.total).toBe(7);
+      expect(inbox.feedback[0].article.title).toBe('Caching');
+    });
+
+    it('should reject unknown statuses', async () => {
+      await expect(Feedback.getTriageInbox(authorId, { status: ['pending'] })).rejects.toThrow('Invalid status: pending');
+    });
+  });
+});
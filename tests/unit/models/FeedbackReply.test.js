@@ -0,0 +1,115 @@
+/**
+ * Unit Tests for FeedbackReply Model
+ */
+
+const FeedbackReply = require('../../../src/models/FeedbackReply');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/services/NotificationService', () => ({
+  handleFeedbackReplyNotifications: jest.fn()
+}));
+
+const { transaction } = require('../../../src/config/database');
+const NotificationService = require('../../../src/services/NotificationService');
+
+describe('FeedbackReply Model', () => {
+  const feedbackId = '11111111-1111-4111-8111-111111111111';
+  const authorId = '22222222-2222-4222-8222-222222222222';
+  const reviewerId = '33333333-3333-4333-8333-333333333333';
+  const otherId = '44444444-4444-4444-8444-444444444444';
+
+  const feedbackRow = {
+    user_id: reviewerId,
+    is_public: true,
+    article_id: 'article-1',
+    article_author_id: authorId,
+    article_status: 'published',
+    article_visibility: 'public',
+    collaborator_roles: {},
+    article_title: 'Caching'
+  };
+
+  const mockClient = (rows) => {
+    const client = { query: jest.fn() };
+    rows.forEach(result => client.query.mockResolvedValueOnce({ rows: result }));
+    transaction.mockImplementation(callback => callback(client));
+    return client;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    it('should flag replies by the article author and notify the thread', async () => {
+      const client = mockClient([
+        [feedbackRow],
+        [{ id: 'reply-1', feedback_id: feedbackId, user_id: authorId, content: 'Fixed in v3', is_author_reply: true }]
+      ]);
+
+      const reply = await FeedbackReply.create({ feedbackId, userId: authorId, content: '  Fixed in v3 ' });
+
+      expect(client.query.mock.calls[1][1]).toEqual([feedbackId, null, authorId, 'Fixed in v3', true]);
+      expect(reply.is_author_reply).toBe(true);
+      expect(NotificationService.handleFeedbackReplyNotifications).toHaveBeenCalledWith(reply, {
+        articleId: 'article-1',
+        articleTitle: 'Caching',
+        articleAuthorId: authorId,
+        feedbackAuthorId: reviewerId,
+        parentReplyAuthorId: null
+      });
+    });
+
+    it('should hide private feedback from other users', async () => {
+      mockClient([[{ ...feedbackRow, is_public: false }]]);
+
+      await expect(FeedbackReply.create({ feedbackId, userId: otherId, content: 'Hi' }))
+        .rejects.toThrow('Feedback not found');
+    });
+
+    it('should hide threads on private articles from outsiders but not collaborators', async () => {
+      const privateArticleRow = { ...feedbackRow, article_visibility: 'private', collaborator_roles: { [otherId]: 'viewer' } };
+      const outsiderId = '66666666-6666-4666-8666-666666666666';
+
+      mockClient([[privateArticleRow]]);
+      await expect(FeedbackReply.create({ feedbackId, userId: outsiderId, content: 'Hi' }))
+        .rejects.toThrow('Feedback not found');
+
+      expect(FeedbackReply.canView(privateArticleRow, otherId)).toBe(true);
+      expect(FeedbackReply.canView({ ...feedbackRow, article_status: 'draft' }, null)).toBe(false);
+    });
+
+    it('should reject parent replies from another thread', async () => {
+      mockClient([[feedbackRow], []]);
+
+      await expect(FeedbackReply.create({
+        feedbackId,
+        userId: otherId,
+        content: 'Agreed',
+        parentReplyId: '55555555-5555-4555-8555-555555555555'
+      })).rejects.toThrow('Parent reply not found');
+    });
+  });
+
+  describe('buildTree', () => {
+    it('should nest replies under their parents in order', () => {
+      const replies = [
+        new FeedbackReply({ id: 'a' }),
+        new FeedbackReply({ id: 'b', parent_reply_id: 'a' }),
+        new FeedbackReply({ id: 'c' }),
+        new FeedbackReply({ id: 'd', parent_reply_id: 'b' })
+      ];
+
+      const tree = FeedbackReply.buildTree(replies).map(reply => reply.toJSON());
+
+      expect(tree.map(reply => reply.id)).toEqual(['a', 'c']);
+      expect(tree[0].replies[0].id).toBe('b');
+      expect(tree[0].replies[0].replies[0].id).toBe('d');
+    });
+  });
+});
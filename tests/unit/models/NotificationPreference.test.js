@@ -0,0 +1,149 @@
+/**
+ * Unit Tests for NotificationPreference Model
+ */
+
+const NotificationPreference = require('../../../src/models/NotificationPreference');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query } = require('../../../src/config/database');
+
+describe('NotificationPreference Model', () => {
+  const userId = '11111111-1111-4111-8111-111111111111';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findByUser', () => {
+    it('should fall back to defaults for users without saved preferences', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      const preferences = await NotificationPreference.findByUser(userId);
+      const json = preferences.toJSON();
+
+      expect(json.digest_frequency).toBe('weekly');
+      expect(json.quiet_hours.enabled).toBe(false);
+      expect(json.types.feedback_received).toEqual({ enabled: true, channels: ['in_app', 'digest'] });
+      expect(json.types.new_message.enabled).toBe(false);
+    });
+
+    it('should merge saved overrides with defaults', async () => {
+      query.mockResolvedValueOnce({
+        rows: [{
+          user_id: userId,
+          type_settings: { new_follower: { enabled: false } },
+          digest_frequency: 'daily'
+        }]
+      });
+
+      const preferences = await NotificationPreference.findByUser(userId);
+
+      expect(preferences.isEnabled('new_follower')).toBe(false);
+      expect(preferences.hasChannel('new_follower', 'in_app')).toBe(false);
+      expect(preferences.hasChannel('feedback_received', 'in_app')).toBe(true);
+      expect(preferences.hasChannel('feedback_received', 'email')).toBe(false);
+    });
+  });
+
+  describe('update', () => {
+    it('should store type overrides and quiet hours', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ user_id: userId }] });
+
+      await NotificationPreference.update(userId, {
+        types: { feedback_received: { channels: ['email', 'in_app'] } },
+        quiet_hours: { enabled: true, start: '22:00', end: '07:00', timezone: 'Europe/Berlin' }
+      });
+
+      const params = query.mock.calls[1][1];
+      expect(JSON.parse(params[1])).toEqual({
+        feedback_received: { enabled: true, channels: ['in_app', 'email'] }
+      });
+      expect(params.slice(2)).toEqual(['weekly', true, '22:00', '07:00', 'Europe/Berlin']);
+    });
+
+    it('should reject unknown types, channels and timezones', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      await expect(NotificationPreference.update(userId, { types: { spam: { enabled: true } } }))
+        .rejects.toThrow('Invalid notification type: spam');
+      await expect(NotificationPreference.update(userId, { types: { new_follower: { channels: ['sms'] } } }))
+        .rejects.toThrow('Invalid notification channel: sms');
+      await expect(NotificationPreference.update(userId, { quiet_hours: { timezone: 'Mars/Olympus' } }))
+        .rejects.toThrow('Invalid timezone: Mars/Olympus');
+      await expect(NotificationPreference.update(userId, { quiet_hours: { enabled: true, start: '22:00' } }))
+        .rejects.toThrow('Quiet hours need a start and an end time');
+    });
+  });
+
+  describe('unsubscribe tokens', () => {
+    const originalSecret = process.env.UNSUBSCRIBE_SECRET;
+
+    beforeAll(() => {
+      process.env.UNSUBSCRIBE_SECRET = 'test-unsubscribe-secret';
+    });
+
+    afterAll(() => {
+      process.env.UNSUBSCRIBE_SECRET = originalSecret;
+    });
+
+    it('should verify tokens it signed', () => {
+      const token = NotificationPreference.createUnsubscribeToken(userId);
+
+      expect(NotificationPreference.verifyUnsubscribeToken(token)).toBe(userId);
+    });
+
+    it('should reject tampered or malformed tokens', () => {
+      const token = NotificationPreference.createUnsubscribeToken(userId);
+      const otherUser = '22222222-2222-4222-8222-222222222222';
+
+      expect(NotificationPreference.verifyUnsubscribeToken(token.replace(userId, otherUser))).toBeNull();
+      expect(NotificationPreference.verifyUnsubscribeToken(`${token}x`)).toBeNull();
+      expect(NotificationPreference.verifyUnsubscribeToken(userId)).toBeNull();
+      expect(NotificationPreference.verifyUnsubscribeToken(undefined)).toBeNull();
+    });
+  });
+
+  describe('isQuietTime', () => {
+    it('should handle windows that span midnight', () => {
+      const preferences = new NotificationPreference({
+        quiet_hours_enabled: true,
+        quiet_hours_start: '22:00:00',
+        quiet_hours_end: '07:00:00'
+      });
+
+      expect(preferences.isQuietTime(new Date('2026-10-19T23:30:00Z'))).toBe(true);
+      expect(preferences.isQuietTime(new Date('2026-10-19T06:59:00Z'))).toBe(true);
+      expect(preferences.isQuietTime(new Date('2026-10-19T07:00:00Z'))).toBe(false);
+      expect(preferences.isQuietTime(new Date('2026-10-19T12:00:00Z'))).toBe(false);
+    });
+
+    it('should use the user timezone', () => {
+      const preferences = new NotificationPreference({
+        quiet_hours_enabled: true,
+        quiet_hours_start: '09:00',
+        quiet_hours_end: '17:00',
+        timezone: 'America/New_York'
+      });
+
+      // 14:00 UTC is 10:00 in New York (EDT)
+      expect(preferences.isQuietTime(new Date('2026-10-19T14:00:00Z'))).toBe(true);
+      expect(preferences.isQuietTime(new Date('2026-10-19T10:00:00Z'))).toBe(false);
+    });
+
+    it('should never be quiet when disabled', () => {
+      const preferences = new NotificationPreference({
+        quiet_hours_start: '00:00',
+        quiet_hours_end: '23:59'
+      });
+
+      expect(preferences.isQuietTime(new Date('2026-10-19T12:00:00Z'))).toBe(false);
+    });
+  });
+});
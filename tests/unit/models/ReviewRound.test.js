@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for ReviewRound Model
+ */
+
+const ReviewRound = require('../../../src/models/ReviewRound');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query, transaction } = require('../../../src/config/database');
+
+describe('ReviewRound Model', () => {
+  const articleId = '11111111-1111-4111-8111-111111111111';
+  const authorId = '22222222-2222-4222-8222-222222222222';
+  const reviewerId = '33333333-3333-4333-8333-333333333333';
+  const readerId = '44444444-4444-4444-8444-444444444444';
+  const roundId = '55555555-5555-4555-8555-555555555555';
+  const feedbackId = '66666666-6666-4666-8666-666666666666';
+
+  const itemRow = (overrides) => ({
+    round_id: roundId,
+    feedback_id: feedbackId,
+    previous_status: 'active',
+    content: 'Needs an example',
+    polarity: 'con',
+    feedback_status: 'active',
+    is_public: true,
+    feedback_user_id: readerId,
+    article_author_id: authorId,
+    article_status: 'published',
+    article_visibility: 'public',
+    collaborator_roles: { [reviewerId]: 'reviewer' },
+    ai_verdict: 'unanalyzed',
+    ai_confidence: null,
+    still_applies_votes: '0',
+    no_longer_applies_votes: '0',
+    viewer_vote: null,
+    ...overrides
+  });
+
+  const mockClient = (rows) => {
+    const client = { query: jest.fn() };
+    rows.forEach(result => client.query.mockResolvedValueOnce({ rows: result }));
+    transaction.mockImplementation(callback => callback(client));
+    return client;
+  };
+
+  const item = (overrides) => ({
+    feedback_id: 'feedback-1',
+    polarity: 'con',
+    status: 'may_no_longer_apply',
+    previous_status: 'active',
+    votes: { still_applies: 0, no_longer_applies: 0 },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    it('should compare against the previous round and snapshot open feedback', async () => {
+      const client = mockClient([
+        [{ user_id: authorId, status: 'published' }],
+        [{ latest: 5 }],
+        [{ version_number: 3, status: 'closed' }],
+        [{ id: 'round-1', article_id: articleId, version_number: 5, base_version: 3 }],
+        [{ feedback_id: 'a' }, { feedback_id: 'b' }]
+      ]);
+
+      const round = await ReviewRound.create({ articleId, userId: authorId, revoteHours: 48 });
+
+      expect(client.query.mock.calls[3][1]).toEqual([articleId, 5, 3, authorId, null, 48]);
+      expect(client.query.mock.calls[4][1][2]).toContain('acknowledged');
+      expect(round.feedback_count).toBe(2);
+    });
+
+    it('should refuse a second round while one is in progress', async () => {
+      mockClient([
+        [{ user_id: authorId, status: 'published' }],
+        [{ latest: 5 }],
+        [{ version_number: 4, status: 'open' }]
+      ]);
+
+      await expect(ReviewRound.create({ articleId, userId: authorId }))
+        .rejects.toThrow('A review round is already in progress for this article');
+    });
+
+    it('should require an edit since the last pushed version', async () => {
+      mockClient([
+        [{ user_id: authorId, status: 'published' }],
+        [{ latest: 1 }],
+        []
+      ]);
+
+      await expect(ReviewRound.create({ articleId, userId: authorId }))
+        .rejects.toThrow('Edit the article before pushing it for review');
+    });
+
+    it('should only let the author push', async () => {
+      mockClient([[{ user_id: 'someone-else', status: 'published' }]]);
+
+      await expect(ReviewRound.create({ articleId, userId: authorId }))
+        .rejects.toThrow('Only the author can push an article for review');
+    });
+  });
+
+  describe('getItems', () => {
+    it('should list private feedback to collaborators who review it but not to other readers', async () => {
+      const rows = [itemRow(), itemRow({ feedback_id: 'private-1', is_public: false, feedback_user_id: authorId })];
+      const round = new ReviewRound({ id: roundId, article_id: articleId });
+
+      query.mockResolvedValueOnce({ rows });
+      expect((await round.getItems(reviewerId)).map(i => i.feedback_id)).toEqual([feedbackId, 'private-1']);
+
+      query.mockResolvedValueOnce({ rows });
+      expect((await round.getItems(readerId)).map(i => i.feedback_id)).toEqual([feedbackId]);
+
+      expect(query.mock.calls[0][0]).toContain('collaborator_roles');
+    });
+
+    it('should hide items on private articles from readers without access', async () => {
+      const round = new ReviewRound({ id: roundId, article_id: articleId });
+      query.mockResolvedValueOnce({ rows: [itemRow({ article_visibility: 'private' })] });
+
+      expect(await round.getItems('77777777-7777-4777-8777-777777777777')).toEqual([]);
+    });
+
+    it('should list every item for the analysis and closing passes', async () => {
+      const round = new ReviewRound({ id: roundId, article_id: articleId });
+      query.mockResolvedValueOnce({ rows: [itemRow({ is_public: false, article_visibility: 'private' })] });
+
+      expect(await round.getItems()).toHaveLength(1);
+    });
+  });
+
+  describe('vote', () => {
+    const openRound = (overrides) => ({
+      status: 'open',
+      revote_closes_at: new Date(Date.now() + 60 * 60 * 1000),
+      article_author_id: authorId,
+      article_status: 'published',
+      article_visibility: 'public',
+      collaborator_roles: {},
+      is_public: true,
+      user_id: reviewerId,
+      ...overrides
+    });
+
+    it('should not let readers without access to a private article vote', async () => {
+      const client = mockClient([[openRound({ article_visibility: 'private' })]]);
+
+      await expect(ReviewRound.vote({ roundId, feedbackId, userId: readerId, stillApplies: true }))
+        .rejects.toThrow('Feedback is not part of this review round');
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let a reviewer vote on private feedback', async () => {
+      const client = mockClient([
+        [openRound({ is_public: false, user_id: readerId, collaborator_roles: { [reviewerId]: 'reviewer' } })],
+        [],
+        [{ still_applies: '1', no_longer_applies: '0' }]
+      ]);
+
+      expect(await ReviewRound.vote({ roundId, feedbackId, userId: reviewerId, stillApplies: true }))
+        .toEqual({ still_applies: 1, no_longer_applies: 0 });
+      expect(client.query.mock.calls[1][1]).toEqual([roundId, feedbackId, reviewerId, true]);
+    });
+  });
+
+  describe('settle', () => {
+    it('should retire flagged feedback unless readers say it still applies', () => {
+      expect(ReviewRound.settle(item())).toEqual({ outcome: 'no_longer_applies', status: 'addressed' });
+      expect(ReviewRound.settle(item({ polarity: 'pro' }))).toEqual({ outcome: 'no_longer_applies', status: 'dismissed' });
+      expect(ReviewRound.settle(item({ votes: { still_applies: 2, no_longer_applies: 1 } })))
+        .toEqual({ outcome: 'still_applies', status: 'active' });
+    });
+
+    it('should need enough re-votes to retire feedback the AI did not flag', () => {
+      const unflagged = { status: 'acknowledged', previous_status: 'acknowledged' };
+
+      expect(ReviewRound.settle(item({ ...unflagged, votes: { still_applies: 0, no_longer_applies: 2 } })))
+        .toEqual({ outcome: 'unchanged', status: null });
+      expect(ReviewRound.settle(item({ ...unflagged, votes: { still_applies: 1, no_longer_applies: 3 } })))
+        .toEqual({ outcome: 'no_longer_applies', status: 'addressed' });
+    });
+
+    it('should leave feedback the author triaged during the round', () => {
+      expect(ReviewRound.settle(item({ status: 'dismissed', votes: { still_applies: 0, no_longer_applies: 5 } })))
+        .toEqual({ outcome: 'unchanged', status: null });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit Tests for ReviewerReputation Model
+ */
+
+const ReviewerReputation = require('../../../src/models/ReviewerReputation');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query } = require('../../../src/config/database');
+
+describe('ReviewerReputation Model', () => {
+  const reviewerId = '11111111-1111-4111-8111-111111111111';
+  const newcomerId = '22222222-2222-4222-8222-222222222222';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('levelFor', () => {
+    it('should map scores to levels', () => {
+      expect(ReviewerReputation.levelFor(0)).toBe('newcomer');
+      expect(ReviewerReputation.levelFor(5)).toBe('contributor');
+      expect(ReviewerReputation.levelFor(42.5)).toBe('trusted');
+      expect(ReviewerReputation.levelFor(100)).toBe('expert');
+    });
+  });
+
+  describe('getForUsers', () => {
+    it('should parse view rows and zero reviewers without feedback', async () => {
+      query.mockResolvedValueOnce({
+        rows: [{
+          user_id: reviewerId,
+          score: '31.4',
+          feedback_count: '12',
+          resolved_count: '3',
+          helpful_votes: '9',
+          dismissal_rate: '0.083'
+        }]
+      });
+
+      const reputations = await ReviewerReputation.getForUsers([reviewerId, newcomerId, reviewerId, null]);
+
+      expect(query.mock.calls[0][1]).toEqual([[reviewerId, newcomerId]]);
+      expect(reputations[reviewerId].toJSON()).toEqual({
+        user_id: reviewerId,
+        score: 31.4,
+        level: 'trusted',
+        feedback_count: 12,
+        resolved_count: 3,
+        helpful_votes: 9,
+        dismissal_rate: 0.083
+      });
+      expect(reputations[newcomerId].toSummaryJSON()).toEqual({ score: 0, level: 'newcomer' });
+    });
+
+    it('should skip the query when there are no users', async () => {
+      expect(await ReviewerReputation.getForUsers([])).toEqual({});
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('attachTo', () => {
+    it('should add a reputation summary to each row', async () => {
+      query.mockResolvedValueOnce({ rows: [{ user_id: reviewerId, score: '120' }] });
+
+      const rows = await ReviewerReputation.attachTo([{ user_id: reviewerId, username: 'alice' }], 'user_id');
+
+      expect(rows).toEqual([{ user_id: reviewerId, username: 'alice', reputation: { score: 120, level: 'expert' } }]);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit Tests for Tag Model
+ */
+
+const Tag = require('../../../src/models/Tag');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query } = require('../../../src/config/database');
+
+describe('Tag Model', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalize', () => {
+    it('should lowercase and hyphenate free-form input', () => {
+      expect(Tag.normalize('Machine Learning')).toBe('machine-learning');
+      expect(Tag.normalize('#Node.js')).toBe('node-js');
+      expect(Tag.normalize('  café_culture!! ')).toBe('cafe-culture');
+      expect(Tag.normalize('--a   --  b--')).toBe('a-b');
+    });
+  });
+
+  describe('validate', () => {
+    it('should return the normalized name for valid tags', () => {
+      expect(Tag.validate('AI Ethics')).toBe('ai-ethics');
+    });
+
+    it('should reject tags outside the length limits', () => {
+      expect(() => Tag.validate('x')).toThrow('must be 2-50 characters');
+      expect(() => Tag.validate('a'.repeat(51))).toThrow('must be 2-50 characters');
+      expect(() => Tag.validate('!!!')).toThrow('must be 2-50 characters');
+    });
+
+    it('should reject reserved words', () => {
+      expect(() => Tag.validate('Admin')).toThrow('"admin" is a reserved word');
+    });
+  });
+
+  describe('validateList', () => {
+    it('should de-duplicate after normalization and accept comma-separated strings', () => {
+      expect(Tag.validateList(['AI', 'ai', ' Ethics '])).toEqual(['ai', 'ethics']);
+      expect(Tag.validateList('philosophy, Mind,')).toEqual(['philosophy', 'mind']);
+      expect(Tag.validateList(undefined)).toEqual([]);
+    });
+
+    it('should enforce the per-article limit', () => {
+      const tags = Array.from({ length: 21 }, (_, i) => `tag-${i}`);
+      expect(() => Tag.validateList(tags)).toThrow('Articles can have at most 20 tags');
+    });
+  });
+
+  describe('setArticleTags', () => {
+    it('should upsert tags and replace the article associations', async () => {
+      const client = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 'tag-1' }] })
+          .mockResolvedValueOnce({ rows: [{ id: 'tag-2' }] })
+          .mockResolvedValue({ rows: [] })
+      };
+
+      const names = await Tag.setArticleTags(client, 'article-1', ['AI', 'Deep Learning']);
+
+      expect(names).toEqual(['ai', 'deep-learning']);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO tags'), ['ai']);
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('DELETE FROM article_tags'),
+        ['article-1', ['tag-1', 'tag-2']]
+      );
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO article_tags'),
+        ['article-1', ['tag-1', 'tag-2']]
+      );
+    });
+  });
+
+  describe('list', () => {
+    it('should only count tags on published public articles', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ id: 't1', name: 'caching', usage_count: '2' }] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const { tags, total } = await Tag.list({ prefix: 'Cach', limit: 10 });
+
+      expect(tags[0]).toMatchObject({ name: 'caching', usage_count: 2 });
+      expect(total).toBe(1);
+      expect(query.mock.calls[0][0]).toContain("a.status = 'published' AND a.visibility = 'public'");
+      expect(query.mock.calls[1][0]).toContain("a.status = 'published' AND a.visibility = 'public'");
+      expect(query.mock.calls[0][1]).toEqual(['cach%', 10, 0]);
+    });
+  });
+
+  describe('suggest', () => {
+    it('should rank existing tags mentioned in the text before new candidates', async () => {
+      query.mockResolvedValueOnce({
+        rows: [
+          { id: 't1', name: 'machine-learning', usage_count: 12 },
+          { id: 't2', name: 'ethics', usage_count: 3 }
+        ]
+      });
+
+      const suggestions = await Tag.suggest({
+        text: 'Machine learning ethics. Machine learning models need careful governance; governance matters.',
+        exclude: ['ethics']
+      });
+
+      expect(suggestions[0]).toMatchObject({ name: 'machine-learning', existing: true });
+      expect(suggestions.map(s => s.name)).not.toContain('ethics');
+      expect(suggestions).toContainEqual(expect.objectContaining({ name: 'governance', existing: false }));
+    });
+  });
+
+  describe('getCloud', () => {
+    it('should weight tags between 1 and 5 and sort them by name', async () => {
+      query.mockResolvedValueOnce({
+        rows: [
+          { name: 'popular', article_count: '40' },
+          { name: 'middling', article_count: '6' },
+          { name: 'rare', article_count: '1' }
+        ]
+      });
+
+      const cloud = await Tag.getCloud({ limit: 3 });
+
+      expect(cloud.map(tag => tag.name)).toEqual(['middling', 'popular', 'rare']);
+      expect(cloud.find(tag => tag.name === 'popular').weight).toBe(5);
+      expect(cloud.find(tag => tag.name === 'rare').weight).toBe(1);
+    });
+  });
+});
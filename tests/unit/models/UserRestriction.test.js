@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for UserRestriction Model
+ */
+
+const UserRestriction = require('../../../src/models/UserRestriction');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query, transaction } = require('../../../src/config/database');
+
+describe('UserRestriction Model', () => {
+  const aliceId = '22222222-2222-4222-8222-222222222222';
+  const bobId = '33333333-3333-4333-8333-333333333333';
+  const carolId = '44444444-4444-4444-8444-444444444444';
+
+  const mockClient = (rows) => {
+    const client = { query: jest.fn() };
+    rows.forEach(result => client.query.mockResolvedValueOnce({ rows: result }));
+    transaction.mockImplementation(callback => callback(client));
+    return client;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('create', () => {
+    it('should end follows in both directions when blocking', async () => {
+      const client = mockClient([
+        [{ id: bobId }],
+        [{ id: 'r1', user_id: aliceId, target_user_id: bobId, restriction_type: 'block' }],
+        []
+      ]);
+
+      const restriction = await UserRestriction.block(aliceId, bobId);
+
+      expect(restriction.restriction_type).toBe('block');
+      expect(client.query.mock.calls[2][0]).toContain('DELETE FROM follows');
+      expect(client.query.mock.calls[2][1]).toEqual([aliceId, bobId]);
+    });
+
+    it('should leave follows alone when muting', async () => {
+      const client = mockClient([
+        [{ id: bobId }],
+        [{ id: 'r2', user_id: aliceId, target_user_id: bobId, restriction_type: 'mute' }]
+      ]);
+
+      await UserRestriction.mute(aliceId, bobId);
+
+      expect(client.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject yourself, unknown users and repeats', async () => {
+      await expect(UserRestriction.block(aliceId, aliceId)).rejects.toThrow('You cannot block yourself');
+
+      mockClient([[]]);
+      await expect(UserRestriction.mute(aliceId, bobId)).rejects.toThrow('User not found');
+
+      mockClient([[{ id: bobId }], []]);
+      await expect(UserRestriction.mute(aliceId, bobId)).rejects.toThrow('User is already muted');
+
+      await expect(UserRestriction.create(aliceId, bobId, 'ignore')).rejects.toThrow('Invalid restriction type: ignore');
+    });
+  });
+
+  describe('remove', () => {
+    it('should only lift the given restriction type', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(UserRestriction.remove(aliceId, bobId, 'block')).rejects.toThrow('User is not blocked');
+      expect(query.mock.calls[0][1]).toEqual([aliceId, bobId, 'block']);
+    });
+  });
+
+  describe('findByUser', () => {
+    it('should return restrictions with their target users and total', async () => {
+      query.mockResolvedValueOnce({
+        rows: [{
+          id: 'r1', user_id: aliceId, target_user_id: bobId, restriction_type: 'mute',
+          username: 'bob', display_name: 'Bob', avatar_url: null, total_count: '3'
+        }]
+      });
+
+      const { restrictions, total } = await UserRestriction.findByUser(aliceId, { restrictionType: 'mute', limit: 1 });
+
+      expect(total).toBe(3);
+      expect(restrictions[0].toJSON()).toMatchObject({
+        target_user_id: bobId,
+        restriction_type: 'mute',
+        target: { username: 'bob', display_name: 'Bob', avatar_url: null }
+      });
+      expect(query.mock.calls[0][1]).toEqual([aliceId, 'mute', 1, 0]);
+    });
+  });
+
+  describe('block checks', () => {
+    it('should find blocked users among participants using the given client', async () => {
+      const client = { query: jest.fn().mockResolvedValueOnce({ rows: [{ user_id: carolId }] }) };
+
+      expect(await UserRestriction.findBlockedAmong(aliceId, [bobId, carolId], client)).toEqual([carolId]);
+      expect(client.query.mock.calls[0][1]).toEqual([aliceId, [bobId, carolId]]);
+      expect(query).not.toHaveBeenCalled();
+
+      expect(await UserRestriction.findBlockedAmong(aliceId, [])).toEqual([]);
+    });
+
+    it('should treat missing articles as not blocked', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await UserRestriction.isBlockedFromArticle(aliceId, 'article-1')).toBe(false);
+    });
+  });
+});
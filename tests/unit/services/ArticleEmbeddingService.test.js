@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for ArticleEmbeddingService
+ */
+
+const ArticleEmbeddingService = require('../../../src/services/ArticleEmbeddingService');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/services/OpenAIService', () => ({
+  isEnabled: true,
+  config: { embeddingModel: 'local-hashed-ngrams' },
+  generateEmbedding: jest.fn()
+}));
+
+const { query, transaction } = require('../../../src/config/database');
+const openAIService = require('../../../src/services/OpenAIService');
+
+describe('ArticleEmbeddingService', () => {
+  const paragraph = 'Evolving documents gather structured feedback from readers, and each new version records what changed and why.';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    openAIService.generateEmbedding.mockResolvedValue({
+      embedding: [0.1, 0.2],
+      model: 'local-hashed-ngrams'
+    });
+  });
+
+  describe('splitSections', () => {
+    it('should split on headings, ignore headings in code blocks and drop short sections', () => {
+      const content = [
+        paragraph,
+        '## Versioning',
+        paragraph,
+        '```',
+        '# not a heading',
+        '```',
+        '### Tiny',
+        'Too short.',
+        '## Feedback ##',
+        paragraph
+      ].join('\n');
+
+      const sections = ArticleEmbeddingService.splitSections(content);
+
+      expect(sections.map(s => s.heading)).toEqual([null, 'Versioning', 'Feedback']);
+      expect(sections[1].content).toContain('# not a heading');
+    });
+  });
+
+  describe('embedArticle', () => {
+    const article = {
+      id: 'article-1',
+      title: 'Living Documents',
+      summary: null,
+      content: `${paragraph}\n## Versioning\n${paragraph}`,
+      source_hash: 'hash-2',
+      status: 'published',
+      embedding_model: 'local-hashed-ngrams',
+      embedding_content_hash: 'hash-1'
+    };
+
+    it('should store the article embedding and replace section embeddings', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+      query.mockResolvedValueOnce({ rows: [article] });
+      transaction.mockImplementation(async (callback) => callback(client));
+
+      const result = await ArticleEmbeddingService.embedArticle('article-1');
+
+      expect(result).toEqual({ skipped: false, model: 'local-hashed-ngrams', sections: 2 });
+      expect(openAIService.generateEmbedding).toHaveBeenCalledTimes(3);
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('embedding_content_hash = $3'),
+        ['[0.1,0.2]', 'local-hashed-ngrams', 'hash-2', 'article-1']
+      );
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('DELETE FROM article_section_embeddings'),
+        ['article-1']
+      );
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO article_section_embeddings'),
+        ['article-1', 1, 'Versioning', paragraph, '[0.1,0.2]', 'local-hashed-ngrams']
+      );
+    });
+
+    it('should skip drafts and articles already embedded from the same text', async () => {
+      query.mockResolvedValueOnce({ rows: [{ ...article, status: 'draft' }] });
+      expect(await ArticleEmbeddingService.embedArticle('article-1')).toEqual({ skipped: true, reason: 'not_published' });
+
+      query.mockResolvedValueOnce({ rows: [{ ...article, embedding_content_hash: 'hash-2' }] });
+      expect(await ArticleEmbeddingService.embedArticle('article-1')).toEqual({ skipped: true, reason: 'up_to_date' });
+
+      expect(openAIService.generateEmbedding).not.toHaveBeenCalled();
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    it('should compare against a hash of the title, summary and content', async () => {
+      query.mockResolvedValueOnce({ rows: [{ ...article, status: 'draft' }] });
+      await ArticleEmbeddingService.embedArticle('article-1');
+
+      expect(query.mock.calls[0][0]).toContain("NULLIF(title, ''), NULLIF(summary, ''), NULLIF(content, '')");
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit Tests for CriteriaExpressionService
+ */
+
+const CriteriaExpressionService = require('../../../src/services/CriteriaExpressionService');
+
+describe('CriteriaExpressionService', () => {
+  describe('parse', () => {
+    it('should bind AND tighter than OR and flatten chains', () => {
+      expect(CriteriaExpressionService.parse('tag:ai OR tag:ml AND author:Alice AND min_versions:3')).toEqual({
+        op: 'or',
+        args: [
+          { field: 'tag', value: 'ai' },
+          {
+            op: 'and',
+            args: [
+              { field: 'tag', value: 'ml' },
+              { field: 'author', value: 'alice' },
+              { field: 'min_versions', value: '3' }
+            ]
+          }
+        ]
+      });
+    });
+
+    it('should handle NOT, grouping, quoted values and normalization', () => {
+      const tree = CriteriaExpressionService.parse(
+        '(tag:"Machine Learning" or tag:AI) and not author:spammer and published_after:2025-01-01'
+      );
+
+      expect(tree).toEqual({
+        op: 'and',
+        args: [
+          { op: 'or', args: [{ field: 'tag', value: 'machine-learning' }, { field: 'tag', value: 'ai' }] },
+          { op: 'not', arg: { field: 'author', value: 'spammer' } },
+          { field: 'published_after', value: '2025-01-01' }
+        ]
+      });
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(() => CriteriaExpressionService.parse('')).toThrow('Criteria expression is required');
+      expect(() => CriteriaExpressionService.parse('(tag:ai OR tag:ml')).toThrow('Missing closing parenthesis');
+      expect(() => CriteriaExpressionService.parse('tag:ai tag:ml')).toThrow('Unexpected "tag"');
+      expect(() => CriteriaExpressionService.parse('rating:5')).toThrow('Unknown criteria field "rating"');
+      expect(() => CriteriaExpressionService.parse('min_useful_feedback:-1')).toThrow('must be a whole number');
+      expect(() => CriteriaExpressionService.parse('published_before:someday')).toThrow('Invalid date "someday"');
+      expect(() => CriteriaExpressionService.parse('tag:"unterminated')).toThrow('Unterminated quoted value');
+      expect(() => CriteriaExpressionService.parse('NOT')).toThrow('ended unexpectedly');
+    });
+  });
+
+  describe('serialize', () => {
+    it('should produce canonical text that parses back to the same tree', () => {
+      const text = 'not (tag:ai or tag:ml) and (author:bob OR author:carol) AND published_before:"2025-06-01"';
+      const tree = CriteriaExpressionService.parse(text);
+      const canonical = CriteriaExpressionService.serialize(tree);
+
+      expect(canonical).toBe('NOT (tag:ai OR tag:ml) AND (author:bob OR author:carol) AND published_before:2025-06-01');
+      expect(CriteriaExpressionService.parse(canonical)).toEqual(tree);
+    });
+  });
+
+  describe('getTests', () => {
+    it('should collect every field test in the tree', () => {
+      const tree = CriteriaExpressionService.parse('NOT author:bob AND (tag:ai OR min_versions:2)');
+
+      expect(CriteriaExpressionService.getTests(tree).map(test => test.field)).toEqual(['author', 'tag', 'min_versions']);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for Diff Service
+ */
+
+const DiffService = require('../../../src/services/DiffService');
+
+describe('DiffService', () => {
+  describe('diffSequences', () => {
+    it('should produce an edit script that rebuilds the new sequence', () => {
+      const oldItems = ['a', 'b', 'c', 'a', 'b', 'b', 'a'];
+      const newItems = ['c', 'b', 'a', 'b', 'a', 'c'];
+
+      const ops = DiffService.diffSequences(oldItems, newItems);
+      const rebuilt = ops
+        .filter(op => op.type !== 'delete')
+        .map(op => newItems[op.newIndex]);
+
+      expect(rebuilt).toEqual(newItems);
+      // Myers finds the minimal edit distance for this classic example
+      expect(ops.filter(op => op.type !== 'equal')).toHaveLength(5);
+    });
+
+    it('should handle empty inputs', () => {
+      expect(DiffService.diffSequences([], [])).toEqual([]);
+      expect(DiffService.diffSequences(['a'], [])).toEqual([
+        { type: 'delete', oldIndex: 0, newIndex: null }
+      ]);
+    });
+  });
+
+  describe('diffWords', () => {
+    it('should mark changed words inside a line', () => {
+      const { segments, similarity } = DiffService.diffWords(
+        'The quick brown fox',
+        'The quick red fox'
+      );
+
+      expect(segments).toEqual([
+        { type: 'equal', text: 'The quick ' },
+        { type: 'remove', text: 'brown' },
+        { type: 'add', text: 'red' },
+        { type: 'equal', text: ' fox' }
+      ]);
+      expect(similarity).toBeGreaterThan(0.5);
+    });
+  });
+
+  describe('diffText', () => {
+    it('should report modified lines with word segments', () => {
+      const diff = DiffService.diffText('one\ntwo words here\nthree', 'one\ntwo words there\nthree');
+
+      expect(diff.format).toBe('hunks');
+      expect(diff.stats.lines_modified).toBe(1);
+      expect(diff.stats.lines_added).toBe(0);
+      expect(diff.stats.lines_removed).toBe(0);
+
+      const modified = diff.hunks[0].lines.find(line => line.type === 'modify');
+      expect(modified.old_line).toBe(2);
+      expect(modified.new_line).toBe(2);
+    });
+
+    it('should detect a moved paragraph instead of separate additions and removals', () => {
+      const oldText = [
+        'Intro line',
+        'This paragraph is going to move further down.',
+        'It has a second line as well.',
+        'Stable line one',
+        'Stable line two',
+        'Stable line three'
+      ].join('\n');
+      const newText = [
+        'Intro line',
+        'Stable line one',
+        'Stable line two',
+        'Stable line three',
+        'This paragraph is going to move further down.',
+        'It has a second line as well.'
+      ].join('\n');
+
+      const diff = DiffService.diffText(oldText, newText);
+
+      expect(diff.moves).toEqual([{ id: 1, old_start: 2, new_start: 5, lines: 2 }]);
+      expect(diff.stats.lines_moved).toBe(2);
+      expect(diff.stats.lines_added).toBe(0);
+      expect(diff.stats.lines_removed).toBe(0);
+    });
+
+    it('should group distant changes into separate hunks with context', () => {
+      const oldLines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+      const newLines = [...oldLines];
+      newLines[1] = 'changed near the top of the document';
+      newLines[17] = 'changed near the bottom of the document';
+
+      const diff = DiffService.diffText(oldLines.join('\n'), newLines.join('\n'), { contextLines: 2 });
+
+      expect(diff.hunks).toHaveLength(2);
+      expect(diff.hunks[0]).toMatchObject({ old_start: 1, old_lines: 4, new_start: 1, new_lines: 4 });
+      expect(diff.hunks[1]).toMatchObject({ old_start: 16, old_lines: 5, new_start: 16, new_lines: 5 });
+    });
+
+    it('should return no hunks for identical text', () => {
+      const diff = DiffService.diffText('same\ntext', 'same\ntext');
+
+      expect(diff.hunks).toEqual([]);
+      expect(diff.stats.total_changes).toBe(0);
+    });
+  });
+
+  describe('render', () => {
+    it('should render modified lines as aligned side-by-side rows', () => {
+      const diff = DiffService.diffText('alpha beta gamma', 'alpha delta gamma');
+      const rows = DiffService.render(diff, 'side_by_side');
+
+      expect(rows[0].type).toBe('hunk');
+      expect(rows[1].type).toBe('modify');
+      expect(rows[1].left.segments.map(s => s.type)).toEqual(['equal', 'remove', 'equal']);
+      expect(rows[1].right.segments.map(s => s.type)).toEqual(['equal', 'add', 'equal']);
+    });
+
+    it('should render modified lines as a removal followed by an addition inline', () => {
+      const diff = DiffService.diffText('alpha beta gamma', 'alpha delta gamma');
+      const rows = DiffService.render(diff, 'inline');
+
+      expect(rows.map(row => row.type)).toEqual(['hunk', 'remove', 'add']);
+      expect(rows[0].header).toBe('@@ -1,1 +1,1 @@');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for EmailService
+ * Sends real mail through nodemailer to the local SMTP capture stand-in.
+ */
+
+const { createSmtpCapture, getHeader } = require('../../../scripts/smtp-capture');
+
+// Quoted-printable bodies, decoded enough for assertions
+const decode = (raw) => raw
+  .replace(/=\r\n/g, '')
+  .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+describe('EmailService', () => {
+  const capture = createSmtpCapture();
+  const originalEnv = { ...process.env };
+  let emailService;
+
+  const user = { email: 'ada@example.com', username: 'ada', display_name: 'Ada' };
+
+  const digest = {
+    totalItems: 2,
+    sections: [
+      {
+        type: 'new_article',
+        items: [{
+          title: 'New article: Caching <strategies>',
+          content: 'Grace published a **new** article',
+          data: { article_slug: 'caching', author_username: 'grace' }
+        }]
+      },
+      {
+        type: 'new_follower',
+        items: [{ title: 'Linus followed you', content: null, data: {} }]
+      }
+    ]
+  };
+
+  beforeAll(async () => {
+    const port = await capture.listen();
+
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(port);
+    process.env.BASE_URL = 'http://knowledgefoyer.test';
+    delete process.env.SMTP_USER;
+    delete process.env.SMTP_PASS;
+
+    emailService = require('../../../src/services/EmailService');
+    await emailService.initialize();
+  });
+
+  afterAll(async () => {
+    process.env = originalEnv;
+    await capture.close();
+  });
+
+  beforeEach(() => {
+    capture.messages.length = 0;
+  });
+
+  describe('sendDigestEmail', () => {
+    const unsubscribeUrl = 'http://knowledgefoyer.test/api/notifications/unsubscribe?token=abc.def';
+
+    it('should send the digest with one-click unsubscribe headers', async () => {
+      const result = await emailService.sendDigestEmail(user, digest, { frequency: 'weekly', unsubscribeUrl });
+
+      expect(result.success).toBe(true);
+      expect(capture.messages).toHaveLength(1);
+
+      const message = capture.messages[0];
+      expect(message.to).toEqual(['ada@example.com']);
+      expect(getHeader(message.raw, 'Subject')).toBe('Your weekly Knowledge Foyer digest: 2 updates');
+      expect(getHeader(message.raw, 'List-Unsubscribe')).toBe(`<${unsubscribeUrl}>`);
+      expect(getHeader(message.raw, 'List-Unsubscribe-Post')).toBe('List-Unsubscribe=One-Click');
+    });
+
+    it('should render HTML and text parts from the digest', async () => {
+      await emailService.sendDigestEmail(user, digest, { frequency: 'weekly', unsubscribeUrl });
+
+      const body = decode(capture.messages[0].raw);
+
+      // Text part
+      expect(body).toContain('New articles (1)');
+      expect(body).toContain('- New article: Caching <strategies>: Grace published a new article');
+      expect(body).toContain('http://grace.knowledgefoyer.test/caching');
+      expect(body).toContain(`Unsubscribe from digests: ${unsubscribeUrl}`);
+
+      // HTML part escapes notification text
+      expect(body).toContain('Caching &lt;strategies&gt;');
+      expect(body).toContain('<h3>New followers (1)</h3>');
+    });
+  });
+
+  describe('sendNotificationEmail', () => {
+    it('should send a single notification', async () => {
+      const result = await emailService.sendNotificationEmail(user, {
+        title: 'New feedback on Caching',
+        content: 'Consider adding benchmarks',
+        data: { article_slug: 'caching', author_username: 'ada' }
+      });
+
+      expect(result.success).toBe(true);
+      expect(getHeader(capture.messages[0].raw, 'Subject')).toBe('New feedback on Caching');
+      expect(getHeader(capture.messages[0].raw, 'List-Unsubscribe')).toBeNull();
+      expect(decode(capture.messages[0].raw)).toContain('http://ada.knowledgefoyer.test/caching');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for FeedbackAnchorService
+ */
+
+const FeedbackAnchorService = require('../../../src/services/FeedbackAnchorService');
+
+describe('FeedbackAnchorService', () => {
+  const content = [
+    '# Caching',
+    '',
+    'Caches must be invalidated. The cache key includes the user id.',
+    '',
+    'Later on: the cache key includes the user id, again.'
+  ].join('\n');
+
+  const anchorFor = (text, quote, occurrence = 0) => {
+    let start = -1;
+    for (let i = 0; i <= occurrence; i++) {
+      start = text.indexOf(quote, start + 1);
+    }
+    return { ...FeedbackAnchorService.buildAnchor(text, start, start + quote.length), status: 'anchored' };
+  };
+
+  describe('resolveAnchor', () => {
+    it('should keep offsets that match the quote and derive the context', () => {
+      const start = content.indexOf('Caches must');
+      const anchor = FeedbackAnchorService.resolveAnchor(content, { quote: 'Caches must be invalidated.', start });
+
+      expect(anchor).toEqual({
+        quote: 'Caches must be invalidated.',
+        prefix: '# Caching\n\n',
+        suffix: ' The cache key includes the user',
+        start,
+        end: start + 'Caches must be invalidated.'.length
+      });
+    });
+
+    it('should pick the occurrence that matches the context when offsets are stale', () => {
+      const quote = 'the cache key includes the user id';
+      const anchor = FeedbackAnchorService.resolveAnchor(content, { quote, start: 3, prefix: 'Later on: ' });
+
+      expect(anchor.start).toBe(content.lastIndexOf(quote));
+    });
+
+    it('should reject quotes that are not in the article', () => {
+      expect(() => FeedbackAnchorService.resolveAnchor(content, { quote: 'not there' }))
+        .toThrow('Anchor quote not found in the article');
+      expect(() => FeedbackAnchorService.resolveAnchor(content, { quote: 'Caches', start: 11, end: 20 }))
+        .toThrow('Anchor end must equal start plus the quote length');
+    });
+  });
+
+  describe('remapAnchor', () => {
+    const quote = 'The cache key includes the user id.';
+
+    it('should shift an untouched passage past edits before it', () => {
+      const updated = content.replace('# Caching', '# Caching in practice\n\nIntro.');
+      const result = FeedbackAnchorService.remapAnchor(anchorFor(content, quote), content, updated);
+
+      expect(result.status).toBe('anchored');
+      expect(updated.slice(result.start, result.end)).toBe(quote);
+    });
+
+    it('should follow a passage that was moved', () => {
+      const updated = `${quote}\n\n# Caching\n\nCaches must be invalidated.\n\nLater on: the cache key includes the user id, again.`;
+      const result = FeedbackAnchorService.remapAnchor(anchorFor(content, quote), content, updated);
+
+      expect(result).toEqual({ status: 'anchored', start: 0, end: quote.length });
+    });
+
+    it('should mark an edited passage as changed and span what survives', () => {
+      const updated = content.replace('The cache key includes the user id.', 'The cache key includes the tenant and user id.');
+      const result = FeedbackAnchorService.remapAnchor(anchorFor(content, quote), content, updated);
+
+      expect(result.status).toBe('changed');
+      expect(updated.slice(result.start, result.end)).toBe('The cache key includes the tenant and user id.');
+    });
+
+    it('should orphan a passage that was deleted', () => {
+      const anchor = anchorFor(content, quote);
+      const updated = content.replace(' The cache key includes the user id.', '');
+      const result = FeedbackAnchorService.remapAnchor(anchor, content, updated);
+
+      expect(result).toEqual({ status: 'orphaned', start: anchor.start, end: anchor.end });
+    });
+  });
+});
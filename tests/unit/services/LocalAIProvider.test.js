@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for Local AI Provider
+ */
+
+const LocalAIProvider = require('../../../src/services/LocalAIProvider');
+
+// Mock database module (usage tracking in OpenAIService)
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(() => Promise.resolve({ rows: [] })),
+  transaction: jest.fn()
+}));
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('LocalAIProvider', () => {
+  const provider = new LocalAIProvider();
+
+  describe('embed', () => {
+    it('should return deterministic, normalized 1536-dimension embeddings', async () => {
+      const first = await provider.embed('The introduction needs a clearer example');
+      const second = await provider.embed('The introduction needs a clearer example');
+
+      expect(first.embedding).toHaveLength(1536);
+      expect(first.embedding).toEqual(second.embedding);
+      expect(first.model).toBe('local-hashed-ngrams');
+      expect(cosine(first.embedding, first.embedding)).toBeCloseTo(1, 5);
+    });
+
+    it('should place overlapping texts closer than unrelated ones', async () => {
+      const { embedding: base } = await provider.embed('The introduction needs a clearer example of recursion');
+      const { embedding: similar } = await provider.embed('The introduction needs a clearer recursion example');
+      const { embedding: unrelated } = await provider.embed('Great photos of the mountain trail at sunset');
+
+      expect(cosine(base, similar)).toBeGreaterThan(0.8);
+      expect(cosine(base, unrelated)).toBeLessThan(0.3);
+    });
+  });
+
+  describe('complete', () => {
+    it('should mark feedback addressed when the changed lines cover its terms', async () => {
+      const result = await provider.complete('ignored prompt', {
+        task: 'feedback_resolution',
+        context: {
+          feedbackContent: 'Please add an example of recursion',
+          oldContent: 'Intro\nRecursion is when a function calls itself.\nOutro',
+          newContent: 'Intro\nRecursion is when a function calls itself.\nFor example, factorial uses recursion.\nOutro'
+        }
+      });
+
+      const analysis = JSON.parse(result.content);
+      expect(analysis.addressed).toBe(true);
+      expect(analysis.confidence).toBeGreaterThanOrEqual(0.8);
+      expect(analysis.explanation).toContain('example');
+    });
+
+    it('should not mark feedback addressed when nothing relevant changed', async () => {
+      const result = await provider.complete('ignored prompt', {
+        task: 'feedback_resolution',
+        context: {
+          feedbackContent: 'Please add an example of recursion',
+          oldContent: 'Intro\nRecursion is when a function calls itself.\nOutro',
+          newContent: 'Introduction\nRecursion is when a function calls itself.\nOutro'
+        }
+      });
+
+      const analysis = JSON.parse(result.content);
+      expect(analysis.addressed).toBe(false);
+      expect(result.tokens.total).toBe(result.tokens.input + result.tokens.output);
+    });
+
+    it('should describe what new feedback adds over similar feedback', async () => {
+      const result = await provider.complete('ignored prompt', {
+        task: 'similarity_analysis',
+        context: {
+          content: 'The diagrams are blurry and the captions are missing',
+          similarFeedback: [{ content: 'The diagrams are blurry', similarity_score: 0.91 }]
+        }
+      });
+
+      expect(result.content).toContain('91.0% similar');
+      expect(result.content).toContain('Shared points: diagram, blurry');
+      expect(result.content).toContain('New in this submission: caption, missing');
+    });
+
+    it('should fall back to key terms for prompts without a rule', async () => {
+      const result = await provider.complete('Summarize the feedback about diagrams');
+
+      expect(result.content).toBe('Key terms: summarize, feedback, diagram.');
+    });
+  });
+
+  describe('through OpenAIService', () => {
+    it('should serve embeddings and completions offline at zero cost', async () => {
+      const openAIService = require('../../../src/services/OpenAIService');
+      openAIService.useProvider('local');
+
+      const embedding = await openAIService.generateEmbedding('Offline embedding');
+      const completion = await openAIService.generateCompletion('Offline completion');
+
+      expect(openAIService.isEnabled).toBe(true);
+      expect(embedding.provider).toBe('local');
+      expect(embedding.cost).toBe(0);
+      expect(completion.model).toBe('local-rules');
+      expect(completion.cost).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit Tests for MentionService
+ */
+
+const MentionService = require('../../../src/services/MentionService');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query } = require('../../../src/config/database');
+
+describe('MentionService', () => {
+  const bobId = '33333333-3333-4333-8333-333333333333';
+  const carolId = '44444444-4444-4444-8444-444444444444';
+  const messageId = '55555555-5555-4555-8555-555555555555';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.BASE_URL = 'https://foyer.test';
+  });
+
+  afterEach(() => {
+    delete process.env.BASE_URL;
+  });
+
+  describe('parse', () => {
+    it('should find unique mentions and hashtags in order', () => {
+      const result = MentionService.parse('Thanks @Bob and @carol_x! @bob, see #Machine_Learning and #ai-ethics #ai-ethics.');
+
+      expect(result.mentions).toEqual(['bob', 'carol_x']);
+      expect(result.hashtags).toEqual(['machine-learning', 'ai-ethics']);
+    });
+
+    it('should ignore emails, URLs, entities and tags that cannot exist', () => {
+      const result = MentionService.parse('mail bob@example.com, https://x.test/@carol#intro &#39; #42 #a #admin @al');
+
+      expect(result.mentions).toEqual([]);
+      expect(result.hashtags).toEqual([]);
+    });
+
+    it('should cap the number of mentions', () => {
+      const text = Array.from({ length: 15 }, (_, i) => `@user${i}`).join(' ');
+
+      expect(MentionService.parse(text).mentions).toHaveLength(MentionService.MAX_MENTIONS);
+    });
+  });
+
+  describe('render', () => {
+    it('should escape content and link resolved mentions and hashtags', () => {
+      const html = MentionService.render('<b>Hi</b> @Bob & @nobody about #Privacy', ['bob']);
+
+      expect(html).toBe(
+        '&lt;b&gt;Hi&lt;/b&gt; <a href="https://bob.foyer.test/" class="mention">@Bob</a> &amp; @nobody about ' +
+        '<a href="https://foyer.test/tags/privacy" class="hashtag" rel="tag">#Privacy</a>'
+      );
+    });
+
+    it('should return escaped text when there is nothing to link', () => {
+      expect(MentionService.render('a < b')).toBe('a &lt; b');
+    });
+  });
+
+  describe('recordMentions', () => {
+    it('should store resolved users and report only new ones', async () => {
+      const client = { query: jest.fn() };
+      client.query
+        .mockResolvedValueOnce({ rows: [{ id: bobId, username: 'bob' }, { id: carolId, username: 'carol' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ user_id: carolId }] });
+
+      const result = await MentionService.recordMentions(client, 'message', messageId, bobId, ['bob', 'ghost', 'carol']);
+
+      expect(result).toEqual({ usernames: ['bob', 'carol'], addedUserIds: [carolId] });
+      expect(client.query.mock.calls[1][0]).toContain('DELETE FROM mentions WHERE message_id = $1');
+      expect(client.query.mock.calls[1][1]).toEqual([messageId, [bobId, carolId]]);
+      expect(client.query.mock.calls[2][0]).toContain('ON CONFLICT (message_id, user_id) DO NOTHING');
+    });
+
+    it('should clear mentions when none remain', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      const result = await MentionService.recordMentions(client, 'feedback_reply', messageId, bobId, []);
+
+      expect(result).toEqual({ usernames: [], addedUserIds: [] });
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(client.query.mock.calls[0][0]).toContain('feedback_reply_id = $1');
+    });
+
+    it('should reject unknown sources', async () => {
+      await expect(MentionService.recordMentions({ query: jest.fn() }, 'article', messageId, bobId, []))
+        .rejects.toThrow('Invalid mention source: article');
+    });
+  });
+
+  describe('suggestUsers', () => {
+    it('should match the prefix literally, ignoring a leading @', async () => {
+      query.mockResolvedValueOnce({
+        rows: [{ id: carolId, username: 'car_ol', display_name: 'Carol', avatar_url: null, is_following: true }]
+      });
+
+      const users = await MentionService.suggestUsers('@Car_', { userId: bobId, limit: 5 });
+
+      expect(query.mock.calls[0][1]).toEqual(['car\\_%', bobId, 5]);
+      expect(users).toEqual([{ id: carolId, username: 'car_ol', display_name: 'Carol', avatar_url: null, is_following: true }]);
+    });
+  });
+});
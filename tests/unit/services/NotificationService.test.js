@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for NotificationService
+ */
+
+const NotificationService = require('../../../src/services/NotificationService');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/services/EmailService', () => ({
+  sendNotificationEmail: jest.fn(),
+  sendDigestEmail: jest.fn()
+}));
+
+const { query } = require('../../../src/config/database');
+const EmailService = require('../../../src/services/EmailService');
+
+describe('NotificationService', () => {
+  const userId = '11111111-1111-4111-8111-111111111111';
+  const originalSecret = process.env.UNSUBSCRIBE_SECRET;
+
+  beforeAll(() => {
+    process.env.UNSUBSCRIBE_SECRET = 'test-unsubscribe-secret';
+  });
+
+  afterAll(() => {
+    process.env.UNSUBSCRIBE_SECRET = originalSecret;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createAndSendNotification', () => {
+    const notificationData = {
+      userId,
+      type: 'feedback_received',
+      title: 'New feedback on Caching',
+      content: 'Consider adding benchmarks'
+    };
+
+    it('should skip notification types the user turned off', async () => {
+      query.mockResolvedValueOnce({
+        rows: [{ user_id: userId, type_settings: { feedback_received: { enabled: false, channels: [] } } }]
+      });
+
+      expect(await NotificationService.createAndSendNotification(notificationData)).toBeNull();
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should drop notifications caused by muted or blocked users', async () => {
+      const actorId = '22222222-2222-4222-8222-222222222222';
+      query.mockResolvedValueOnce({ rows: [{ hidden: true }] });
+
+      expect(await NotificationService.createAndSendNotification({ ...notificationData, actorId })).toBeNull();
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(query.mock.calls[0][1]).toEqual([actorId, userId]);
+    });
+
+    it('should email users who chose the email channel', async () => {
+      query
+        .mockResolvedValueOnce({
+          rows: [{ user_id: userId, type_settings: { feedback_received: { enabled: true, channels: ['email'] } } }]
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 'n1', user_id: userId, type: 'feedback_received', title: 'New feedback on Caching' }] })
+        .mockResolvedValueOnce({ rows: [{ email: 'ada@example.com', username: 'ada', email_verified: true }] });
+
+      const notification = await NotificationService.createAndSendNotification(notificationData);
+
+      expect(notification.id).toBe('n1');
+      expect(EmailService.sendNotificationEmail).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'ada@example.com' }),
+        notification
+      );
+    });
+  });
+
+  describe('generateDigestContent', () => {
+    it('should group unread notifications routed to the digest channel', async () => {
+      query
+        .mockResolvedValueOnce({
+          rows: [{ user_id: userId, type_settings: { new_follower: { enabled: true, channels: ['in_app'] } } }]
+        })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 'n1', type: 'feedback_received', title: 'Feedback 1' },
+            { id: 'n2', type: 'new_follower', title: 'Linus followed you' },
+            { id: 'n3', type: 'new_article', title: 'New article' },
+            { id: 'n4', type: 'feedback_received', title: 'Feedback 2' }
+          ]
+        });
+
+      const digest = await NotificationService.generateDigestContent(userId, new Date('2026-10-12T08:00:00Z'));
+
+      expect(digest.totalItems).toBe(3);
+      expect(digest.sections.map(section => section.type)).toEqual(['new_article', 'feedback_received']);
+      expect(digest.sections[1].items.map(item => item.id)).toEqual(['n1', 'n4']);
+    });
+  });
+
+  describe('sendDigestNotifications', () => {
+    const now = new Date('2026-10-19T08:00:00Z');
+    const user = { id: userId, username: 'ada', email: 'ada@example.com', last_digest_sent_at: new Date('2026-10-12T08:00:00Z') };
+
+    it('should email due users and record the delivery', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [user] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 'n1', type: 'new_article', title: 'New article' }] })
+        .mockResolvedValueOnce({ rows: [] });
+      EmailService.sendDigestEmail.mockResolvedValueOnce({ success: true });
+
+      const sent = await NotificationService.sendDigestNotifications('weekly', now);
+
+      expect(sent).toEqual([userId]);
+      expect(query.mock.calls[0][1]).toEqual(['weekly', now, 8, 1, '6 days']);
+      expect(query.mock.calls[2][1]).toEqual([userId, user.last_digest_sent_at]);
+
+      const [, digest, options] = EmailService.sendDigestEmail.mock.calls[0];
+      expect(digest.totalItems).toBe(1);
+      expect(options.frequency).toBe('weekly');
+      expect(options.unsubscribeUrl).toContain('/api/notifications/unsubscribe?token=');
+      expect(query.mock.calls[3][1]).toEqual([userId, now]);
+    });
+
+    it('should not send empty digests', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [user] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await NotificationService.sendDigestNotifications('daily', now)).toEqual([]);
+      expect(EmailService.sendDigestEmail).not.toHaveBeenCalled();
+    });
+  });
+});
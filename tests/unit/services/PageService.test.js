@@ -0,0 +1,181 @@
+/**
+ * Unit Tests for PageService
+ */
+
+const PageService = require('../../../src/services/PageService');
+const Article = require('../../../src/models/Article');
+const Tag = require('../../../src/models/Tag');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/models/User', () => ({
+  findByUsername: jest.fn()
+}));
+
+const { query } = require('../../../src/config/database');
+const User = require('../../../src/models/User');
+
+describe('PageService', () => {
+  const originalBaseUrl = process.env.BASE_URL;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    process.env.BASE_URL = 'https://knowledgefoyer.com';
+  });
+
+  afterAll(() => {
+    process.env.BASE_URL = originalBaseUrl;
+  });
+
+  const article = (overrides = {}) => Object.assign(new Article({
+    id: 'article-1',
+    title: 'Evolving </script> Work',
+    slug: 'evolving-work',
+    content: '# Intro\n\nHello <script>alert(1)</script> and [bad](javascript:steal) and [good](https://example.com).',
+    summary: null,
+    version: 3,
+    status: 'published',
+    visibility: 'public',
+    published_at: '2026-10-01T00:00:00.000Z',
+    updated_at: '2026-10-05T00:00:00.000Z',
+    tags: ['writing']
+  }), { author: { username: 'alice', display_name: 'Alice' } }, overrides);
+
+  describe('getArticlePage', () => {
+    beforeEach(() => {
+      // No collaborators unless a test says otherwise
+      query.mockResolvedValue({ rows: [] });
+    });
+
+    it('should render content with canonical URL, OpenGraph meta and JSON-LD', async () => {
+      jest.spyOn(Article, 'findByUserAndSlug').mockResolvedValue(article());
+
+      const html = await PageService.getArticlePage('alice', 'evolving-work');
+
+      expect(html).toContain('<link rel="canonical" href="https://alice.knowledgefoyer.com/evolving-work">');
+      expect(html).toContain('<meta property="og:type" content="article">');
+      expect(html).toContain('<meta property="article:tag" content="writing">');
+      expect(html).toContain('<meta name="twitter:card" content="summary">');
+      expect(html).toContain('<meta name="description" content="Intro Hello alert(1) and bad and good.">');
+      expect(html).toContain('<h1 id="intro">Intro <a class="heading-anchor" href="#intro" aria-hidden="true">#</a></h1>');
+      expect(html).toContain('<a href="https://example.com" rel="nofollow noopener noreferrer">good</a>');
+      expect(html).not.toContain('class="table-of-contents"');
+      expect(html).toContain('href="https://alice.knowledgefoyer.com/feed.xml"');
+      expect(html).not.toContain('<script>alert(1)</script>');
+      expect(html).not.toContain('name="robots"');
+
+      const jsonLd = html.match(/<script type="application\/ld\+json">(.*?)<\/script>/)[1];
+      expect(jsonLd).not.toContain('</script>');
+      expect(JSON.parse(jsonLd)).toMatchObject({
+        '@type': 'Article',
+        headline: 'Evolving </script> Work',
+        url: 'https://alice.knowledgefoyer.com/evolving-work',
+        version: '3',
+        author: { name: 'Alice', url: 'https://alice.knowledgefoyer.com/' }
+      });
+    });
+
+    it('should credit editors as co-authors and list reviewers', async () => {
+      jest.spyOn(Article, 'findByUserAndSlug').mockResolvedValue(article());
+      query.mockResolvedValueOnce({
+        rows: [
+          { user_id: 'user-2', role: 'editor', username: 'bob', display_name: 'Bob' },
+          { user_id: 'user-3', role: 'reviewer', username: 'carol', display_name: null }
+        ]
+      });
+
+      const html = await PageService.getArticlePage('alice', 'evolving-work');
+
+      expect(html).toContain('rel="author">Alice</a> with <a href="https://bob.knowledgefoyer.com/">Bob</a>');
+      expect(html).toContain('Reviewed by <a href="https://carol.knowledgefoyer.com/">carol</a>');
+
+      const jsonLd = JSON.parse(html.match(/<script type="application\/ld\+json">(.*?)<\/script>/)[1]);
+      expect(jsonLd.author.map(person => person.name)).toEqual(['Alice', 'Bob']);
+    });
+
+    it('should render earlier versions as noindex with the latest canonical', async () => {
+      const current = article();
+      current.getVersion = jest.fn().mockResolvedValue({
+        version_number: 2,
+        title: 'Evolving Work',
+        content: 'Older text',
+        change_summary: 'Fixed typos',
+        created_at: '2026-10-03T00:00:00.000Z'
+      });
+      jest.spyOn(Article, 'findByUserAndSlug').mockResolvedValue(current);
+
+      const html = await PageService.getArticlePage('alice', 'evolving-work', { version: '2' });
+
+      expect(current.getVersion).toHaveBeenCalledWith(2);
+      expect(html).toContain('<meta name="robots" content="noindex, follow">');
+      expect(html).toContain('You are reading version 2 of this article (Fixed typos).');
+      expect(html).toContain('<link rel="canonical" href="https://alice.knowledgefoyer.com/evolving-work">');
+    });
+
+    it('should return null for drafts and invalid versions', async () => {
+      jest.spyOn(Article, 'findByUserAndSlug').mockResolvedValue(article({ status: 'draft' }));
+      expect(await PageService.getArticlePage('alice', 'evolving-work')).toBeNull();
+
+      const current = article();
+      current.getVersion = jest.fn();
+      Article.findByUserAndSlug.mockResolvedValue(current);
+      expect(await PageService.getArticlePage('alice', 'evolving-work', { version: 'latest' })).toBeNull();
+      expect(current.getVersion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTagPage', () => {
+    it('should list tagged articles, related tags and linked hashtag posts', async () => {
+      const Message = require('../../../src/models/Message');
+      const tag = Object.assign(new Tag({ id: 'tag-1', name: 'writing', article_count: '1' }), {
+        getRelated: jest.fn().mockResolvedValue([{ name: 'editing', shared_count: 1 }]),
+        getArticles: jest.fn().mockResolvedValue([article()]),
+        getMessages: jest.fn().mockResolvedValue([Object.assign(new Message({
+          id: 'message-1',
+          content: 'Notes on #writing <b>drafts</b>',
+          created_at: '2026-10-06T00:00:00.000Z'
+        }), { author: { username: 'bob', display_name: 'Bob' } })])
+      });
+      jest.spyOn(Tag, 'findByName').mockResolvedValue(tag);
+
+      const html = await PageService.getTagPage('Writing');
+
+      expect(html).toContain('<link rel="canonical" href="https://knowledgefoyer.com/tags/writing">');
+      expect(html).toContain('href="https://alice.knowledgefoyer.com/evolving-work"');
+      expect(html).toContain('href="https://knowledgefoyer.com/tags/editing"');
+      expect(html).toContain('<a href="https://knowledgefoyer.com/tags/writing" class="hashtag" rel="tag">#writing</a> &lt;b&gt;drafts&lt;/b&gt;');
+      expect(html).toContain('href="https://knowledgefoyer.com/tags/writing/feed.atom"');
+      expect(html).not.toContain('noindex');
+    });
+
+    it('should return null for unknown tags', async () => {
+      jest.spyOn(Tag, 'findByName').mockResolvedValue(null);
+
+      expect(await PageService.getTagPage('nothing')).toBeNull();
+    });
+  });
+
+  describe('getSitemap', () => {
+    it('should list the home page, public articles and published expositions', async () => {
+      User.findByUsername.mockResolvedValue({ id: 'user-1', username: 'alice', is_active: true });
+      query
+        .mockResolvedValueOnce({ rows: [{ slug: 'evolving-work', lastmod: '2026-10-05T00:00:00.000Z' }] })
+        .mockResolvedValueOnce({ rows: [{ slug: 'reading-list', lastmod: '2026-10-02T00:00:00.000Z' }] });
+
+      const sitemap = await PageService.getSitemap('alice');
+
+      expect(sitemap).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+      expect(sitemap.match(/<loc>(.*?)<\/loc>/g)).toEqual([
+        '<loc>https://alice.knowledgefoyer.com/</loc>',
+        '<loc>https://alice.knowledgefoyer.com/evolving-work</loc>',
+        '<loc>https://alice.knowledgefoyer.com/expositions/reading-list</loc>'
+      ]);
+      expect(sitemap).toContain('<lastmod>2026-10-05T00:00:00.000Z</lastmod>');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for ReviewRoundService
+ */
+
+jest.mock('../../../src/models/ReviewRound', () => ({
+  findStaleAnalyzing: jest.fn()
+}));
+
+jest.mock('../../../src/models/ArticleVersion', () => ({
+  getVersion: jest.fn()
+}));
+
+jest.mock('../../../src/services/FeedbackResolutionService', () => ({
+  assessFeedbackRelevance: jest.fn()
+}));
+
+jest.mock('../../../src/services/NotificationService', () => ({
+  handleReviewRoundOpenedNotifications: jest.fn()
+}));
+
+const ReviewRoundService = require('../../../src/services/ReviewRoundService');
+const ReviewRound = require('../../../src/models/ReviewRound');
+const ArticleVersion = require('../../../src/models/ArticleVersion');
+const feedbackResolutionService = require('../../../src/services/FeedbackResolutionService');
+const NotificationService = require('../../../src/services/NotificationService');
+
+describe('ReviewRoundService', () => {
+  const mockRound = (overrides = {}) => {
+    const round = {
+      id: 'round-1',
+      article_id: 'article-1',
+      base_version: 1,
+      version_number: 2,
+      status: 'analyzing',
+      getItems: jest.fn(),
+      recordVerdict: jest.fn(),
+      ...overrides
+    };
+    round.open = jest.fn(async () => {
+      round.status = 'open';
+      return round;
+    });
+    return round;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('runAnalysis', () => {
+    it('should open the round with the rest unanalyzed when the AI pass fails', async () => {
+      const round = mockRound();
+      const flaggedItem = { feedback_id: 'feedback-1', content: 'Too long' };
+      round.getItems.mockResolvedValueOnce([flaggedItem, { feedback_id: 'feedback-2', content: 'Typo' }]);
+      round.recordVerdict.mockResolvedValueOnce('may_no_longer_apply');
+      ArticleVersion.getVersion.mockResolvedValue({ content: 'text' });
+      feedbackResolutionService.assessFeedbackRelevance
+        .mockResolvedValueOnce({ still_applies: false, confidence: 0.9, explanation: 'Shortened' })
+        .mockRejectedValueOnce(new Error('AI provider timed out'));
+
+      const flagged = await ReviewRoundService.runAnalysis(round);
+
+      expect(flagged).toEqual([flaggedItem]);
+      expect(round.recordVerdict).toHaveBeenCalledTimes(1);
+      expect(round.open).toHaveBeenCalled();
+      expect(NotificationService.handleReviewRoundOpenedNotifications).toHaveBeenCalledWith(round, [flaggedItem]);
+    });
+  });
+
+  describe('openStaleRounds', () => {
+    it('should open rounds stuck analyzing and notify about items already flagged', async () => {
+      const stuck = mockRound();
+      stuck.getItems.mockResolvedValueOnce([
+        { feedback_id: 'feedback-1', ai_verdict: 'may_no_longer_apply' },
+        { feedback_id: 'feedback-2', ai_verdict: 'unanalyzed' }
+      ]);
+
+      const alreadyOpened = mockRound({ id: 'round-2' });
+      alreadyOpened.getItems.mockResolvedValueOnce([]);
+      alreadyOpened.open = jest.fn(async () => alreadyOpened);
+
+      ReviewRound.findStaleAnalyzing.mockResolvedValueOnce([stuck, alreadyOpened]);
+
+      expect(await ReviewRoundService.openStaleRounds()).toBe(1);
+      expect(NotificationService.handleReviewRoundOpenedNotifications).toHaveBeenCalledTimes(1);
+      expect(NotificationService.handleReviewRoundOpenedNotifications.mock.calls[0][1])
+        .toEqual([{ feedback_id: 'feedback-1', ai_verdict: 'may_no_longer_apply' }]);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for SearchService
+ */
+
+const SearchService = require('../../../src/services/SearchService');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query } = require('../../../src/config/database');
+
+describe('SearchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const row = (overrides = {}) => ({
+    type: 'article',
+    id: 'article-1',
+    title: 'Knowledge Management',
+    slug: 'knowledge-management',
+    date: '2026-10-01T00:00:00.000Z',
+    popularity: '12',
+    rank: 0.4,
+    sort_key: '0.4',
+    username: 'author',
+    display_name: 'Author',
+    snippet: 'about <mark>knowledge</mark>',
+    tags: ['knowledge'],
+    ...overrides
+  });
+
+  describe('cursors', () => {
+    it('should round-trip cursors and reject malformed ones', () => {
+      const id = '11111111-1111-4111-8111-111111111111';
+      const cursor = SearchService.encodeCursor({ key: '2026-10-01 00:00:00+00', id });
+
+      expect(SearchService.decodeCursor(cursor, 'date')).toEqual({ key: '2026-10-01 00:00:00+00', id });
+      expect(SearchService.decodeCursor('not-a-cursor')).toBeNull();
+      expect(SearchService.decodeCursor(Buffer.from('{"k":1}').toString('base64url'))).toBeNull();
+      expect(SearchService.decodeCursor(SearchService.encodeCursor({ key: '1', id: 'article-1' }))).toBeNull();
+      expect(SearchService.decodeCursor(cursor, 'popularity')).toBeNull();
+      expect(SearchService.decodeCursor(SearchService.encodeCursor({ key: '0.0607927', id }), 'relevance')).not.toBeNull();
+    });
+  });
+
+  describe('validateOptions', () => {
+    it('should fill in defaults and clamp the page size', () => {
+      expect(SearchService.validateOptions('knowledge', { limit: '500' })).toEqual({
+        mode: 'keyword',
+        types: ['article', 'exposition'],
+        author: null,
+        tags: [],
+        from: null,
+        to: null,
+        sort: 'relevance',
+        limit: 100,
+        cursor: null
+      });
+      expect(SearchService.validateOptions('', { limit: 0 })).toMatchObject({ sort: 'date', limit: 20 });
+    });
+
+    it('should reject dates, tags and types Postgres would choke on', () => {
+      expect(() => SearchService.validateOptions('x', { from: 'last week' })).toThrow('Invalid from date');
+      expect(() => SearchService.validateOptions('x', { to: 20261001 })).toThrow('Invalid to date');
+      expect(() => SearchService.validateOptions('x', { tags: 'knowledge' })).toThrow('Tags must be a list of tag names');
+      expect(() => SearchService.validateOptions('x', { tags: [{}] })).toThrow('Tags must be a list of tag names');
+      expect(() => SearchService.validateOptions('x', { types: ['article', 'video'] })).toThrow('Content type must be one of');
+      expect(() => SearchService.validateOptions('x', { mode: 'semantic', types: ['exposition'] }))
+        .toThrow('Semantic search only covers articles');
+    });
+  });
+
+  describe('search', () => {
+    it('should apply filters, highlight matches and report exact totals', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [row()] })
+        .mockResolvedValueOnce({ rows: [{ type: 'article', count: '7' }, { type: 'exposition', count: '2' }] });
+
+      const results = await SearchService.search('knowledge', {
+        author: 'Author',
+        tags: ['Knowledge Management'],
+        from: '2026-01-01',
+        limit: 10
+      });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("a.search_vector @@ websearch_to_tsquery('english', $1)");
+      expect(sql).toContain('e.search_vector @@');
+      expect(sql).toContain('ts_headline');
+      expect(sql).toContain('t.name = ANY($3::text[])');
+      expect(params).toEqual(['knowledge', 'author', ['knowledge-management'], '2026-01-01', 11]);
+
+      // Totals ignore the page size
+      expect(query.mock.calls[1][1]).toEqual(['knowledge', 'author', ['knowledge-management'], '2026-01-01']);
+
+      expect(results.total).toBe(9);
+      expect(results.totals).toEqual({ article: 7, exposition: 2 });
+      expect(results.results[0]).toMatchObject({
+        type: 'article',
+        snippet: 'about <mark>knowledge</mark>',
+        author: { username: 'author' },
+        popularity: 12
+      });
+      expect(results.next_cursor).toBeNull();
+    });
+
+    it('should page with a keyset cursor on the sort key', async () => {
+      query
+        .mockResolvedValueOnce({
+          rows: [
+            row({ id: '33333333-3333-4333-8333-333333333333', sort_key: '2026-10-03 00:00:00+00' }),
+            row({ id: '22222222-2222-4222-8222-222222222222', sort_key: '2026-10-02 00:00:00+00' }),
+            row({ id: '11111111-1111-4111-8111-111111111111', sort_key: '2026-10-01 00:00:00+00' })
+          ]
+        })
+        .mockResolvedValueOnce({ rows: [{ type: 'article', count: '5' }] });
+
+      const cursorId = '44444444-4444-4444-8444-444444444444';
+      const cursor = SearchService.encodeCursor({ key: '2026-10-04 00:00:00+00', id: cursorId });
+      const results = await SearchService.search('', { types: ['article'], sort: 'date', limit: 2, cursor });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('(m.date, m.id) < ($1::timestamptz, $2::uuid)');
+      expect(sql).not.toContain('expositions e');
+      expect(params).toEqual(['2026-10-04 00:00:00+00', cursorId, 3]);
+      expect(query.mock.calls[1][1]).toEqual([]);
+
+      expect(results.results.map(r => r.id)).toEqual(['33333333-3333-4333-8333-333333333333', '22222222-2222-4222-8222-222222222222']);
+      expect(SearchService.decodeCursor(results.next_cursor)).toEqual({ key: '2026-10-02 00:00:00+00', id: '22222222-2222-4222-8222-222222222222' });
+    });
+
+    it('should blend embedding similarity with keyword rank in hybrid mode', async () => {
+      const embedQuery = jest.spyOn(SearchService, 'embedQuery').mockResolvedValue({
+        embedding: [0.5, 0.5],
+        model: 'local-hashed-ngrams'
+      });
+      query
+        .mockResolvedValueOnce({ rows: [row({ section: 'Versioning' })] })
+        .mockResolvedValueOnce({ rows: [{ type: 'article', count: '1' }] });
+
+      const results = await SearchService.search('tracking changes', { mode: 'hybrid' });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('article_section_embeddings');
+      expect(sql).toContain('a.search_vector @@ websearch_to_tsquery');
+      expect(sql).toContain('OR sim.similarity >= $4');
+      expect(sql).not.toContain('expositions e');
+      expect(params).toEqual(['tracking changes', '[0.5,0.5]', 'local-hashed-ngrams', 0.3, 21]);
+
+      expect(results.mode).toBe('hybrid');
+      expect(results.totals).toEqual({ article: 1 });
+      expect(results.results[0].section).toBe('Versioning');
+
+      embedQuery.mockRestore();
+    });
+
+    it('should reject invalid sort options and cursors', async () => {
+      await expect(SearchService.search('', { sort: 'relevance' })).rejects.toThrow('Relevance sorting requires a search term');
+      await expect(SearchService.search('x', { sort: 'views' })).rejects.toThrow('Sort must be one of');
+      await expect(SearchService.search('x', { cursor: 'garbage' })).rejects.toThrow('Invalid cursor');
+      await expect(SearchService.search('x', {
+        cursor: SearchService.encodeCursor({ key: '0.5', id: 'not-a-uuid' })
+      })).rejects.toThrow('Invalid cursor');
+      await expect(SearchService.search('x', {
+        sort: 'date',
+        cursor: SearchService.encodeCursor({ key: 'yesterday', id: '11111111-1111-4111-8111-111111111111' })
+      })).rejects.toThrow('Invalid cursor');
+      await expect(SearchService.search('', { mode: 'semantic', sort: 'date' })).rejects.toThrow('Semantic search requires a search term');
+      await expect(SearchService.search('x', { mode: 'fuzzy' })).rejects.toThrow('Search mode must be one of');
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+});
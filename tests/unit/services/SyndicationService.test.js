@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for SyndicationService
+ */
+
+const SyndicationService = require('../../../src/services/SyndicationService');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query } = require('../../../src/config/database');
+
+describe('SyndicationService', () => {
+  const originalBaseUrl = process.env.BASE_URL;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.BASE_URL = 'https://knowledgefoyer.com';
+  });
+
+  afterAll(() => {
+    process.env.BASE_URL = originalBaseUrl;
+  });
+
+  const articleRow = {
+    id: 'article-1',
+    title: 'Tools & <Techniques>',
+    slug: 'tools-and-techniques',
+    summary: null,
+    content: '# Heading\n\nSome **bold** text with a [link](https://example.com).',
+    published_at: '2026-10-01T00:00:00.000Z',
+    updated_at: '2026-10-05T00:00:00.000Z',
+    username: 'alice',
+    display_name: 'Alice',
+    tags: ['research']
+  };
+
+  const versionRow = {
+    id: 'version-2',
+    article_id: 'article-1',
+    version_number: 2,
+    title: 'Tools & <Techniques>',
+    content: 'Revised content',
+    change_summary: 'Added a section on sources',
+    created_at: '2026-10-05T00:00:00.000Z'
+  };
+
+  const getFeed = async () => {
+    query
+      .mockResolvedValueOnce({ rows: [articleRow] })
+      .mockResolvedValueOnce({ rows: [versionRow] });
+
+    return SyndicationService.getAuthorFeed({ id: 'user-1', username: 'alice', display_name: 'Alice' });
+  };
+
+  describe('getAuthorFeed', () => {
+    it('should merge publish and update entries newest first', async () => {
+      const feed = await getFeed();
+
+      expect(feed.home_page_url).toBe('https://alice.knowledgefoyer.com/');
+      expect(feed.feed_path('atom')).toBe('https://alice.knowledgefoyer.com/feed.atom');
+      expect(feed.entries.map(entry => entry.id)).toEqual(['urn:uuid:version-2', 'urn:uuid:article-1']);
+
+      const [update, publish] = feed.entries;
+      expect(update).toMatchObject({
+        title: 'Tools & <Techniques> (updated to v2)',
+        url: 'https://alice.knowledgefoyer.com/tools-and-techniques?version=2',
+        version: 2,
+        change_summary: 'Added a section on sources'
+      });
+      expect(publish.summary).toBe('Heading Some bold text with a link.');
+      expect(query).toHaveBeenLastCalledWith(expect.stringContaining('article_versions'), [['article-1'], 20]);
+    });
+
+    it('should credit co-authors and the editor of each version', async () => {
+      query
+        .mockResolvedValueOnce({ rows: [{ ...articleRow, co_authors: [{ username: 'bob', display_name: 'Bob' }] }] })
+        .mockResolvedValueOnce({ rows: [{ ...versionRow, username: 'bob', display_name: 'Bob' }] });
+
+      const feed = await SyndicationService.getAuthorFeed({ id: 'user-2', username: 'bob', display_name: 'Bob' });
+      const [update, publish] = feed.entries;
+
+      expect(query.mock.calls[0][0]).toContain('article_collaborators');
+      expect(publish.author.name).toBe('Alice');
+      expect(publish.contributors).toEqual([{ name: 'Bob', url: 'https://bob.knowledgefoyer.com/' }]);
+      expect(update.author.name).toBe('Bob');
+      expect(update.contributors).toEqual([{ name: 'Alice', url: 'https://alice.knowledgefoyer.com/' }]);
+
+      const atom = SyndicationService.render(feed, 'atom');
+      expect(atom).toContain('<contributor>\n      <name>Bob</name>');
+      expect(SyndicationService.render(feed, 'xml')).toContain('<dc:contributor>Alice</dc:contributor>');
+    });
+  });
+
+  describe('render', () => {
+    it('should render escaped RSS with version details on update items', async () => {
+      const xml = SyndicationService.render(await getFeed(), 'xml');
+
+      expect(xml).toContain('<rss version="2.0"');
+      expect(xml).toContain('<atom:link href="https://alice.knowledgefoyer.com/feed.xml" rel="self"');
+      expect(xml).toContain('<title>Tools &amp; &lt;Techniques&gt; (updated to v2)</title>');
+      expect(xml).toContain('<kf:version>2</kf:version>');
+      expect(xml).toContain('<kf:changeSummary>Added a section on sources</kf:changeSummary>');
+      expect(xml).toContain('<pubDate>Mon, 05 Oct 2026 00:00:00 GMT</pubDate>');
+      expect(xml.match(/<kf:version>/g)).toHaveLength(1);
+    });
+
+    it('should render Atom and JSON Feed', async () => {
+      const feed = await getFeed();
+
+      const atom = SyndicationService.render(feed, 'atom');
+      expect(atom).toContain('<feed xmlns="http://www.w3.org/2005/Atom"');
+      expect(atom).toContain('<updated>2026-10-05T00:00:00.000Z</updated>');
+      expect(atom).toContain('<category term="research"/>');
+      expect(atom).toContain('<content type="html">&lt;h1 id=&quot;heading&quot;&gt;Heading');
+
+      const json = JSON.parse(SyndicationService.render(feed, 'json'));
+      expect(json.version).toBe('https://jsonfeed.org/version/1.1');
+      expect(json.feed_url).toBe('https://alice.knowledgefoyer.com/feed.json');
+      expect(json.items[0]._knowledge_foyer).toEqual({ version: 2, change_summary: 'Added a section on sources' });
+      expect(json.items[1]).not.toHaveProperty('_knowledge_foyer');
+      expect(json.items[1].content_text).toBe('Heading Some bold text with a link.');
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => SyndicationService.render({ entries: [] }, 'yaml')).toThrow('Unsupported feed format: yaml');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for VersionService
+ */
+
+const VersionService = require('../../../src/services/VersionService');
+
+// Mock database module
+jest.mock('../../../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../../../src/models/ArticleVersion', () => ({
+  getVersion: jest.fn()
+}));
+
+jest.mock('../../../src/models/FeedbackResolution', () => ({
+  getByVersionRange: jest.fn()
+}));
+
+const ArticleVersion = require('../../../src/models/ArticleVersion');
+const FeedbackResolution = require('../../../src/models/FeedbackResolution');
+
+describe('VersionService', () => {
+  const articleId = '11111111-1111-4111-8111-111111111111';
+
+  const versions = {
+    2: { version_number: 2, title: 'Draft', summary: 'Intro', content: 'one\ntwo', tags: ['notes'], change_summary: null },
+    5: { version_number: 5, title: 'Final', summary: 'Intro', content: 'one\nthree', tags: ['notes', 'guides'], change_summary: 'Rewrote the ending' }
+  };
+
+  const resolution = {
+    toJSON: () => ({ id: 'resolution-1', feedback: { content: 'Ending is weak' }, to_version: 4 }),
+    toPublicJSON: () => ({ to_version: 4 })
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ArticleVersion.getVersion.mockImplementation(async (id, number) => versions[number] || null);
+    FeedbackResolution.getByVersionRange.mockResolvedValue([resolution]);
+  });
+
+  describe('compareVersions', () => {
+    it('should diff title, tags and content and list resolutions in the range', async () => {
+      const comparison = await VersionService.compareVersions(articleId, 2, 5);
+
+      expect(comparison.from).toMatchObject({ version_number: 2, title: 'Draft' });
+      expect(comparison.to).toMatchObject({ version_number: 5, change_summary: 'Rewrote the ending' });
+      expect(comparison.title).toMatchObject({ old_value: 'Draft', new_value: 'Final' });
+      expect(comparison.summary).toBeNull();
+      expect(comparison.tags).not.toBeNull();
+      expect(comparison.content.rows.map(row => row.type)).toEqual(['hunk', 'context', 'remove', 'add']);
+      expect(comparison.stats).toMatchObject({ lines_added: expect.any(Number), summary_text: expect.any(String) });
+      expect(FeedbackResolution.getByVersionRange).toHaveBeenCalledWith(articleId, 2, 5);
+    });
+
+    it('should pair removed and added lines in side-by-side mode', async () => {
+      const comparison = await VersionService.compareVersions(articleId, 2, 5, { mode: 'side_by_side' });
+
+      expect(comparison.mode).toBe('side_by_side');
+      const change = comparison.content.rows.find(row => row.type === 'change');
+      expect(change.left).toMatchObject({ line: 2, type: 'remove' });
+      expect(change.right).toMatchObject({ line: 2, type: 'add' });
+    });
+
+    it('should only show resolution details to readers with access', async () => {
+      const publicComparison = await VersionService.compareVersions(articleId, 2, 5);
+      expect(publicComparison.resolutions).toEqual([{ to_version: 4 }]);
+
+      const privateComparison = await VersionService.compareVersions(articleId, 2, 5, { includePrivate: true });
+      expect(privateComparison.resolutions[0].feedback).toEqual({ content: 'Ending is weak' });
+    });
+
+    it('should reject missing versions and invalid ranges', async () => {
+      await expect(VersionService.compareVersions(articleId, 2, 9)).rejects.toThrow('Version not found');
+      await expect(VersionService.compareVersions(articleId, 0, 5)).rejects.toThrow('Version numbers must be positive integers');
+      await expect(VersionService.compareVersions(articleId, 5, 2)).rejects.toThrow('from version must be lower than to version');
+      expect(FeedbackResolution.getByVersionRange).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for the shared markdown renderer
+ */
+
+const MarkdownRenderer = require('../../../public/js/utils/markdown');
+
+describe('MarkdownRenderer', () => {
+  let renderer;
+
+  beforeEach(() => {
+    renderer = new MarkdownRenderer();
+  });
+
+  describe('render', () => {
+    it('should render GFM tables, nested lists and fenced code', () => {
+      const html = renderer.render([
+        '- one',
+        '  - nested',
+        '',
+        '| a | b |',
+        '|---|---|',
+        '| 1 | 2 |',
+        '',
+        '```js',
+        'if (a < b) {}',
+        '```'
+      ].join('\n'));
+
+      expect(html).toContain('<li>one<ul>\n<li>nested</li>');
+      expect(html).toContain('<td>1</td>');
+      expect(html).toContain('<pre><code class="language-js">if (a &lt; b) {}\n</code></pre>');
+    });
+
+    it('should keep allowed inline tags without attributes and escape other HTML', () => {
+      const html = renderer.render('x<sup onclick="steal()">2</sup> <script>alert(1)</script>\n\n<div style="x">a & b</div>');
+
+      expect(html).toContain('x<sup>2</sup>');
+      expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(html).toContain('&lt;div style=&quot;x&quot;&gt;a &amp; b&lt;/div&gt;');
+      expect(html).not.toContain('onclick');
+    });
+
+    it('should drop unsafe link and image URLs', () => {
+      const html = renderer.render('[a](javascript:alert(1)) [b](JAVA\tSCRIPT:x) ![c](data:image/png;base64,AA) ![d](https://img.example/d.png)');
+
+      expect(html).not.toMatch(/<a /);
+      expect(html).not.toContain('data:');
+      expect(html).toContain('<img src="https://img.example/d.png" alt="d" loading="lazy" referrerpolicy="no-referrer">');
+    });
+
+    it('should escape image alt text exactly once', () => {
+      const html = renderer.render('![a"b <c> & d](https://img.example/d.png) ![e"f](javascript:x)');
+
+      expect(html).toContain('alt="a&quot;b &lt;c&gt; &amp; d"');
+      expect(html).toContain(' e&quot;f');
+      expect(html).not.toContain('&amp;quot;');
+    });
+
+    it('should pass fenced code through the highlight hook', () => {
+      renderer.setHighlighter((code, language) => (language === 'sql' ? `<b>${code.trim()}</b>` : null));
+
+      expect(renderer.render('```sql\nSELECT 1\n```')).toContain('<code class="language-sql"><b>SELECT 1</b>');
+      expect(renderer.render('```\n<x>\n```')).toContain('<code>&lt;x&gt;');
+    });
+  });
+
+  describe('renderDocument', () => {
+    it('should give headings unique anchors that match the table of contents', () => {
+      const { html, toc } = renderer.renderDocument('# Tools & *Techniques*\n\n## Notes\n\n## Notes');
+
+      expect(toc).toEqual([
+        { level: 1, text: 'Tools & Techniques', id: 'tools-techniques' },
+        { level: 2, text: 'Notes', id: 'notes' },
+        { level: 2, text: 'Notes', id: 'notes-1' }
+      ]);
+      expect(html).toContain('<h2 id="notes-1">Notes <a class="heading-anchor" href="#notes-1" aria-hidden="true">#</a></h2>');
+      expect(renderer.generateTableOfContents(toc)).toContain('<a href="#tools-techniques">Tools &amp; Techniques</a>');
+    });
+  });
+
+  describe('toPlainText', () => {
+    it('should strip markup, raw HTML and code blocks', () => {
+      const text = renderer.toPlainText('# Title\n\nSome **bold** [link](https://x.com) &amp; <b>tags</b>\n\n```\ncode\n```\n\n- a\n  - b');
+
+      expect(text).toBe('Title Some bold link & tags a b');
+      expect(renderer.getWordCount('# Title\n\nSome **bold** text')).toBe(4);
+    });
+  });
+});